@@ -0,0 +1,267 @@
+// accessibility-audit.mjs
+// Accessibility rule engine. Each rule runs in the page and reports the elements
+// that break it; findings carry the rule's WCAG success criterion, conformance
+// level and severity so reports can group and rank them.
+import { installSelectorFor } from './dom-selector.mjs';
+
+// severity: critical blocks a task, serious makes it very hard, moderate makes it
+// harder, minor is an annoyance
+export const A11Y_RULES = [
+  { id: 'image-alt', wcag: '1.1.1', level: 'A', severity: 'critical', description: 'Images have a text alternative' },
+  { id: 'button-name', wcag: '4.1.2', level: 'A', severity: 'critical', description: 'Buttons have an accessible name' },
+  { id: 'label', wcag: '4.1.2', level: 'A', severity: 'critical', description: 'Form fields have a label' },
+  { id: 'link-name', wcag: '2.4.4', level: 'A', severity: 'serious', description: 'Links have an accessible name' },
+  { id: 'link-purpose', wcag: '2.4.4', level: 'A', severity: 'moderate', description: 'Link text describes where the link goes' },
+  { id: 'html-lang', wcag: '3.1.1', level: 'A', severity: 'serious', description: 'The page has a valid lang attribute' },
+  { id: 'document-title', wcag: '2.4.2', level: 'A', severity: 'serious', description: 'The page has a title' },
+  { id: 'landmark-main', wcag: '1.3.1', level: 'A', severity: 'moderate', description: 'The page has one main landmark' },
+  { id: 'region', wcag: '1.3.1', level: 'A', severity: 'moderate', description: 'All content is inside a landmark region' },
+  { id: 'heading-order', wcag: '1.3.1', level: 'A', severity: 'moderate', description: 'Heading levels increase one at a time' },
+  { id: 'page-has-h1', wcag: '2.4.6', level: 'AA', severity: 'moderate', description: 'The page has one level-one heading' },
+  { id: 'list', wcag: '1.3.1', level: 'A', severity: 'serious', description: 'Lists only contain list items' },
+  { id: 'duplicate-id', wcag: '4.1.1', level: 'A', severity: 'minor', description: 'IDs are unique' },
+  { id: 'aria-reference', wcag: '1.3.1', level: 'A', severity: 'serious', description: 'ARIA references point to existing, unique IDs' },
+  { id: 'aria-valid-attr', wcag: '4.1.2', level: 'A', severity: 'critical', description: 'ARIA attributes are valid' },
+  { id: 'aria-role', wcag: '4.1.2', level: 'A', severity: 'critical', description: 'ARIA roles are valid' },
+  { id: 'aria-hidden-focus', wcag: '4.1.2', level: 'A', severity: 'serious', description: 'Hidden content is not focusable' },
+  { id: 'frame-title', wcag: '4.1.2', level: 'A', severity: 'serious', description: 'Frames have a title' },
+  { id: 'tabindex', wcag: '2.4.3', level: 'A', severity: 'serious', description: 'No positive tabindex values' },
+  { id: 'meta-viewport', wcag: '1.4.4', level: 'AA', severity: 'critical', description: 'Zooming is not disabled' }
+];
+
+export const SEVERITIES = ['critical', 'serious', 'moderate', 'minor'];
+const LEVELS = ['A', 'AA', 'AAA'];
+
+// Rules that apply at a conformance level, minus the disabled ones
+export function rulesFor({ level = 'AA', disabled = [] } = {}) {
+  const max = LEVELS.indexOf(level);
+  return A11Y_RULES.filter(rule => LEVELS.indexOf(rule.level) <= max && !disabled.includes(rule.id));
+}
+
+// Findings grouped per rule, most severe first:
+// [{ rule, wcag, level, severity, description, count, findings: [{ selector, message, html }] }]
+export function summarizeFindings(findings) {
+  const groups = new Map();
+  for (const finding of findings) {
+    if (!groups.has(finding.rule)) {
+      const rule = A11Y_RULES.find(r => r.id === finding.rule);
+      groups.set(finding.rule, { rule: rule.id, wcag: rule.wcag, level: rule.level, severity: rule.severity, description: rule.description, count: 0, findings: [] });
+    }
+    const group = groups.get(finding.rule);
+    group.count++;
+    group.findings.push({ selector: finding.selector, message: finding.message, html: finding.html });
+  }
+  return [...groups.values()].sort((a, b) =>
+    SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) || b.count - a.count);
+}
+
+// One issue per rule of summarizeFindings(), with the first elements that break it
+export function accessibilityIssues(groups) {
+  return groups.map(group => ({
+    type: 'accessibility',
+    section: 'accessibility',
+    rule: group.rule,
+    wcag: group.wcag,
+    severity: group.severity,
+    count: group.count,
+    elements: group.findings.slice(0, 5).map(f => f.selector),
+    message: `${group.description} — ${group.count} violation(s), e.g. ${group.findings[0].message}`
+  }));
+}
+
+// Runs the rules in the page: [{ rule, wcag, level, severity, selector, message, html }]
+export async function runAccessibilityRules(page, options = {}) {
+  const rules = rulesFor(options);
+  await installSelectorFor(page);
+  const findings = await page.evaluate((ruleIds) => {
+    const selectorFor = window.__qaSelectorFor;
+    const snippet = (el) => el.outerHTML.replace(/\s+/g, ' ').slice(0, 120);
+    const visible = (el) => !el.checkVisibility || el.checkVisibility({ visibilityProperty: true });
+    const hidden = (el) => !!el.closest('[aria-hidden="true"], [hidden]');
+    const text = (el) => (el.textContent || '').replace(/\s+/g, ' ').trim();
+
+    // Accessible name, close enough to the accname algorithm for these rules
+    const nameOf = (el) => {
+      const labelledBy = el.getAttribute('aria-labelledby');
+      if (labelledBy) {
+        const name = labelledBy.split(/\s+/).map(id => document.getElementById(id)).filter(Boolean).map(text).join(' ').trim();
+        if (name) return name;
+      }
+      const label = el.getAttribute('aria-label')?.trim();
+      if (label) return label;
+      if (el.labels?.length) {
+        const name = [...el.labels].map(text).join(' ').trim();
+        if (name) return name;
+      }
+      if (el.tagName === 'IMG' || (el.tagName === 'INPUT' && el.type === 'image')) return el.getAttribute('alt')?.trim() || el.title?.trim() || '';
+      if (el.tagName === 'INPUT' && ['submit', 'reset', 'button'].includes(el.type)) return el.value.trim() || (el.type !== 'button' ? el.type : '');
+      const content = [...el.childNodes].map(node => {
+        if (node.nodeType === Node.TEXT_NODE) return node.textContent;
+        if (node.nodeType !== Node.ELEMENT_NODE || node.getAttribute('aria-hidden') === 'true') return '';
+        return nameOf(node) || (node.tagName === 'svg' ? node.querySelector('title')?.textContent || '' : text(node));
+      }).join(' ').replace(/\s+/g, ' ').trim();
+      return content || el.title?.trim() || el.getAttribute('placeholder')?.trim() || '';
+    };
+
+    const ROLES = new Set(('alert alertdialog application article banner blockquote button caption cell checkbox code columnheader combobox ' +
+      'complementary contentinfo definition deletion dialog directory document emphasis feed figure form generic grid gridcell group ' +
+      'heading img insertion link list listbox listitem log main marquee math menu menubar menuitem menuitemcheckbox menuitemradio meter ' +
+      'navigation none note option paragraph presentation progressbar radio radiogroup region row rowgroup rowheader scrollbar search ' +
+      'searchbox separator slider spinbutton status strong subscript superscript switch tab table tablist tabpanel term textbox time ' +
+      'timer toolbar tooltip tree treegrid treeitem').split(' '));
+    const ARIA_ATTRS = new Set(('activedescendant atomic autocomplete braillelabel brailleroledescription busy checked colcount colindex ' +
+      'colindextext colspan controls current describedby description details disabled dropeffect errormessage expanded flowto grabbed ' +
+      'haspopup hidden invalid keyshortcuts label labelledby level live modal multiline multiselectable orientation owns placeholder ' +
+      'posinset pressed readonly relevant required roledescription rowcount rowindex rowindextext rowspan selected setsize sort valuemax ' +
+      'valuemin valuenow valuetext').split(' ').map(a => `aria-${a}`));
+    const FOCUSABLE = 'a[href], button, input:not([type="hidden"]), select, textarea, iframe, [tabindex], [contenteditable="true"], summary';
+    const LANDMARKS = 'header, nav, main, footer, aside, form[aria-label], form[aria-labelledby], section[aria-label], section[aria-labelledby], ' +
+      '[role="banner"], [role="navigation"], [role="main"], [role="contentinfo"], [role="complementary"], [role="region"], [role="search"], [role="form"]';
+    const GENERIC_LINKS = /^(click here|here|read more|more|learn more|link|this|details|continue|go)$/i;
+
+    const findings = [];
+    const report = (rule, el, message) => findings.push({ rule, selector: el ? selectorFor(el) : 'html', message, html: el ? snippet(el) : '' });
+    const all = (selector) => [...document.querySelectorAll(selector)];
+
+    const checks = {
+      'image-alt': () => {
+        for (const el of all('img, input[type="image"], [role="img"]')) {
+          if (hidden(el) || el.getAttribute('role') === 'presentation' || el.getAttribute('role') === 'none') continue;
+          if (el.tagName === 'IMG' && el.hasAttribute('alt')) continue;
+          if (!nameOf(el)) report('image-alt', el, el.tagName === 'IMG' ? 'Image has no alt attribute (use alt="" if it is decorative)' : 'Image has no accessible name');
+        }
+      },
+      'button-name': () => {
+        for (const el of all('button, [role="button"], input[type="submit"], input[type="reset"], input[type="button"]')) {
+          if (!hidden(el) && visible(el) && !nameOf(el)) report('button-name', el, 'Button has no accessible name');
+        }
+      },
+      label: () => {
+        for (const el of all('input:not([type="hidden"]):not([type="submit"]):not([type="reset"]):not([type="button"]):not([type="image"]), select, textarea')) {
+          if (hidden(el) || !visible(el)) continue;
+          const name = el.getAttribute('aria-labelledby') || el.getAttribute('aria-label')?.trim() || el.labels?.length || el.title?.trim();
+          if (!name) report('label', el, `Form field has no label${el.placeholder ? ` (placeholder “${el.placeholder}” is not a label)` : ''}`);
+        }
+      },
+      'link-name': () => {
+        for (const el of all('a[href], [role="link"]')) {
+          if (!hidden(el) && visible(el) && !nameOf(el)) report('link-name', el, 'Link has no accessible name');
+        }
+      },
+      'link-purpose': () => {
+        for (const el of all('a[href]')) {
+          const name = nameOf(el);
+          if (!hidden(el) && visible(el) && GENERIC_LINKS.test(name) && !el.getAttribute('aria-describedby')) {
+            report('link-purpose', el, `Link text “${name}” does not say where it goes`);
+          }
+        }
+      },
+      'html-lang': () => {
+        const lang = document.documentElement.getAttribute('lang');
+        if (!lang?.trim()) report('html-lang', document.documentElement, '<html> has no lang attribute');
+        else if (!/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(lang.trim())) report('html-lang', document.documentElement, `lang="${lang}" is not a valid language tag`);
+      },
+      'document-title': () => {
+        if (!document.title.trim()) report('document-title', document.documentElement, 'The page has no <title>');
+      },
+      'landmark-main': () => {
+        const mains = all('main, [role="main"]').filter(el => !hidden(el));
+        if (mains.length !== 1) report('landmark-main', mains[1] || document.body, mains.length ? `${mains.length} main landmarks` : 'The page has no <main> landmark');
+      },
+      region: () => {
+        // Topmost elements with text of their own that no landmark contains
+        for (const el of all('body *')) {
+          if (['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'].includes(el.tagName) || hidden(el) || el.closest(LANDMARKS)) continue;
+          const own = [...el.childNodes].some(n => n.nodeType === Node.TEXT_NODE && n.textContent.trim());
+          if (!own || !visible(el)) continue;
+          const outer = el.parentElement && el.parentElement !== document.body && !el.parentElement.closest(LANDMARKS) &&
+            [...el.parentElement.childNodes].some(n => n.nodeType === Node.TEXT_NODE && n.textContent.trim());
+          if (!outer) report('region', el, `Text “${text(el).slice(0, 40)}” is outside every landmark`);
+        }
+      },
+      'heading-order': () => {
+        let previous = 0;
+        for (const el of all('h1, h2, h3, h4, h5, h6, [role="heading"]')) {
+          if (hidden(el) || !visible(el)) continue;
+          const level = Number(el.getAttribute('aria-level')) || Number(el.tagName.slice(1)) || 2;
+          if (previous && level > previous + 1) report('heading-order', el, `h${level} follows h${previous}; skipped ${level - previous - 1} level(s)`);
+          previous = level;
+        }
+      },
+      'page-has-h1': () => {
+        const h1s = all('h1, [role="heading"][aria-level="1"]').filter(el => !hidden(el) && visible(el));
+        if (h1s.length !== 1) report('page-has-h1', h1s[1] || document.body, h1s.length ? `${h1s.length} level-one headings` : 'The page has no level-one heading');
+      },
+      list: () => {
+        for (const el of all('ul, ol')) {
+          const wrong = [...el.children].filter(child => !['LI', 'SCRIPT', 'TEMPLATE'].includes(child.tagName));
+          if (wrong.length && !el.getAttribute('role')) report('list', el, `List contains <${wrong[0].tagName.toLowerCase()}> besides <li>`);
+        }
+      },
+      'duplicate-id': () => {
+        const seen = new Map();
+        for (const el of all('[id]')) seen.set(el.id, [...(seen.get(el.id) || []), el]);
+        for (const [id, elements] of seen) {
+          if (elements.length > 1) report('duplicate-id', elements[1], `id="${id}" is used by ${elements.length} elements`);
+        }
+      },
+      'aria-reference': () => {
+        for (const el of all('[aria-labelledby], [aria-describedby], [aria-controls], [aria-owns], [aria-activedescendant], [aria-errormessage], label[for]')) {
+          for (const attr of ['aria-labelledby', 'aria-describedby', 'aria-controls', 'aria-owns', 'aria-activedescendant', 'aria-errormessage', 'for']) {
+            for (const id of (el.getAttribute(attr) || '').split(/\s+/).filter(Boolean)) {
+              const count = document.querySelectorAll(`[id="${CSS.escape(id)}"]`).length;
+              if (count !== 1) report('aria-reference', el, count ? `${attr}="${id}" matches ${count} elements` : `${attr}="${id}" points to no element`);
+            }
+          }
+        }
+      },
+      'aria-valid-attr': () => {
+        for (const el of all('*')) {
+          for (const attr of el.getAttributeNames()) {
+            if (attr.startsWith('aria-') && !ARIA_ATTRS.has(attr)) report('aria-valid-attr', el, `${attr} is not an ARIA attribute`);
+          }
+        }
+      },
+      'aria-role': () => {
+        for (const el of all('[role]')) {
+          const roles = el.getAttribute('role').trim().toLowerCase().split(/\s+/);
+          if (!roles.some(role => ROLES.has(role))) report('aria-role', el, `role="${el.getAttribute('role')}" is not an ARIA role`);
+        }
+      },
+      'aria-hidden-focus': () => {
+        for (const el of all('[aria-hidden="true"]')) {
+          for (const focusable of [el, ...el.querySelectorAll(FOCUSABLE)]) {
+            if (focusable.matches(FOCUSABLE) && focusable.tabIndex >= 0 && !focusable.disabled && visible(focusable)) {
+              report('aria-hidden-focus', focusable, 'Focusable element is inside aria-hidden content');
+            }
+          }
+        }
+      },
+      'frame-title': () => {
+        for (const el of all('iframe, frame')) {
+          if (!hidden(el) && !nameOf(el)) report('frame-title', el, 'Frame has no title');
+        }
+      },
+      tabindex: () => {
+        for (const el of all('[tabindex]')) {
+          if (Number(el.getAttribute('tabindex')) > 0) report('tabindex', el, `tabindex="${el.getAttribute('tabindex')}" changes the tab order`);
+        }
+      },
+      'meta-viewport': () => {
+        const meta = document.querySelector('meta[name="viewport"]');
+        const content = meta?.getAttribute('content') || '';
+        const max = content.match(/maximum-scale\s*=\s*([\d.]+)/i);
+        if (/user-scalable\s*=\s*(no|0)/i.test(content)) report('meta-viewport', meta, 'user-scalable=no stops pinch zoom');
+        else if (max && Number(max[1]) < 2) report('meta-viewport', meta, `maximum-scale=${max[1]} limits zoom below 200%`);
+      }
+    };
+
+    for (const id of ruleIds) checks[id]();
+    return findings;
+  }, rules.map(r => r.id));
+
+  return findings.map(f => {
+    const rule = A11Y_RULES.find(r => r.id === f.rule);
+    return { ...f, wcag: rule.wcag, level: rule.level, severity: rule.severity };
+  });
+}
@@ -0,0 +1,156 @@
+// baseline-cli.js
+// Review pending visual baselines: npm run baseline -- <command> [options]
+//
+//   list                      pending baselines per page and viewport, with diff stats
+//   review                    accept or reject pending baselines one at a time
+//   accept <key...> | --all   promote candidates to baselines
+//   reject <key...> | --all   discard candidates and keep the current baselines
+//   history                   recorded decisions
+//
+// Options: --env=<name>  --reason="why"  --by=<reviewer>  --page=<name> (narrows --all)
+const os = require('os');
+const readline = require('readline/promises');
+const { loadConfig, getCliOption } = require('./config-loader');
+const BaselineStore = require('./baseline-store');
+
+const formatStats = (entry) => {
+  if (entry.status === 'new') return 'no baseline yet';
+  const parts = [];
+  if (entry.stats.pixelsChanged !== undefined) parts.push(`${entry.stats.pixelsChanged} pixels changed`);
+  if (entry.stats.percentChanged !== undefined) parts.push(`${entry.stats.percentChanged}% of ${entry.section ? 'section' : 'page'}`);
+  if (entry.stats.ssim != null) parts.push(`SSIM ${entry.stats.ssim}`);
+  if (entry.stats.mode) parts.push(`judged by ${entry.stats.mode}`);
+  if (entry.stats.sizeChange) {
+    const { baseline, current } = entry.stats.sizeChange;
+    parts.push(`size ${baseline.width}x${baseline.height} → ${current.width}x${current.height}`);
+  }
+  if (entry.stats.changedRegions) parts.push(`${entry.stats.changedRegions} changed regions`);
+  if (entry.stats.maskedRegions) parts.push(`${entry.stats.maskedRegions} regions masked`);
+  return parts.join(', ') || 'changed';
+};
+
+function printPending(pending, environment) {
+  if (!pending.length) {
+    console.log(`✅ No pending baselines for ${environment}`);
+    return;
+  }
+
+  console.log(`🖼️ ${pending.length} pending baseline(s) for ${environment}:\n`);
+  const byPage = new Map();
+  for (const entry of pending) {
+    if (!byPage.has(entry.page)) byPage.set(entry.page, []);
+    byPage.get(entry.page).push(entry);
+  }
+  for (const [page, entries] of byPage) {
+    console.log(`📄 ${page}`);
+    for (const entry of entries) {
+      const target = entry.section ? `${entry.section} @ ${entry.viewport || 'default'}` : entry.viewport || 'default';
+      console.log(`   ${entry.status === 'new' ? '🆕' : '🎨'} ${target} [${entry.key}] — ${formatStats(entry)}`);
+      console.log(`      candidate: ${entry.candidate}`);
+      if (entry.diff) console.log(`      diff:      ${entry.diff}`);
+    }
+  }
+
+  const changed = pending.filter(e => e.status === 'changed').length;
+  console.log(`\n📊 ${pending.length - changed} new, ${changed} changed`);
+}
+
+function selectEntries(pending, keys, { all, page }) {
+  if (all) return pending.filter(e => !page || e.page === page);
+
+  const missing = keys.filter(k => !pending.some(e => e.key === k));
+  if (missing.length) {
+    throw new Error(`No pending baseline for: ${missing.join(', ')}. Run "npm run baseline -- list" to see keys.`);
+  }
+  return pending.filter(e => keys.includes(e.key));
+}
+
+async function decideAll(store, entries, decision, { by, reason }) {
+  if (!entries.length) {
+    console.log('Nothing to do.');
+    return;
+  }
+  if (!reason) {
+    throw new Error(`--reason="..." is required to ${decision === 'accepted' ? 'accept' : 'reject'} baselines`);
+  }
+  for (const entry of entries) {
+    await store.decide(entry.key, decision, { by, reason });
+    console.log(`${decision === 'accepted' ? '✅ Accepted' : '🚫 Rejected'} ${entry.key}`);
+  }
+}
+
+async function review(store, pending, { by, reason: defaultReason }) {
+  if (!pending.length) {
+    console.log('✅ Nothing to review');
+    return;
+  }
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    for (const entry of pending) {
+      const section = entry.section ? ` › ${entry.section}` : '';
+      console.log(`\n📄 ${entry.page}${section} @ ${entry.viewport || 'default'} [${entry.key}] — ${formatStats(entry)}`);
+      console.log(`   candidate: ${entry.candidate}`);
+      if (entry.diff) console.log(`   diff:      ${entry.diff}`);
+
+      const answer = (await rl.question('   [a]ccept, [r]eject, [s]kip, [q]uit? ')).trim().toLowerCase();
+      if (answer === 'q') break;
+      if (answer !== 'a' && answer !== 'r') continue;
+
+      let reason = defaultReason;
+      while (!reason) {
+        reason = (await rl.question('   Reason: ')).trim();
+      }
+      const decision = answer === 'a' ? 'accepted' : 'rejected';
+      await store.decide(entry.key, decision, { by, reason });
+      console.log(`   ${decision === 'accepted' ? '✅ Accepted' : '🚫 Rejected'}`);
+    }
+  } finally {
+    rl.close();
+  }
+}
+
+async function main(argv = process.argv.slice(2)) {
+  // Flags may come before or after the command: npm run baseline -- --env=production list
+  const [command = 'list', ...keys] = argv.filter(a => !a.startsWith('--'));
+  const config = loadConfig(undefined, { environment: getCliOption('env', argv) });
+  const store = new BaselineStore(config);
+
+  const by = getCliOption('by', argv) || process.env.QA_REVIEWER || os.userInfo().username;
+  const reason = getCliOption('reason', argv);
+  const page = getCliOption('page', argv);
+  const all = argv.includes('--all');
+
+  const pending = (await store.listPending()).filter(e => !page || e.page === page);
+
+  switch (command) {
+    case 'list':
+      printPending(pending, config.environment);
+      break;
+    case 'review':
+      await review(store, pending, { by, reason });
+      break;
+    case 'accept':
+      await decideAll(store, selectEntries(pending, keys, { all, page }), 'accepted', { by, reason });
+      break;
+    case 'reject':
+      await decideAll(store, selectEntries(pending, keys, { all, page }), 'rejected', { by, reason });
+      break;
+    case 'history':
+      for (const record of await store.listApprovals()) {
+        console.log(`${record.at} ${record.decision.toUpperCase()} ${record.key} by ${record.by} — ${record.reason}`);
+      }
+      break;
+    default:
+      throw new Error(`Unknown baseline command "${command}". Use list, review, accept, reject or history.`);
+  }
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { main };
@@ -0,0 +1,144 @@
+// baseline-store.js
+// Approved baselines, pending candidates and the approval log for one environment.
+//
+//   screenshots/<env>/baselines/<key>.png           approved baseline
+//   screenshots/<env>/baselines/pending/<key>.png   candidate waiting for review
+//   screenshots/<env>/baselines/pending.json        what changed and why it is pending
+//   screenshots/<env>/baselines/approvals.json      who accepted/rejected what, when and why
+const fs = require('fs').promises;
+const path = require('path');
+
+class BaselineStore {
+  constructor(config) {
+    this.environment = config.environment;
+    this.dir = path.join(config.screenshotDir, 'baselines');
+    this.pendingDir = path.join(this.dir, 'pending');
+    this.pendingFile = path.join(this.dir, 'pending.json');
+    this.approvalsFile = path.join(this.dir, 'approvals.json');
+  }
+
+  // Keys double as file names, so keep them filesystem-safe: page[.section][@viewport].
+  // Each part is sanitized on its own and can't contain "." or "@", so page
+  // "home-mobile" and page "home" at viewport "mobile" never share a key.
+  static keyFor(pageName, viewport, section) {
+    const safe = (part) => String(part).replace(/[^a-z0-9_-]+/gi, '-');
+    const name = section ? `${safe(pageName)}.${safe(section)}` : safe(pageName);
+    return viewport ? `${name}@${safe(viewport)}` : name;
+  }
+
+  baselinePath(key) {
+    return path.join(this.dir, `${key}.png`);
+  }
+
+  candidatePath(key) {
+    return path.join(this.pendingDir, `${key}.png`);
+  }
+
+  candidateDiffPath(key) {
+    return path.join(this.pendingDir, `${key}.diff.png`);
+  }
+
+  async hasBaseline(key) {
+    return fs.access(this.baselinePath(key)).then(() => true, () => false);
+  }
+
+  async readJson(file, fallback) {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return fallback;
+      throw new Error(`Could not read ${file}: ${err.message}`);
+    }
+  }
+
+  async writeJson(file, data) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(data, null, 2));
+  }
+
+  // Queues the current screenshot for review. status is 'new' (no baseline yet)
+  // or 'changed' (diff over threshold); stats carries the diff numbers.
+  async addPending({ key, page, viewport = null, section = null, status, currentPath, diffPath = null, stats = {} }) {
+    await fs.mkdir(this.pendingDir, { recursive: true });
+    await fs.copyFile(currentPath, this.candidatePath(key));
+    if (diffPath) {
+      await fs.copyFile(diffPath, this.candidateDiffPath(key));
+    }
+
+    const pending = await this.readJson(this.pendingFile, {});
+    pending[key] = {
+      key,
+      page,
+      viewport,
+      section,
+      status,
+      stats,
+      candidate: this.candidatePath(key),
+      diff: diffPath ? this.candidateDiffPath(key) : null,
+      baseline: this.baselinePath(key),
+      capturedAt: new Date().toISOString()
+    };
+    await this.writeJson(this.pendingFile, pending);
+    return pending[key];
+  }
+
+  async listPending() {
+    const pending = await this.readJson(this.pendingFile, {});
+    return Object.values(pending).sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  async listApprovals() {
+    return this.readJson(this.approvalsFile, []);
+  }
+
+  async accept(key, { by, reason }) {
+    return this.decide(key, 'accepted', { by, reason });
+  }
+
+  async reject(key, { by, reason }) {
+    return this.decide(key, 'rejected', { by, reason });
+  }
+
+  async decide(key, decision, { by, reason }) {
+    if (!by || !reason) {
+      throw new Error(`A reviewer and a reason are required to record a baseline decision for "${key}"`);
+    }
+
+    const pending = await this.readJson(this.pendingFile, {});
+    const entry = pending[key];
+    if (!entry) {
+      throw new Error(`No pending baseline for "${key}"`);
+    }
+
+    if (decision === 'accepted') {
+      await fs.mkdir(this.dir, { recursive: true });
+      await fs.copyFile(entry.candidate, entry.baseline);
+    }
+
+    await fs.rm(entry.candidate, { force: true });
+    if (entry.diff) await fs.rm(entry.diff, { force: true });
+    delete pending[key];
+    await this.writeJson(this.pendingFile, pending);
+
+    const record = {
+      key,
+      page: entry.page,
+      viewport: entry.viewport,
+      section: entry.section,
+      environment: this.environment,
+      decision,
+      status: entry.status,
+      stats: entry.stats,
+      by,
+      reason,
+      at: new Date().toISOString()
+    };
+    const approvals = await this.listApprovals();
+    approvals.push(record);
+    await this.writeJson(this.approvalsFile, approvals);
+
+    return record;
+  }
+}
+
+module.exports = BaselineStore;
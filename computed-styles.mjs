@@ -0,0 +1,51 @@
+// computed-styles.mjs
+// Computed styles of an element for validateStyles, optionally of its ::before or
+// ::after pseudo-element and with :hover, :focus, :focus-visible or :active forced
+// on through the Chrome DevTools Protocol. Forcing the state applies the page's
+// state rules exactly, without moving the mouse or keyboard focus.
+
+import configLoader from './config-loader.js';
+
+// Defined with the config validation that checks styleChecks against them
+export const { PSEUDO_ELEMENTS, FORCED_STATES } = configLoader;
+
+// Forces pseudo-classes on the first element matching selector. Returns a function
+// that clears them again, or throws when no element matches.
+export async function forcePseudoState(page, selector, states) {
+  const client = await page.context().newCDPSession(page);
+  try {
+    await client.send('DOM.enable');
+    await client.send('CSS.enable');
+    const { root } = await client.send('DOM.getDocument', { depth: 0 });
+    const { nodeId } = await client.send('DOM.querySelector', { nodeId: root.nodeId, selector });
+    if (!nodeId) throw new Error(`No element matches "${selector}"`);
+
+    await client.send('CSS.forcePseudoState', { nodeId, forcedPseudoClasses: states });
+    return async () => {
+      await client.send('CSS.forcePseudoState', { nodeId, forcedPseudoClasses: [] }).catch(() => {});
+      await client.detach().catch(() => {});
+    };
+  } catch (err) {
+    await client.detach().catch(() => {});
+    throw err;
+  }
+}
+
+// { [property]: computed value } of the first element matching selector, or null
+// when nothing matches. pseudo: '::before' | '::after'; state: one of FORCED_STATES.
+export async function readComputedStyles(page, selector, properties, { pseudo = null, state = null } = {}) {
+  const locator = page.locator(selector).first();
+  if (await locator.count() === 0) return null;
+
+  const release = state ? await forcePseudoState(page, selector, [state]) : null;
+  try {
+    return await locator.evaluate((el, { properties, pseudo }) => {
+      const style = getComputedStyle(el, pseudo);
+      // A pseudo-element without content is not rendered
+      if (pseudo && style.content === 'none') return { content: 'none' };
+      return Object.fromEntries(properties.map(p => [p, style.getPropertyValue(p).trim()]));
+    }, { properties, pseudo });
+  } finally {
+    if (release) await release();
+  }
+}
@@ -0,0 +1,713 @@
+// config-loader.js
+// Loads and validates the shared run configuration (config.js by default).
+const path = require('path');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, 'config.js');
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+const describe = (value) => (value === undefined ? 'nothing' : JSON.stringify(value));
+
+function validateUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+function validateViewport(viewport, at, errors, { requireName = true } = {}) {
+  if (!isObject(viewport)) {
+    errors.push(`${at}: expected an object with width and height, got ${describe(viewport)}`);
+    return;
+  }
+  if (requireName && !isNonEmptyString(viewport.name)) {
+    errors.push(`${at}.name: expected a non-empty string, got ${describe(viewport.name)}`);
+  }
+  for (const key of ['width', 'height']) {
+    if (!Number.isInteger(viewport[key]) || viewport[key] <= 0) {
+      errors.push(`${at}.${key}: expected a positive integer, got ${describe(viewport[key])}`);
+    }
+  }
+}
+
+function validateStringList(list, at, errors) {
+  if (!Array.isArray(list)) {
+    errors.push(`${at}: expected an array of strings, got ${describe(list)}`);
+    return;
+  }
+  list.forEach((item, i) => {
+    if (!isNonEmptyString(item)) {
+      errors.push(`${at}[${i}]: expected a non-empty string, got ${describe(item)}`);
+    }
+  });
+}
+
+function validateMaskSet(mask, at, errors) {
+  if (!isObject(mask)) {
+    errors.push(`${at}: expected an object with selectors and/or rects, got ${describe(mask)}`);
+    return;
+  }
+  if (mask.selectors !== undefined) {
+    validateStringList(mask.selectors, `${at}.selectors`, errors);
+  }
+  if (mask.rects !== undefined) {
+    if (!Array.isArray(mask.rects)) {
+      errors.push(`${at}.rects: expected an array, got ${describe(mask.rects)}`);
+      return;
+    }
+    mask.rects.forEach((rect, i) => {
+      const ok = isObject(rect) && ['x', 'y', 'width', 'height'].every(k => typeof rect[k] === 'number' && rect[k] >= 0);
+      if (!ok) {
+        errors.push(`${at}.rects[${i}]: expected { x, y, width, height } with numbers >= 0, got ${describe(rect)}`);
+      }
+    });
+  }
+}
+
+// Mirrors DIFF_MODES in visual-diff.mjs
+const DIFF_MODES = ['pixels', 'percent', 'antialias', 'ssim'];
+
+// Text styles of the typography scale; typography-audit.mjs re-exports them
+const TEXT_ROLES = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'body', 'caption', 'button'];
+
+// Token references a styleChecks entry may carry (see figma-tokens.mjs)
+const STYLE_CHECK_TOKENS = ['color', 'background', 'typography', 'radius', 'shadow'];
+
+// Pseudo-elements and forced states a styleChecks entry may target; computed-styles.mjs
+// re-exports them
+const PSEUDO_ELEMENTS = ['::before', '::after'];
+const FORCED_STATES = ['hover', 'focus', 'focus-visible', 'active'];
+
+// { 'padding-top': 'Space/M', 'outline-color': { token: 'Accent', tolerance: 0 }, height: { value: 4 } }
+function validateStyleProperties(properties, at, errors) {
+  if (!isObject(properties)) {
+    errors.push(`${at}: expected an object keyed by CSS property, got ${describe(properties)}`);
+    return;
+  }
+  for (const [property, rule] of Object.entries(properties)) {
+    if (isNonEmptyString(rule)) continue;
+    const valid = isObject(rule) &&
+      (isNonEmptyString(rule.token) || typeof rule.value === 'string' || typeof rule.value === 'number') &&
+      (rule.tolerance === undefined || (typeof rule.tolerance === 'number' && rule.tolerance >= 0));
+    if (!valid) {
+      errors.push(`${at}.${property}: expected a token name, { token, tolerance } or { value, tolerance }, got ${describe(rule)}`);
+    }
+  }
+}
+
+function validateDiffSet(set, at, errors) {
+  if (set.mode !== undefined && !DIFF_MODES.includes(set.mode)) {
+    errors.push(`${at}.mode: expected one of ${DIFF_MODES.join(', ')}, got ${describe(set.mode)}`);
+  }
+  if (set.limits === undefined) return;
+  if (!isObject(set.limits)) {
+    errors.push(`${at}.limits: expected an object keyed by diff mode, got ${describe(set.limits)}`);
+    return;
+  }
+  for (const [mode, value] of Object.entries(set.limits)) {
+    if (!DIFF_MODES.includes(mode)) {
+      errors.push(`${at}.limits.${mode}: unknown diff mode, expected one of ${DIFF_MODES.join(', ')}`);
+      continue;
+    }
+    const max = { pixels: Infinity, ssim: 1 }[mode] ?? 100;
+    if (typeof value !== 'number' || !(value >= 0 && value <= max)) {
+      const expected = { pixels: 'a number >= 0', ssim: 'a score between 0 and 1' }[mode] || 'a percentage between 0 and 100';
+      errors.push(`${at}.limits.${mode}: expected ${expected}, got ${describe(value)}`);
+    }
+  }
+}
+
+function validateDiff(config, errors) {
+  const { diff } = config;
+  if (!isObject(diff)) {
+    errors.push(`diff: expected an object, got ${describe(diff)}`);
+    return;
+  }
+  validateDiffSet(diff, 'diff', errors);
+
+  if (diff.overrides === undefined) return;
+  if (!Array.isArray(diff.overrides)) {
+    errors.push(`diff.overrides: expected an array, got ${describe(diff.overrides)}`);
+    return;
+  }
+  const viewportNames = Array.isArray(config.viewports) ? config.viewports.map(v => v && v.name) : [];
+  diff.overrides.forEach((override, i) => {
+    const at = `diff.overrides[${i}]`;
+    if (!isObject(override)) {
+      errors.push(`${at}: expected an object, got ${describe(override)}`);
+      return;
+    }
+    if (!override.page && !override.viewport) {
+      errors.push(`${at}: expected a page and/or viewport to match`);
+    }
+    if (override.viewport && !viewportNames.includes(override.viewport)) {
+      errors.push(`${at}.viewport: "${override.viewport}" is not one of the configured viewports`);
+    }
+    validateDiffSet(override, at, errors);
+  });
+}
+
+// Returns a list of human-readable schema errors; an empty list means the config is valid
+function validateConfig(config) {
+  const errors = [];
+
+  if (!isObject(config)) {
+    return [`config: expected an object, got ${describe(config)}`];
+  }
+
+  // environments
+  if (!isObject(config.environments) || Object.keys(config.environments).length === 0) {
+    errors.push(`environments: expected an object with at least one profile, got ${describe(config.environments)}`);
+  } else {
+    for (const [name, env] of Object.entries(config.environments)) {
+      if (!/^[a-z0-9_-]+$/i.test(name)) {
+        errors.push(`environments.${name}: profile names may only contain letters, digits, "-" and "_"`);
+      }
+      if (!isObject(env)) {
+        errors.push(`environments.${name}: expected an object, got ${describe(env)}`);
+      } else {
+        if (env.baseUrlEnv !== undefined && !/^[A-Z_][A-Z0-9_]*$/i.test(env.baseUrlEnv)) {
+          errors.push(`environments.${name}.baseUrlEnv: expected an environment variable name, got ${describe(env.baseUrlEnv)}`);
+        }
+        if (env.baseUrl === undefined && env.baseUrlEnv === undefined) {
+          errors.push(`environments.${name}: expected a baseUrl or a baseUrlEnv`);
+        } else if (env.baseUrl !== undefined && !validateUrl(env.baseUrl)) {
+          errors.push(`environments.${name}.baseUrl: expected an http(s) URL, got ${describe(env.baseUrl)}`);
+        }
+      }
+    }
+    if (!isNonEmptyString(config.defaultEnvironment)) {
+      errors.push(`defaultEnvironment: expected a string, got ${describe(config.defaultEnvironment)}`);
+    } else if (!config.environments[config.defaultEnvironment]) {
+      errors.push(`defaultEnvironment: "${config.defaultEnvironment}" is not one of: ${Object.keys(config.environments).join(', ')}`);
+    }
+  }
+
+  // pages
+  if (!Array.isArray(config.pages) || config.pages.length === 0) {
+    errors.push(`pages: expected a non-empty array, got ${describe(config.pages)}`);
+  } else {
+    const seen = new Set();
+    config.pages.forEach((page, i) => {
+      const at = `pages[${i}]`;
+      if (!isObject(page)) {
+        errors.push(`${at}: expected an object with name and path, got ${describe(page)}`);
+        return;
+      }
+      if (!isNonEmptyString(page.name)) {
+        errors.push(`${at}.name: expected a non-empty string, got ${describe(page.name)}`);
+      } else if (seen.has(page.name)) {
+        errors.push(`${at}.name: duplicate page name "${page.name}"`);
+      } else {
+        seen.add(page.name);
+      }
+      if (typeof page.path !== 'string' || !page.path.startsWith('/')) {
+        errors.push(`${at}.path: expected a string starting with "/", got ${describe(page.path)}`);
+      }
+      if (page.heading !== undefined && !isNonEmptyString(page.heading)) {
+        errors.push(`${at}.heading: expected a non-empty string, got ${describe(page.heading)}`);
+      }
+    });
+  }
+
+  // sections
+  if (!isObject(config.sections)) {
+    errors.push(`sections: expected an object keyed by page name, got ${describe(config.sections)}`);
+  } else {
+    for (const [pageName, list] of Object.entries(config.sections)) {
+      validateStringList(list, `sections.${pageName}`, errors);
+    }
+  }
+
+  // crawl
+  if (config.crawl !== undefined) {
+    const { crawl } = config;
+    if (!isObject(crawl)) {
+      errors.push(`crawl: expected an object, got ${describe(crawl)}`);
+    } else {
+      for (const key of ['maxDepth', 'maxPages', 'maxPerTemplate']) {
+        if (crawl[key] !== undefined && (!Number.isInteger(crawl[key]) || crawl[key] < 0)) {
+          errors.push(`crawl.${key}: expected an integer >= 0, got ${describe(crawl[key])}`);
+        }
+      }
+      if (crawl.useSitemap !== undefined && typeof crawl.useSitemap !== 'boolean') {
+        errors.push(`crawl.useSitemap: expected true or false, got ${describe(crawl.useSitemap)}`);
+      }
+      if (crawl.exclude !== undefined) {
+        validateStringList(crawl.exclude, 'crawl.exclude', errors);
+      }
+      if (crawl.templates !== undefined) {
+        if (!Array.isArray(crawl.templates)) {
+          errors.push(`crawl.templates: expected an array, got ${describe(crawl.templates)}`);
+        } else {
+          crawl.templates.forEach((template, i) => {
+            const at = `crawl.templates[${i}]`;
+            if (!isObject(template) || !isNonEmptyString(template.name)) {
+              errors.push(`${at}.name: expected a non-empty string, got ${describe(template?.name)}`);
+            }
+            if (!isObject(template) || typeof template.pattern !== 'string' || !template.pattern.startsWith('/')) {
+              errors.push(`${at}.pattern: expected a path pattern starting with "/", got ${describe(template?.pattern)}`);
+            }
+          });
+        }
+      }
+    }
+  }
+
+  // viewports
+  if (!Array.isArray(config.viewports) || config.viewports.length === 0) {
+    errors.push(`viewports: expected a non-empty array, got ${describe(config.viewports)}`);
+  } else {
+    config.viewports.forEach((vp, i) => validateViewport(vp, `viewports[${i}]`, errors));
+  }
+  validateViewport(config.defaultViewport, 'defaultViewport', errors, { requireName: false });
+
+  // style checks
+  if (config.styleChecks !== undefined) {
+    if (!Array.isArray(config.styleChecks)) {
+      errors.push(`styleChecks: expected an array, got ${describe(config.styleChecks)}`);
+    } else {
+      const viewportNames = Array.isArray(config.viewports) ? config.viewports.map(v => v && v.name) : [];
+      config.styleChecks.forEach((check, i) => {
+        const at = `styleChecks[${i}]`;
+        if (!isObject(check)) {
+          errors.push(`${at}: expected an object, got ${describe(check)}`);
+          return;
+        }
+        for (const key of ['name', 'selector']) {
+          if (!isNonEmptyString(check[key])) {
+            errors.push(`${at}.${key}: expected a non-empty string, got ${describe(check[key])}`);
+          }
+        }
+        const tokenKeys = STYLE_CHECK_TOKENS.filter(key => check[key] !== undefined);
+        if (!tokenKeys.length && check.properties === undefined) {
+          errors.push(`${at}: expected at least one of ${STYLE_CHECK_TOKENS.join(', ')}, properties`);
+        }
+        for (const key of tokenKeys) {
+          if (!isNonEmptyString(check[key])) {
+            errors.push(`${at}.${key}: expected a token name, got ${describe(check[key])}`);
+          }
+        }
+        if (check.properties !== undefined) validateStyleProperties(check.properties, `${at}.properties`, errors);
+        if (check.pseudo !== undefined && !PSEUDO_ELEMENTS.includes(check.pseudo)) {
+          errors.push(`${at}.pseudo: expected one of ${PSEUDO_ELEMENTS.join(', ')}, got ${describe(check.pseudo)}`);
+        }
+        if (check.state !== undefined && !FORCED_STATES.includes(check.state)) {
+          errors.push(`${at}.state: expected one of ${FORCED_STATES.join(', ')}, got ${describe(check.state)}`);
+        }
+        if (check.tolerance !== undefined && (typeof check.tolerance !== 'number' || check.tolerance < 0)) {
+          errors.push(`${at}.tolerance: expected a non-negative number of pixels, got ${describe(check.tolerance)}`);
+        }
+        if (check.viewports !== undefined) {
+          if (!isObject(check.viewports)) {
+            errors.push(`${at}.viewports: expected an object keyed by viewport name, got ${describe(check.viewports)}`);
+            return;
+          }
+          for (const [viewport, tokens] of Object.entries(check.viewports)) {
+            if (!viewportNames.includes(viewport)) {
+              errors.push(`${at}.viewports.${viewport}: "${viewport}" is not one of the configured viewports`);
+            }
+            if (!isObject(tokens)) {
+              errors.push(`${at}.viewports.${viewport}: expected an object of token names, got ${describe(tokens)}`);
+              continue;
+            }
+            for (const [key, value] of Object.entries(tokens)) {
+              if (key === 'properties') {
+                validateStyleProperties(value, `${at}.viewports.${viewport}.properties`, errors);
+              } else if (!STYLE_CHECK_TOKENS.includes(key) || !isNonEmptyString(value)) {
+                errors.push(`${at}.viewports.${viewport}.${key}: expected a token name for one of ${STYLE_CHECK_TOKENS.join(', ')}, got ${describe(value)}`);
+              }
+            }
+          }
+        }
+      });
+    }
+  }
+
+  // expectations
+  validateStringList(config.expectedTexts, 'expectedTexts', errors);
+  validateStringList(config.expectedSections, 'expectedSections', errors);
+  validateStringList(config.expectedColors, 'expectedColors', errors);
+  if (Array.isArray(config.expectedColors)) {
+    config.expectedColors.forEach((color, i) => {
+      if (typeof color === 'string' && !/^#[0-9a-f]{6}$/i.test(color)) {
+        errors.push(`expectedColors[${i}]: expected a hex color like "#1a4a47", got ${describe(color)}`);
+      }
+    });
+  }
+
+  // typography
+  if (config.typography !== undefined) {
+    if (!isObject(config.typography)) {
+      errors.push(`typography: expected an object, got ${describe(config.typography)}`);
+    } else {
+      const { tolerance, styles, viewports } = config.typography;
+      if (tolerance !== undefined && (typeof tolerance !== 'number' || tolerance < 0)) {
+        errors.push(`typography.tolerance: expected a non-negative number of pixels, got ${describe(tolerance)}`);
+      }
+      const validateTextStyles = (set, at) => {
+        if (!isObject(set)) {
+          errors.push(`${at}: expected an object keyed by text style (${TEXT_ROLES.join(', ')}), got ${describe(set)}`);
+          return;
+        }
+        for (const [role, style] of Object.entries(set)) {
+          if (!TEXT_ROLES.includes(role)) {
+            errors.push(`${at}.${role}: unknown text style, expected one of ${TEXT_ROLES.join(', ')}`);
+          } else if (!isNonEmptyString(style) && !(isObject(style) && typeof style.fontSize === 'number')) {
+            errors.push(`${at}.${role}: expected a typography token name or { fontFamily, fontSize, ... }, got ${describe(style)}`);
+          }
+        }
+      };
+      if (styles !== undefined) validateTextStyles(styles, 'typography.styles');
+      if (viewports !== undefined) {
+        const viewportNames = Array.isArray(config.viewports) ? config.viewports.map(v => v && v.name) : [];
+        if (!isObject(viewports)) {
+          errors.push(`typography.viewports: expected an object keyed by viewport name, got ${describe(viewports)}`);
+        } else {
+          for (const [name, set] of Object.entries(viewports)) {
+            if (!viewportNames.includes(name)) {
+              errors.push(`typography.viewports.${name}: "${name}" is not one of the configured viewports`);
+            }
+            validateTextStyles(set, `typography.viewports.${name}`);
+          }
+        }
+      }
+    }
+  }
+
+  // accessibility
+  if (config.accessibility !== undefined) {
+    if (!isObject(config.accessibility)) {
+      errors.push(`accessibility: expected an object, got ${describe(config.accessibility)}`);
+    } else {
+      const { level, disabled } = config.accessibility;
+      if (level !== undefined && !['A', 'AA', 'AAA'].includes(level)) {
+        errors.push(`accessibility.level: expected "A", "AA" or "AAA", got ${describe(level)}`);
+      }
+      if (disabled !== undefined) validateStringList(disabled, 'accessibility.disabled', errors);
+    }
+  }
+
+  // keyboard
+  if (config.keyboard !== undefined) {
+    if (!isObject(config.keyboard)) {
+      errors.push(`keyboard: expected an object, got ${describe(config.keyboard)}`);
+    } else {
+      const { maxTabs, minIndicatorPixels, orderTolerance } = config.keyboard;
+      if (maxTabs !== undefined && !(Number.isInteger(maxTabs) && maxTabs > 0)) {
+        errors.push(`keyboard.maxTabs: expected a positive integer, got ${describe(maxTabs)}`);
+      }
+      if (minIndicatorPixels !== undefined && !(Number.isInteger(minIndicatorPixels) && minIndicatorPixels >= 0)) {
+        errors.push(`keyboard.minIndicatorPixels: expected an integer >= 0, got ${describe(minIndicatorPixels)}`);
+      }
+      if (orderTolerance !== undefined && !(typeof orderTolerance === 'number' && orderTolerance >= 0)) {
+        errors.push(`keyboard.orderTolerance: expected a non-negative number of pixels, got ${describe(orderTolerance)}`);
+      }
+    }
+  }
+
+  // contrast
+  if (config.contrast !== undefined) {
+    if (!isObject(config.contrast)) {
+      errors.push(`contrast: expected an object, got ${describe(config.contrast)}`);
+    } else if (config.contrast.level !== undefined && !['AA', 'AAA'].includes(config.contrast.level)) {
+      errors.push(`contrast.level: expected "AA" or "AAA", got ${describe(config.contrast.level)}`);
+    }
+  }
+
+  // palette
+  if (config.palette !== undefined) {
+    if (!isObject(config.palette)) {
+      errors.push(`palette: expected an object, got ${describe(config.palette)}`);
+    } else {
+      const { matchDeltaE, nearDeltaE, ignore } = config.palette;
+      for (const [key, value] of Object.entries({ matchDeltaE, nearDeltaE })) {
+        if (value !== undefined && (typeof value !== 'number' || value < 0)) {
+          errors.push(`palette.${key}: expected a non-negative ΔE, got ${describe(value)}`);
+        }
+      }
+      if (typeof matchDeltaE === 'number' && typeof nearDeltaE === 'number' && nearDeltaE < matchDeltaE) {
+        errors.push(`palette.nearDeltaE: expected at least palette.matchDeltaE (${matchDeltaE}), got ${nearDeltaE}`);
+      }
+      if (ignore !== undefined) validateStringList(ignore, 'palette.ignore', errors);
+      if (Array.isArray(ignore)) {
+        ignore.forEach((color, i) => {
+          if (typeof color === 'string' && !/^#[0-9a-f]{6}$/i.test(color)) {
+            errors.push(`palette.ignore[${i}]: expected a hex color like "#1a4a47", got ${describe(color)}`);
+          }
+        });
+      }
+    }
+  }
+
+  // masks
+  if (config.masks !== undefined) {
+    if (!isObject(config.masks)) {
+      errors.push(`masks: expected an object, got ${describe(config.masks)}`);
+    } else {
+      if (config.masks.all !== undefined) validateMaskSet(config.masks.all, 'masks.all', errors);
+      for (const group of ['pages', 'sections']) {
+        const sets = config.masks[group];
+        if (sets === undefined) continue;
+        if (!isObject(sets)) {
+          errors.push(`masks.${group}: expected an object keyed by ${group === 'pages' ? 'page' : 'section'} name, got ${describe(sets)}`);
+          continue;
+        }
+        for (const [name, mask] of Object.entries(sets)) {
+          validateMaskSet(mask, `masks.${group}.${name}`, errors);
+        }
+      }
+    }
+  }
+
+  // figma
+  if (config.figma !== undefined) {
+    if (!isObject(config.figma)) {
+      errors.push(`figma: expected an object, got ${describe(config.figma)}`);
+    } else {
+      const { snapshotDir, tokensFile, mappingFile, renderScale, compareFrames, maxDiffPercent, copySimilarity } = config.figma;
+      if (snapshotDir !== undefined && !isNonEmptyString(snapshotDir)) {
+        errors.push(`figma.snapshotDir: expected a directory path, got ${describe(snapshotDir)}`);
+      }
+      if (tokensFile !== undefined && !isNonEmptyString(tokensFile)) {
+        errors.push(`figma.tokensFile: expected a file path, got ${describe(tokensFile)}`);
+      }
+      if (mappingFile !== undefined && !isNonEmptyString(mappingFile)) {
+        errors.push(`figma.mappingFile: expected a file path, got ${describe(mappingFile)}`);
+      }
+      if (renderScale !== undefined && (typeof renderScale !== 'number' || !(renderScale >= 0.01 && renderScale <= 4))) {
+        errors.push(`figma.renderScale: expected a Figma export scale between 0.01 and 4, got ${describe(renderScale)}`);
+      }
+      if (compareFrames !== undefined && typeof compareFrames !== 'boolean') {
+        errors.push(`figma.compareFrames: expected true or false, got ${describe(compareFrames)}`);
+      }
+      if (maxDiffPercent !== undefined && (typeof maxDiffPercent !== 'number' || !(maxDiffPercent >= 0 && maxDiffPercent <= 100))) {
+        errors.push(`figma.maxDiffPercent: expected a percentage between 0 and 100, got ${describe(maxDiffPercent)}`);
+      }
+      if (copySimilarity !== undefined && (typeof copySimilarity !== 'number' || !(copySimilarity > 0 && copySimilarity <= 1))) {
+        errors.push(`figma.copySimilarity: expected a similarity above 0 and up to 1, got ${describe(copySimilarity)}`);
+      }
+    }
+  }
+
+  // layout
+  if (config.layout !== undefined) {
+    if (!isObject(config.layout)) {
+      errors.push(`layout: expected an object, got ${describe(config.layout)}`);
+    } else {
+      const { tolerance, selectors } = config.layout;
+      if (tolerance !== undefined && (typeof tolerance !== 'number' || tolerance < 0)) {
+        errors.push(`layout.tolerance: expected a non-negative number of pixels, got ${describe(tolerance)}`);
+      }
+      if (selectors !== undefined && !isObject(selectors)) {
+        errors.push(`layout.selectors: expected an object keyed by section name, got ${describe(selectors)}`);
+      } else {
+        for (const [section, layers] of Object.entries(selectors || {})) {
+          if (!isObject(layers)) {
+            errors.push(`layout.selectors.${section}: expected an object of layer selectors, got ${describe(layers)}`);
+            continue;
+          }
+          for (const [layer, selector] of Object.entries(layers)) {
+            if (!isNonEmptyString(selector)) {
+              errors.push(`layout.selectors.${section}.${layer}: expected a CSS selector, got ${describe(selector)}`);
+            }
+          }
+        }
+      }
+    }
+  }
+
+  // spacing
+  if (config.spacing !== undefined) {
+    if (!isObject(config.spacing)) {
+      errors.push(`spacing: expected an object, got ${describe(config.spacing)}`);
+    } else {
+      const { base, scale, useTokens, tolerance, gridTolerance, grid } = config.spacing;
+      const isPixels = (value) => typeof value === 'number' && value >= 0;
+      if (base !== undefined && !(isPixels(base) && base > 0)) {
+        errors.push(`spacing.base: expected a positive number of pixels, got ${describe(base)}`);
+      }
+      if (scale !== undefined && !(Array.isArray(scale) && scale.every(isPixels))) {
+        errors.push(`spacing.scale: expected an array of pixel values, got ${describe(scale)}`);
+      }
+      if (useTokens !== undefined && typeof useTokens !== 'boolean') {
+        errors.push(`spacing.useTokens: expected true or false, got ${describe(useTokens)}`);
+      }
+      for (const [key, value] of Object.entries({ tolerance, gridTolerance })) {
+        if (value !== undefined && !isPixels(value)) {
+          errors.push(`spacing.${key}: expected a non-negative number of pixels, got ${describe(value)}`);
+        }
+      }
+      if (grid !== undefined) {
+        const viewportNames = Array.isArray(config.viewports) ? config.viewports.map(v => v && v.name) : [];
+        if (!isObject(grid)) {
+          errors.push(`spacing.grid: expected an object keyed by viewport name, got ${describe(grid)}`);
+        } else {
+          for (const [name, columns] of Object.entries(grid)) {
+            const at = `spacing.grid.${name}`;
+            if (!viewportNames.includes(name)) {
+              errors.push(`${at}: "${name}" is not one of the configured viewports`);
+            }
+            if (!isObject(columns)) {
+              errors.push(`${at}: expected { columns, gutter, margin, maxWidth }, got ${describe(columns)}`);
+              continue;
+            }
+            if (!(Number.isInteger(columns.columns) && columns.columns > 0)) {
+              errors.push(`${at}.columns: expected a positive whole number, got ${describe(columns.columns)}`);
+            }
+            for (const key of ['gutter', 'margin', 'maxWidth']) {
+              if (columns[key] !== undefined && !isPixels(columns[key])) {
+                errors.push(`${at}.${key}: expected a non-negative number of pixels, got ${describe(columns[key])}`);
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+
+  // stabilization
+  if (config.stabilization !== undefined) {
+    const settings = config.stabilization;
+    if (!isObject(settings)) {
+      errors.push(`stabilization: expected an object, got ${describe(settings)}`);
+    } else {
+      for (const key of ['enabled', 'scrollForLazyContent']) {
+        if (settings[key] !== undefined && typeof settings[key] !== 'boolean') {
+          errors.push(`stabilization.${key}: expected true or false, got ${describe(settings[key])}`);
+        }
+      }
+      for (const key of ['scrollDelay', 'lazyLoadTimeout', 'quietPeriod', 'settleTimeout']) {
+        const value = settings[key];
+        if (value !== undefined && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+          errors.push(`stabilization.${key}: expected a number of milliseconds >= 0, got ${describe(value)}`);
+        }
+      }
+    }
+  }
+
+  // diff modes
+  if (config.diff !== undefined) {
+    validateDiff(config, errors);
+  }
+
+  // thresholds
+  if (!isObject(config.thresholds)) {
+    errors.push(`thresholds: expected an object, got ${describe(config.thresholds)}`);
+  } else {
+    for (const key of ['pixelDiff', 'sizeTolerance']) {
+      const value = config.thresholds[key];
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+        errors.push(`thresholds.${key}: expected a number >= 0, got ${describe(value)}`);
+      }
+    }
+    if (config.thresholds.sectionPercent !== undefined) {
+      const value = config.thresholds.sectionPercent;
+      if (typeof value !== 'number' || !(value >= 0 && value <= 100)) {
+        errors.push(`thresholds.sectionPercent: expected a percentage between 0 and 100, got ${describe(value)}`);
+      }
+    }
+    if (config.thresholds.sections !== undefined) {
+      if (!isObject(config.thresholds.sections)) {
+        errors.push(`thresholds.sections: expected an object keyed by section name, got ${describe(config.thresholds.sections)}`);
+      } else {
+        for (const [section, value] of Object.entries(config.thresholds.sections)) {
+          if (typeof value !== 'number' || !(value >= 0 && value <= 100)) {
+            errors.push(`thresholds.sections.${section}: expected a percentage between 0 and 100, got ${describe(value)}`);
+          }
+        }
+      }
+    }
+    const { pixelmatch } = config.thresholds;
+    if (typeof pixelmatch !== 'number' || !(pixelmatch >= 0 && pixelmatch <= 1)) {
+      errors.push(`thresholds.pixelmatch: expected a number between 0 and 1, got ${describe(pixelmatch)}`);
+    }
+  }
+
+  return errors;
+}
+
+// Resolves every configured page path against the environment's base URL
+function resolvePages(config) {
+  return config.pages.map(page => ({
+    ...page,
+    url: new URL(page.path, config.baseUrl).href
+  }));
+}
+
+// Reads a --name=value flag from the command line
+function getCliOption(name, argv = process.argv.slice(2)) {
+  const prefix = `--${name}=`;
+  const arg = argv.find(a => a.startsWith(prefix));
+  return arg ? arg.slice(prefix.length) : undefined;
+}
+
+// The profile comes from the --env flag, then QA_ENV, then the config's defaultEnvironment
+function loadConfig(configPath = process.env.QA_CONFIG || DEFAULT_CONFIG_PATH, { environment } = {}) {
+  const resolvedPath = path.resolve(configPath);
+
+  let config;
+  try {
+    config = require(resolvedPath);
+  } catch (err) {
+    throw new Error(`❌ Could not load QA config from ${resolvedPath}: ${err.message}`);
+  }
+
+  const errors = validateConfig(config);
+  if (errors.length) {
+    const error = new Error(`❌ Invalid QA config (${resolvedPath}):\n${errors.map(e => `  - ${e}`).join('\n')}`);
+    error.errors = errors;
+    throw error;
+  }
+
+  const envName = environment || getCliOption('env') || process.env.QA_ENV || config.defaultEnvironment;
+  const profile = config.environments[envName];
+  if (!profile) {
+    throw new Error(`❌ Unknown environment "${envName}". Available profiles: ${Object.keys(config.environments).join(', ')}`);
+  }
+
+  const fromEnv = profile.baseUrlEnv ? process.env[profile.baseUrlEnv] : undefined;
+  const baseUrl = fromEnv || profile.baseUrl;
+  if (!baseUrl) {
+    throw new Error(`❌ Environment "${envName}" needs its base URL: set ${profile.baseUrlEnv}`);
+  }
+  if (!validateUrl(baseUrl)) {
+    throw new Error(`❌ ${profile.baseUrlEnv}: expected an http(s) URL for environment "${envName}", got ${describe(baseUrl)}`);
+  }
+
+  return {
+    ...config,
+    configPath: resolvedPath,
+    environment: envName,
+    baseUrl,
+    // Per-profile output folders so one target never overwrites another's baselines
+    screenshotDir: path.join('screenshots', envName),
+    reportDir: path.join('reports', envName)
+  };
+}
+
+module.exports = {
+  DEFAULT_CONFIG_PATH,
+  validateConfig,
+  getCliOption,
+  loadConfig,
+  resolvePages,
+  TEXT_ROLES,
+  PSEUDO_ELEMENTS,
+  FORCED_STATES
+};
+
+// Validate the config from the command line: node config-loader.js [path] [--env=name]
+if (require.main === module) {
+  try {
+    const configPath = process.argv.slice(2).find(a => !a.startsWith('--'));
+    const config = loadConfig(configPath);
+    console.log(`✅ QA config is valid: ${config.configPath}`);
+    console.log(`🌐 Environment: ${config.environment} → ${config.baseUrl}`);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+}
@@ -1,10 +1,238 @@
 // config.js
+// Shared run configuration for every analyzer and the Playwright suite.
+// Validated by config-loader.js — run `npm run config:check` after editing.
 module.exports = {
-    baseUrl: 'https://cross-switch.staging2.liquidpreview2.net/',
-    pages: [
-      { name: 'home', path: '/' },
-      { name: 'about', path: '/about' },
-      { name: 'pricing', path: '/pricing' },
-      { name: 'contact', path: '/contact' }
+  // Target profiles, picked with --env=<name> (or QA_ENV for the Playwright suite).
+  // Each profile keeps its own baselines and reports under screenshots/<name> and reports/<name>.
+  // baseUrlEnv names an environment variable that sets the origin; without a baseUrl
+  // fallback the variable is required when the profile is picked.
+  defaultEnvironment: 'staging',
+  environments: {
+    staging: { baseUrl: 'https://cross-switch.staging2.liquidpreview2.net/' },
+    production: { baseUrlEnv: 'QA_PRODUCTION_URL' },
+    local: { baseUrlEnv: 'QA_LOCAL_URL', baseUrl: 'http://localhost:3000/' }
+  },
+
+  pages: [
+    { name: 'home', path: '/', heading: 'unified switch' },
+    { name: 'about', path: '/about' },
+    { name: 'solutions', path: '/solutions' },
+    { name: 'pricing', path: '/pricing' },
+    { name: 'newsroom', path: '/newsroom' },
+    { name: 'article', path: '/news/article-1' },
+    { name: 'contact', path: '/contact' }
+  ],
+
+  // Sections expected on each page when Figma specs are unavailable
+  sections: {
+    home: ['hero', 'features', 'footer'],
+    about: ['team', 'mission', 'footer'],
+    solutions: ['overview', 'features', 'cta', 'footer'],
+    newsroom: ['latest-news', 'subscribe', 'footer'],
+    article: ['article-content', 'author', 'footer'],
+    contact: ['form', 'location', 'footer']
+  },
+
+  // Crawl mode (--crawl): discover pages from the base URL and sitemap.xml instead of `pages`
+  crawl: {
+    maxDepth: 2,
+    maxPages: 50,
+    maxPerTemplate: 3,     // URLs tested per template group, e.g. three /news/* articles
+    useSitemap: true,
+    exclude: ['/wp-admin/*', '/cdn-cgi/*'],
+    // `*` matches one path segment, `**` any number of segments
+    templates: [
+      { name: 'article', pattern: '/news/*' }
     ]
-  };
\ No newline at end of file
+  },
+
+  viewports: [
+    { name: 'mobile', width: 375, height: 667 },
+    { name: 'tablet', width: 768, height: 1024 },
+    { name: 'desktop', width: 1440, height: 900 }
+  ],
+
+  // Viewport used for single-viewport runs (matches the Figma desktop frame)
+  defaultViewport: { width: 1200, height: 800 },
+
+  // validateStyles checks: which Figma tokens (from figma.tokensFile) each element
+  // should use. color/background → colors, typography → typography, radius → radii,
+  // shadow → shadows. Token names are the Figma style or variable names;
+  // `viewports` swaps in breakpoint tokens for a viewport. `properties` names a
+  // token (or a literal { value }) per CSS property, with an optional px tolerance;
+  // `pseudo` checks ::before/::after and `state` forces hover, focus, focus-visible
+  // or active while reading.
+  styleChecks: [
+    {
+      name: 'header',
+      selector: 'header',
+      color: 'Brand/Primary',
+      typography: 'Heading/H1',
+      viewports: { mobile: { typography: 'Heading/H1 Mobile' } }
+    },
+    { name: 'body', selector: 'body', color: 'Text/Primary', typography: 'Body/Regular' },
+    { name: 'footer', selector: 'footer', color: 'Text/Primary', typography: 'Body/Regular' },
+    {
+      name: 'cta',
+      selector: 'a.btn-primary',
+      background: 'Brand/Accent',
+      radius: 'Radius/Button',
+      properties: { 'padding-top': 'Space/S', 'padding-left': { token: 'Space/M', tolerance: 1 } }
+    },
+    { name: 'cta-hover', selector: 'a.btn-primary', state: 'hover', background: 'Brand/Primary' },
+    { name: 'cta-focus', selector: 'a.btn-primary', state: 'focus-visible', properties: { 'outline-color': 'Brand/Accent' } },
+    { name: 'title-underline', selector: '.section-title', pseudo: '::after', background: 'Brand/Accent', properties: { height: { value: '4px' } } }
+  ],
+
+  // Typography scale: every visible text element should use one of these text
+  // styles (Figma typography token names, or { fontFamily, fontSize, fontWeight,
+  // lineHeight, letterSpacing }). Headings should use the style of their level.
+  typography: {
+    tolerance: 0.5, // px for font size, line height and letter spacing
+    styles: {
+      h1: 'Heading/H1',
+      h2: 'Heading/H2',
+      h3: 'Heading/H3',
+      body: 'Body/Regular',
+      caption: 'Body/Caption',
+      button: 'Button/Label'
+    },
+    viewports: { mobile: { h1: 'Heading/H1 Mobile' } }
+  },
+
+  // Palette audit: every color a page computes is compared with expectedColors and
+  // the Figma color tokens by ΔE (CIE76). Within matchDeltaE it is the brand color,
+  // within nearDeltaE a near-duplicate of it, beyond that off-palette.
+  palette: {
+    matchDeltaE: 1,
+    nearDeltaE: 5,
+    ignore: [] // hex colors allowed anywhere, e.g. third-party widgets
+  },
+
+  // WCAG contrast of rendered text: text below this level (AA or AAA) is an issue
+  contrast: {
+    level: 'AA'
+  },
+
+  // Accessibility rules (accessibility-audit.mjs) up to this WCAG level; rule ids in
+  // `disabled` are skipped
+  accessibility: {
+    level: 'AA',
+    disabled: []
+  },
+
+  // Keyboard audit (keyboard-audit.mjs): tabs through each page at most maxTabs
+  // times. A focus indicator changing fewer than minIndicatorPixels pixels counts as
+  // invisible; focus moving back up or left by more than orderTolerance px is out
+  // of order.
+  keyboard: {
+    maxTabs: 150,
+    minIndicatorPixels: 20,
+    orderTolerance: 8
+  },
+
+  expectedColors: ['#1a4a47', '#ff4d00', '#ffffff', '#f5f5f5'],
+  // Fallback copy for runs without a Figma snapshot; with one, expected copy comes
+  // from the TEXT nodes of each Figma frame
+  expectedTexts: [
+    'A unified switch',
+    'Built for scale',
+    'Powering payments across emerging markets',
+    'Built with local insight. Backed by global scale',
+    'Local → Global'
+  ],
+  expectedSections: [
+    'hero',
+    'features',
+    'trust-indicators',
+    'global-reach',
+    'footer'
+  ],
+
+  // Dynamic content blanked out of visual diffs (carousels, dates, cookie banners, hero art).
+  // Each entry takes CSS `selectors` and fixed `rects` ({ x, y, width, height } in page pixels).
+  // Section masks search inside the section and their rects are relative to its top-left corner.
+  masks: {
+    all: { selectors: ['#cookie-banner', '.cookie-consent'] },
+    pages: {
+      home: { selectors: ['[class*="carousel"]'] },
+      newsroom: { selectors: ['time'] }
+    },
+    sections: {
+      hero: { selectors: ['video', 'canvas', '[class*="animation"]'] },
+      'latest-news': { selectors: ['time', '[class*="date"]'] }
+    }
+  },
+
+  // Figma design comparison. Analyzers read the snapshot written by
+  // `npm run figma -- pull` (needs FIGMA_TOKEN, FIGMA_FILE_ID and FIGMA_PAGE_IDS);
+  // set FIGMA_API_URL to use figma-fixture-server.mjs instead of api.figma.com.
+  figma: {
+    snapshotDir: 'figma-snapshots',   // <fileId>/<version>/ per pulled file version
+    tokensFile: 'design-tokens.json', // written by `npm run figma -- tokens` (and pull)
+    mappingFile: 'figma-map.json',    // Figma node id → selector, proposed by `npm run figma -- map`
+    renderScale: 2,                   // export scale of snapshot frame renders
+    compareFrames: true,              // diff each section against its frame render
+    maxDiffPercent: 10,               // % of a section that may differ from its frame
+    copySimilarity: 0.8               // rendered text this similar to Figma copy is "changed", not missing
+  },
+
+  // Layout check against Figma frames. Child layers of a section's frame are found
+  // by data-figma="<layer name>" or a class named after the layer ("CTA Button" →
+  // .cta-button); selectors override that per section and layer key.
+  layout: {
+    tolerance: 4, // px, after scaling Figma values to the section width
+    selectors: {
+      hero: { title: 'h1', 'cta-button': 'a.btn-primary, .hero a.button' }
+    }
+  },
+
+  // Spacing inside sections: margins, paddings and gaps should be multiples of
+  // `base`, one of `scale`, or a Figma spacing token; content blocks should start
+  // and end on the column grid of each viewport.
+  spacing: {
+    base: 4,
+    scale: [],
+    useTokens: true,
+    tolerance: 0.5,   // px
+    gridTolerance: 2, // px
+    grid: {
+      mobile: { columns: 4, gutter: 16, margin: 16 },
+      tablet: { columns: 8, gutter: 24, margin: 32 },
+      desktop: { columns: 12, gutter: 24, margin: 80, maxWidth: 1280 }
+    }
+  },
+
+  // Stabilization run before every screenshot (page-stabilizer.js), times in ms
+  stabilization: {
+    enabled: true,
+    scrollForLazyContent: true, // scroll through the page so lazy images and sections load
+    lazyLoadTimeout: 10000,     // max wait for web fonts and images
+    quietPeriod: 500,           // layout must stay unchanged this long
+    settleTimeout: 5000         // then capture anyway
+  },
+
+  // How full-page screenshots are judged against their baselines.
+  // mode: pixels | percent | antialias | ssim (see visual-diff.mjs). limits holds
+  // one value per mode — pixels falls back to thresholds.pixelDiff, percent and
+  // antialias are % of the page area, ssim is the minimum similarity score.
+  // overrides match on page (or crawl template) and/or viewport; most specific wins.
+  diff: {
+    mode: 'antialias',
+    limits: { percent: 0.1, antialias: 0.1, ssim: 0.98 },
+    overrides: [
+      { viewport: 'mobile', limits: { antialias: 0.25 } },
+      { page: 'home', mode: 'ssim', limits: { ssim: 0.97 } }
+    ]
+  },
+
+  thresholds: {
+    pixelDiff: 50,       // changed pixels before a visual_diff issue is raised in pixels mode
+    pixelmatch: 0.1,     // per-pixel color distance passed to pixelmatch
+    sizeTolerance: 10,   // px difference allowed against Figma component sizes
+    sectionPercent: 0.5, // % of a section's area that may change before a section_diff issue
+    sections: {
+      hero: 2            // animated hero art gets more room
+    }
+  }
+};
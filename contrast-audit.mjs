@@ -0,0 +1,227 @@
+// contrast-audit.mjs
+// WCAG 2.x contrast of rendered text. The foreground is the computed text color;
+// the background is resolved from the element and its ancestors' background
+// colors, or — for text over images, gradients or positioned layers — sampled from
+// a screenshot taken with all text made transparent. Each text element is graded
+// against AA and AAA for its size and weight.
+import { PNG } from 'pngjs';
+import { installSelectorFor } from './dom-selector.mjs';
+
+// Minimum ratios: large text is at least 24px, or 18.66px (14pt) and bold
+export const WCAG_RATIOS = { AA: { normal: 4.5, large: 3 }, AAA: { normal: 7, large: 4.5 } };
+
+const channel = (v) => {
+  const c = v / 255;
+  return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+};
+
+export const relativeLuminance = ({ r, g, b }) => 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+
+export function contrastRatio(foreground, background) {
+  const [light, dark] = [relativeLuminance(foreground), relativeLuminance(background)].sort((a, b) => b - a);
+  return (light + 0.05) / (dark + 0.05);
+}
+
+// A translucent color painted over an opaque one
+export function blend(top, bottom) {
+  const a = top.a ?? 1;
+  return {
+    r: top.r * a + bottom.r * (1 - a),
+    g: top.g * a + bottom.g * (1 - a),
+    b: top.b * a + bottom.b * (1 - a),
+    a: 1
+  };
+}
+
+export const isLargeText = (fontSize, fontWeight) => fontSize >= 24 || (fontSize >= 18.66 && fontWeight >= 700);
+
+// { ratio, large, aa, aaa, level: 'AAA' | 'AA' | 'fail' }
+export function gradeContrast(ratio, { fontSize, fontWeight }) {
+  const large = isLargeText(fontSize, fontWeight);
+  const size = large ? 'large' : 'normal';
+  const aa = ratio >= WCAG_RATIOS.AA[size];
+  const aaa = ratio >= WCAG_RATIOS.AAA[size];
+  return { ratio: Math.floor(ratio * 100) / 100, large, aa, aaa, level: aaa ? 'AAA' : aa ? 'AA' : 'fail' };
+}
+
+const hex = ({ r, g, b }) => `#${[r, g, b].map(v => Math.round(v).toString(16).padStart(2, '0')).join('')}`;
+
+// Contrast of a foreground against the screenshot pixels under a box. Text over an
+// image is only as readable as its worst part, so the ratio is the 5th percentile
+// of the per-pixel ratios. Returns { ratio, background } or null for an empty box.
+export function sampledContrast(png, box, foreground) {
+  const x0 = Math.max(0, Math.floor(box.x));
+  const y0 = Math.max(0, Math.floor(box.y));
+  const x1 = Math.min(png.width, Math.ceil(box.x + box.width));
+  const y1 = Math.min(png.height, Math.ceil(box.y + box.height));
+  if (x1 <= x0 || y1 <= y0) return null;
+
+  // About 2000 samples regardless of the box size
+  const step = Math.max(1, Math.floor(Math.sqrt(((x1 - x0) * (y1 - y0)) / 2000)));
+  const samples = [];
+  for (let y = y0; y < y1; y += step) {
+    for (let x = x0; x < x1; x += step) {
+      const i = (y * png.width + x) * 4;
+      const pixel = { r: png.data[i], g: png.data[i + 1], b: png.data[i + 2], a: 1 };
+      samples.push({ pixel, ratio: contrastRatio(blend(foreground, pixel), pixel) });
+    }
+  }
+  samples.sort((a, b) => a.ratio - b.ratio);
+  const worst = samples[Math.floor(samples.length * 0.05)];
+  return { ratio: worst.ratio, background: hex(worst.pixel) };
+}
+
+// Visible text elements with their text color, font and, where the page's own
+// backgrounds decide it, the composited background color. background is null when
+// an image, gradient or other layer may be behind the text (screenshot needed).
+export async function collectTextColors(page, { maxElements = 500 } = {}) {
+  await installSelectorFor(page);
+  return page.evaluate((maxElements) => {
+    const selectorFor = window.__qaSelectorFor;
+    const parse = (value) => {
+      const [r, g, b, a = 1] = (value.match(/[\d.]+/g) || [0, 0, 0, 0]).map(Number);
+      return { r, g, b, a };
+    };
+    const over = (top, bottom) => {
+      const a = top.a + bottom.a * (1 - top.a);
+      if (!a) return { r: 0, g: 0, b: 0, a: 0 };
+      const mix = (k) => (top[k] * top.a + bottom[k] * bottom.a * (1 - top.a)) / a;
+      return { r: mix('r'), g: mix('g'), b: mix('b'), a };
+    };
+    const MEDIA = new Set(['IMG', 'VIDEO', 'CANVAS', 'PICTURE', 'svg', 'IFRAME']);
+
+    // Media and positioned elements with a background, in page coordinates: text
+    // over one of them that is not its own ancestor may not sit on its CSS background
+    const layers = [];
+    for (const node of document.querySelectorAll('body *')) {
+      const s = getComputedStyle(node);
+      const painted = s.backgroundColor !== 'rgba(0, 0, 0, 0)' || s.backgroundImage !== 'none';
+      if (!MEDIA.has(node.tagName) && !(s.position !== 'static' && painted)) continue;
+      const r = node.getBoundingClientRect();
+      if (!r.width || !r.height) continue;
+      layers.push({ node, left: r.left + scrollX, top: r.top + scrollY, right: r.right + scrollX, bottom: r.bottom + scrollY });
+    }
+
+    const results = [];
+    for (const el of document.querySelectorAll('body *')) {
+      if (results.length >= maxElements) break;
+      if (['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'OPTION'].includes(el.tagName) || el.closest('svg')) continue;
+      const text = [...el.childNodes].filter(n => n.nodeType === Node.TEXT_NODE).map(n => n.textContent).join('').trim();
+      if (!text) continue;
+      if (el.checkVisibility && !el.checkVisibility({ visibilityProperty: true, opacityProperty: true })) continue;
+      const rect = el.getBoundingClientRect();
+      if (!rect.width || !rect.height) continue;
+
+      const style = getComputedStyle(el);
+      let opacity = 1;
+      let background = { r: 0, g: 0, b: 0, a: 0 };
+      let needsScreenshot = false;
+      for (let node = el; node; node = node.parentElement) {
+        const s = getComputedStyle(node);
+        opacity *= Number(s.opacity);
+        if (s.backgroundImage !== 'none' || s.mixBlendMode !== 'normal' || (s.backdropFilter && s.backdropFilter !== 'none')) needsScreenshot = true;
+        background = over(background, parse(s.backgroundColor));
+        if (background.a >= 0.999) break;
+      }
+      if (background.a < 0.999) background = over(background, { r: 255, g: 255, b: 255, a: 1 }); // canvas
+
+      // Something painted between the text and its background box: an image or a
+      // positioned layer from another branch of the document. Compared in page
+      // coordinates, so text anywhere on the page is covered, not just the first screen.
+      const box = { left: rect.left + scrollX, top: rect.top + scrollY, right: rect.right + scrollX, bottom: rect.bottom + scrollY };
+      if (!needsScreenshot && layers.some(l => l.left < box.right && box.left < l.right && l.top < box.bottom && box.top < l.bottom &&
+        !l.node.contains(el) && !el.contains(l.node))) {
+        needsScreenshot = true;
+      }
+
+      const color = parse(style.color);
+      results.push({
+        selector: selectorFor(el),
+        text: text.replace(/\s+/g, ' ').slice(0, 60),
+        color: { ...color, a: color.a * opacity },
+        background: needsScreenshot ? null : background,
+        fontSize: parseFloat(style.fontSize),
+        fontWeight: Number(style.fontWeight),
+        box: { x: rect.left + scrollX, y: rect.top + scrollY, width: rect.width, height: rect.height }
+      });
+    }
+    return results;
+  }, maxElements);
+}
+
+// Full-page screenshot with all text transparent, for sampling what is behind it
+async function textlessScreenshot(page) {
+  const style = await page.addStyleTag({
+    content: '*, *::before, *::after { color: transparent !important; -webkit-text-fill-color: transparent !important; text-shadow: none !important; caret-color: transparent !important; }'
+  });
+  try {
+    return PNG.sync.read(await page.screenshot({ fullPage: true, animations: 'disabled' }));
+  } finally {
+    await style.evaluate(el => el.remove());
+  }
+}
+
+// Grades the contrast of every visible text element on the page:
+// [{ selector, text, foreground, background, source: 'css' | 'screenshot', ratio, large, aa, aaa, level }]
+export async function checkPageContrast(page, options = {}) {
+  const elements = await collectTextColors(page, options);
+  const png = elements.some(e => !e.background) ? await textlessScreenshot(page) : null;
+  const scale = png ? await page.evaluate(() => devicePixelRatio) : 1;
+
+  const results = [];
+  for (const e of elements) {
+    let ratio;
+    let background;
+    if (e.background) {
+      ratio = contrastRatio(blend(e.color, e.background), e.background);
+      background = hex(e.background);
+    } else {
+      const box = { x: e.box.x * scale, y: e.box.y * scale, width: e.box.width * scale, height: e.box.height * scale };
+      const sampled = sampledContrast(png, box, e.color);
+      if (!sampled) continue;
+      ({ ratio, background } = sampled);
+    }
+    results.push({
+      selector: e.selector,
+      text: e.text,
+      foreground: hex(e.color),
+      background,
+      source: e.background ? 'css' : 'screenshot',
+      fontSize: e.fontSize,
+      fontWeight: e.fontWeight,
+      ...gradeContrast(ratio, e)
+    });
+  }
+  return results;
+}
+
+// Issues for the results below level ('AA' or 'AAA'), one per foreground/background
+// pair and text size, so one off-brand color doesn't become an issue per element
+export function contrastIssues(results, { level = 'AA', viewport = null } = {}) {
+  const pairs = new Map();
+  for (const r of results.filter(r => (level === 'AAA' ? !r.aaa : !r.aa))) {
+    const key = `${r.foreground}|${r.background}|${r.large}`;
+    if (!pairs.has(key)) pairs.set(key, { ...r, elements: [], count: 0 });
+    const pair = pairs.get(key);
+    pair.count++;
+    pair.ratio = Math.min(pair.ratio, r.ratio);
+    if (pair.elements.length < 5) pair.elements.push(r.selector);
+  }
+
+  return [...pairs.values()].map(pair => {
+    const required = `${WCAG_RATIOS[level][pair.large ? 'large' : 'normal']}:1${pair.large ? ' for large text' : ''}`;
+    return {
+      type: 'contrast_fail',
+      section: 'contrast',
+      viewport,
+      foreground: pair.foreground,
+      background: pair.background,
+      ratio: pair.ratio,
+      level,
+      source: pair.source,
+      count: pair.count,
+      elements: pair.elements,
+      message: `${pair.foreground} on ${pair.background}${pair.source === 'screenshot' ? ' (sampled from the screenshot)' : ''} is ${pair.ratio}:1, ${level} needs ${required} — ${pair.count} element(s), e.g. “${pair.text}”`
+    };
+  });
+}
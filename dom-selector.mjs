@@ -0,0 +1,29 @@
+// dom-selector.mjs
+// The short CSS selector that names an element in issues, reports and the Figma
+// mapping file: up to five steps of tag, first two classes and :nth-of-type,
+// stopping at the nearest id or at <body>. It runs in the page, so audits call
+// installSelectorFor() first and use window.__qaSelectorFor inside evaluate().
+
+// Self-contained: its source is sent to the page, so it must not use anything
+// from this module
+export function selectorFor(el) {
+  const parts = [];
+  for (let node = el; node && node.nodeType === 1 && parts.length < 5; node = node.parentElement) {
+    if (node.id) {
+      parts.unshift(`#${CSS.escape(node.id)}`);
+      break;
+    }
+    let part = node.tagName.toLowerCase() + [...node.classList].slice(0, 2).map(c => `.${CSS.escape(c)}`).join('');
+    const siblings = node.parentElement ? [...node.parentElement.children].filter(c => c.tagName === node.tagName) : [];
+    if (siblings.length > 1) part += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+    parts.unshift(part);
+    if (node === document.body || node === document.documentElement) break;
+  }
+  return parts.join(' > ');
+}
+
+// Defines window.__qaSelectorFor in the page. Navigation clears it, so audits
+// install it again before each evaluate() that needs it.
+export async function installSelectorFor(page) {
+  await page.evaluate(`void (window.__qaSelectorFor = ${selectorFor})`);
+}
@@ -0,0 +1,8 @@
+// escape-html.js
+// Escaping for page-derived text (selectors, copy, attribute values in rule
+// messages) written into the HTML reports of every analyzer.
+const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, c => ENTITIES[c]);
+
+module.exports = { escapeHtml };
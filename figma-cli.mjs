@@ -0,0 +1,154 @@
+// figma-cli.mjs
+// Figma snapshot management: npm run figma -- <command> [options]
+//
+//   pull     download the file JSON and section renders into a new snapshot
+//   status   show the snapshot analyzers will read and whether it is current
+//   tokens   write design tokens from the snapshot to figma.tokensFile (pull does this too)
+//   map      open each snapshot page on the site and propose selectors for its frames and
+//            layers in figma.mappingFile; entries marked "source": "manual" are kept
+//
+// Options: --version=<id> (pull a saved version)  --pages='{"home":"1:2"}' (defaults to FIGMA_PAGE_IDS)
+//          --page=<name> (map one page)  --force (map: replace manual entries too)
+import dotenv from 'dotenv';
+import { chromium } from 'playwright';
+import configLoader from './config-loader.js';
+import pageStabilizer from './page-stabilizer.js';
+import { FigmaSnapshot, freshnessWarning } from './figma-snapshot.mjs';
+import { designForViewport } from './figma-frames.mjs';
+import { FigmaMapping, suggestMappings } from './figma-mapping.mjs';
+import { extractTokens, writeTokenFile } from './figma-tokens.mjs';
+
+dotenv.config();
+
+async function writeTokens(config, snapshot) {
+  const tokensFile = config.figma?.tokensFile || 'design-tokens.json';
+  const tokens = extractTokens(snapshot.file, snapshot.variables);
+  await writeTokenFile(tokensFile, tokens, {
+    fileId: snapshot.fileId,
+    version: snapshot.version,
+    extractedAt: new Date().toISOString()
+  });
+  const counts = Object.entries(tokens).map(([group, values]) => `${Object.keys(values).length} ${group}`);
+  console.log(`🎨 Design tokens (${counts.join(', ')}) → ${tokensFile}`);
+}
+
+function logMappings(mapping, written) {
+  for (const id of written) {
+    const entry = mapping.nodes[id];
+    const label = entry.layer ? `${entry.section} › ${entry.name}` : entry.name;
+    console.log(entry.selector
+      ? `   ✅ ${label} (${id}) → ${entry.selector} [${entry.score}]`
+      : `   ⚠️ ${label} (${id}) unmapped — best candidate scored ${entry.score}`);
+  }
+}
+
+async function mapPages(config, snapshot, { only, force }) {
+  const mapping = await FigmaMapping.load(config);
+  const urls = Object.fromEntries(configLoader.resolvePages(config).map(p => [p.name, p.url]));
+  const browser = await chromium.launch({ headless: true });
+
+  try {
+    const page = await browser.newPage();
+    for (const [key, node] of Object.entries(snapshot.pageNodes())) {
+      if (only && only !== key) continue;
+      if (!urls[key]) {
+        console.log(`⚠️ No page named "${key}" in config.pages — skipping`);
+        continue;
+      }
+
+      // Breakpoint frames are mapped at their own viewport; a single design once
+      const mapped = new Set();
+      for (const vp of config.viewports) {
+        const { node: design, matchedBy } = designForViewport(node, vp, config.viewports);
+        if (mapped.has(design.id)) continue;
+        mapped.add(design.id);
+        const viewport = matchedBy === 'single' ? config.defaultViewport : vp;
+
+        console.log(`🔎 Mapping ${key} "${design.name}" → ${urls[key]} at ${viewport.width}x${viewport.height}`);
+        await page.setViewportSize({ width: viewport.width, height: viewport.height });
+        await page.goto(urls[key], { waitUntil: 'networkidle' });
+        await pageStabilizer.stabilizePage(page, config.stabilization);
+        const written = await suggestMappings(page, key, design, mapping, { force });
+        logMappings(mapping, written);
+      }
+    }
+  } finally {
+    await browser.close();
+  }
+
+  await mapping.save();
+  const unmapped = Object.values(mapping.nodes).filter(e => !e.selector).length;
+  console.log(`🗺️ ${Object.keys(mapping.nodes).length} nodes in ${mapping.filePath}, ${unmapped} unmapped`);
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const [command = 'status'] = argv;
+  const config = configLoader.loadConfig();
+  const fileId = process.env.FIGMA_FILE_ID;
+  if (!fileId) {
+    throw new Error('FIGMA_FILE_ID is not set');
+  }
+
+  switch (command) {
+    case 'pull': {
+      if (!process.env.FIGMA_TOKEN && !process.env.FIGMA_API_URL) {
+        throw new Error('FIGMA_TOKEN is required to pull from Figma');
+      }
+      const pages = configLoader.getCliOption('pages', argv) || process.env.FIGMA_PAGE_IDS || '{}';
+      let pageIds;
+      try {
+        pageIds = JSON.parse(pages);
+      } catch {
+        throw new Error(`Page ids must be JSON like {"home":"1:2"}, got ${pages}`);
+      }
+
+      console.log(`⬇️ Pulling Figma file ${fileId}...`);
+      const snapshot = await FigmaSnapshot.pull(config, {
+        fileId,
+        pageIds,
+        version: configLoader.getCliOption('version', argv)
+      });
+      console.log(`✅ Snapshot ${snapshot.version} (${snapshot.manifest.name}, modified ${snapshot.manifest.lastModified})`);
+      console.log(`   ${Object.keys(snapshot.manifest.renders).length} frames rendered at ${snapshot.manifest.renderScale}x → ${snapshot.dir}`);
+      await writeTokens(config, snapshot);
+      break;
+    }
+    case 'status': {
+      const snapshot = await FigmaSnapshot.load(config, fileId);
+      if (!snapshot) {
+        console.log(`⚠️ No snapshot for ${fileId}. Run "npm run figma -- pull".`);
+        break;
+      }
+      console.log(`📦 Snapshot ${snapshot.version} pulled ${snapshot.manifest.pulledAt} → ${snapshot.dir}`);
+      const warning = freshnessWarning(await snapshot.checkFreshness());
+      console.log(warning ? `⚠️ ${warning}` : '✅ Snapshot matches the live file');
+      break;
+    }
+    case 'tokens': {
+      const snapshot = await FigmaSnapshot.load(config, fileId, { version: configLoader.getCliOption('version', argv) });
+      if (!snapshot) {
+        throw new Error(`No snapshot for ${fileId}. Run "npm run figma -- pull" first.`);
+      }
+      await writeTokens(config, snapshot);
+      break;
+    }
+    case 'map': {
+      const snapshot = await FigmaSnapshot.load(config, fileId);
+      if (!snapshot) {
+        throw new Error(`No snapshot for ${fileId}. Run "npm run figma -- pull" first.`);
+      }
+      await mapPages(config, snapshot, {
+        only: configLoader.getCliOption('page', argv),
+        force: argv.includes('--force')
+      });
+      break;
+    }
+    default:
+      throw new Error(`Unknown figma command "${command}". Use pull, status, tokens or map.`);
+  }
+}
+
+main().catch(err => {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,185 @@
+// figma-components.mjs
+// Component instances in a Figma design (buttons, cards, nav items) and their
+// variants, matched to DOM elements and checked against the styling of the
+// variant: fill, border, radius, padding, shadow and text style. Instances in a
+// hover or focus state are checked with that state forced on the element.
+import { forcePseudoState } from './computed-styles.mjs';
+import { installSelectorFor } from './dom-selector.mjs';
+import { sectionName } from './figma-frames.mjs';
+import { normalizeCopy, textNodes } from './figma-copy.mjs';
+import { effectsToBoxShadow, figmaColorToHex, styleMatches } from './figma-tokens.mjs';
+
+// Variant states the analyzer can force on an element before reading its styles,
+// through the same CDP forced pseudo-states as the styleChecks
+const STATES = {
+  hover: ['hover'],
+  focus: ['focus', 'focus-visible'],
+  focused: ['focus', 'focus-visible']
+};
+
+// States that need no interaction
+const RESTING_STATES = ['default', 'rest', 'normal', 'enabled'];
+
+// Pressed or dragged variants cannot be held while styles are read
+export const reproducibleState = (variant) =>
+  !variant.state || RESTING_STATES.includes(variant.state) || Object.hasOwn(STATES, variant.state);
+
+const solidFill = (paints = []) => paints.find(p => p.type === 'SOLID' && p.visible !== false);
+
+const findText = (node) => {
+  if (node.type === 'TEXT' && node.visible !== false) return node;
+  for (const child of node.children || []) {
+    const found = findText(child);
+    if (found) return found;
+  }
+  return null;
+};
+
+// { type: 'primary', state: 'hover' } from component properties, or from a
+// variant component name like "Type=Primary, State=Hover"
+export function variantOf(instance, component = {}) {
+  const variant = {};
+  for (const [name, prop] of Object.entries(instance.componentProperties || {})) {
+    if (prop.type === 'VARIANT') variant[name.replace(/#.*$/, '').trim().toLowerCase()] = String(prop.value).toLowerCase();
+  }
+  if (!Object.keys(variant).length && component.name?.includes('=')) {
+    for (const pair of component.name.split(',')) {
+      const [name, value] = pair.split('=').map(part => part.trim());
+      if (name && value) variant[name.toLowerCase()] = value.toLowerCase();
+    }
+  }
+  return variant;
+}
+
+export const variantLabel = (variant) =>
+  Object.entries(variant).map(([name, value]) => `${name}=${value}`).join(', ') || 'default';
+
+// CSS the element of an instance should compute: [{ property, expected }]
+export function expectedComponentStyles(node) {
+  const styles = [];
+  const add = (property, expected) => styles.push({ property, expected });
+
+  const fill = solidFill(node.fills);
+  if (fill) add('background-color', figmaColorToHex(fill.color, fill.opacity ?? 1));
+
+  const stroke = solidFill(node.strokes);
+  if (stroke && node.strokeWeight) {
+    add('border-top-color', figmaColorToHex(stroke.color, stroke.opacity ?? 1));
+    add('border-top-width', node.strokeWeight);
+  }
+
+  if (node.cornerRadius !== undefined) add('border-radius', node.cornerRadius);
+
+  if (node.layoutMode && node.layoutMode !== 'NONE') {
+    add('padding-top', node.paddingTop || 0);
+    add('padding-right', node.paddingRight || 0);
+    add('padding-bottom', node.paddingBottom || 0);
+    add('padding-left', node.paddingLeft || 0);
+  }
+
+  const shadow = effectsToBoxShadow(node.effects);
+  if (shadow) add('box-shadow', shadow);
+
+  const text = findText(node);
+  if (text?.style) {
+    const textFill = solidFill(text.fills);
+    if (textFill) add('color', figmaColorToHex(textFill.color, textFill.opacity ?? 1));
+    add('font-family', text.style.fontFamily);
+    add('font-size', text.style.fontSize);
+    add('font-weight', text.style.fontWeight);
+  }
+
+  return styles;
+}
+
+// Component instances under a design node, with the section frame each sits in.
+// Instances nested inside another instance (an icon in a button) belong to it.
+export function componentInstances(root, file = {}) {
+  const components = file.components || {};
+  const sets = file.componentSets || {};
+  const instances = [];
+
+  const walk = (node, section) => {
+    if (node.visible === false) return;
+    if (node.type === 'INSTANCE') {
+      const component = components[node.componentId] || {};
+      instances.push({
+        id: node.id,
+        name: node.name,
+        section,
+        component: sets[component.componentSetId]?.name || component.name || node.name,
+        variant: variantOf(node, component),
+        text: normalizeCopy(textNodes(node).map(t => t.text).join(' ')),
+        expected: expectedComponentStyles(node)
+      });
+      return;
+    }
+    (node.children || []).forEach(child => walk(child, section));
+  };
+
+  for (const frame of root?.children || []) {
+    if (frame.name) walk(frame, sectionName(frame.name));
+  }
+  return instances;
+}
+
+// Finds an element for each instance without a selector: the outermost element
+// inside its scope whose text is the instance's text. Instances with the same
+// text get different elements, in document order. Returns selectors or null.
+export async function locateComponents(page, lookups) {
+  if (!lookups.length) return [];
+
+  await installSelectorFor(page);
+  return page.evaluate((lookups) => {
+    const selectorFor = window.__qaSelectorFor;
+    const textOf = (el) => (el.innerText || el.value || el.getAttribute('aria-label') || '').replace(/\s+/g, ' ').trim();
+    const used = new Set();
+
+    return lookups.map(({ scope, text }) => {
+      if (!text) return null;
+      let root = document.body;
+      try {
+        root = (scope && document.querySelector(scope)) || document.body;
+      } catch {
+        // Invalid scope selectors are reported by the section checks
+      }
+
+      for (const el of root.querySelectorAll('*')) {
+        if (used.has(el) || textOf(el) !== text) continue;
+        let outer = el;
+        while (outer.parentElement && outer.parentElement !== root && textOf(outer.parentElement) === text) {
+          outer = outer.parentElement;
+        }
+        if (used.has(outer)) continue;
+        used.add(outer);
+        return selectorFor(outer);
+      }
+      return null;
+    });
+  }, lookups);
+}
+
+// Forces the instance's variant state on the first element matching selector and
+// compares its computed styles. Returns { state, checks, failures: [{ property, expected, actual }] }.
+export async function verifyComponent(page, selector, instance) {
+  const state = instance.variant.state;
+  const forced = Object.hasOwn(STATES, state) ? STATES[state] : null;
+  const locator = page.locator(selector).first();
+  const release = forced ? await forcePseudoState(page, selector, forced) : null;
+
+  try {
+    const properties = instance.expected.map(e => e.property);
+    const computed = await locator.evaluate((el, props) => {
+      const style = getComputedStyle(el);
+      return Object.fromEntries(props.map(p => [p, style.getPropertyValue(p).trim()]));
+    }, properties);
+
+    const failures = instance.expected
+      .filter(({ property, expected }) => !styleMatches(property, expected, computed[property]))
+      .map(({ property, expected }) => ({ property, expected, actual: computed[property] }));
+
+    return { state: forced ? state : null, checks: instance.expected.length, failures };
+  } finally {
+    if (release) await release();
+  }
+}
@@ -0,0 +1,132 @@
+// figma-copy.mjs
+// Expected copy from Figma TEXT nodes, matched against the text a section
+// actually renders. Each Figma text is reported as matched, changed (close
+// enough to be the same copy with a typo or different punctuation) or missing;
+// rendered text no Figma text accounts for is reported as extra.
+import { sectionName } from './figma-frames.mjs';
+
+export const normalizeCopy = (text) => String(text).replace(/\s+/g, ' ').trim();
+
+// Text set in a Figma text case is typed in any case; the site applies the
+// same transform in CSS, so only the letters are compared
+const CASE_STYLES = ['UPPER', 'LOWER', 'TITLE', 'SMALL_CAPS', 'SMALL_CAPS_FORCED'];
+
+// Visible TEXT nodes under a node, in document order: [{ text, ignoreCase }]
+export function textNodes(root) {
+  const texts = [];
+  const walk = (node) => {
+    if (node.visible === false) return;
+    if (node.type === 'TEXT') {
+      const text = normalizeCopy(node.characters || '');
+      if (text) texts.push({ text, ignoreCase: CASE_STYLES.includes(node.style?.textCase) });
+    }
+    (node.children || []).forEach(walk);
+  };
+  walk(root);
+  return texts;
+}
+
+// Copy of every top-level frame of a Figma page node: { [section]: [{ text, ignoreCase }] }
+export function extractCopy(pageNode) {
+  const copy = {};
+  for (const frame of pageNode?.children || []) {
+    if (!frame.name || !frame.absoluteBoundingBox || frame.visible === false) continue;
+    copy[sectionName(frame.name)] = textNodes(frame);
+  }
+  return copy;
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// 1 for identical strings, 0 for nothing in common
+export function copySimilarity(a, b) {
+  const longest = Math.max(a.length, b.length);
+  if (!longest) return 1;
+  // Lengths alone rule out most pairs without computing the distance
+  if (Math.min(a.length, b.length) / longest < 0.5) return Math.min(a.length, b.length) / longest;
+  return 1 - editDistance(a, b) / longest;
+}
+
+// expected: [{ text, ignoreCase }] from Figma; blocks: rendered text blocks of the section.
+// Returns { matched, changed: [{ expected, actual, similarity }], missing, extra }.
+export function compareCopy(expected, blocks, { similarity = 0.8 } = {}) {
+  const rendered = [...new Set(blocks.map(normalizeCopy).filter(Boolean))];
+  const used = new Set();
+  const fold = (text, ignoreCase) => (ignoreCase ? text.toLowerCase() : text);
+  const result = { matched: [], changed: [], missing: [], extra: [] };
+  const unmatched = [];
+
+  // Exact copy, either a whole block or part of one (several Figma texts in one element)
+  for (const entry of expected) {
+    const want = fold(entry.text, entry.ignoreCase);
+    const index = rendered.findIndex(block => fold(block, entry.ignoreCase) === want);
+    const at = index >= 0 ? index : rendered.findIndex(block => fold(block, entry.ignoreCase).includes(want));
+    if (at >= 0) {
+      used.add(at);
+      result.matched.push(entry.text);
+    } else {
+      unmatched.push(entry);
+    }
+  }
+
+  // Closest remaining block for everything else
+  for (const entry of unmatched) {
+    let best = null;
+    rendered.forEach((block, i) => {
+      if (used.has(i)) return;
+      const score = copySimilarity(fold(entry.text, entry.ignoreCase), fold(block, entry.ignoreCase));
+      if (!best || score > best.score) best = { i, score };
+    });
+
+    if (best && best.score >= similarity) {
+      used.add(best.i);
+      result.changed.push({ expected: entry.text, actual: rendered[best.i], similarity: Number(best.score.toFixed(3)) });
+    } else {
+      result.missing.push(entry.text);
+    }
+  }
+
+  // A Figma text split over several elements leaves pieces that are part of it
+  result.extra = rendered.filter((block, i) =>
+    !used.has(i) && !expected.some(e => fold(e.text, true).includes(fold(block, true))));
+
+  return result;
+}
+
+// Text blocks rendered inside an element: the full text of each element that has
+// text of its own, without descending into it again. Hidden elements are skipped.
+export async function collectTextBlocks(locator) {
+  return locator.evaluate((root) => {
+    const SKIP = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'SVG']);
+    const blocks = [];
+
+    const visit = (el) => {
+      if (SKIP.has(el.tagName.toUpperCase())) return;
+      if (el.checkVisibility && !el.checkVisibility({ visibilityProperty: true })) return;
+
+      const ownText = [...el.childNodes].some(n => n.nodeType === Node.TEXT_NODE && n.textContent.trim());
+      if (ownText) {
+        blocks.push(el.textContent);
+        return;
+      }
+      [...el.children].forEach(visit);
+    };
+
+    visit(root);
+    return blocks;
+  });
+}
@@ -0,0 +1,112 @@
+// figma-fixture-server.mjs
+// Local stand-in for the parts of the Figma REST API the analyzer uses, so
+// design comparison runs without a token or network access:
+//
+//   GET /v1/files/:fileId                 → <fixtures>/file.json
+//   GET /v1/files/:fileId/nodes?ids=...   → <fixtures>/nodes.json
+//   GET /v1/files/:fileId/variables/local → <fixtures>/variables.json (404 when absent)
+//   GET /v1/images/:fileId?ids=...&scale= → links to /renders/<id>.png
+//   GET /renders/<id>.png?scale=          → <fixtures>/renders/<id>.png, resized to scale
+//
+// Node ids are file-safe in fixture names ("12:34" → "12-34.png"). Renders are
+// stored at scale 1 and resized with nearest-neighbour sampling.
+//
+//   node figma-fixture-server.mjs [--port=4010] [--fixtures=tests/fixtures/figma]
+//   FIGMA_API_URL=http://localhost:4010 FIGMA_FILE_ID=fixtures FIGMA_PAGE_IDS='{"home":"1:1"}' npm run figma -- pull
+//   FIGMA_API_URL=http://localhost:4010 node qa-analyzer.mjs
+import http from 'http';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { PNG } from 'pngjs';
+
+// The fixture set committed with the repo: one Home page with Hero, Features and
+// Footer section frames, their renders, styles and local variables
+const DEFAULT_FIXTURES = fileURLToPath(new URL('./tests/fixtures/figma', import.meta.url));
+
+const fixtureName = (id) => id.replace(/[^a-z0-9_-]+/gi, '-');
+
+export function scalePng(png, scale) {
+  if (scale === 1) return png;
+  const width = Math.max(1, Math.round(png.width * scale));
+  const height = Math.max(1, Math.round(png.height * scale));
+  const scaled = new PNG({ width, height });
+
+  for (let y = 0; y < height; y++) {
+    const sy = Math.min(png.height - 1, Math.floor(y / scale));
+    for (let x = 0; x < width; x++) {
+      const sx = Math.min(png.width - 1, Math.floor(x / scale));
+      png.data.copy(scaled.data, (width * y + x) << 2, (png.width * sy + sx) << 2, ((png.width * sy + sx) << 2) + 4);
+    }
+  }
+  return scaled;
+}
+
+export function startFigmaFixtureServer({ port = 4010, fixturesDir = DEFAULT_FIXTURES } = {}) {
+  const renderPath = (id) => path.join(fixturesDir, 'renders', `${fixtureName(id)}.png`);
+  const exists = (file) => fs.access(file).then(() => true, () => false);
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const send = (status, body, type = 'application/json') => {
+      res.writeHead(status, { 'Content-Type': type });
+      res.end(type === 'application/json' ? JSON.stringify(body) : body);
+    };
+
+    try {
+      if (/^\/v1\/files\/[^/]+$/.test(url.pathname)) {
+        const file = JSON.parse(await fs.readFile(path.join(fixturesDir, 'file.json'), 'utf8'));
+        return send(200, file);
+      }
+
+      if (/^\/v1\/files\/[^/]+\/nodes$/.test(url.pathname)) {
+        const nodes = JSON.parse(await fs.readFile(path.join(fixturesDir, 'nodes.json'), 'utf8'));
+        return send(200, nodes);
+      }
+
+      if (/^\/v1\/files\/[^/]+\/variables\/local$/.test(url.pathname)) {
+        const variables = JSON.parse(await fs.readFile(path.join(fixturesDir, 'variables.json'), 'utf8'));
+        return send(200, variables);
+      }
+
+      if (/^\/v1\/images\/[^/]+$/.test(url.pathname)) {
+        const ids = (url.searchParams.get('ids') || '').split(',').filter(Boolean);
+        const scale = url.searchParams.get('scale') || '1';
+        const images = {};
+        for (const id of ids) {
+          images[id] = (await exists(renderPath(id)))
+            ? `${url.origin}/renders/${encodeURIComponent(id)}.png?scale=${scale}`
+            : null;
+        }
+        return send(200, { err: null, images });
+      }
+
+      const match = url.pathname.match(/^\/renders\/(.+)\.png$/);
+      if (match) {
+        const id = decodeURIComponent(match[1]);
+        const png = PNG.sync.read(await fs.readFile(renderPath(id)));
+        const scale = Number(url.searchParams.get('scale') || 1);
+        return send(200, PNG.sync.write(scalePng(png, scale)), 'image/png');
+      }
+
+      send(404, { status: 404, err: 'Not found' });
+    } catch (err) {
+      const status = err.code === 'ENOENT' ? 404 : 500;
+      send(status, { status, err: err.message });
+    }
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, () => resolve(server));
+  });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const option = (name, fallback) =>
+    process.argv.find(a => a.startsWith(`--${name}=`))?.split('=')[1] ?? fallback;
+
+  const fixturesDir = option('fixtures', process.env.FIGMA_FIXTURES || DEFAULT_FIXTURES);
+  startFigmaFixtureServer({ port: Number(option('port', 4010)), fixturesDir }).then(server => {
+    console.log(`🧪 Figma fixture server on http://localhost:${server.address().port} serving ${fixturesDir}`);
+  });
+}
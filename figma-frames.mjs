@@ -0,0 +1,140 @@
+// figma-frames.mjs
+// Figma REST access for design comparison: finds the section frames of a page
+// node and exports them as PNGs at the scale they are rendered at on the site.
+// FIGMA_API_URL replaces https://api.figma.com, e.g. with figma-fixture-server.mjs.
+import fs from 'fs/promises';
+import path from 'path';
+import fetch from 'node-fetch';
+
+export const figmaApiUrl = () => (process.env.FIGMA_API_URL || 'https://api.figma.com').replace(/\/+$/, '');
+
+export async function figmaGet(pathname, params = {}, { token = process.env.FIGMA_TOKEN } = {}) {
+  const url = new URL(`${figmaApiUrl()}/v1/${pathname}`);
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined) url.searchParams.set(key, value);
+  }
+
+  const response = await fetch(url, { headers: { 'X-Figma-Token': token || '' } });
+  if (!response.ok) {
+    throw new Error(`Figma API returned ${response.status} for ${url.pathname}`);
+  }
+  return response.json();
+}
+
+// Same naming as parseFigmaSections, so frames line up with section names
+export const sectionName = (name) => name.toLowerCase().replace(/\s+/g, '-');
+
+// Top-level frames of a Figma page node: { [section]: { id, name, width, height } }
+export function sectionFrames(root) {
+  const frames = {};
+  for (const node of root?.children || []) {
+    if (!node.name || !node.absoluteBoundingBox) continue;
+    const { width, height } = node.absoluteBoundingBox;
+    frames[sectionName(node.name)] = { id: node.id, name: node.name, width, height };
+  }
+  return frames;
+}
+
+// Breakpoint frames are named after the viewport they design for, or one of these aliases
+export const BREAKPOINT_ALIASES = {
+  mobile: ['mobile', 'phone'],
+  tablet: ['tablet', 'ipad'],
+  desktop: ['desktop', 'web']
+};
+
+const wordIn = (word, name) => new RegExp(`(^|[^a-z0-9])${word}([^a-z0-9]|$)`, 'i').test(name);
+
+const namesFor = (viewportName) => [viewportName, ...(BREAKPOINT_ALIASES[viewportName] || [])];
+
+// A top-level frame within this share of a viewport's width is designed for it
+export const BREAKPOINT_WIDTH_TOLERANCE = 0.1;
+
+const asViewports = (viewports) => viewports.map(v => (typeof v === 'string' ? { name: v } : v));
+
+const fitsWidth = (node, viewport) =>
+  viewport.width > 0 && Math.abs(node.absoluteBoundingBox.width - viewport.width) <= viewport.width * BREAKPOINT_WIDTH_TOLERANCE;
+
+// Children of a page node that are breakpoint designs: named after a viewport or
+// alias ("Home – Mobile", "Desktop 1440"), or as wide as one of the viewports
+// ("Home 390", "834"). Width alone only counts when the frames cover more than one
+// viewport, since the sections of a single design are all one width. Empty when
+// the node holds a single design. viewports: [{ name, width }] or names.
+export function breakpointFrames(root, viewports = []) {
+  const list = asViewports(viewports);
+  const breakpoints = [...new Set([...Object.keys(BREAKPOINT_ALIASES), ...list.map(v => v.name).filter(Boolean)])];
+  const frames = (root?.children || []).filter(node => node.name && node.absoluteBoundingBox);
+
+  const named = new Map();
+  const sized = new Map();
+  for (const node of frames) {
+    const byName = breakpoints.find(b => namesFor(b).some(n => wordIn(n, node.name)));
+    const byWidth = list.find(v => fitsWidth(node, v));
+    if (byName) named.set(node, byName);
+    else if (byWidth) sized.set(node, byWidth.name ?? byWidth.width);
+  }
+
+  const covered = new Set([...named.values(), ...sized.values()]);
+  return frames.filter(node => named.has(node) || (sized.has(node) && covered.size > 1));
+}
+
+// Design roots of a page node: its breakpoint frames, or the node itself
+export function designRoots(root, viewports = []) {
+  const frames = breakpointFrames(root, viewports);
+  return frames.length ? frames : [root];
+}
+
+// Design for one viewport ({ name, width }) out of all the configured viewports:
+// the breakpoint frame named after it, else the breakpoint frame closest in width,
+// else the page node itself. Returns { node, matchedBy: 'name' | 'width' | 'single' }.
+export function designForViewport(root, viewport, viewports = [viewport]) {
+  const frames = breakpointFrames(root, viewports.includes(viewport) ? viewports : [...viewports, viewport]);
+  if (!frames.length) return { node: root, matchedBy: 'single' };
+
+  const named = viewport.name && frames.find(f => namesFor(viewport.name).some(n => wordIn(n, f.name)));
+  if (named) return { node: named, matchedBy: 'name' };
+
+  const closest = frames.reduce((best, f) =>
+    Math.abs(f.absoluteBoundingBox.width - viewport.width) < Math.abs(best.absoluteBoundingBox.width - viewport.width) ? f : best);
+  return { node: closest, matchedBy: 'width' };
+}
+
+// Figma accepts export scales between 0.01 and 4
+const clampScale = (scale) => Math.min(4, Math.max(0.01, Number(scale.toFixed(3))));
+
+// Exports frames ([{ id, scale }]) as PNGs into outDir, one images request per
+// distinct scale. Returns { [id]: { path, scale } }; frames Figma could not
+// render are left out. version pins the export to a saved file version.
+export async function renderFrames(fileId, frames, outDir, { token, version } = {}) {
+  const byScale = new Map();
+  for (const { id, scale } of frames) {
+    const clamped = clampScale(scale);
+    if (!byScale.has(clamped)) byScale.set(clamped, []);
+    byScale.get(clamped).push(id);
+  }
+
+  await fs.mkdir(outDir, { recursive: true });
+  const rendered = {};
+
+  for (const [scale, ids] of byScale) {
+    const { err, images = {} } = await figmaGet(`images/${fileId}`, { ids: ids.join(','), scale, format: 'png', version }, { token });
+    if (err) {
+      throw new Error(`Figma image export failed: ${err}`);
+    }
+
+    for (const id of ids) {
+      if (!images[id]) {
+        console.log(`⚠️ Figma could not render frame ${id}`);
+        continue;
+      }
+      const response = await fetch(images[id]);
+      if (!response.ok) {
+        throw new Error(`Could not download Figma render of ${id}: ${response.status}`);
+      }
+      const filePath = path.join(outDir, `figma-${id.replace(/[^a-z0-9_-]+/gi, '-')}@${scale}x.png`);
+      await fs.writeFile(filePath, Buffer.from(await response.arrayBuffer()));
+      rendered[id] = { path: filePath, scale };
+    }
+  }
+
+  return rendered;
+}
@@ -0,0 +1,137 @@
+// figma-layout.mjs
+// Layout geometry of a section against its Figma frame. Child nodes of the
+// frame are matched to elements inside the section (figma.mappingFile, then
+// config layout.selectors, else a data-figma attribute or a class named after
+// the layer) and compared on position, gaps between siblings, padding and
+// alignment. Figma values are scaled by section width / frame width before comparing.
+import { sectionName } from './figma-frames.mjs';
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Direct children of a frame with boxes relative to the frame: [{ id, key, name, x, y, width, height }]
+export function layoutChildren(frame) {
+  const origin = frame.absoluteBoundingBox;
+  return (frame.children || [])
+    .filter(child => child.visible !== false && child.absoluteBoundingBox)
+    .map(child => {
+      const { x, y, width, height } = child.absoluteBoundingBox;
+      return { id: child.id, key: sectionName(child.name), name: child.name, x: x - origin.x, y: y - origin.y, width, height };
+    });
+}
+
+// Naming convention for layers without an explicit selector
+export function layoutSelector(key, name) {
+  const quoted = (value) => `"${value.replace(/["\\]/g, '\\$&')}"`;
+  const selectors = [`[data-figma=${quoted(name)}]`, `[data-figma=${quoted(key)}]`];
+  if (/^[a-z_-][a-z0-9_-]*$/i.test(key)) selectors.push(`.${key}`);
+  return selectors.join(', ');
+}
+
+// Boxes of the mapped elements relative to the section: { section: { width, height }, elements: { [key]: box } }
+export async function measureLayout(sectionLocator, selectors) {
+  const section = await sectionLocator.boundingBox();
+  const elements = {};
+  for (const [key, selector] of Object.entries(selectors)) {
+    const locator = sectionLocator.locator(selector).first();
+    if (await locator.count() === 0) continue;
+    const box = await locator.boundingBox();
+    if (!box) continue;
+    elements[key] = { x: box.x - section.x, y: box.y - section.y, width: box.width, height: box.height };
+  }
+  return { section: { width: section.width, height: section.height }, elements };
+}
+
+const EDGES = {
+  x: { left: b => b.x, center: b => b.x + b.width / 2, right: b => b.x + b.width },
+  y: { top: b => b.y, middle: b => b.y + b.height / 2, bottom: b => b.y + b.height }
+};
+
+const bounds = (boxes) => {
+  const left = Math.min(...boxes.map(b => b.x));
+  const top = Math.min(...boxes.map(b => b.y));
+  return {
+    left,
+    top,
+    right: Math.max(...boxes.map(b => b.x + b.width)),
+    bottom: Math.max(...boxes.map(b => b.y + b.height))
+  };
+};
+
+// frame: Figma frame node; measured: measureLayout() result.
+// Returns { scale, checked, unmapped, violations: [{ check, elements, property, expected, actual }] }
+export function compareLayout(frame, measured, { tolerance = 4 } = {}) {
+  const children = layoutChildren(frame);
+  const scale = measured.section.width / frame.absoluteBoundingBox.width;
+  const mapped = children.filter(c => measured.elements[c.key]);
+  const violations = [];
+
+  const check = (kind, elements, property, figmaValue, actual) => {
+    const expected = round(figmaValue * scale);
+    if (Math.abs(expected - actual) > tolerance) {
+      violations.push({ check: kind, elements, property, expected, actual: round(actual) });
+    }
+  };
+
+  // Offsets within the section
+  for (const child of mapped) {
+    const dom = measured.elements[child.key];
+    check('offset', [child.key], 'x', child.x, dom.x);
+    check('offset', [child.key], 'y', child.y, dom.y);
+  }
+
+  // Gaps between consecutive siblings along the frame's layout direction
+  const axis = frame.layoutMode === 'HORIZONTAL' ? 'x' : 'y';
+  const size = axis === 'x' ? 'width' : 'height';
+  const ordered = [...mapped].sort((a, b) => a[axis] - b[axis]);
+  for (let i = 1; i < ordered.length; i++) {
+    const [prev, next] = [ordered[i - 1], ordered[i]];
+    const figmaGap = next[axis] - (prev[axis] + prev[size]);
+    if (figmaGap < 0) continue; // overlapping layers have no gap to keep
+    const domPrev = measured.elements[prev.key];
+    const domNext = measured.elements[next.key];
+    check('gap', [prev.key, next.key], axis === 'x' ? 'column-gap' : 'row-gap', figmaGap, domNext[axis] - (domPrev[axis] + domPrev[size]));
+  }
+
+  // Padding: inset of the mapped content from the section edges
+  if (mapped.length) {
+    const figma = bounds(mapped);
+    const dom = bounds(mapped.map(c => measured.elements[c.key]));
+    const { width, height } = frame.absoluteBoundingBox;
+    const keys = mapped.map(c => c.key);
+    check('padding', keys, 'left', figma.left, dom.left);
+    check('padding', keys, 'top', figma.top, dom.top);
+    check('padding', keys, 'right', width - figma.right, measured.section.width - dom.right);
+    check('padding', keys, 'bottom', height - figma.bottom, measured.section.height - dom.bottom);
+  }
+
+  // Alignment: layers sharing an edge in Figma should share it on the page
+  for (const [axisName, edges] of Object.entries(EDGES)) {
+    const aligned = new Set();
+    for (const [edge, at] of Object.entries(edges)) {
+      const groups = [];
+      for (const child of mapped) {
+        const group = groups.find(g => Math.abs(at(g[0]) - at(child)) <= 1);
+        if (group) group.push(child);
+        else groups.push([child]);
+      }
+      for (const [anchor, ...others] of groups) {
+        for (const other of others) {
+          const pair = `${anchor.key}|${other.key}`;
+          if (aligned.has(pair)) continue;
+          aligned.add(pair);
+          const delta = at(measured.elements[other.key]) - at(measured.elements[anchor.key]);
+          if (Math.abs(delta) > tolerance) {
+            violations.push({ check: 'alignment', elements: [anchor.key, other.key], property: `${edge} (${axisName})`, expected: 0, actual: round(delta) });
+          }
+        }
+      }
+    }
+  }
+
+  return {
+    scale: Number(scale.toFixed(3)),
+    checked: mapped.map(c => c.key),
+    unmapped: children.filter(c => !measured.elements[c.key]).map(c => c.key),
+    violations
+  };
+}
@@ -0,0 +1,223 @@
+// figma-mapping.mjs
+// Persisted mapping from Figma node ids to DOM selectors (figma.mappingFile,
+// default figma-map.json). `npm run figma -- map` proposes selectors for every
+// section frame and its child layers; entries can then be corrected by hand:
+//
+//   { "nodes": { "1:2": { "page": "home", "section": "hero", "name": "Hero",
+//                         "selector": "#hero", "source": "suggested", "score": 0.82,
+//                         "alternatives": [{ "selector": "main > section", "score": 0.61 }] } } }
+//
+// source "manual" marks entries `map` leaves alone; a null selector means no
+// element was close enough and the node stays unmapped.
+import fs from 'fs/promises';
+import { installSelectorFor } from './dom-selector.mjs';
+import { sectionName } from './figma-frames.mjs';
+import { normalizeCopy, textNodes } from './figma-copy.mjs';
+
+// Suggestions scoring below this are kept as alternatives only
+export const MIN_SCORE = 0.5;
+
+export class FigmaMapping {
+  constructor(filePath, data = {}) {
+    this.filePath = filePath;
+    this.nodes = data.nodes || {};
+  }
+
+  static async load(config) {
+    const filePath = config.figma?.mappingFile || 'figma-map.json';
+    try {
+      return new FigmaMapping(filePath, JSON.parse(await fs.readFile(filePath, 'utf8')));
+    } catch (err) {
+      if (err.code === 'ENOENT') return new FigmaMapping(filePath);
+      throw new Error(`Could not read Figma mapping from ${filePath}: ${err.message}`);
+    }
+  }
+
+  async save() {
+    await fs.writeFile(this.filePath, JSON.stringify({ nodes: this.nodes }, null, 2) + '\n');
+  }
+
+  selectorFor(nodeId) {
+    return this.nodes[nodeId]?.selector || null;
+  }
+
+  isManual(nodeId) {
+    return this.nodes[nodeId]?.source === 'manual';
+  }
+
+  set(nodeId, entry) {
+    this.nodes[nodeId] = entry;
+  }
+}
+
+// Selector guessed from a section name when the mapping has none. Names with
+// spaces or punctuation are reduced to the characters a class or id can hold.
+export function guessSelector(section) {
+  const ident = sectionName(section).replace(/[^a-z0-9_]+/g, '-').replace(/^-+|-+$/g, '');
+  const attr = (value) => `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+  const selectors = [`[data-figma=${attr(section)}]`];
+  if (ident) {
+    if (/^[a-z_-]/.test(ident)) selectors.push(`.${ident}`);
+    selectors.push(`[class*=${attr(ident)}]`, `section[id*=${attr(ident)}]`);
+  }
+  return selectors.join(', ');
+}
+
+export async function isValidSelector(page, selector) {
+  return page.evaluate((s) => {
+    try {
+      document.querySelectorAll(s);
+      return true;
+    } catch {
+      return false;
+    }
+  }, selector);
+}
+
+const words = (text) => new Set(normalizeCopy(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+
+// Share of the Figma words the element contains; elements with more than twice
+// as many words (a wrapper around several sections) score lower
+export function textScore(expected, actual) {
+  const want = words(expected);
+  if (!want.size) return null;
+  const got = words(actual);
+  let shared = 0;
+  for (const word of want) if (got.has(word)) shared++;
+  return shared / Math.max(want.size, got.size / 2);
+}
+
+// Scores a candidate element against the scaled Figma box (and copy, when the
+// node has text): 0..1 from text similarity, position and size
+export function scoreCandidate(expected, candidate, { viewportHeight = 900 } = {}) {
+  const ratio = (a, b) => (a > 0 && b > 0 ? Math.min(a, b) / Math.max(a, b) : 0);
+  const size = Math.sqrt(ratio(expected.width, candidate.width) * ratio(expected.height, candidate.height));
+  const distance = Math.abs(expected.x - candidate.x) / Math.max(expected.width, 1) +
+    Math.abs(expected.y - candidate.y) / Math.max(viewportHeight, expected.height);
+  const position = Math.max(0, 1 - distance);
+  const text = expected.text ? textScore(expected.text, candidate.text) : null;
+
+  const score = text === null
+    ? 0.5 * position + 0.5 * size
+    : 0.5 * text + 0.25 * position + 0.25 * size;
+  return Number(score.toFixed(3));
+}
+
+// Elements inside scope (a selector, or the whole page) roughly the size of one
+// of the expected boxes, with a selector, box relative to the scope and text
+async function collectCandidates(page, scope, boxes) {
+  await installSelectorFor(page);
+  return page.evaluate(({ scope, boxes }) => {
+    const selectorFor = window.__qaSelectorFor;
+
+    const root = scope ? document.querySelector(scope) : document.body;
+    if (!root) return [];
+    const origin = root.getBoundingClientRect();
+    const near = (r) => boxes.some(b =>
+      r.width >= b.width / 2 && r.width <= b.width * 2 && r.height >= b.height / 3 && r.height <= b.height * 3);
+
+    const candidates = [];
+    for (const el of root.querySelectorAll('*')) {
+      if (['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'].includes(el.tagName)) continue;
+      const r = el.getBoundingClientRect();
+      if (!r.width || !r.height || !near(r)) continue;
+      candidates.push({
+        selector: selectorFor(el),
+        x: r.left - origin.left,
+        y: r.top - origin.top,
+        width: r.width,
+        height: r.height,
+        text: (el.innerText || '').slice(0, 2000)
+      });
+    }
+    return candidates;
+  }, { scope, boxes });
+}
+
+// Ranks candidates for each expected node: { [nodeId]: [{ selector, score }] } best first
+async function rankCandidates(page, scope, expected, options) {
+  const candidates = await collectCandidates(page, scope, expected);
+  const ranked = {};
+  for (const node of expected) {
+    ranked[node.id] = candidates
+      .map(c => ({ selector: c.selector, score: scoreCandidate(node, c, options) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 3);
+  }
+  return ranked;
+}
+
+const suggestion = (base, ranked = []) => {
+  const [best, ...alternatives] = ranked;
+  const accepted = best && best.score >= MIN_SCORE;
+  return {
+    ...base,
+    selector: accepted ? best.selector : null,
+    source: 'suggested',
+    score: best?.score ?? 0,
+    alternatives: accepted ? alternatives : ranked
+  };
+};
+
+// Proposes selectors for the section frames of a Figma page node and their child
+// layers on the loaded page. Manual entries are kept unless force is set.
+// Returns the node ids it wrote.
+export async function suggestMappings(page, pageKey, pageNode, mapping, { force = false } = {}) {
+  const frames = (pageNode.children || []).filter(f => f.visible !== false && f.absoluteBoundingBox);
+  if (!frames.length) return [];
+
+  const viewport = page.viewportSize() || { width: 1440, height: 900 };
+  const origin = {
+    x: Math.min(...frames.map(f => f.absoluteBoundingBox.x)),
+    y: Math.min(...frames.map(f => f.absoluteBoundingBox.y))
+  };
+  const pageWidth = Math.max(...frames.map(f => f.absoluteBoundingBox.x + f.absoluteBoundingBox.width)) - origin.x;
+  const scale = viewport.width / pageWidth;
+  const options = { viewportHeight: viewport.height };
+  const written = [];
+
+  const expectedBox = (node, from, factor) => ({
+    id: node.id,
+    x: (node.absoluteBoundingBox.x - from.x) * factor,
+    y: (node.absoluteBoundingBox.y - from.y) * factor,
+    width: node.absoluteBoundingBox.width * factor,
+    height: node.absoluteBoundingBox.height * factor,
+    text: textNodes(node).map(t => t.text).join(' ')
+  });
+
+  const sectionRanks = await rankCandidates(page, null, frames.map(f => expectedBox(f, origin, scale)), options);
+
+  for (const frame of frames) {
+    const section = sectionName(frame.name);
+    if (force || !mapping.isManual(frame.id)) {
+      mapping.set(frame.id, suggestion({ page: pageKey, section, name: frame.name }, sectionRanks[frame.id]));
+      written.push(frame.id);
+    }
+
+    // Child layers are searched inside the section's element
+    const sectionSelector = mapping.selectorFor(frame.id);
+    const layers = (frame.children || []).filter(c => c.visible !== false && c.absoluteBoundingBox);
+    if (!sectionSelector || !layers.length) continue;
+
+    const box = await page.locator(sectionSelector).first().boundingBox().catch(() => null);
+    if (!box) continue;
+    const layerScale = box.width / frame.absoluteBoundingBox.width;
+    const layerRanks = await rankCandidates(
+      page,
+      sectionSelector,
+      layers.map(l => expectedBox(l, frame.absoluteBoundingBox, layerScale)),
+      options
+    );
+
+    for (const layer of layers) {
+      if (!force && mapping.isManual(layer.id)) continue;
+      mapping.set(layer.id, suggestion(
+        { page: pageKey, section, name: layer.name, layer: sectionName(layer.name) },
+        layerRanks[layer.id]
+      ));
+      written.push(layer.id);
+    }
+  }
+
+  return written;
+}
@@ -0,0 +1,177 @@
+// figma-snapshot.mjs
+// Versioned local copy of a Figma file so analyzer runs do not depend on the
+// Figma API. `npm run figma -- pull` writes:
+//
+//   <snapshotDir>/<fileId>/<version>/file.json       full file JSON
+//   <snapshotDir>/<fileId>/<version>/manifest.json   version, pull time, pages, renders
+//   <snapshotDir>/<fileId>/<version>/variables.json  local variables, when the plan allows it
+//   <snapshotDir>/<fileId>/<version>/renders/*.png   section frames at renderScale
+//   <snapshotDir>/<fileId>/latest.json               which version analyzers read
+import fs from 'fs/promises';
+import path from 'path';
+import { designRoots, figmaGet, renderFrames, sectionFrames } from './figma-frames.mjs';
+
+const readJson = async (file) => JSON.parse(await fs.readFile(file, 'utf8'));
+
+const writeJson = async (file, data) => {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, JSON.stringify(data, null, 2));
+};
+
+export function findNode(root, id) {
+  if (!root) return null;
+  if (root.id === id) return root;
+  for (const child of root.children || []) {
+    const found = findNode(child, id);
+    if (found) return found;
+  }
+  return null;
+}
+
+export class FigmaSnapshot {
+  constructor({ dir, manifest, file, variables = null }) {
+    this.dir = dir;
+    this.manifest = manifest;
+    this.file = file;
+    this.variables = variables;
+    this.fileId = manifest.fileId;
+    this.version = manifest.version;
+  }
+
+  static rootFor(config, fileId) {
+    return path.join(config.figma?.snapshotDir || 'figma-snapshots', fileId);
+  }
+
+  // Latest pulled snapshot for a file, or null when nothing has been pulled yet
+  static async load(config, fileId, { version } = {}) {
+    const root = FigmaSnapshot.rootFor(config, fileId);
+    try {
+      const selected = version || (await readJson(path.join(root, 'latest.json'))).version;
+      const dir = path.join(root, String(selected));
+      const manifest = await readJson(path.join(dir, 'manifest.json'));
+      return new FigmaSnapshot({
+        dir,
+        manifest,
+        file: await readJson(path.join(dir, 'file.json')),
+        variables: manifest.variables ? await readJson(path.join(dir, 'variables.json')) : null
+      });
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw new Error(`Could not read Figma snapshot in ${root}: ${err.message}`);
+    }
+  }
+
+  // Downloads the file JSON and renders every section frame of the given pages
+  // ({ pageKey: nodeId }), then points latest.json at the new version.
+  static async pull(config, { fileId, pageIds = {}, version, token } = {}) {
+    const file = await figmaGet(`files/${fileId}`, { version }, { token });
+    const dir = path.join(FigmaSnapshot.rootFor(config, fileId), String(file.version));
+    const renderScale = config.figma?.renderScale ?? 2;
+
+    const frames = [];
+    for (const [key, nodeId] of Object.entries(pageIds)) {
+      const node = findNode(file.document, nodeId);
+      if (!node) {
+        console.log(`⚠️ No node ${nodeId} for page "${key}" in version ${file.version}`);
+        continue;
+      }
+      // Pages with Mobile/Tablet/Desktop frames get the sections of each rendered
+      for (const design of designRoots(node, config.viewports || [])) {
+        for (const frame of Object.values(sectionFrames(design))) {
+          frames.push({ id: frame.id, scale: renderScale });
+        }
+      }
+    }
+
+    const rendered = frames.length
+      ? await renderFrames(fileId, frames, path.join(dir, 'renders'), { token, version })
+      : {};
+
+    // The variables endpoint needs an Enterprise plan; tokens then come from styles only
+    let variables = null;
+    try {
+      variables = await figmaGet(`files/${fileId}/variables/local`, {}, { token });
+    } catch (err) {
+      console.log(`⚠️ Skipping Figma variables: ${err.message}`);
+    }
+
+    const manifest = {
+      fileId,
+      name: file.name,
+      version: file.version,
+      lastModified: file.lastModified,
+      pulledAt: new Date().toISOString(),
+      renderScale,
+      pages: pageIds,
+      variables: Boolean(variables),
+      renders: Object.fromEntries(
+        Object.entries(rendered).map(([id, r]) => [id, path.relative(dir, r.path).replace(/\\/g, '/')])
+      )
+    };
+
+    await writeJson(path.join(dir, 'file.json'), file);
+    await writeJson(path.join(dir, 'manifest.json'), manifest);
+    if (variables) await writeJson(path.join(dir, 'variables.json'), variables);
+    await writeJson(path.join(FigmaSnapshot.rootFor(config, fileId), 'latest.json'), {
+      version: file.version,
+      pulledAt: manifest.pulledAt
+    });
+
+    return new FigmaSnapshot({ dir, manifest, file, variables });
+  }
+
+  node(id) {
+    return findNode(this.file.document, id);
+  }
+
+  // Page nodes for { pageKey: nodeId }; defaults to the pages recorded at pull time
+  pageNodes(pageIds = this.manifest.pages) {
+    const nodes = {};
+    for (const [key, nodeId] of Object.entries(pageIds || {})) {
+      const node = this.node(nodeId);
+      if (node) nodes[key] = node;
+      else console.log(`⚠️ No node ${nodeId} for page "${key}" in Figma snapshot ${this.version}`);
+    }
+    return nodes;
+  }
+
+  // Rendered frame PNG and the scale it was exported at, or null
+  render(id) {
+    const file = this.manifest.renders?.[id];
+    return file ? { path: path.join(this.dir, file), scale: this.manifest.renderScale } : null;
+  }
+
+  // Compares the snapshot with the live file's version. Never throws: offline
+  // runs still work, they just cannot tell whether the snapshot is current.
+  async checkFreshness({ token } = {}) {
+    const status = {
+      version: this.version,
+      lastModified: this.manifest.lastModified,
+      pulledAt: this.manifest.pulledAt
+    };
+    try {
+      const live = await figmaGet(`files/${this.fileId}`, { depth: 1 }, { token });
+      return {
+        ...status,
+        liveVersion: live.version,
+        liveModified: live.lastModified,
+        stale: String(live.version) !== String(this.version)
+      };
+    } catch (err) {
+      return { ...status, liveVersion: null, stale: null, error: err.message };
+    }
+  }
+}
+
+// One-line summary of checkFreshness() for logs and reports; null when current
+export function freshnessWarning(freshness) {
+  if (!freshness) return null;
+  if (freshness.stale) {
+    return `Figma snapshot ${freshness.version} (pulled ${freshness.pulledAt}) is older than the live file ` +
+      `(version ${freshness.liveVersion}, modified ${freshness.liveModified}). Run "npm run figma -- pull".`;
+  }
+  if (freshness.stale === null) {
+    return `Could not check whether Figma snapshot ${freshness.version} is current: ${freshness.error}`;
+  }
+  return null;
+}
@@ -0,0 +1,283 @@
+// figma-tokens.mjs
+// Design token extraction from a Figma snapshot, and the comparisons
+// validateStyles uses to check computed styles against the token file.
+//
+// Token file (figma.tokensFile, default design-tokens.json):
+//   colors      { "Brand/Primary": "#1a4a47" }              fill styles and COLOR variables
+//   typography  { "Heading/H1": { fontFamily, fontSize, fontWeight, lineHeight, letterSpacing } }
+//   spacing     { "Space/M": 16 }                            FLOAT variables, else auto-layout gaps/padding
+//   radii       { "Radius/S": 4 }                            FLOAT variables, else corner radii in use
+//   shadows     { "Elevation/1": "0px 2px 4px 0px rgba(0, 0, 0, 0.25)" }   effect styles
+import fs from 'fs/promises';
+
+const round = (value, digits = 2) => Number(Number(value).toFixed(digits));
+
+const toHex = (value) => Math.round(value * 255).toString(16).padStart(2, '0');
+
+// Figma colors are 0–1 floats; alpha below 1 becomes #rrggbbaa
+export function figmaColorToHex({ r, g, b, a = 1 }, opacity = 1) {
+  const alpha = a * opacity;
+  return `#${toHex(r)}${toHex(g)}${toHex(b)}${alpha < 1 ? toHex(alpha) : ''}`;
+}
+
+const rgba = ({ r, g, b, a = 1 }) =>
+  `rgba(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)}, ${round(a)})`;
+
+export function effectsToBoxShadow(effects = []) {
+  return effects
+    .filter(e => e.visible !== false && (e.type === 'DROP_SHADOW' || e.type === 'INNER_SHADOW'))
+    .map(e => {
+      const inset = e.type === 'INNER_SHADOW' ? 'inset ' : '';
+      return `${inset}${round(e.offset?.x || 0)}px ${round(e.offset?.y || 0)}px ${round(e.radius || 0)}px ${round(e.spread || 0)}px ${rgba(e.color)}`;
+    })
+    .join(', ');
+}
+
+const typographyFrom = (style) => ({
+  fontFamily: style.fontFamily,
+  fontSize: style.fontSize,
+  fontWeight: style.fontWeight,
+  lineHeight: style.lineHeightPx ? round(style.lineHeightPx) : null,
+  letterSpacing: round(style.letterSpacing || 0)
+});
+
+const SPACING_NAME = /spac|gap|padding|margin|gutter/i;
+const RADIUS_NAME = /radius|corner|round/i;
+
+// Resolves a variable's default-mode value, following aliases
+function variableValue(variable, meta, seen = new Set()) {
+  if (!variable || seen.has(variable.id)) return undefined;
+  seen.add(variable.id);
+  const collection = meta.variableCollections?.[variable.variableCollectionId];
+  const modeId = collection?.defaultModeId ?? Object.keys(variable.valuesByMode || {})[0];
+  const value = variable.valuesByMode?.[modeId];
+  if (value?.type === 'VARIABLE_ALIAS') {
+    return variableValue(meta.variables?.[value.id], meta, seen);
+  }
+  return value;
+}
+
+// file: Figma file JSON; variables: /variables/local response (optional)
+export function extractTokens(file, variables = null) {
+  const tokens = { colors: {}, typography: {}, spacing: {}, radii: {}, shadows: {} };
+  const styles = file.styles || {};
+  const observedSpacing = new Set();
+  const observedRadii = new Set();
+
+  const walk = (node) => {
+    for (const [kind, styleId] of Object.entries(node.styles || {})) {
+      const name = styles[styleId]?.name;
+      if (!name) continue;
+
+      if ((kind === 'fill' || kind === 'fills') && !(name in tokens.colors)) {
+        const fill = (node.fills || []).find(f => f.type === 'SOLID' && f.visible !== false);
+        if (fill) tokens.colors[name] = figmaColorToHex(fill.color, fill.opacity ?? 1);
+      } else if (kind === 'text' && node.style && !(name in tokens.typography)) {
+        tokens.typography[name] = typographyFrom(node.style);
+      } else if (kind === 'effect' && !(name in tokens.shadows)) {
+        const shadow = effectsToBoxShadow(node.effects);
+        if (shadow) tokens.shadows[name] = shadow;
+      }
+    }
+
+    if (node.layoutMode && node.layoutMode !== 'NONE') {
+      for (const key of ['itemSpacing', 'paddingLeft', 'paddingRight', 'paddingTop', 'paddingBottom']) {
+        if (node[key] > 0) observedSpacing.add(round(node[key]));
+      }
+    }
+    if (node.cornerRadius > 0) observedRadii.add(round(node.cornerRadius));
+
+    (node.children || []).forEach(walk);
+  };
+  walk(file.document);
+
+  const meta = variables?.meta;
+  for (const variable of Object.values(meta?.variables || {})) {
+    const value = variableValue(variable, meta);
+    if (value === undefined) continue;
+    if (variable.resolvedType === 'COLOR' && !(variable.name in tokens.colors)) {
+      tokens.colors[variable.name] = figmaColorToHex(value);
+    } else if (variable.resolvedType === 'FLOAT' && RADIUS_NAME.test(variable.name)) {
+      tokens.radii[variable.name] = round(value);
+    } else if (variable.resolvedType === 'FLOAT' && SPACING_NAME.test(variable.name)) {
+      tokens.spacing[variable.name] = round(value);
+    }
+  }
+
+  // Without spacing/radius variables, fall back to the values the design actually uses
+  if (!Object.keys(tokens.spacing).length) {
+    [...observedSpacing].sort((a, b) => a - b).forEach(v => { tokens.spacing[`auto-layout/${v}`] = v; });
+  }
+  if (!Object.keys(tokens.radii).length) {
+    [...observedRadii].sort((a, b) => a - b).forEach(v => { tokens.radii[`corner/${v}`] = v; });
+  }
+
+  return tokens;
+}
+
+export async function writeTokenFile(filePath, tokens, source) {
+  await fs.writeFile(filePath, JSON.stringify({ source, ...tokens }, null, 2) + '\n');
+}
+
+export async function loadTokenFile(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw new Error(`Could not read design tokens from ${filePath}: ${err.message}`);
+  }
+}
+
+// CSS properties validateStyles reads for each kind of token reference in a check
+const CHECK_PROPERTIES = {
+  color: [['color', 'colors']],
+  background: [['background-color', 'colors']],
+  radius: [['border-radius', 'radii']],
+  shadow: [['box-shadow', 'shadows']]
+};
+
+// Fields of a typography token behind each font property
+const TYPOGRAPHY_FIELDS = {
+  'font-family': 'fontFamily',
+  'font-size': 'fontSize',
+  'font-weight': 'fontWeight',
+  'line-height': 'lineHeight',
+  'letter-spacing': 'letterSpacing'
+};
+
+const isColorProperty = (property) => /(^|-)color$/.test(property) || property === 'fill' || property === 'stroke';
+
+// Token group a property in a check's `properties` map is looked up in
+export function tokenGroupFor(property) {
+  if (isColorProperty(property)) return 'colors';
+  if (property in TYPOGRAPHY_FIELDS) return 'typography';
+  if (/radius/.test(property)) return 'radii';
+  if (property === 'box-shadow') return 'shadows';
+  return 'spacing';
+}
+
+// Turns a config check into [{ property, token, expected, tolerance }] using the
+// token file. A check names tokens by kind ({ color: 'Brand/Primary', typography:
+// 'Body/Regular', ... }) and/or per property:
+//   properties: { 'padding-top': 'Space/M', 'outline-color': { token: 'Accent' },
+//                 'border-top-width': { value: '1px', tolerance: 0 } }
+// Unknown token names come back in `missing` so they can be reported instead of
+// silently passing.
+export function expectedStylesFor(check, tokens) {
+  const expected = [];
+  const missing = [];
+  const tolerance = check.tolerance ?? 0.5;
+
+  for (const [key, properties] of Object.entries(CHECK_PROPERTIES)) {
+    if (!check[key]) continue;
+    for (const [property, group] of properties) {
+      const value = tokens[group]?.[check[key]];
+      if (value === undefined) missing.push(`${group}.${check[key]}`);
+      else expected.push({ property, token: check[key], expected: value, tolerance });
+    }
+  }
+
+  if (check.typography) {
+    const type = tokens.typography?.[check.typography];
+    if (!type) {
+      missing.push(`typography.${check.typography}`);
+    } else {
+      expected.push({ property: 'font-family', token: check.typography, expected: type.fontFamily, tolerance });
+      expected.push({ property: 'font-size', token: check.typography, expected: type.fontSize, tolerance });
+      expected.push({ property: 'font-weight', token: check.typography, expected: type.fontWeight, tolerance });
+      if (type.lineHeight) expected.push({ property: 'line-height', token: check.typography, expected: type.lineHeight, tolerance });
+    }
+  }
+
+  for (const [property, rule] of Object.entries(check.properties || {})) {
+    const { token, value, tolerance: own } = typeof rule === 'string' ? { token: rule } : rule;
+    const entry = { property, token: token || null, tolerance: own ?? tolerance };
+    if (!token) {
+      expected.push({ ...entry, expected: value });
+      continue;
+    }
+
+    const group = tokenGroupFor(property);
+    const found = group === 'typography'
+      ? tokens.typography?.[token]?.[TYPOGRAPHY_FIELDS[property]]
+      : tokens[group]?.[token];
+    if (found === undefined || found === null) missing.push(`${group}.${token}`);
+    else expected.push({ ...entry, expected: found });
+  }
+
+  return { expected, missing };
+}
+
+const parseCssColor = (value) => {
+  if (value.trim() === 'transparent') return [0, 0, 0, 0];
+  const short = value.trim().match(/^#([0-9a-f]{3})$/i);
+  if (short) value = `#${short[1].replace(/./g, c => c + c)}`;
+  const hex = value.trim().match(/^#([0-9a-f]{6})([0-9a-f]{2})?$/i);
+  if (hex) {
+    const n = parseInt(hex[1], 16);
+    return [(n >> 16) & 255, (n >> 8) & 255, n & 255, hex[2] ? round(parseInt(hex[2], 16) / 255) : 1];
+  }
+  const fn = value.match(/rgba?\(([^)]+)\)/i);
+  if (!fn) return null;
+  const [r, g, b, a = 1] = fn[1].split(/[,\s/]+/).filter(Boolean).map(Number);
+  return [r, g, b, round(a)];
+};
+
+const colorsEqual = (a, b) => a && b && a.every((v, i) => Math.abs(v - b[i]) <= (i === 3 ? 0.02 : 1));
+
+// Shadows compare as lists of numbers plus colors, so "0px 2px ... rgba(...)" and
+// Chrome's "rgba(...) 0px 2px ..." are equal
+const shadowParts = (value) => String(value).split(/,(?![^(]*\))/).map(part => ({
+  numbers: (part.replace(/rgba?\([^)]*\)|#[0-9a-f]+/gi, '').match(/-?[\d.]+/g) || []).map(Number),
+  color: parseCssColor(part.match(/rgba?\([^)]*\)|#[0-9a-f]{6,8}/i)?.[0] || ''),
+  inset: /inset/.test(part)
+}));
+
+const FONT_WEIGHTS = { normal: 400, bold: 700 };
+
+// A length in px: numbers are px, rem and em are taken as 16px (computed values
+// are always px). Returns null for anything that is not a single length.
+const toPx = (value) => {
+  if (typeof value === 'number') return value;
+  const match = String(value).trim().match(/^(-?[\d.]+)(px|rem|em)?$/);
+  if (!match) return null;
+  return Number(match[1]) * (match[2] === 'rem' || match[2] === 'em' ? 16 : 1);
+};
+
+// Compares one computed value against a token or literal value. Lengths may
+// differ by `tolerance` px; shorthands like "8px 8px" must match on every part.
+export function styleMatches(property, expected, actual, { tolerance = 0.5 } = {}) {
+  actual = String(actual ?? '').trim();
+
+  if (isColorProperty(property)) {
+    return colorsEqual(parseCssColor(String(expected)), parseCssColor(actual));
+  }
+
+  switch (property) {
+    case 'font-family': {
+      const first = actual.split(',')[0].replace(/['"]/g, '').trim().toLowerCase();
+      return first === String(expected).replace(/['"]/g, '').toLowerCase();
+    }
+    case 'font-weight':
+      return Number(FONT_WEIGHTS[actual] ?? actual) === Number(FONT_WEIGHTS[expected] ?? expected);
+    case 'letter-spacing':
+      return Math.abs((actual === 'normal' ? 0 : parseFloat(actual)) - toPx(expected)) <= tolerance;
+    case 'box-shadow': {
+      if (actual === 'none') return !expected || expected === 'none';
+      const want = shadowParts(expected);
+      const got = shadowParts(actual);
+      return want.length === got.length && want.every((w, i) =>
+        w.inset === got[i].inset &&
+        w.numbers.length === got[i].numbers.length &&
+        w.numbers.every((n, j) => Math.abs(n - got[i].numbers[j]) <= tolerance) &&
+        colorsEqual(w.color, got[i].color));
+    }
+  }
+
+  const want = toPx(expected);
+  if (want !== null) {
+    const parts = actual.split(/\s+/).map(toPx);
+    return parts.length > 0 && parts.every(part => part !== null && Math.abs(part - want) <= tolerance);
+  }
+  return actual.toLowerCase() === String(expected).trim().toLowerCase();
+}
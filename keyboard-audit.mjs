@@ -0,0 +1,265 @@
+// keyboard-audit.mjs
+// Keyboard navigation audit. Tabs through the page from the top and records every
+// element that receives focus, then checks the walk: focusable elements Tab never
+// reaches, focus indicators that change nothing on screen (screenshot of the
+// element with and without focus), focus traps, and jumps that go against the
+// visual reading order. The focus path is drawn over a full-page screenshot.
+import fs from 'fs/promises';
+import pixelmatch from 'pixelmatch';
+import { PNG } from 'pngjs';
+import { installSelectorFor } from './dom-selector.mjs';
+
+export const KEYBOARD_DEFAULTS = { maxTabs: 150, minIndicatorPixels: 20, orderTolerance: 8 };
+
+// How a walk ends: wrapped back to the first stop or left the page (both normal),
+// came back to an earlier stop that is not the first (trap), or hit maxTabs.
+// sequence holds the key of each stop in order, null when focus left the page.
+// Returns null or { elements: [keys in the trap], stuck: focus did not move at all }
+export function findFocusTrap(sequence) {
+  const last = sequence.length - 1;
+  if (last < 1 || sequence[last] === null) return null;
+  if (sequence[last] === sequence[last - 1]) return { elements: [sequence[last]], stuck: true };
+  const first = sequence.indexOf(sequence[last]);
+  if (first === last || first === 0) return null;
+  return { elements: sequence.slice(first, last), stuck: false };
+}
+
+const overlaps = (a, b, tolerance) => a.y < b.y + b.height - tolerance && b.y < a.y + a.height - tolerance;
+
+// Consecutive stops where focus moves against the reading order: back up the page
+// (unless into a column to the right) or back left along the same row. Stops in
+// fixed or sticky layers move with the viewport and are not compared.
+// stops: [{ selector, box: { x, y, width, height }, fixed }]
+export function focusOrderViolations(stops, { orderTolerance = KEYBOARD_DEFAULTS.orderTolerance } = {}) {
+  const violations = [];
+  for (let i = 1; i < stops.length; i++) {
+    const from = stops[i - 1];
+    const to = stops[i];
+    if (from.fixed || to.fixed || !from.box || !to.box) continue;
+
+    let direction = null;
+    if (overlaps(from.box, to.box, orderTolerance)) {
+      if (to.box.x + to.box.width <= from.box.x + orderTolerance) direction = 'left';
+    } else if (to.box.y + to.box.height <= from.box.y + orderTolerance && to.box.x < from.box.x + from.box.width - orderTolerance) {
+      direction = 'up';
+    }
+    if (direction) violations.push({ index: i, from: from.selector, to: to.selector, direction, distance: Math.round(direction === 'up' ? from.box.y - to.box.y : from.box.x - to.box.x) });
+  }
+  return violations;
+}
+
+// Pixels that change between a screenshot of an element with focus and without
+export function focusIndicatorChange(focused, unfocused) {
+  if (focused.width !== unfocused.width || focused.height !== unfocused.height) return focused.width * focused.height;
+  return pixelmatch(focused.data, unfocused.data, null, focused.width, focused.height, { threshold: 0.1 });
+}
+
+// Focusable elements whose key never came up in the walk
+export function unreachableElements(focusable, visited) {
+  const seen = new Set(visited);
+  return focusable.filter(f => !seen.has(f.key));
+}
+
+// Elements a keyboard user should be able to reach: natively focusable or
+// tabindex >= 0, rendered, enabled and not inert. Each is tagged with
+// data-qa-focus so stops in the walk can be matched back to it.
+export async function collectFocusable(page) {
+  await installSelectorFor(page);
+  return page.evaluate(() => {
+    const selectorFor = window.__qaSelectorFor;
+    const FOCUSABLE = 'a[href], area[href], button, input:not([type="hidden"]), select, textarea, iframe, summary, ' +
+      'audio[controls], video[controls], [tabindex], [contenteditable]:not([contenteditable="false"])';
+
+    const results = [];
+    document.querySelectorAll('[data-qa-focus]').forEach(el => el.removeAttribute('data-qa-focus'));
+    for (const el of document.querySelectorAll(FOCUSABLE)) {
+      if (el.tabIndex < 0 || el.disabled || el.closest('[inert]')) continue;
+      if (el.tagName === 'SUMMARY' && el.parentElement?.tagName !== 'DETAILS') continue;
+      if (el.checkVisibility && !el.checkVisibility({ visibilityProperty: true })) continue;
+      const rect = el.getBoundingClientRect();
+      if (!rect.width && !rect.height) continue;
+      // Only the checked radio of a group, or the first when none is, is in the tab order
+      if (el.type === 'radio' && el.name && !el.checked) {
+        const group = [...document.querySelectorAll(`input[type="radio"][name="${CSS.escape(el.name)}"]`)].filter(r => r.form === el.form);
+        if (group.some(r => r.checked) || group[0] !== el) continue;
+      }
+
+      const key = String(results.length);
+      el.setAttribute('data-qa-focus', key);
+      results.push({
+        key,
+        selector: selectorFor(el),
+        name: (el.getAttribute('aria-label') || el.textContent || el.value || el.getAttribute('placeholder') || '').replace(/\s+/g, ' ').trim().slice(0, 60),
+        box: { x: rect.left + scrollX, y: rect.top + scrollY, width: rect.width, height: rect.height }
+      });
+    }
+    return results;
+  });
+}
+
+// The focused element (through open shadow roots), or null when focus is on the
+// document itself
+async function focusedElement(page) {
+  const handle = await page.evaluateHandle(() => {
+    let el = document.activeElement;
+    while (el?.shadowRoot?.activeElement) el = el.shadowRoot.activeElement;
+    return el === document.body || el === document.documentElement ? null : el;
+  });
+  const element = handle.asElement();
+  if (!element) {
+    await handle.dispose();
+    return null;
+  }
+
+  const info = await element.evaluate((el) => {
+    let fixed = false;
+    for (let node = el; node && node !== document.body && !fixed; node = node.parentElement) {
+      fixed = ['fixed', 'sticky'].includes(getComputedStyle(node).position);
+    }
+    const rect = el.getBoundingClientRect();
+    return {
+      selector: window.__qaSelectorFor(el),
+      key: el.getAttribute('data-qa-focus'),
+      name: (el.getAttribute('aria-label') || el.textContent || el.value || el.getAttribute('placeholder') || '').replace(/\s+/g, ' ').trim().slice(0, 60),
+      fixed,
+      viewportBox: { x: rect.left, y: rect.top, width: rect.width, height: rect.height },
+      box: { x: rect.left + scrollX, y: rect.top + scrollY, width: rect.width, height: rect.height }
+    };
+  });
+  return { element, ...info, key: info.key ?? info.selector };
+}
+
+// Screenshots the focused element's surroundings with and without focus. Focus is
+// given back with focus() so the next Tab continues from the same element.
+async function measureIndicator(page, stop) {
+  const viewport = page.viewportSize();
+  const pad = 6;
+  const x = Math.max(0, Math.floor(stop.viewportBox.x - pad));
+  const y = Math.max(0, Math.floor(stop.viewportBox.y - pad));
+  const clip = {
+    x,
+    y,
+    width: Math.min(viewport.width, Math.ceil(stop.viewportBox.x + stop.viewportBox.width + pad)) - x,
+    height: Math.min(viewport.height, Math.ceil(stop.viewportBox.y + stop.viewportBox.height + pad)) - y
+  };
+  if (clip.width <= 0 || clip.height <= 0) return null;
+
+  const shot = async () => PNG.sync.read(await page.screenshot({ clip, animations: 'disabled', caret: 'hide' }));
+  const focused = await shot();
+  await stop.element.evaluate(el => el.blur());
+  const unfocused = await shot();
+  await stop.element.evaluate(el => el.focus({ preventScroll: true }));
+  return focusIndicatorChange(focused, unfocused);
+}
+
+// Draws the focus path over a full-page screenshot: numbered stops joined by a
+// line, stops without a visible indicator outlined in red and unreachable elements
+// dashed in magenta
+async function drawFocusPath(page, { stops, unreachable }, overlayPath) {
+  await page.evaluate(({ stops, unreachable }) => {
+    const ns = 'http://www.w3.org/2000/svg';
+    const width = document.documentElement.scrollWidth;
+    const height = document.documentElement.scrollHeight;
+    const svg = document.createElementNS(ns, 'svg');
+    svg.id = 'qa-focus-path';
+    svg.setAttribute('width', width);
+    svg.setAttribute('height', height);
+    svg.setAttribute('style', 'position:absolute;top:0;left:0;z-index:2147483647;pointer-events:none;overflow:visible');
+    const add = (tag, attrs, text) => {
+      const node = document.createElementNS(ns, tag);
+      for (const [k, v] of Object.entries(attrs)) node.setAttribute(k, v);
+      if (text !== undefined) node.textContent = text;
+      svg.appendChild(node);
+    };
+    const center = (b) => [b.x + b.width / 2, b.y + b.height / 2];
+
+    for (const u of unreachable) {
+      add('rect', { x: u.box.x, y: u.box.y, width: u.box.width, height: u.box.height, fill: 'none', stroke: '#d000d0', 'stroke-width': 3, 'stroke-dasharray': '6 4' });
+    }
+    add('polyline', { points: stops.map(s => center(s.box).join(',')).join(' '), fill: 'none', stroke: '#ff4d00', 'stroke-width': 2, 'stroke-opacity': 0.8 });
+    stops.forEach((s, i) => {
+      const [cx, cy] = center(s.box);
+      add('rect', { x: s.box.x, y: s.box.y, width: s.box.width, height: s.box.height, fill: 'none', stroke: s.indicator === false ? '#e00000' : '#1a4a47', 'stroke-width': 2 });
+      add('circle', { cx, cy, r: 11, fill: s.indicator === false ? '#e00000' : '#1a4a47' });
+      add('text', { x: cx, y: cy + 4, fill: '#ffffff', 'font-size': 11, 'font-family': 'sans-serif', 'font-weight': 'bold', 'text-anchor': 'middle' }, String(i + 1));
+    });
+    document.body.appendChild(svg);
+  }, { stops: stops.map(s => ({ box: s.box, indicator: s.indicator })), unreachable });
+
+  try {
+    await fs.writeFile(overlayPath, await page.screenshot({ fullPage: true, animations: 'disabled' }));
+  } finally {
+    await page.evaluate(() => document.getElementById('qa-focus-path')?.remove());
+  }
+}
+
+// Tabs through the page and audits the walk:
+// { stops: [{ key, selector, name, box, fixed, indicator, changedPixels }], end, trap,
+//   unreachable, invisible, order, overlay }
+// end: 'wrapped' | 'left-page' | 'trap' | 'limit'
+export async function auditKeyboard(page, options = {}) {
+  const { maxTabs, minIndicatorPixels, orderTolerance } = { ...KEYBOARD_DEFAULTS, ...options };
+  const focusable = await collectFocusable(page);
+
+  // Start the walk from the top of the document
+  await page.evaluate(() => {
+    document.activeElement?.blur?.();
+    document.body.setAttribute('tabindex', '-1');
+    document.body.focus({ preventScroll: true });
+    document.body.removeAttribute('tabindex');
+    scrollTo(0, 0);
+  });
+
+  const stops = [];
+  const sequence = [];
+  let end = 'limit';
+  try {
+    for (let i = 0; i < maxTabs; i++) {
+      await page.keyboard.press('Tab');
+      const stop = await focusedElement(page);
+      sequence.push(stop ? stop.key : null);
+      if (!stop) {
+        end = 'left-page';
+        break;
+      }
+      if (sequence.indexOf(stop.key) !== sequence.length - 1) {
+        end = findFocusTrap(sequence) ? 'trap' : 'wrapped';
+        await stop.element.dispose();
+        break;
+      }
+
+      const changedPixels = await measureIndicator(page, stop);
+      await stop.element.dispose();
+      stops.push({
+        key: stop.key,
+        selector: stop.selector,
+        name: stop.name,
+        box: stop.box,
+        fixed: stop.fixed,
+        changedPixels,
+        indicator: changedPixels === null ? null : changedPixels >= minIndicatorPixels
+      });
+    }
+  } finally {
+    await page.evaluate(() => document.querySelectorAll('[data-qa-focus]').forEach(el => el.removeAttribute('data-qa-focus')));
+  }
+
+  const trap = findFocusTrap(sequence);
+  const bySelector = new Map(stops.map(s => [s.key, s.selector]));
+  const result = {
+    stops,
+    end,
+    trap: trap && { ...trap, elements: trap.elements.map(key => bySelector.get(key) || key) },
+    // A trap or the tab limit cuts the walk short, so anything after it is unreached
+    unreachable: unreachableElements(focusable, sequence),
+    invisible: stops.filter(s => s.indicator === false),
+    order: focusOrderViolations(stops, { orderTolerance }),
+    overlay: null
+  };
+
+  if (options.overlayPath) {
+    await drawFocusPath(page, result, options.overlayPath);
+    result.overlay = options.overlayPath;
+  }
+  return result;
+}
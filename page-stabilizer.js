@@ -0,0 +1,127 @@
+// page-stabilizer.js
+// Brings a page to a still state before screenshots: freezes animations,
+// transitions and the caret, pauses videos, waits for web fonts, scrolls
+// through the page so lazy content loads, then waits for layout to settle.
+const STABILIZE_DEFAULTS = {
+  scrollForLazyContent: true,
+  scrollDelay: 100,       // ms to wait at each scroll step
+  lazyLoadTimeout: 10000, // ms to wait for fonts and lazy images
+  quietPeriod: 500,       // ms the layout must stay unchanged
+  settleTimeout: 5000     // ms before giving up on a still layout
+};
+
+const FREEZE_CSS = `
+*, *::before, *::after {
+  animation-duration: 0s !important;
+  animation-delay: 0s !important;
+  animation-iteration-count: 1 !important;
+  transition-duration: 0s !important;
+  transition-delay: 0s !important;
+  scroll-behavior: auto !important;
+  caret-color: transparent !important;
+}`;
+
+// Runs after every navigation or viewport change; injected styles do not
+// survive a page load. Returns what it found so callers can log or report it.
+async function stabilizePage(page, options = {}) {
+  const settings = { ...STABILIZE_DEFAULTS, ...options };
+  if (settings.enabled === false) return null;
+
+  const started = Date.now();
+  await page.addStyleTag({ content: FREEZE_CSS });
+
+  const result = await page.evaluate(async (settings) => {
+    const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+    const withTimeout = (promise, ms) => Promise.race([promise, sleep(ms)]);
+
+    // Finite animations jump to their end state, infinite ones are stopped
+    let animations = 0;
+    for (const animation of document.getAnimations()) {
+      try {
+        if (animation.effect?.getTiming().iterations === Infinity) animation.cancel();
+        else animation.finish();
+        animations++;
+      } catch (err) {
+        animation.cancel();
+      }
+    }
+
+    const videos = Array.from(document.querySelectorAll('video'));
+    for (const video of videos) {
+      video.removeAttribute('autoplay');
+      video.pause();
+      try {
+        video.currentTime = 0;
+      } catch (err) {
+        // Not seekable yet; the paused frame is good enough
+      }
+    }
+
+    await withTimeout(document.fonts.ready, settings.lazyLoadTimeout);
+
+    if (settings.scrollForLazyContent) {
+      document.querySelectorAll('img[loading="lazy"]').forEach(img => { img.loading = 'eager'; });
+      // scrollHeight can grow while lazy sections load, so cap the number of steps
+      for (let y = 0, step = 0; y < document.documentElement.scrollHeight && step < 50; y += window.innerHeight, step++) {
+        window.scrollTo(0, y);
+        await sleep(settings.scrollDelay);
+      }
+      window.scrollTo(0, 0);
+    }
+
+    const pending = Array.from(document.images).filter(img => !img.complete);
+    await withTimeout(Promise.all(pending.map(img => new Promise(resolve => {
+      img.addEventListener('load', resolve, { once: true });
+      img.addEventListener('error', resolve, { once: true });
+    }))), settings.lazyLoadTimeout);
+    await withTimeout(document.fonts.ready, settings.lazyLoadTimeout);
+
+    // Layout is still when the page height and element boxes stop changing
+    const signature = () => {
+      const elements = document.querySelectorAll('body *');
+      let sum = 0;
+      for (let i = 0; i < elements.length && i < 1000; i++) {
+        const rect = elements[i].getBoundingClientRect();
+        sum += rect.top * 3 + rect.left * 2 + rect.height + rect.width;
+      }
+      return `${document.documentElement.scrollHeight}:${Math.round(sum)}`;
+    };
+
+    let last = signature();
+    let stableSince = performance.now();
+    const deadline = stableSince + settings.settleTimeout;
+    let settled = false;
+    while (performance.now() < deadline) {
+      await sleep(100);
+      const next = signature();
+      if (next !== last) {
+        last = next;
+        stableSince = performance.now();
+      } else if (performance.now() - stableSince >= settings.quietPeriod) {
+        settled = true;
+        break;
+      }
+    }
+
+    return {
+      settled,
+      animations,
+      videos: videos.length,
+      imagesStillLoading: Array.from(document.images).filter(img => !img.complete).length
+    };
+  }, settings);
+
+  const waited = Date.now() - started;
+  if (result.settled) {
+    console.log(`🧊 Page stabilized in ${waited}ms (${result.animations} animations, ${result.videos} videos frozen)`);
+  } else {
+    console.log(`⚠️ Layout still shifting after ${waited}ms — capturing anyway`);
+  }
+  if (result.imagesStillLoading) {
+    console.log(`⚠️ ${result.imagesStillLoading} images still loading`);
+  }
+
+  return result;
+}
+
+module.exports = { STABILIZE_DEFAULTS, stabilizePage };
@@ -0,0 +1,168 @@
+// palette-audit.mjs
+// Site-wide color audit: every computed text, background, border and SVG
+// fill/stroke color on a page, compared with the brand palette (expectedColors
+// plus Figma color tokens) by CIE76 ΔE. Colors within palette.matchDeltaE are
+// the palette color, within palette.nearDeltaE a near-duplicate of it; anything
+// further is off-palette. Off-palette colors that are near-duplicates of each
+// other are reported as one group with the elements that use them.
+import { installSelectorFor } from './dom-selector.mjs';
+
+export const PALETTE_DEFAULTS = { matchDeltaE: 1, nearDeltaE: 5, ignore: [] };
+
+export function parseColor(value) {
+  const hex = String(value).trim().match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].replace(/./g, c => c + c) : hex[1];
+    const n = parseInt(digits, 16);
+    return { r: (n >> 16) & 255, g: (n >> 8) & 255, b: n & 255, a: 1 };
+  }
+  const fn = String(value).match(/rgba?\(([^)]+)\)/i);
+  if (!fn) return null;
+  const [r, g, b, a = 1] = fn[1].split(/[,\s/]+/).filter(Boolean).map(Number);
+  return { r, g, b, a };
+}
+
+export const toHex = ({ r, g, b }) => `#${[r, g, b].map(v => Math.round(v).toString(16).padStart(2, '0')).join('')}`;
+
+// sRGB → CIE L*a*b* (D65)
+function toLab({ r, g, b }) {
+  const linear = (v) => {
+    const c = v / 255;
+    return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  };
+  const [R, G, B] = [linear(r), linear(g), linear(b)];
+  const xyz = [
+    (R * 0.4124 + G * 0.3576 + B * 0.1805) / 0.95047,
+    (R * 0.2126 + G * 0.7152 + B * 0.0722) / 1.0,
+    (R * 0.0193 + G * 0.1192 + B * 0.9505) / 1.08883
+  ].map(t => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116));
+  return [116 * xyz[1] - 16, 500 * (xyz[0] - xyz[1]), 200 * (xyz[1] - xyz[2])];
+}
+
+export function deltaE(a, b) {
+  const [l1, a1, b1] = toLab(a);
+  const [l2, a2, b2] = toLab(b);
+  return Math.sqrt((l1 - l2) ** 2 + (a1 - a2) ** 2 + (b1 - b2) ** 2);
+}
+
+// Palette entries [{ name, hex }] from config.expectedColors and the token file
+export function brandPalette(expectedColors = [], tokens = null) {
+  const palette = expectedColors.map(hex => ({ name: hex, hex: hex.toLowerCase() }));
+  for (const [name, value] of Object.entries(tokens?.colors || {})) {
+    // #rrggbbaa tokens are compared on their color, like computed rgba() values
+    palette.push({ name, hex: value.slice(0, 7).toLowerCase() });
+  }
+  return palette;
+}
+
+// Every color the page computes: [{ color: 'rgb(...)', properties, count, elements }]
+export async function collectPageColors(page, { maxElements = 5 } = {}) {
+  await installSelectorFor(page);
+  return page.evaluate((maxElements) => {
+    const selectorFor = window.__qaSelectorFor;
+
+    const colors = new Map();
+    const record = (value, property, el) => {
+      if (!value || value === 'none' || /rgba\([^)]*,\s*0\)$/.test(value) || value === 'transparent') return;
+      if (!value.startsWith('rgb')) return; // url(#gradient), currentcolor already resolved
+      if (!colors.has(value)) colors.set(value, { color: value, properties: new Set(), count: 0, elements: [] });
+      const entry = colors.get(value);
+      entry.properties.add(property);
+      entry.count++;
+      if (entry.elements.length < maxElements) entry.elements.push(selectorFor(el));
+    };
+
+    for (const el of document.querySelectorAll('body, body *')) {
+      const style = getComputedStyle(el);
+      if (style.display === 'none' || style.visibility === 'hidden') continue;
+
+      const ownText = [...el.childNodes].some(n => n.nodeType === Node.TEXT_NODE && n.textContent.trim());
+      if (ownText) record(style.color, 'color', el);
+      record(style.backgroundColor, 'background-color', el);
+      for (const side of ['Top', 'Right', 'Bottom', 'Left']) {
+        if (parseFloat(style[`border${side}Width`]) > 0 && style[`border${side}Style`] !== 'none') {
+          record(style[`border${side}Color`], 'border-color', el);
+        }
+      }
+      if (el instanceof SVGElement && !(el instanceof SVGSVGElement)) {
+        record(style.fill, 'fill', el);
+        record(style.stroke, 'stroke', el);
+      }
+    }
+
+    return [...colors.values()].map(c => ({ ...c, properties: [...c.properties] }));
+  }, maxElements);
+}
+
+// Classifies collected colors against the palette and groups off-palette
+// near-duplicates. Entries may carry the pages they were seen on (site-wide runs).
+// Returns { colors, nearPalette, offPalette: [{ hex, colors, count, properties, elements, pages, nearest }] }.
+export function auditPalette(collected, palette, options = {}) {
+  const { matchDeltaE, nearDeltaE, ignore } = { ...PALETTE_DEFAULTS, ...options };
+  const ignored = new Set(ignore.map(hex => hex.toLowerCase()));
+
+  const colors = collected
+    .map(entry => {
+      const rgb = parseColor(entry.color);
+      const hex = toHex(rgb);
+      let nearest = null;
+      for (const p of palette) {
+        const distance = deltaE(rgb, parseColor(p.hex));
+        if (!nearest || distance < nearest.deltaE) nearest = { name: p.name, hex: p.hex, deltaE: Number(distance.toFixed(2)) };
+      }
+      const status = ignored.has(hex) || (nearest && nearest.deltaE <= matchDeltaE)
+        ? 'palette'
+        : nearest && nearest.deltaE <= nearDeltaE ? 'near' : 'off';
+      return { hex, alpha: rgb.a, ...entry, rgb, nearest, status };
+    })
+    .sort((a, b) => b.count - a.count);
+
+  // Most used off-palette color first, then everything close to it joins its group
+  const groups = [];
+  for (const color of colors.filter(c => c.status === 'off')) {
+    const group = groups.find(g => deltaE(g.colors[0].rgb, color.rgb) <= nearDeltaE);
+    if (group) group.colors.push(color);
+    else groups.push({ colors: [color] });
+  }
+
+  const strip = ({ rgb, ...color }) => color;
+  return {
+    colors: colors.map(strip),
+    nearPalette: colors.filter(c => c.status === 'near').map(strip),
+    offPalette: groups.map(g => ({
+      hex: g.colors[0].hex,
+      colors: g.colors.map(c => c.hex),
+      count: g.colors.reduce((sum, c) => sum + c.count, 0),
+      properties: [...new Set(g.colors.flatMap(c => c.properties))],
+      elements: [...new Set(g.colors.flatMap(c => c.elements))].slice(0, 10),
+      pages: [...new Set(g.colors.flatMap(c => c.pages || []))],
+      nearest: g.colors[0].nearest
+    }))
+  };
+}
+
+// Issues for an auditPalette() result: one per near-brand color and one per
+// off-palette group, with the elements that use them
+export function paletteIssues({ nearPalette, offPalette }) {
+  return [
+    ...nearPalette.map(c => ({
+      type: 'near_palette_color',
+      section: 'palette',
+      color: c.hex,
+      nearest: c.nearest,
+      elements: c.elements,
+      message: `${c.hex} (${c.properties.join(', ')}, ${c.count} uses) is ΔE ${c.nearest.deltaE} from ${c.nearest.name} ${c.nearest.hex} — use the brand color`
+    })),
+    ...offPalette.map(group => {
+      const variants = group.colors.length > 1 ? ` and ${group.colors.length - 1} near-duplicates (${group.colors.slice(1).join(', ')})` : '';
+      return {
+        type: 'off_palette_color',
+        section: 'palette',
+        color: group.hex,
+        colors: group.colors,
+        elements: group.elements,
+        message: `${group.hex}${variants} is not in the brand palette (${group.properties.join(', ')}, ${group.count} uses)`
+      };
+    })
+  ];
+}
@@ -1,7 +1,13 @@
+const path = require('path');
 const { defineConfig } = require('@playwright/test');
+const { loadConfig } = require('./config-loader');
+
+// Pick the target profile with QA_ENV, e.g. `QA_ENV=production npm test`
+const qaConfig = loadConfig();
 
 module.exports = defineConfig({
   testDir: './tests',
+  outputDir: path.join('test-results', qaConfig.environment),
   timeout: 30000,
   expect: {
     timeout: 5000
@@ -11,12 +17,12 @@ module.exports = defineConfig({
   retries: process.env.CI ? 2 : 0,
   workers: process.env.CI ? 1 : undefined,
   reporter: [
-    ['html', { outputFolder: 'reports/html' }],
-    ['json', { outputFile: 'reports/results.json' }],
+    ['html', { outputFolder: path.join(qaConfig.reportDir, 'html') }],
+    ['json', { outputFile: path.join(qaConfig.reportDir, 'results.json') }],
     ['list']
   ],
   use: {
-    baseURL: 'https://cross-switch.staging2.liquidpreview2.net/',
+    baseURL: qaConfig.baseUrl,
     trace: 'on-first-retry',
     screenshot: 'only-on-failure',
     video: 'retain-on-failure',
@@ -26,7 +32,7 @@ module.exports = defineConfig({
       name: 'chromium',
       use: { 
         browserName: 'chromium',
-        viewport: { width: 1280, height: 720 }
+        viewport: qaConfig.defaultViewport
       },
     },
   ],
@@ -2,48 +2,58 @@ import { chromium } from 'playwright';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import figma from 'figma-js';
-import pixelmatch from 'pixelmatch';
-import { PNG } from 'pngjs';
 import dotenv from 'dotenv';
+import configLoader from './config-loader.js';
+import BaselineStore from './baseline-store.js';
+import pageStabilizer from './page-stabilizer.js';
+import htmlEscaping from './escape-html.js';
+import {
+  changedRegionIssue,
+  compareScreenshots,
+  evaluateDiff,
+  formatVerdict,
+  locateChangedRegions,
+  maskScopesFor,
+  resolveDiffSettings,
+  resolveMaskRegions
+} from './visual-diff.mjs';
+import { FigmaSnapshot, freshnessWarning } from './figma-snapshot.mjs';
+import { guessSelector } from './figma-mapping.mjs';
+import { discoverPages } from './site-crawler.mjs';
+import { accessibilityIssues, runAccessibilityRules, summarizeFindings } from './accessibility-audit.mjs';
 import PDFDocument from 'pdfkit';
 import fetch from 'node-fetch'; // You'll need to `npm install node-fetch` for this
 
+const { escapeHtml } = htmlEscaping;
+
 dotenv.config();
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 class EnhancedQAAnalyzer {
-  constructor(runPage = null) {
+  constructor(runPage = null, { crawl = false } = {}) {
     this.browser = null;
     this.page = null;
     this.issues = [];
     this.screenshots = [];
+    this.visualDiff = null;
     this.runPage = runPage; // page to run only
+    this.crawl = crawl; // discover pages instead of using config.pages
 
-    this.pagesToTest = [
-      { name: 'home', url: 'https://cross-switch.staging2.liquidpreview2.net/' },
-      { name: 'about', url: 'https://cross-switch.staging2.liquidpreview2.net/about' },
-      { name: 'solutions', url: 'https://cross-switch.staging2.liquidpreview2.net/solutions' },
-    ];
+    this.config = configLoader.loadConfig();
+    this.baselines = new BaselineStore(this.config);
+    this.pagesToTest = configLoader.resolvePages(this.config);
 
-    // Filter if CLI arg specified
-    if (this.runPage) {
+    // Filter if CLI arg specified (crawl mode filters after discovery)
+    if (this.runPage && !this.crawl) {
       this.pagesToTest = this.pagesToTest.filter(p => p.name === this.runPage);
       if (this.pagesToTest.length === 0) {
         console.warn(`⚠️ Warning: Page name "${this.runPage}" not found in pagesToTest`);
       }
     }
 
-    this.defaultSections = {
-      home: ['hero', 'features', 'footer'],
-      about: ['team', 'mission', 'footer'],
-      solutions: ['overview', 'features', 'cta', 'footer'],
-      newsroom: ['latest-news', 'subscribe', 'footer'],
-      article: ['article-content', 'author', 'footer'],
-      contact: ['form', 'location', 'footer']
-    };
+    this.defaultSections = this.config.sections;
 
     // Parse FIGMA_PAGE_NODE_IDS if provided (JSON string in env)
     try {
@@ -56,6 +66,7 @@ class EnhancedQAAnalyzer {
     }
 
     this.figmaDesignSpecs = null;
+    this.figmaFreshness = null;
   }
 
   async initialize() {
@@ -66,50 +77,37 @@ class EnhancedQAAnalyzer {
   }
 
   async createDirectories() {
-    await fs.mkdir('reports', { recursive: true });
-    await fs.mkdir('screenshots', { recursive: true });
+    await fs.mkdir(this.config.reportDir, { recursive: true });
+    await fs.mkdir(this.config.screenshotDir, { recursive: true });
   }
 
+  // Sections come from the local Figma snapshot (npm run figma -- pull)
   async loadFigmaDesignSpecs() {
-    if (!process.env.FIGMA_TOKEN) {
-      console.log('⚠️ No FIGMA_TOKEN found. Using default sections.');
-      return;
-    }
     if (!process.env.FIGMA_FILE_ID) {
       console.log('⚠️ No FIGMA_FILE_ID found. Using default sections.');
       return;
     }
 
-    try {
-      const client = figma.Client({ personalAccessToken: process.env.FIGMA_TOKEN });
-      this.figmaDesignSpecs = {};
+    const snapshot = await FigmaSnapshot.load(this.config, process.env.FIGMA_FILE_ID);
+    if (!snapshot) {
+      console.log('⚠️ No Figma snapshot found — run "npm run figma -- pull". Using default sections.');
+      return;
+    }
 
-      if (this.figmaPageNodeIds) {
-        // Fetch children of each node ID individually
-        for (const [pageName, nodeId] of Object.entries(this.figmaPageNodeIds)) {
-          try {
-            const { data } = await client.fileNodes(process.env.FIGMA_FILE_ID, {ids: nodeId});
-            const node = data.nodes[nodeId]?.document;
-            if (node) {
-              this.figmaDesignSpecs[pageName] = this.parseFigmaSections(node);
-            } else {
-              console.warn(`⚠️ Node ID ${nodeId} not found in Figma file for page ${pageName}`);
-            }
-          } catch (err) {
-            console.warn(`⚠️ Error fetching Figma node ${nodeId}: ${err.message}`);
-          }
-        }
-      } else {
-        // Fetch whole file and parse canvases as pages
-        const { data } = await client.file(process.env.FIGMA_FILE_ID);
-        this.figmaDesignSpecs = this.parseFigmaSections(data.document);
+    if (this.figmaPageNodeIds) {
+      this.figmaDesignSpecs = {};
+      for (const [pageName, node] of Object.entries(snapshot.pageNodes(this.figmaPageNodeIds))) {
+        this.figmaDesignSpecs[pageName] = this.parseFigmaSections(node);
       }
-
-      console.log('✅ Loaded section specs from Figma');
-    } catch (err) {
-      console.log('❌ Failed to load from Figma. Using defaults:', err.message);
-      this.figmaDesignSpecs = null;
+    } else {
+      // Whole file: canvases are pages
+      this.figmaDesignSpecs = this.parseFigmaSections(snapshot.file.document);
     }
+    console.log(`✅ Loaded section specs from Figma snapshot ${snapshot.version}`);
+
+    this.figmaFreshness = await snapshot.checkFreshness();
+    const warning = freshnessWarning(this.figmaFreshness);
+    if (warning) console.log(`⚠️ ${warning}`);
   }
 
   parseFigmaSections(root) {
@@ -124,18 +122,27 @@ class EnhancedQAAnalyzer {
   async run() {
     await this.initialize();
 
-    for (const { name: pageName, url } of this.pagesToTest) {
+    if (this.crawl) {
+      this.pagesToTest = (await discoverPages(this.page, this.config))
+        .filter(p => !this.runPage || p.name === this.runPage || p.template === this.runPage);
+    }
+
+    for (const { name: pageName, url, template = pageName } of this.pagesToTest) {
       this.issues = [];
       this.screenshots = [];
+      this.visualDiff = null;
+      this.accessibility = [];
 
-      const pageDir = path.join('screenshots', pageName);
+      const pageDir = path.join(this.config.screenshotDir, pageName);
       await fs.mkdir(pageDir, { recursive: true });
 
-      console.log(`\n🌐 Visiting: ${pageName} → ${url}`);
+      console.log(`\n🌐 Visiting: ${pageName} → ${url} [${this.config.environment}]`);
       await this.page.goto(url, { waitUntil: 'networkidle' });
+      await pageStabilizer.stabilizePage(this.page, this.config.stabilization);
 
-      await this.takeScreenshotWithDiff(pageName, pageDir);
-      await this.analyzeSections(pageName, pageDir);
+      await this.takeScreenshotWithDiff(pageName, pageDir, { sectionsKey: template });
+      await this.analyzeSections(template, pageDir);
+      await this.checkAccessibility();
       const report = await this.generateReport(pageName, url);
       await this.generatePDFReport(pageName, report);
       await this.uploadReport(pageName, report);
@@ -145,42 +152,96 @@ class EnhancedQAAnalyzer {
     console.log('\n✅ ALL PAGES COMPLETE');
   }
 
-  async takeScreenshotWithDiff(pageName, dir) {
+  async takeScreenshotWithDiff(pageName, dir, { sectionsKey = pageName, viewport = null } = {}) {
+    const key = BaselineStore.keyFor(pageName, viewport);
     const currentPath = `${dir}/current.png`;
-    const baselinePath = `${dir}/baseline.png`;
+    const baselinePath = this.baselines.baselinePath(key);
     const diffPath = `${dir}/diff.png`;
 
     await this.page.screenshot({ fullPage: true, path: currentPath });
     this.screenshots.push({ name: 'full-page', path: currentPath });
 
+    // Blank dynamic content (carousels, dates, banners) in both images before comparing
+    const sections = this.figmaDesignSpecs?.[sectionsKey] || this.defaultSections[sectionsKey] || [];
+    const regions = await resolveMaskRegions(
+      this.page,
+      maskScopesFor(this.config, sectionsKey, sections, section => this.sectionSelector(section))
+    );
+
+    // New screenshots wait for review (npm run baseline) instead of becoming baselines implicitly
+    if (!(await this.baselines.hasBaseline(key))) {
+      await this.baselines.addPending({ key, page: pageName, viewport, status: 'new', currentPath });
+      console.log(`🆕 No baseline for ${key} — queued for review (npm run baseline)`);
+      return;
+    }
+
     try {
-      await fs.access(baselinePath);
-      const img1 = PNG.sync.read(await fs.readFile(currentPath));
-      const img2 = PNG.sync.read(await fs.readFile(baselinePath));
-      const { width, height } = img1;
-      const diff = new PNG({ width, height });
+      const settings = resolveDiffSettings(this.config, { page: pageName, template: sectionsKey, viewport });
+      const result = await compareScreenshots({
+        currentPath,
+        baselinePath,
+        diffPath,
+        threshold: this.config.thresholds.pixelmatch,
+        regions,
+        mode: settings.mode
+      });
+      const { pixelDiff, percentChanged, ssim, sizeChange, maskedRegions, changedRegions } = result;
 
-      const pixelDiff = pixelmatch(img1.data, img2.data, diff.data, width, height, { threshold: 0.1 });
-      await fs.writeFile(diffPath, PNG.sync.write(diff));
+      // Recorded in the report whether it passes or not, so reviewers can see which mode decided
+      const verdict = evaluateDiff(result, settings);
+      this.visualDiff = { baselineKey: key, ...verdict };
 
       this.screenshots.push({ name: 'diff', path: diffPath });
 
-      if (pixelDiff > 50) {
-        this.issues.push({ type: 'visual_diff', pixelsChanged: pixelDiff });
+      if (sizeChange) {
+        const { baseline, current } = sizeChange;
+        this.issues.push({
+          type: 'size_change',
+          baselineKey: key,
+          baseline,
+          current,
+          message: `Screenshot size changed from ${baseline.width}x${baseline.height} to ${current.width}x${current.height}; compared the overlapping area only`
+        });
+        console.log(`📏 Size changed: ${baseline.width}x${baseline.height} → ${current.width}x${current.height}`);
       }
 
-      console.log(`🖼️ Visual diff complete: ${pixelDiff} pixels changed`);
-    } catch {
-      await fs.copyFile(currentPath, baselinePath);
-      console.log('🆕 Baseline created for:', pageName);
+      if (!verdict.passed) {
+        this.issues.push({ type: 'visual_diff', baselineKey: key, pixelsChanged: pixelDiff, maskedRegions, ...verdict });
+        // One entry per changed area, pointed at the element it landed on
+        for (const region of await locateChangedRegions(this.page, changedRegions)) {
+          this.issues.push(changedRegionIssue(key, region));
+        }
+      }
+
+      if (sizeChange || !verdict.passed) {
+        await this.baselines.addPending({
+          key,
+          page: pageName,
+          viewport,
+          status: 'changed',
+          currentPath,
+          diffPath,
+          stats: { mode: verdict.mode, pixelsChanged: pixelDiff, percentChanged, ssim, sizeChange, maskedRegions, changedRegions: changedRegions.length }
+        });
+      }
+
+      console.log(`🖼️ Visual diff ${verdict.passed ? 'passed' : 'failed'}: ${formatVerdict(verdict)} (${regions.length} regions masked)`);
+    } catch (err) {
+      this.issues.push({ type: 'error', section: 'visual_diff', message: err.message });
+      console.log(`❌ Visual diff failed for ${pageName}: ${err.message}`);
     }
   }
 
+  // Guesses a selector for a section from its Figma/config name
+  sectionSelector(section) {
+    return guessSelector(section);
+  }
+
   async analyzeSections(pageName, dir) {
     const expected = this.figmaDesignSpecs?.[pageName] || this.defaultSections[pageName] || [];
 
     for (const section of expected) {
-      const selector = `.${section}, [class*="${section}"], section[id*="${section}"]`;
+      const selector = this.sectionSelector(section);
       try {
         const el = await this.page.locator(selector).first();
         if (await el.isVisible()) {
@@ -199,6 +260,16 @@ class EnhancedQAAnalyzer {
     }
   }
 
+  async checkAccessibility() {
+    try {
+      this.accessibility = summarizeFindings(await runAccessibilityRules(this.page, this.config.accessibility));
+      this.issues.push(...accessibilityIssues(this.accessibility));
+      console.log(`♿ Accessibility: ${this.accessibility.length} rules with violations`);
+    } catch (err) {
+      this.issues.push({ type: 'error', section: 'accessibility', message: err.message });
+    }
+  }
+
   async generateReport(pageName, pageUrl) {
     const report = {
       timestamp: new Date().toISOString(),
@@ -208,30 +279,39 @@ class EnhancedQAAnalyzer {
         screenshots: this.screenshots.length,
         issues: this.issues.length
       },
+      visualDiff: this.visualDiff,
+      accessibility: this.accessibility,
       screenshots: this.screenshots,
       issues: this.issues
     };
 
-    const htmlPath = `reports/qa-report-${pageName}.html`;
+    const htmlPath = path.join(this.config.reportDir, `qa-report-${pageName}.html`);
     const html = `
 <!DOCTYPE html><html><head><title>${pageName} QA Report</title></head><body>
 <h1>QA Report: ${pageName}</h1>
 <p><strong>URL:</strong> <a href="${pageUrl}">${pageUrl}</a></p>
 <p><strong>Status:</strong> ${report.summary.status}</p>
+${freshnessWarning(this.figmaFreshness) ? `<p><strong>⚠️ Figma:</strong> ${freshnessWarning(this.figmaFreshness)}</p>` : ''}
+${report.visualDiff ? `<p><strong>Visual diff:</strong> ${formatVerdict(report.visualDiff)} — ${report.visualDiff.passed ? 'PASS' : 'FAIL'} (mode <code>${report.visualDiff.mode}</code>)</p>` : ''}
 <h2>Screenshots</h2>
-${report.screenshots.map(s => `<div><h3>${s.name}</h3><img src="../${s.path}" width="600" /></div>`).join('')}
+${report.screenshots.map(s => `<div><h3>${s.name}</h3><img src="${path.relative(this.config.reportDir, s.path).replace(/\\/g, '/')}" width="600" /></div>`).join('')}
+${report.accessibility.length ? `<h2>Accessibility</h2>
+<table border="1" cellpadding="4"><tr><th>Severity</th><th>WCAG</th><th>Rule</th><th>Violations</th><th>Elements</th></tr>
+${report.accessibility.map(g => `<tr><td>${g.severity}</td><td>${g.wcag} (${g.level})</td><td>${g.rule}</td><td>${g.count}</td><td>${g.findings.slice(0, 10).map(f => `<code>${escapeHtml(f.selector)}</code> ${escapeHtml(f.message)}`).join('<br>')}</td></tr>`).join('')}
+</table>` : ''}
 <h2>Issues</h2>
-${report.issues.length ? `<ul>${report.issues.map(i => `<li>${i.type} - ${i.section || i.message}</li>`).join('')}</ul>` : '<p>✅ No issues</p>'}
+${report.issues.length ? `<ul>${report.issues.map(i => `<li>${i.type} - ${i.type === 'accessibility' ? `${i.rule} (WCAG ${i.wcag}, ${i.severity}): ${escapeHtml(i.message)}` : escapeHtml(i.section || i.message)}</li>`).join('')}</ul>` : '<p>✅ No issues</p>'}
 </body></html>`;
 
     await fs.writeFile(htmlPath, html);
+    await fs.writeFile(path.join(this.config.reportDir, `qa-report-${pageName}.json`), JSON.stringify(report, null, 2));
     console.log(`📝 Report generated: ${htmlPath}`);
     return report;
   }
 
   async generatePDFReport(pageName, report) {
     return new Promise(async (resolve, reject) => {
-      const pdfPath = `reports/qa-report-${pageName}.pdf`;
+      const pdfPath = path.join(this.config.reportDir, `qa-report-${pageName}.pdf`);
       const doc = new PDFDocument({ autoFirstPage: false });
 
       const stream = (await fs.open(pdfPath, 'w')).createWriteStream();
@@ -242,6 +322,12 @@ ${report.issues.length ? `<ul>${report.issues.map(i => `<li>${i.type} - ${i.sect
       doc.moveDown();
       doc.fontSize(12).text(`URL: ${report.url}`);
       doc.text(`Status: ${report.summary.status}`);
+      if (freshnessWarning(this.figmaFreshness)) {
+        doc.text(`Figma: ${freshnessWarning(this.figmaFreshness)}`);
+      }
+      if (report.visualDiff) {
+        doc.text(`Visual diff: ${formatVerdict(report.visualDiff)} — ${report.visualDiff.passed ? 'PASS' : 'FAIL'} (mode ${report.visualDiff.mode})`);
+      }
       doc.text(`Timestamp: ${report.timestamp}`);
       doc.moveDown();
 
@@ -250,10 +336,21 @@ ${report.issues.length ? `<ul>${report.issues.map(i => `<li>${i.type} - ${i.sect
         doc.text('✅ No issues');
       } else {
         report.issues.forEach(issue => {
-          doc.text(`- ${issue.type}: ${issue.section || issue.message}`);
+          doc.text(issue.type === 'accessibility'
+            ? `- ${issue.type}: ${issue.rule} (WCAG ${issue.wcag}, ${issue.severity}) — ${issue.message}`
+            : `- ${issue.type}: ${issue.section || issue.message}`);
         });
       }
 
+      if (report.accessibility.length) {
+        doc.moveDown();
+        doc.fontSize(14).text('Accessibility:', { underline: true });
+        for (const group of report.accessibility) {
+          doc.fontSize(12).text(`${group.rule} — WCAG ${group.wcag} (${group.level}), ${group.severity}, ${group.count} violation(s)`);
+          group.findings.slice(0, 5).forEach(f => doc.fontSize(10).text(`   ${f.selector}: ${f.message}`));
+        }
+      }
+
       doc.addPage();
       doc.fontSize(14).text('Screenshots:', { underline: true });
       for (const shot of report.screenshots) {
@@ -295,6 +392,7 @@ ${report.issues.length ? `<ul>${report.issues.map(i => `<li>${i.type} - ${i.sect
         url: report.url,
         status: report.summary.status,
         issues: report.issues,
+        accessibility: report.accessibility,
         timestamp: report.timestamp,
       };
 
@@ -315,8 +413,10 @@ ${report.issues.length ? `<ul>${report.issues.map(i => `<li>${i.type} - ${i.sect
   }
 }
 
-// Read CLI arg to run only one page (optional)
-const runPage = process.argv[2] || null;
+// Read CLI arg to run only one page (optional); --env=<name> selects the target profile
+// and --crawl discovers pages from the site instead of config.pages
+const runPage = process.argv.slice(2).find(arg => !arg.startsWith('--')) || null;
+const crawl = process.argv.includes('--crawl');
 
-const qa = new EnhancedQAAnalyzer(runPage);
+const qa = new EnhancedQAAnalyzer(runPage, { crawl });
 qa.run();
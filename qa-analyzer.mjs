@@ -2,11 +2,44 @@ import { chromium } from 'playwright';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import figma from 'figma-js';
-import pixelmatch from 'pixelmatch';
-import { PNG } from 'pngjs';
 import dotenv from 'dotenv';
 import fetch from 'node-fetch';
+import { PNG } from 'pngjs';
+import PDFDocument from 'pdfkit';
+import configLoader from './config-loader.js';
+import BaselineStore from './baseline-store.js';
+import pageStabilizer from './page-stabilizer.js';
+import htmlEscaping from './escape-html.js';
+import {
+  changedRegionIssue,
+  compareScreenshots,
+  evaluateDiff,
+  formatVerdict,
+  locateChangedRegions,
+  compareWithDesign,
+  maskScopesFor,
+  offsetRegions,
+  resizePng,
+  resolveDiffSettings,
+  resolveMaskRegions
+} from './visual-diff.mjs';
+import { discoverPages } from './site-crawler.mjs';
+import { designForViewport, sectionFrames } from './figma-frames.mjs';
+import { FigmaSnapshot, freshnessWarning } from './figma-snapshot.mjs';
+import { expectedStylesFor, loadTokenFile, styleMatches } from './figma-tokens.mjs';
+import { readComputedStyles } from './computed-styles.mjs';
+import { collectTextBlocks, compareCopy, extractCopy } from './figma-copy.mjs';
+import { compareLayout, layoutChildren, layoutSelector, measureLayout } from './figma-layout.mjs';
+import { FigmaMapping, guessSelector, isValidSelector } from './figma-mapping.mjs';
+import { componentInstances, locateComponents, reproducibleState, variantLabel, verifyComponent } from './figma-components.mjs';
+import { auditPalette, brandPalette, collectPageColors, paletteIssues } from './palette-audit.mjs';
+import { auditTypography, collectTextStyles, textStyleScale } from './typography-audit.mjs';
+import { checkPageContrast, contrastIssues } from './contrast-audit.mjs';
+import { accessibilityIssues, runAccessibilityRules, summarizeFindings } from './accessibility-audit.mjs';
+import { auditKeyboard } from './keyboard-audit.mjs';
+import { collectSpacing, gridColumns, gridViolations, spacingScale, spacingViolations } from './spacing-audit.mjs';
+
+const { escapeHtml } = htmlEscaping;
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -14,46 +47,53 @@ const __dirname = path.dirname(__filename);
 dotenv.config();
 
 class EnhancedQAAnalyzer {
-  constructor({ singlePage = null, reportType = 'html' } = {}) {
+  constructor({ singlePage = null, reportType = 'html', configPath, environment, crawl = false } = {}) {
     this.browser = null;
     this.page = null;
     this.issues = [];
     this.screenshots = [];
+    this.visualDiff = null;
+    this.designComparisons = [];
+    this.copyResults = [];
+    this.layoutResults = [];
+    this.spacingResults = [];
+    this.componentResults = [];
+    this.paletteResult = null;
+    this.typographyResult = null;
+    this.contrastResults = [];
+    this.accessibilityResults = [];
+    this.keyboardResult = null;
+    this.siteColors = new Map();
 
     this.singlePage = singlePage;
     this.reportType = reportType;
+    this.crawl = crawl;
 
-    this.pagesToTest = JSON.parse(process.env.PAGE_CONFIG || '[]');
-    this.defaultSections = JSON.parse(process.env.DEFAULT_SECTIONS || '{}');
-    this.figmaDesignSpecs = null;
+    this.config = configLoader.loadConfig(configPath, { environment });
+    this.baselines = new BaselineStore(this.config);
+    this.pagesToTest = configLoader.resolvePages(this.config);
+    this.defaultSections = this.config.sections;
+    this.thresholds = this.config.thresholds;
+    this.figmaDesigns = null;
+    this.activeDesign = null;
+    this.figmaMapping = null;
+    this.figmaSnapshot = null;
+    this.figmaFreshness = null;
 
     const now = new Date();
     this.runDate = now.toISOString().replace(/[:T]/g, '-').split('.')[0];
-    this.screenshotBaseDir = path.join('screenshots', this.runDate);
-    this.reportBaseDir = path.join('reports', this.runDate);
-
-    this.viewports = [
-      { name: 'mobile', width: 375, height: 667 },
-      { name: 'tablet', width: 768, height: 1024 },
-      { name: 'desktop', width: 1440, height: 900 }
-    ];
-
-    this.designTokens = {
-      colors: {
-        primary: '#0070f3',
-        secondary: '#1c1c1e',
-        // Add more colors as needed
-      },
-      fonts: {
-        body: '"Inter", sans-serif',
-        heading: '"Poppins", sans-serif',
-      }
-    };
+    this.screenshotBaseDir = path.join(this.config.screenshotDir, this.runDate);
+    this.reportBaseDir = path.join(this.config.reportDir, this.runDate);
+
+    this.viewports = this.config.viewports;
+    this.styleChecks = this.config.styleChecks || [];
+    this.designTokens = null;
   }
 
   async initialize() {
     await this.createDirectories();
     await this.loadFigmaDesignSpecs();
+    await this.loadDesignTokens();
     this.browser = await chromium.launch({ headless: true });
     this.page = await this.browser.newPage();
   }
@@ -63,35 +103,69 @@ class EnhancedQAAnalyzer {
     await fs.mkdir(this.reportBaseDir, { recursive: true });
   }
 
+  // Reads sections and frames from the local Figma snapshot (npm run figma -- pull),
+  // so results do not depend on whether the Figma API is reachable
   async loadFigmaDesignSpecs() {
-    if (!process.env.FIGMA_TOKEN || !process.env.FIGMA_FILE_ID) {
+    if (!process.env.FIGMA_FILE_ID) {
       console.log('⚠️ No Figma config found. Using default sections.');
       return;
     }
-    try {
-      const client = figma.Client({ personalAccessToken: process.env.FIGMA_TOKEN });
-      const pageIds = JSON.parse(process.env.FIGMA_PAGE_IDS || '{}');
 
-      const { data } = await client.fileNodes(process.env.FIGMA_FILE_ID, {
-        ids: Object.values(pageIds)
-      });
+    this.figmaSnapshot = await FigmaSnapshot.load(this.config, process.env.FIGMA_FILE_ID);
+    if (!this.figmaSnapshot) {
+      console.log('⚠️ No Figma snapshot found — run "npm run figma -- pull". Using default sections.');
+      return;
+    }
 
-      this.figmaDesignSpecs = {};
-      for (const [key, nodeId] of Object.entries(pageIds)) {
-        const node = data.nodes[nodeId];
-        if (!node) {
-          console.log(`⚠️ No node found for page: ${key}`);
-          continue;
+    // Each viewport is checked against its own breakpoint frame when the page has them
+    this.figmaDesigns = {};
+    for (const [key, node] of Object.entries(this.figmaSnapshot.pageNodes())) {
+      this.figmaDesigns[key] = {};
+      for (const vp of this.viewports) {
+        const { node: design, matchedBy } = designForViewport(node, vp, this.viewports);
+        this.figmaDesigns[key][vp.name] = {
+          frame: design.name,
+          matchedBy,
+          sections: this.parseFigmaSections(design),
+          frames: sectionFrames(design),
+          copy: extractCopy(design),
+          components: componentInstances(design, this.figmaSnapshot.file)
+        };
+        if (matchedBy !== 'single') {
+          console.log(`📱 ${key} at ${vp.name}: Figma frame "${design.name}" (matched by ${matchedBy})`);
         }
-        this.figmaDesignSpecs[key] = this.parseFigmaSections(node.document);
       }
-      console.log('✅ Loaded section specs from Figma');
-    } catch (err) {
-      console.log('❌ Failed to load from Figma. Using defaults:', err.message);
-      this.figmaDesignSpecs = null;
+    }
+    console.log(`✅ Loaded section specs from Figma snapshot ${this.figmaSnapshot.version}`);
+
+    this.figmaMapping = await FigmaMapping.load(this.config);
+
+    this.figmaFreshness = await this.figmaSnapshot.checkFreshness();
+    const warning = freshnessWarning(this.figmaFreshness);
+    if (warning) console.log(`⚠️ ${warning}`);
+  }
+
+  // Token file written by `npm run figma -- tokens`; validateStyles checks against it
+  async loadDesignTokens() {
+    const tokensFile = this.config.figma?.tokensFile || 'design-tokens.json';
+    this.designTokens = await loadTokenFile(tokensFile);
+    if (!this.designTokens) {
+      console.log(`⚠️ No design tokens at ${tokensFile} — run "npm run figma -- tokens". Skipping style validation.`);
+      return;
+    }
+
+    const { version } = this.designTokens.source || {};
+    console.log(`✅ Loaded design tokens from ${tokensFile} (Figma version ${version})`);
+    if (this.figmaSnapshot && String(version) !== String(this.figmaSnapshot.version)) {
+      console.log(`⚠️ Design tokens are from Figma version ${version} but the snapshot is ${this.figmaSnapshot.version}. Run "npm run figma -- tokens".`);
     }
   }
 
+  // Figma design of a page (or template) at a viewport, or null without a snapshot
+  figmaDesign(sectionsKey, viewport) {
+    return this.figmaDesigns?.[sectionsKey]?.[viewport] || null;
+  }
+
   parseFigmaSections(root) {
     const sections = [];
     if (root.children) {
@@ -107,27 +181,50 @@ class EnhancedQAAnalyzer {
   async run() {
     await this.initialize();
 
-    for (const { name: pageName, url } of this.pagesToTest) {
-      if (this.singlePage && this.singlePage !== pageName) continue;
+    if (this.crawl) {
+      this.pagesToTest = await discoverPages(this.page, this.config);
+    }
+
+    for (const { name: pageName, url, template = pageName } of this.pagesToTest) {
+      if (this.singlePage && this.singlePage !== pageName && this.singlePage !== template) continue;
 
       for (const vp of this.viewports) {
         this.issues = [];
         this.screenshots = [];
+        this.visualDiff = null;
+        this.designComparisons = [];
+        this.copyResults = [];
+        this.layoutResults = [];
+        this.spacingResults = [];
+        this.componentResults = [];
+        this.paletteResult = null;
+        this.typographyResult = null;
+        this.contrastResults = [];
+        this.accessibilityResults = [];
+        this.keyboardResult = null;
+        this.activeDesign = this.figmaDesign(template, vp.name);
 
-        console.log(`\n🌐 Visiting: ${pageName} → ${url} at viewport: ${vp.name} (${vp.width}x${vp.height})`);
+        console.log(`\n🌐 Visiting: ${pageName} → ${url} [${this.config.environment}] at viewport: ${vp.name} (${vp.width}x${vp.height})`);
         await this.page.setViewportSize({ width: vp.width, height: vp.height });
         await this.page.goto(url, { waitUntil: 'networkidle' });
+        await pageStabilizer.stabilizePage(this.page, this.config.stabilization);
 
         const pageDir = path.join(this.screenshotBaseDir, `${pageName}-${vp.name}`);
         await fs.mkdir(pageDir, { recursive: true });
 
-        await this.takeScreenshotWithDiff(pageName + `-${vp.name}`, pageDir);
-        await this.analyzeSections(pageName, pageDir);
-        await this.validateStyles(pageName, pageDir);
+        await this.takeScreenshotWithDiff(pageName, pageDir, { sectionsKey: template, viewport: vp.name });
+        await this.analyzeSections(pageName, pageDir, { sectionsKey: template, viewport: vp.name });
+        await this.verifyComponents({ sectionsKey: template, viewport: vp.name });
+        await this.validateStyles(pageName, pageDir, { viewport: vp.name });
+        await this.auditColors(pageName, { viewport: vp.name });
+        await this.auditTextStyles({ viewport: vp.name });
+        await this.checkContrast({ viewport: vp.name });
+        await this.checkAccessibility({ viewport: vp.name });
+        await this.checkKeyboard(pageDir, { viewport: vp.name });
         await this.generateReport(pageName + `-${vp.name}`, url, pageDir);
 
         if (this.issues.length) {
-          await this.sendSlackAlert(`⚠️ QA Analyzer detected issues on ${pageName} (${vp.name}) at ${this.runDate}. Please review reports.`);
+          await this.sendSlackAlert(`⚠️ QA Analyzer detected issues on ${pageName} (${vp.name}) [${this.config.environment}] at ${this.runDate}. Please review reports.`);
         }
       }
     }
@@ -135,45 +232,119 @@ class EnhancedQAAnalyzer {
     await this.browser.close();
     console.log('\n✅ ALL PAGES COMPLETE');
 
+    await this.generatePaletteReport();
     await this.generateIndexPage();
   }
 
-  async takeScreenshotWithDiff(pageName, dir) {
+  async takeScreenshotWithDiff(pageName, dir, { sectionsKey = pageName, viewport = null } = {}) {
+    const key = BaselineStore.keyFor(pageName, viewport);
     const currentPath = path.join(dir, 'current.png');
-    const baselinePath = path.join(dir, 'baseline.png');
+    const baselinePath = this.baselines.baselinePath(key);
     const diffPath = path.join(dir, 'diff.png');
 
     await this.page.screenshot({ fullPage: true, path: currentPath });
     this.screenshots.push({ name: 'full-page', path: currentPath });
 
+    // Blank dynamic content (carousels, dates, banners) in both images before comparing
+    const sections = this.figmaDesign(sectionsKey, viewport)?.sections || this.defaultSections[sectionsKey] || [];
+    const regions = await resolveMaskRegions(
+      this.page,
+      maskScopesFor(this.config, sectionsKey, sections, section => this.sectionSelector(section, sectionsKey, viewport))
+    );
+
+    // New screenshots wait for review (npm run baseline) instead of becoming baselines implicitly
+    if (!(await this.baselines.hasBaseline(key))) {
+      await this.baselines.addPending({ key, page: pageName, viewport, status: 'new', currentPath });
+      console.log(`🆕 No baseline for ${key} — queued for review (npm run baseline)`);
+      return;
+    }
+
     try {
-      await fs.access(baselinePath);
-      const img1 = PNG.sync.read(await fs.readFile(currentPath));
-      const img2 = PNG.sync.read(await fs.readFile(baselinePath));
-      const { width, height } = img1;
-      const diff = new PNG({ width, height });
+      const settings = resolveDiffSettings(this.config, { page: pageName, template: sectionsKey, viewport });
+      const result = await compareScreenshots({
+        currentPath,
+        baselinePath,
+        diffPath,
+        threshold: this.thresholds.pixelmatch,
+        regions,
+        mode: settings.mode
+      });
+      const { pixelDiff, percentChanged, ssim, sizeChange, maskedRegions, changedRegions } = result;
 
-      const pixelDiff = pixelmatch(img1.data, img2.data, diff.data, width, height, { threshold: 0.1 });
-      await fs.writeFile(diffPath, PNG.sync.write(diff));
+      // Recorded in the report whether it passes or not, so reviewers can see which mode decided
+      const verdict = evaluateDiff(result, settings);
+      this.visualDiff = { baselineKey: key, ...verdict };
 
       this.screenshots.push({ name: 'diff', path: diffPath });
 
-      if (pixelDiff > 50) {
-        this.issues.push({ type: 'visual_diff', pixelsChanged: pixelDiff });
+      if (sizeChange) {
+        const { baseline, current } = sizeChange;
+        this.issues.push({
+          type: 'size_change',
+          baselineKey: key,
+          baseline,
+          current,
+          message: `Screenshot size changed from ${baseline.width}x${baseline.height} to ${current.width}x${current.height}; compared the overlapping area only`
+        });
+        console.log(`📏 Size changed: ${baseline.width}x${baseline.height} → ${current.width}x${current.height}`);
       }
 
-      console.log(`🖼️ Visual diff complete: ${pixelDiff} pixels changed`);
-    } catch {
-      await fs.copyFile(currentPath, baselinePath);
-      console.log('🆕 Baseline created for:', pageName);
+      if (!verdict.passed) {
+        this.issues.push({ type: 'visual_diff', baselineKey: key, pixelsChanged: pixelDiff, maskedRegions, ...verdict });
+        // One entry per changed area, pointed at the element it landed on
+        for (const region of await locateChangedRegions(this.page, changedRegions)) {
+          this.issues.push(changedRegionIssue(key, region));
+        }
+      }
+
+      if (sizeChange || !verdict.passed) {
+        await this.baselines.addPending({
+          key,
+          page: pageName,
+          viewport,
+          status: 'changed',
+          currentPath,
+          diffPath,
+          stats: { mode: verdict.mode, pixelsChanged: pixelDiff, percentChanged, ssim, sizeChange, maskedRegions, changedRegions: changedRegions.length }
+        });
+      }
+
+      console.log(`🖼️ Visual diff ${verdict.passed ? 'passed' : 'failed'}: ${formatVerdict(verdict)} (${regions.length} regions masked)`);
+    } catch (err) {
+      this.issues.push({ type: 'error', section: 'visual_diff', message: err.message });
+      console.log(`❌ Visual diff failed for ${pageName}: ${err.message}`);
     }
   }
 
-  async analyzeSections(pageName, dir) {
-    const expected = this.figmaDesignSpecs?.[pageName] || this.defaultSections[pageName] || [];
+  // Selector of a section's Figma frame from the mapping file, else guessed from its name
+  sectionSelector(section, sectionsKey, viewport) {
+    const frame = this.figmaDesign(sectionsKey, viewport)?.frames[section];
+    return (frame && this.figmaMapping?.selectorFor(frame.id)) || guessSelector(section);
+  }
+
+  async analyzeSections(pageName, dir, { sectionsKey = pageName, viewport = null } = {}) {
+    // Sections of this viewport's breakpoint frame, so ones designed out on mobile are not expected
+    const design = this.figmaDesign(sectionsKey, viewport);
+    const expected = design?.sections || this.defaultSections[sectionsKey] || [];
 
     for (const section of expected) {
-      const selector = `.${section}, [class*="${section}"], section[id*="${section}"]`;
+      const frame = design?.frames[section];
+      if (frame && !this.figmaMapping?.selectorFor(frame.id)) {
+        this.issues.push({
+          type: 'unmapped_node',
+          section,
+          figmaNodeId: frame.id,
+          message: `Figma frame "${frame.name}" (${frame.id}) has no selector in ${this.figmaMapping.filePath}; guessing from its name. Run "npm run figma -- map".`
+        });
+      }
+
+      const selector = this.sectionSelector(section, sectionsKey, viewport);
+      if (!(await isValidSelector(this.page, selector))) {
+        this.issues.push({ type: 'invalid_selector', section, selector, message: `"${selector}" is not a valid CSS selector` });
+        console.log(`❌ Invalid selector for ${section}: ${selector}`);
+        continue;
+      }
+
       try {
         const el = await this.page.locator(selector).first();
         if (await el.isVisible()) {
@@ -181,8 +352,13 @@ class EnhancedQAAnalyzer {
           await el.screenshot({ path: imgPath });
           this.screenshots.push({ name: section, path: imgPath });
           console.log(`✅ Section found: ${section}`);
+          await this.diffSection(section, el, imgPath, dir, { pageName, sectionsKey, viewport });
+          await this.compareSectionWithDesign(section, el, imgPath, dir, { sectionsKey, viewport });
+          await this.checkSectionCopy(section, el, { sectionsKey, viewport });
+          await this.checkSectionLayout(section, el, { sectionsKey, viewport });
+          await this.checkSectionSpacing(section, el, { viewport });
         } else {
-          this.issues.push({ type: 'missing_section', section });
+          this.issues.push({ type: 'missing_section', section, viewport, figmaFrame: design?.frame });
           console.log(`⚠️ Missing: ${section}`);
         }
       } catch (err) {
@@ -192,52 +368,353 @@ class EnhancedQAAnalyzer {
     }
   }
 
-  // Expanded style validation for multiple selectors and CSS props
-  async validateStyles(pageName, dir) {
-    const checks = [
-      {
-        name: 'header',
-        selector: 'header',
-        expectedStyles: {
-          color: this.designTokens.colors.primary,
-          'font-family': this.designTokens.fonts.heading,
-          // add more if needed
-        }
-      },
-      {
-        name: 'body',
-        selector: 'body',
-        expectedStyles: {
-          color: this.designTokens.colors.secondary,
-          'font-family': this.designTokens.fonts.body,
-        }
-      },
-      {
-        name: 'footer',
-        selector: 'footer',
-        expectedStyles: {
-          color: this.designTokens.colors.secondary,
-          'font-family': this.designTokens.fonts.body,
+  // Diffs one section screenshot against its own baseline, so a footer change
+  // is reported as a footer change instead of disappearing into the page total
+  async diffSection(section, el, imgPath, dir, { pageName, sectionsKey, viewport }) {
+    const key = BaselineStore.keyFor(pageName, viewport, section);
+    const diffPath = path.join(dir, `${section}.diff.png`);
+
+    if (!(await this.baselines.hasBaseline(key))) {
+      await this.baselines.addPending({ key, page: pageName, viewport, section, status: 'new', currentPath: imgPath });
+      console.log(`🆕 No baseline for ${key} — queued for review (npm run baseline)`);
+      return;
+    }
+
+    try {
+      // Masks are resolved in page coordinates, the section screenshot starts at the element's corner
+      const origin = await el.evaluate(node => {
+        const rect = node.getBoundingClientRect();
+        return { x: rect.left + window.scrollX, y: rect.top + window.scrollY };
+      });
+      const regions = offsetRegions(
+        await resolveMaskRegions(
+          this.page,
+          maskScopesFor(this.config, sectionsKey, [section], s => this.sectionSelector(s, sectionsKey, viewport))
+        ),
+        origin
+      );
+
+      const { pixelDiff, percentChanged, sizeChange, maskedRegions } = await compareScreenshots({
+        currentPath: imgPath,
+        baselinePath: this.baselines.baselinePath(key),
+        diffPath,
+        threshold: this.thresholds.pixelmatch,
+        regions
+      });
+
+      const threshold = this.thresholds.sections?.[section] ?? this.thresholds.sectionPercent ?? 0;
+      this.screenshots.push({ name: `${section}-diff`, path: diffPath });
+
+      if (sizeChange || percentChanged > threshold) {
+        this.issues.push({
+          type: 'section_diff',
+          section,
+          baselineKey: key,
+          pixelsChanged: pixelDiff,
+          percentChanged,
+          threshold,
+          sizeChange
+        });
+        await this.baselines.addPending({
+          key,
+          page: pageName,
+          viewport,
+          section,
+          status: 'changed',
+          currentPath: imgPath,
+          diffPath,
+          stats: { pixelsChanged: pixelDiff, percentChanged, sizeChange, maskedRegions }
+        });
+      }
+
+      console.log(`🧩 Section diff ${section}: ${percentChanged}% changed (threshold ${threshold}%)`);
+    } catch (err) {
+      this.issues.push({ type: 'error', section: `section_diff_${section}`, message: err.message });
+      console.log(`❌ Section diff failed for ${section}: ${err.message}`);
+    }
+  }
+
+  // Exports the section's Figma frame at the scale the section renders at and
+  // diffs it against the screenshot, with overlay and side-by-side views
+  async compareSectionWithDesign(section, el, imgPath, dir, { sectionsKey, viewport }) {
+    const frame = this.figmaDesign(sectionsKey, viewport)?.frames[section];
+    if (!frame || this.config.figma?.compareFrames === false) return;
+
+    const render = this.figmaSnapshot.render(frame.id);
+    if (!render) {
+      console.log(`⚠️ No render of Figma frame "${frame.name}" in snapshot ${this.figmaSnapshot.version}`);
+      return;
+    }
+
+    try {
+      // Snapshot renders are exported at renderScale; resize to the section's rendered width
+      const box = await el.boundingBox();
+      const scale = Number((box.width / frame.width).toFixed(3));
+      const source = PNG.sync.read(await fs.readFile(render.path));
+      const designPath = path.join(dir, `${section}.design-source.png`);
+      await fs.writeFile(designPath, PNG.sync.write(
+        resizePng(source, Math.round(box.width), Math.round(source.height * box.width / source.width))
+      ));
+
+      const result = await compareWithDesign({
+        currentPath: imgPath,
+        designPath,
+        outPrefix: path.join(dir, `${section}.design`),
+        threshold: this.thresholds.pixelmatch
+      });
+
+      const limit = this.config.figma?.maxDiffPercent ?? 10;
+      const tolerance = this.thresholds.sizeTolerance;
+      const sizeOff = result.sizeChange && (
+        Math.abs(result.sizeChange.current.width - result.sizeChange.baseline.width) > tolerance ||
+        Math.abs(result.sizeChange.current.height - result.sizeChange.baseline.height) > tolerance
+      );
+      const comparison = {
+        section,
+        figmaNodeId: frame.id,
+        frame: frame.name,
+        scale,
+        percentChanged: result.percentChanged,
+        limit,
+        sizeChange: result.sizeChange,
+        passed: result.percentChanged <= limit && !sizeOff,
+        designPath,
+        diffPath: result.diffPath,
+        overlayPath: result.overlayPath,
+        sideBySidePath: result.sideBySidePath
+      };
+      this.designComparisons.push(comparison);
+
+      if (!comparison.passed) {
+        this.issues.push({
+          type: 'design_diff',
+          section,
+          figmaNodeId: frame.id,
+          percentChanged: result.percentChanged,
+          limit,
+          sizeChange: sizeOff ? result.sizeChange : null,
+          message: `${result.percentChanged}% of "${section}" differs from Figma frame "${frame.name}" (max ${limit}%)`
+        });
+      }
+      console.log(`🖌️ Design diff ${section}: ${result.percentChanged}% differs from Figma (scale ${scale})`);
+    } catch (err) {
+      this.issues.push({ type: 'error', section: `design_diff_${section}`, message: err.message });
+      console.log(`❌ Design comparison failed for ${section}: ${err.message}`);
+    }
+  }
+
+  // Compares the text a section renders with the TEXT nodes of its Figma frame
+  async checkSectionCopy(section, el, { sectionsKey, viewport }) {
+    const expected = this.figmaDesign(sectionsKey, viewport)?.copy[section];
+    if (!expected) return;
+
+    try {
+      const blocks = await collectTextBlocks(el);
+      const result = compareCopy(expected, blocks, { similarity: this.config.figma?.copySimilarity });
+      this.copyResults.push({ section, ...result });
+
+      for (const text of result.missing) {
+        this.issues.push({ type: 'copy_missing', section, expected: text, message: `Figma text "${text}" is not on the page` });
+      }
+      for (const change of result.changed) {
+        this.issues.push({
+          type: 'copy_changed',
+          section,
+          ...change,
+          message: `Figma text "${change.expected}" is rendered as "${change.actual}"`
+        });
+      }
+      for (const text of result.extra) {
+        this.issues.push({ type: 'copy_extra', section, actual: text, message: `Text "${text}" is not in the Figma frame` });
+      }
+
+      console.log(`📝 Copy ${section}: ${result.matched.length} matched, ${result.changed.length} changed, ${result.missing.length} missing, ${result.extra.length} extra`);
+    } catch (err) {
+      this.issues.push({ type: 'error', section: `copy_${section}`, message: err.message });
+      console.log(`❌ Copy check failed for ${section}: ${err.message}`);
+    }
+  }
+
+  // Compares positions, gaps, padding and alignment of the section's elements
+  // with the child layers of its Figma frame
+  async checkSectionLayout(section, el, { sectionsKey, viewport }) {
+    const frame = this.figmaDesign(sectionsKey, viewport)?.frames[section];
+    const node = frame && this.figmaSnapshot.node(frame.id);
+    if (!node) return;
+
+    try {
+      // Mapping file first, then config layout.selectors, then the naming convention
+      const explicit = this.config.layout?.selectors?.[section] || {};
+      const selectors = Object.fromEntries(layoutChildren(node).map(child => [
+        child.key,
+        this.figmaMapping?.selectorFor(child.id) || explicit[child.key] || layoutSelector(child.key, child.name)
+      ]));
+
+      const measured = await measureLayout(el, selectors);
+      const result = compareLayout(node, measured, { tolerance: this.config.layout?.tolerance });
+      this.layoutResults.push({ section, frame: frame.name, ...result });
+
+      for (const v of result.violations) {
+        this.issues.push({
+          type: 'layout_mismatch',
+          section,
+          ...v,
+          message: `${v.check} ${v.property} of ${v.elements.join(' / ')}: expected ${v.expected}px, got ${v.actual}px`
+        });
+      }
+      console.log(`📐 Layout ${section}: ${result.checked.length} layers checked, ${result.violations.length} violations (scale ${result.scale})`);
+    } catch (err) {
+      this.issues.push({ type: 'error', section: `layout_${section}`, message: err.message });
+      console.log(`❌ Layout check failed for ${section}: ${err.message}`);
+    }
+  }
+
+  // Checks margins, paddings and gaps in a section against the spacing scale, and
+  // the section's content blocks against the column grid of the viewport
+  async checkSectionSpacing(section, el, { viewport }) {
+    const spacing = this.config.spacing;
+    if (!spacing) return;
+
+    try {
+      const scale = spacingScale(spacing, this.designTokens);
+      const grid = spacing.grid?.[viewport];
+      const { values, blocks } = await collectSpacing(el);
+
+      const offScale = scale.base || scale.values.length
+        ? spacingViolations(values, scale, { tolerance: spacing.tolerance })
+        : [];
+      const columns = grid && gridColumns(this.page.viewportSize().width, grid);
+      const offGrid = columns ? gridViolations(blocks, columns, { tolerance: spacing.gridTolerance }) : [];
+      this.spacingResults.push({ section, values: values.length, blocks: blocks.length, offScale, offGrid });
+
+      for (const v of offScale) {
+        this.issues.push({
+          type: 'spacing_off_scale',
+          section,
+          ...v,
+          message: `${v.value}px (${v.properties.join(', ')}, ${v.count} uses) is not on the spacing scale; nearest is ${v.nearest}px`
+        });
+      }
+      for (const v of offGrid) {
+        this.issues.push({
+          type: 'grid_misaligned',
+          section,
+          ...v,
+          message: `${v.edge} edge of ${v.selector} is at ${v.actual}px, nearest ${viewport} grid line is ${v.expected}px`
+        });
+      }
+      console.log(`📏 Spacing ${section}: ${offScale.length} off-scale values, ${offGrid.length} block edges off the grid`);
+    } catch (err) {
+      this.issues.push({ type: 'error', section: `spacing_${section}`, message: err.message });
+      console.log(`❌ Spacing check failed for ${section}: ${err.message}`);
+    }
+  }
+
+  // Finds the element of every component instance in the design and checks it
+  // against its variant (hover/focus variants with that state forced on)
+  async verifyComponents({ sectionsKey, viewport }) {
+    const instances = this.figmaDesign(sectionsKey, viewport)?.components || [];
+    if (!instances.length) return;
+
+    const located = await locateComponents(this.page, instances.map(instance => ({
+      text: this.figmaMapping?.selectorFor(instance.id) ? null : instance.text,
+      scope: this.sectionSelector(instance.section, sectionsKey, viewport)
+    })));
+
+    for (const [i, instance] of instances.entries()) {
+      const result = {
+        component: instance.component,
+        variant: variantLabel(instance.variant),
+        instance: instance.name,
+        figmaNodeId: instance.id,
+        section: instance.section,
+        selector: this.figmaMapping?.selectorFor(instance.id) || located[i],
+        checks: instance.expected.length,
+        failures: []
+      };
+
+      if (!result.selector) {
+        result.status = 'unmatched';
+      } else if (!reproducibleState(instance.variant)) {
+        result.status = 'skipped';
+        result.reason = `"${instance.variant.state}" state cannot be reproduced`;
+      } else {
+        try {
+          const { failures } = await verifyComponent(this.page, result.selector, instance);
+          result.failures = failures;
+          result.status = failures.length ? 'fail' : 'pass';
+        } catch (err) {
+          result.status = 'error';
+          result.reason = err.message;
         }
-      },
-      // Add more sections as needed
-    ];
+      }
+      this.componentResults.push(result);
 
-    for (const check of checks) {
-      try {
-        const el = await this.page.locator(check.selector).first();
+      const label = `${result.component} (${result.variant}) "${instance.text || instance.name}"`;
+      if (result.status === 'unmatched') {
+        this.issues.push({ type: 'component_unmatched', section: instance.section, figmaNodeId: instance.id, message: `No element found for ${label}` });
+      } else if (result.status === 'error') {
+        this.issues.push({ type: 'error', section: `component_${instance.section}`, message: `${label}: ${result.reason}` });
+      }
+      for (const f of result.failures) {
+        this.issues.push({
+          type: 'component_mismatch',
+          section: instance.section,
+          component: result.component,
+          variant: result.variant,
+          selector: result.selector,
+          ...f,
+          message: `${label}: "${f.property}" expected "${f.expected}", got "${f.actual}"`
+        });
+      }
+    }
+
+    const passed = this.componentResults.filter(r => r.status === 'pass').length;
+    console.log(`🧱 Components: ${passed}/${this.componentResults.length} instances match their variant`);
+  }
 
-        for (const [prop, expected] of Object.entries(check.expectedStyles)) {
-          const computedValue = await el.evaluate((el, p) => getComputedStyle(el).getPropertyValue(p), prop);
+  // Checks computed styles against the Figma token file. Each config.styleChecks
+  // entry is a rule: a selector, the tokens its element should use (by kind, or
+  // per CSS property in `properties`), optionally a ::before/::after pseudo-element
+  // and a state (hover, focus, ...) forced on while reading. `viewports` entries
+  // swap in breakpoint tokens.
+  async validateStyles(pageName, dir, { viewport = null } = {}) {
+    if (!this.designTokens) return;
 
-          const normalizedExpected = expected.toLowerCase().replace(/['"\s]/g, '');
-          const normalizedActual = computedValue.toLowerCase().replace(/['"\s]/g, '');
+    for (const base of this.styleChecks) {
+      const override = base.viewports?.[viewport] || {};
+      const check = { ...base, ...override, properties: { ...base.properties, ...override.properties } };
+      const target = `${check.selector}${check.state ? `:${check.state}` : ''}${check.pseudo || ''}`;
+      const { expected, missing } = expectedStylesFor(check, this.designTokens);
+      for (const token of missing) {
+        this.issues.push({
+          type: 'token_missing',
+          section: check.name,
+          message: `Design token "${token}" is not in the token file`
+        });
+      }
+      if (!expected.length) continue;
 
-          if (!normalizedActual.includes(normalizedExpected)) {
+      try {
+        const properties = [...new Set(expected.map(e => e.property))];
+        const computed = await readComputedStyles(this.page, check.selector, properties, { pseudo: check.pseudo, state: check.state });
+        if (!computed) continue;
+        if (computed.content === 'none') {
+          this.issues.push({ type: 'style_mismatch', section: check.name, selector: target, message: `${target} is not rendered (content: none)` });
+          continue;
+        }
+
+        for (const { property, token, expected: value, tolerance } of expected) {
+          const actual = computed[property];
+          if (!styleMatches(property, value, actual, { tolerance })) {
             this.issues.push({
               type: 'style_mismatch',
               section: check.name,
-              message: `CSS property "${prop}" expected "${expected}", but got "${computedValue.trim()}"`
+              selector: target,
+              property,
+              expected: value,
+              actual,
+              message: `${target} "${property}" expected "${value}"${token ? ` (token ${token})` : ''}, but got "${actual}"`
             });
           }
         }
@@ -247,6 +724,209 @@ class EnhancedQAAnalyzer {
     }
   }
 
+  // Brand palette: config.expectedColors plus the color tokens of the token file
+  brandPalette() {
+    return brandPalette(this.config.expectedColors, this.designTokens);
+  }
+
+  // Compares every color the page computes with the brand palette. Near-duplicates
+  // of a brand color and off-palette colors are issues; colors are also collected
+  // for the site-wide palette report.
+  async auditColors(pageName, { viewport }) {
+    try {
+      const collected = await collectPageColors(this.page);
+      this.paletteResult = auditPalette(collected, this.brandPalette(), this.config.palette);
+
+      for (const entry of collected) {
+        const site = this.siteColors.get(entry.color) || { color: entry.color, properties: [], count: 0, elements: [], pages: [] };
+        site.properties = [...new Set([...site.properties, ...entry.properties])];
+        site.count += entry.count;
+        site.elements = [...new Set([...site.elements, ...entry.elements])].slice(0, 10);
+        site.pages = [...new Set([...site.pages, pageName])];
+        this.siteColors.set(entry.color, site);
+      }
+    } catch (err) {
+      this.issues.push({ type: 'error', section: `palette_${viewport}`, message: err.message });
+      return;
+    }
+
+    this.issues.push(...paletteIssues(this.paletteResult));
+
+    const { colors, nearPalette, offPalette } = this.paletteResult;
+    console.log(`🎨 Palette: ${colors.length} colors, ${nearPalette.length} near brand colors, ${offPalette.length} off-palette groups`);
+  }
+
+  // Matches the font of every visible text element to the typography scale of the
+  // viewport. Text that fits no text style and headings styled as another level
+  // are issues.
+  async auditTextStyles({ viewport }) {
+    const typography = this.config.typography;
+    if (!typography?.styles) return;
+
+    const { scale, missing } = textStyleScale(typography, this.designTokens, viewport);
+    for (const token of missing) {
+      this.issues.push({ type: 'token_missing', section: 'typography', message: `Typography token "${token}" is not in the token file` });
+    }
+    if (!scale.length) return;
+
+    try {
+      const collected = await collectTextStyles(this.page);
+      this.typographyResult = { scale, ...auditTypography(collected, scale, { tolerance: typography.tolerance }) };
+    } catch (err) {
+      this.issues.push({ type: 'error', section: `typography_${viewport}`, message: err.message });
+      return;
+    }
+
+    const font = (s) => `${s.fontFamily} ${s.fontSize}px/${s.lineHeight ?? 'normal'} ${s.fontWeight}`;
+    for (const s of this.typographyResult.unmatched) {
+      const nearest = s.nearest
+        ? `; closest is ${s.nearest.role} (${s.nearest.token}): ${s.nearest.differences.map(d => `${d.property} ${d.actual ?? 'normal'} ≠ ${d.expected}`).join(', ')}`
+        : '';
+      this.issues.push({
+        type: 'typography_unmatched',
+        section: 'typography',
+        style: font(s),
+        elements: s.elements,
+        nearest: s.nearest,
+        message: `${s.count} ${s.kind === 'heading' ? `h${s.level} ` : ''}text element(s) in ${font(s)} match no text style${nearest}`
+      });
+    }
+    for (const s of this.typographyResult.wrongLevel) {
+      this.issues.push({
+        type: 'heading_level_mismatch',
+        section: 'typography',
+        style: font(s),
+        elements: s.elements,
+        message: `${s.count} h${s.level} heading(s) “${s.sample}” use the ${s.role} style instead of ${s.expectedRole}`
+      });
+    }
+
+    const { styles, unmatched, wrongLevel } = this.typographyResult;
+    console.log(`🔤 Typography: ${styles.length} text styles in use, ${unmatched.length} off-scale, ${wrongLevel.length} headings at the wrong level`);
+  }
+
+  // Grades the contrast of every visible text element against WCAG AA/AAA. Text
+  // failing config.contrast.level is an issue, one per color pair.
+  async checkContrast({ viewport }) {
+    const level = this.config.contrast?.level || 'AA';
+
+    try {
+      this.contrastResults = await checkPageContrast(this.page);
+    } catch (err) {
+      this.issues.push({ type: 'error', section: `contrast_${viewport}`, message: err.message });
+      return;
+    }
+
+    this.issues.push(...contrastIssues(this.contrastResults, { level, viewport }));
+
+    const count = (l) => this.contrastResults.filter(r => r.level === l).length;
+    console.log(`🌓 Contrast (${viewport}): ${count('AAA')} AAA, ${count('AA')} AA only, ${count('fail')} failing AA`);
+  }
+
+  // Runs the accessibility rules; one issue per broken rule with the elements that break it
+  async checkAccessibility({ viewport }) {
+    try {
+      this.accessibilityResults = summarizeFindings(await runAccessibilityRules(this.page, this.config.accessibility));
+    } catch (err) {
+      this.issues.push({ type: 'error', section: `accessibility_${viewport}`, message: err.message });
+      return;
+    }
+
+    this.issues.push(...accessibilityIssues(this.accessibilityResults));
+
+    const total = this.accessibilityResults.reduce((sum, g) => sum + g.count, 0);
+    console.log(`♿ Accessibility (${viewport}): ${total} violations of ${this.accessibilityResults.length} rules`);
+  }
+
+  // Tabs through the page: unreachable elements, invisible focus indicators, focus
+  // traps and out-of-order jumps are issues; the focus path is drawn to focus-order.png
+  async checkKeyboard(pageDir, { viewport }) {
+    try {
+      this.keyboardResult = await auditKeyboard(this.page, { ...this.config.keyboard, overlayPath: path.join(pageDir, 'focus-order.png') });
+    } catch (err) {
+      this.issues.push({ type: 'error', section: `keyboard_${viewport}`, message: err.message });
+      return;
+    }
+
+    const { stops, trap, unreachable, invisible, order, end } = this.keyboardResult;
+    if (trap) {
+      this.issues.push({
+        type: 'focus_trap',
+        section: 'keyboard',
+        elements: trap.elements,
+        message: trap.stuck
+          ? `Tab does not move focus away from ${trap.elements[0]} after ${stops.length} stop(s)`
+          : `Focus cycles between ${trap.elements.length} elements after ${stops.length - trap.elements.length} stop(s) and never reaches the rest of the page`
+      });
+    } else if (end === 'limit') {
+      console.log(`⌨️ Keyboard (${viewport}): stopped after ${stops.length} Tab presses (keyboard.maxTabs)`);
+    }
+    if (unreachable.length) {
+      this.issues.push({
+        type: 'focus_unreachable',
+        section: 'keyboard',
+        count: unreachable.length,
+        elements: unreachable.slice(0, 5).map(u => u.selector),
+        message: `${unreachable.length} focusable element(s) never receive focus from the keyboard${trap || end === 'limit' ? ' before the walk stopped' : ''}`
+      });
+    }
+    if (invisible.length) {
+      this.issues.push({
+        type: 'focus_invisible',
+        section: 'keyboard',
+        count: invisible.length,
+        elements: invisible.slice(0, 5).map(s => s.selector),
+        message: `${invisible.length} element(s) look the same with and without focus — e.g. “${invisible[0].name || invisible[0].selector}” (${invisible[0].changedPixels} pixels change)`
+      });
+    }
+    for (const jump of order) {
+      this.issues.push({
+        type: 'focus_order',
+        section: 'keyboard',
+        elements: [jump.from, jump.to],
+        message: `Stop ${jump.index + 1} jumps ${jump.distance}px back ${jump.direction === 'up' ? 'up the page' : 'to the left'} from the previous stop`
+      });
+    }
+
+    console.log(`⌨️ Keyboard (${viewport}): ${stops.length} stops, ${unreachable.length} unreachable, ${invisible.length} without visible focus, ${order.length} out of order${trap ? ', focus trap' : ''}`);
+  }
+
+  // Site-wide palette audit over every page and viewport of the run
+  async generatePaletteReport() {
+    if (!this.siteColors.size) return;
+
+    const palette = this.brandPalette();
+    const audit = auditPalette([...this.siteColors.values()], palette, this.config.palette);
+    const report = { timestamp: new Date().toISOString(), environment: this.config.environment, palette, ...audit };
+    await fs.writeFile(path.join(this.reportBaseDir, 'palette-audit.json'), JSON.stringify(report, null, 2));
+
+    const swatch = (hex) => `<span style="display:inline-block;width:14px;height:14px;border:1px solid #999;background:${hex}"></span> <code>${hex}</code>`;
+    const html = `
+<!DOCTYPE html><html><head><title>Palette Audit</title></head><body>
+<h1>Palette Audit</h1>
+<p><strong>Date:</strong> ${this.runDate}</p>
+<p><strong>Environment:</strong> ${this.config.environment}</p>
+<p><strong>Colors in use:</strong> ${audit.colors.length} — ${audit.colors.filter(c => c.status === 'palette').length} brand, ${audit.nearPalette.length} near brand, ${audit.colors.filter(c => c.status === 'off').length} off-palette in ${audit.offPalette.length} groups</p>
+
+<h2>Brand Palette</h2>
+<p>${palette.map(p => `${swatch(p.hex)} ${escapeHtml(p.name)}`).join('<br>')}</p>
+
+<h2>Off-Palette Colors</h2>
+${audit.offPalette.length ? `<table border="1" cellpadding="4"><tr><th>Color</th><th>Near-duplicates</th><th>Properties</th><th>Uses</th><th>Pages</th><th>Elements</th><th>Nearest brand color</th></tr>
+${audit.offPalette.map(g => `<tr><td>${swatch(g.hex)}</td><td>${g.colors.slice(1).map(swatch).join('<br>') || '—'}</td><td>${g.properties.join(', ')}</td><td>${g.count}</td><td>${g.pages.join(', ')}</td><td>${g.elements.map(e => `<code>${escapeHtml(e)}</code>`).join('<br>')}</td><td>${g.nearest ? `${swatch(g.nearest.hex)} ΔE ${g.nearest.deltaE}` : '—'}</td></tr>`).join('')}
+</table>` : '<p>✅ Every color is in the brand palette</p>'}
+
+${audit.nearPalette.length ? `<h2>Near Brand Colors</h2>
+<table border="1" cellpadding="4"><tr><th>Color</th><th>Brand color</th><th>ΔE</th><th>Properties</th><th>Uses</th><th>Pages</th><th>Elements</th></tr>
+${audit.nearPalette.map(c => `<tr><td>${swatch(c.hex)}</td><td>${swatch(c.nearest.hex)} ${escapeHtml(c.nearest.name)}</td><td>${c.nearest.deltaE}</td><td>${c.properties.join(', ')}</td><td>${c.count}</td><td>${c.pages.join(', ')}</td><td>${c.elements.map(e => `<code>${escapeHtml(e)}</code>`).join('<br>')}</td></tr>`).join('')}
+</table>` : ''}
+
+</body></html>`;
+    const htmlPath = path.join(this.reportBaseDir, 'palette-audit.html');
+    await fs.writeFile(htmlPath, html);
+    console.log(`🎨 Palette audit written to ${htmlPath}`);
+  }
+
   async generateReport(pageName, pageUrl, pageDir) {
     const report = {
       timestamp: new Date().toISOString(),
@@ -256,6 +936,20 @@ class EnhancedQAAnalyzer {
         screenshots: this.screenshots.length,
         issues: this.issues.length
       },
+      visualDiff: this.visualDiff,
+      figmaSnapshot: this.figmaFreshness,
+      designTokens: this.designTokens?.source || null,
+      figmaFrame: this.activeDesign ? { name: this.activeDesign.frame, matchedBy: this.activeDesign.matchedBy } : null,
+      designComparisons: this.designComparisons,
+      copy: this.copyResults,
+      layout: this.layoutResults,
+      spacing: this.spacingResults,
+      components: this.componentResults,
+      palette: this.paletteResult,
+      typography: this.typographyResult,
+      contrast: this.contrastResults,
+      accessibility: this.accessibilityResults,
+      keyboard: this.keyboardResult,
       screenshots: this.screenshots,
       issues: this.issues
     };
@@ -265,8 +959,12 @@ class EnhancedQAAnalyzer {
 <!DOCTYPE html><html><head><title>${pageName} QA Report</title></head><body>
 <h1>QA Report: ${pageName}</h1>
 <p><strong>Date:</strong> ${this.runDate}</p>
+<p><strong>Environment:</strong> ${this.config.environment}</p>
 <p><strong>URL:</strong> <a href="${pageUrl}">${pageUrl}</a></p>
+${report.figmaFrame ? `<p><strong>Figma frame:</strong> ${escapeHtml(report.figmaFrame.name)} (matched by ${report.figmaFrame.matchedBy})</p>` : ''}
 <p><strong>Status:</strong> ${report.summary.status}</p>
+${freshnessWarning(this.figmaFreshness) ? `<p><strong>⚠️ Figma:</strong> ${freshnessWarning(this.figmaFreshness)}</p>` : ''}
+${report.visualDiff ? `<p><strong>Visual diff:</strong> ${formatVerdict(report.visualDiff)} — ${report.visualDiff.passed ? 'PASS' : 'FAIL'} (mode <code>${report.visualDiff.mode}</code>)</p>` : ''}
 
 <h2>Screenshots</h2>
 ${report.screenshots.map(s => {
@@ -274,19 +972,138 @@ ${report.screenshots.map(s => {
   return `<div><h3>${s.name}</h3><img src="${relPath}" width="600" /></div>`;
 }).join('')}
 
+${report.designComparisons.length ? `<h2>Design vs Implementation</h2>
+${report.designComparisons.map(c => {
+  const rel = (p) => path.relative(this.reportBaseDir, p).replace(/\\/g, '/');
+  return `<div>
+  <h3>${c.section} — ${c.passed ? '✅' : '❌'} ${c.percentChanged}% differs from “${escapeHtml(c.frame)}” (max ${c.limit}%, scale ${c.scale})</h3>
+  <p>Figma (left) and implementation (right)</p>
+  <img src="${rel(c.sideBySidePath)}" width="900" />
+  <p>Overlay and diff</p>
+  <img src="${rel(c.overlayPath)}" width="440" /> <img src="${rel(c.diffPath)}" width="440" />
+</div>`;
+}).join('')}` : ''}
+
+${report.copy.length ? `<h2>Copy vs Figma</h2>
+<table border="1" cellpadding="4"><tr><th>Section</th><th>Matched</th><th>Changed</th><th>Missing</th><th>Extra</th></tr>
+${report.copy.map(c => `<tr><td><code>${c.section}</code></td><td>${c.matched.length}</td><td>${c.changed.length}</td><td>${c.missing.length}</td><td>${c.extra.length}</td></tr>`).join('')}
+</table>` : ''}
+
+${report.layout.length ? `<h2>Layout vs Figma</h2>
+<table border="1" cellpadding="4"><tr><th>Section</th><th>Frame</th><th>Scale</th><th>Layers checked</th><th>Not found on page</th><th>Violations</th></tr>
+${report.layout.map(l => `<tr><td><code>${l.section}</code></td><td>${escapeHtml(l.frame)}</td><td>${l.scale}</td><td>${l.checked.map(escapeHtml).join(', ') || '—'}</td><td>${l.unmapped.map(escapeHtml).join(', ') || '—'}</td><td>${l.violations.length}</td></tr>`).join('')}
+</table>` : ''}
+
+${report.spacing.length ? `<h2>Spacing and Grid</h2>
+<table border="1" cellpadding="4"><tr><th>Section</th><th>Spacing values</th><th>Off-scale</th><th>Content blocks</th><th>Off the grid</th></tr>
+${report.spacing.map(s => `<tr><td><code>${s.section}</code></td><td>${s.values}</td><td>${s.offScale.map(v => `${v.value}px ×${v.count}`).join(', ') || '—'}</td><td>${s.blocks}</td><td>${s.offGrid.length}</td></tr>`).join('')}
+</table>` : ''}
+
+${report.components.length ? `<h2>Components vs Figma</h2>
+<table border="1" cellpadding="4"><tr><th>Component</th><th>Variant</th><th>Instance</th><th>Section</th><th>Element</th><th>Result</th></tr>
+${report.components.map(c => {
+  const result = { pass: '✅ pass', fail: `❌ ${c.failures.length}/${c.checks} properties differ`, unmatched: '⚠️ no element', skipped: `⏭️ ${c.reason}`, error: `❌ ${escapeHtml(c.reason)}` }[c.status];
+  return `<tr><td>${escapeHtml(c.component)}</td><td>${escapeHtml(c.variant)}</td><td>${escapeHtml(c.instance)}</td><td><code>${c.section}</code></td><td>${c.selector ? `<code>${escapeHtml(c.selector)}</code>` : '—'}</td><td>${result}</td></tr>`;
+}).join('')}
+</table>` : ''}
+
+${report.palette ? `<h2>Colors</h2>
+<p>${report.palette.colors.length} colors in use — ${report.palette.colors.filter(c => c.status === 'palette').length} brand, ${report.palette.nearPalette.length} near brand, ${report.palette.offPalette.length} off-palette groups. See <a href="palette-audit.html">the site-wide palette audit</a>.</p>` : ''}
+
+${report.accessibility.length ? `<h2>Accessibility</h2>
+<table border="1" cellpadding="4"><tr><th>Severity</th><th>WCAG</th><th>Rule</th><th>Violations</th><th>Elements</th></tr>
+${report.accessibility.map(g => `<tr><td>${g.severity}</td><td>${g.wcag} (${g.level})</td><td><code>${g.rule}</code> ${g.description}</td><td>${g.count}</td><td>${g.findings.slice(0, 10).map(f => `<code>${escapeHtml(f.selector)}</code> ${escapeHtml(f.message)}`).join('<br>')}${g.count > 10 ? `<br>… ${g.count - 10} more` : ''}</td></tr>`).join('')}
+</table>` : ''}
+
+${report.keyboard ? `<h2>Keyboard Navigation</h2>
+<p>${report.keyboard.stops.length} focus stops — ${report.keyboard.unreachable.length} unreachable, ${report.keyboard.invisible.length} without a visible focus indicator, ${report.keyboard.order.length} out of order${report.keyboard.trap ? ', focus trap' : ''}. Walk ended: ${report.keyboard.end}.</p>
+${report.keyboard.overlay ? `<p>Focus path: numbered stops in tab order, red without a visible indicator, dashed magenta unreachable</p>
+<img src="${path.relative(this.reportBaseDir, report.keyboard.overlay).replace(/\\/g, '/')}" width="600" />` : ''}
+${report.keyboard.stops.length ? `<table border="1" cellpadding="4"><tr><th>#</th><th>Element</th><th>Name</th><th>Focus indicator</th></tr>
+${report.keyboard.stops.map((s, n) => `<tr><td>${n + 1}</td><td><code>${escapeHtml(s.selector)}</code></td><td>${escapeHtml(s.name)}</td><td>${s.indicator === null ? '— off screen' : s.indicator ? `✅ ${s.changedPixels}px change` : `❌ ${s.changedPixels}px change`}</td></tr>`).join('')}
+</table>` : ''}` : ''}
+
+${report.contrast.length ? `<h2>Contrast</h2>
+<p>${report.contrast.length} text elements — ${report.contrast.filter(c => c.level === 'AAA').length} AAA, ${report.contrast.filter(c => c.level === 'AA').length} AA only, ${report.contrast.filter(c => c.level === 'fail').length} failing AA.</p>
+${report.contrast.some(c => c.level !== 'AAA') ? `<table border="1" cellpadding="4"><tr><th>Element</th><th>Text</th><th>Colors</th><th>Ratio</th><th>Size</th><th>AA</th><th>AAA</th></tr>
+${report.contrast.filter(c => c.level !== 'AAA').sort((a, b) => a.ratio - b.ratio).map(c => `<tr><td><code>${escapeHtml(c.selector)}</code></td><td>${escapeHtml(c.text)}</td><td><code>${c.foreground}</code> on <code>${c.background}</code>${c.source === 'screenshot' ? ' (sampled)' : ''}</td><td>${c.ratio}:1</td><td>${c.fontSize}px ${c.fontWeight}${c.large ? ' (large)' : ''}</td><td>${c.aa ? '✅' : '❌'}</td><td>${c.aaa ? '✅' : '❌'}</td></tr>`).join('')}
+</table>` : ''}` : ''}
+
+${report.typography ? `<h2>Typography</h2>
+<table border="1" cellpadding="4"><tr><th>Element</th><th>Font</th><th>Size / line height</th><th>Weight</th><th>Letter spacing</th><th>Uses</th><th>Text style</th><th>Example</th></tr>
+${report.typography.styles.map(t => {
+  const result = { match: `✅ ${t.role}`, wrong_level: `⚠️ ${t.role} (expected ${t.expectedRole})`, unmatched: '❌ none' }[t.status];
+  return `<tr><td>${t.kind === 'heading' ? `h${t.level}` : t.kind}</td><td>${escapeHtml(t.fontFamily)}</td><td>${t.fontSize}px / ${t.lineHeight === null ? 'normal' : `${t.lineHeight}px`}</td><td>${t.fontWeight}</td><td>${t.letterSpacing}px</td><td>${t.count}</td><td>${result}</td><td>“${escapeHtml(t.sample)}” <code>${escapeHtml(t.elements[0])}</code></td></tr>`;
+}).join('')}
+</table>` : ''}
+
 <h2>Issues</h2>
 ${report.issues.length ? `<ul>${
   report.issues.map(i => {
     if (i.type === 'missing_section') {
       return `<li>⚠️ <strong>Missing Section:</strong> <code>${i.section}</code> — Section expected but not found.</li>`;
+    } else if (i.type === 'visual_diff' && i.region) {
+      const { x, y, width, height } = i.region;
+      const target = i.selector ? `<code>${escapeHtml(i.selector)}</code>${i.text ? ` “${escapeHtml(i.text)}”` : ''}` : 'no element found';
+      return `<li>🔲 <strong>Changed Region:</strong> ${width}x${height} at (${x}, ${y}), ${i.pixelsChanged} pixels — ${target}</li>`;
     } else if (i.type === 'visual_diff') {
-      return `<li>🎨 <strong>Visual Difference:</strong> ${i.pixelsChanged} pixels changed.</li>`;
+      const masked = i.maskedRegions ? ` (${i.maskedRegions} masked regions ignored)` : '';
+      return `<li>🎨 <strong>Visual Difference:</strong> ${formatVerdict(i)}${masked}. Review with <code>npm run baseline -- review</code> (key <code>${i.baselineKey}</code>).</li>`;
+    } else if (i.type === 'section_diff') {
+      const size = i.sizeChange ? `, size ${i.sizeChange.baseline.width}x${i.sizeChange.baseline.height} → ${i.sizeChange.current.width}x${i.sizeChange.current.height}` : '';
+      return `<li>🧩 <strong>Section Changed:</strong> <code>${i.section}</code> — ${i.percentChanged}% of the section changed (threshold ${i.threshold}%${size}). Key <code>${i.baselineKey}</code>.</li>`;
+    } else if (i.type === 'design_diff') {
+      return `<li>🖌️ <strong>Design Mismatch:</strong> <code>${i.section}</code> — ${escapeHtml(i.message)}</li>`;
+    } else if (i.type === 'size_change') {
+      return `<li>📏 <strong>Size Change:</strong> ${i.baseline.width}x${i.baseline.height} → ${i.current.width}x${i.current.height} — only the overlapping area was compared.</li>`;
     } else if (i.type === 'style_mismatch') {
-      return `<li>🎨 <strong>Style Mismatch:</strong> <code>${i.section}</code> — ${i.message}</li>`;
+      return `<li>🎨 <strong>Style Mismatch:</strong> <code>${i.section}</code> — ${escapeHtml(i.message)}</li>`;
+    } else if (i.type === 'copy_changed') {
+      return `<li>✏️ <strong>Copy Changed:</strong> <code>${i.section}</code> — Figma “${escapeHtml(i.expected)}”, page “${escapeHtml(i.actual)}” (${Math.round(i.similarity * 100)}% similar)</li>`;
+    } else if (i.type === 'copy_missing') {
+      return `<li>📝 <strong>Copy Missing:</strong> <code>${i.section}</code> — “${escapeHtml(i.expected)}” is in Figma but not on the page</li>`;
+    } else if (i.type === 'copy_extra') {
+      return `<li>➕ <strong>Extra Copy:</strong> <code>${i.section}</code> — “${escapeHtml(i.actual)}” is on the page but not in Figma</li>`;
+    } else if (i.type === 'unmapped_node') {
+      return `<li>🗺️ <strong>Unmapped Figma Node:</strong> <code>${i.section}</code> — ${escapeHtml(i.message)}</li>`;
+    } else if (i.type === 'invalid_selector') {
+      return `<li>❌ <strong>Invalid Selector:</strong> <code>${i.section}</code> — ${escapeHtml(i.message)}</li>`;
+    } else if (i.type === 'layout_mismatch') {
+      return `<li>📐 <strong>Layout:</strong> <code>${i.section}</code> — ${i.check} ${i.property} of <code>${i.elements.map(escapeHtml).join(' / ')}</code>: Figma ${i.expected}px, page ${i.actual}px</li>`;
+    } else if (i.type === 'spacing_off_scale') {
+      return `<li>📏 <strong>Off-Scale Spacing:</strong> <code>${i.section}</code> — ${i.message} — <code>${i.elements.map(escapeHtml).join('</code>, <code>')}</code></li>`;
+    } else if (i.type === 'grid_misaligned') {
+      return `<li>📏 <strong>Off the Grid:</strong> <code>${i.section}</code> — ${escapeHtml(i.message)}</li>`;
+    } else if (i.type === 'component_mismatch') {
+      return `<li>🧱 <strong>Component Mismatch:</strong> <code>${i.section}</code> — ${escapeHtml(i.message)}</li>`;
+    } else if (i.type === 'component_unmatched') {
+      return `<li>🧱 <strong>Component Not Found:</strong> <code>${i.section}</code> — ${escapeHtml(i.message)}</li>`;
+    } else if (i.type === 'near_palette_color') {
+      return `<li>🎨 <strong>Near Brand Color:</strong> ${escapeHtml(i.message)} — <code>${i.elements.map(escapeHtml).join('</code>, <code>')}</code></li>`;
+    } else if (i.type === 'off_palette_color') {
+      return `<li>🎨 <strong>Off-Palette Color:</strong> ${escapeHtml(i.message)} — <code>${i.elements.map(escapeHtml).join('</code>, <code>')}</code></li>`;
+    } else if (i.type === 'accessibility') {
+      return `<li>♿ <strong>Accessibility (${i.severity}, WCAG ${i.wcag}):</strong> ${escapeHtml(i.message)} — <code>${i.elements.map(escapeHtml).join('</code>, <code>')}</code></li>`;
+    } else if (i.type === 'focus_trap') {
+      return `<li>⌨️ <strong>Focus Trap:</strong> ${escapeHtml(i.message)} — <code>${i.elements.map(escapeHtml).join('</code>, <code>')}</code></li>`;
+    } else if (i.type === 'focus_unreachable') {
+      return `<li>⌨️ <strong>Not Keyboard Reachable:</strong> ${escapeHtml(i.message)} — <code>${i.elements.map(escapeHtml).join('</code>, <code>')}</code></li>`;
+    } else if (i.type === 'focus_invisible') {
+      return `<li>⌨️ <strong>Invisible Focus:</strong> ${escapeHtml(i.message)} — <code>${i.elements.map(escapeHtml).join('</code>, <code>')}</code></li>`;
+    } else if (i.type === 'focus_order') {
+      return `<li>⌨️ <strong>Focus Order:</strong> ${escapeHtml(i.message)} — <code>${i.elements.map(escapeHtml).join('</code> → <code>')}</code></li>`;
+    } else if (i.type === 'contrast_fail') {
+      return `<li>🌓 <strong>Low Contrast:</strong> ${escapeHtml(i.message)} — <code>${i.elements.map(escapeHtml).join('</code>, <code>')}</code></li>`;
+    } else if (i.type === 'typography_unmatched') {
+      return `<li>🔤 <strong>Off-Scale Text:</strong> ${escapeHtml(i.message)} — <code>${i.elements.map(escapeHtml).join('</code>, <code>')}</code></li>`;
+    } else if (i.type === 'heading_level_mismatch') {
+      return `<li>🔤 <strong>Heading Level:</strong> ${escapeHtml(i.message)} — <code>${i.elements.map(escapeHtml).join('</code>, <code>')}</code></li>`;
+    } else if (i.type === 'token_missing') {
+      return `<li>🏷️ <strong>Unknown Token:</strong> <code>${i.section}</code> — ${escapeHtml(i.message)}</li>`;
     } else if (i.type === 'error') {
-      return `<li>❌ <strong>Error Processing Section:</strong> <code>${i.section}</code> — ${i.message}</li>`;
+      return `<li>❌ <strong>Error Processing Section:</strong> <code>${escapeHtml(i.section)}</code> — ${escapeHtml(i.message)}</li>`;
     } else {
-      return `<li>🔍 <strong>Unknown Issue:</strong> ${JSON.stringify(i)}</li>`;
+      return `<li>🔍 <strong>Unknown Issue:</strong> ${escapeHtml(JSON.stringify(i))}</li>`;
     }
   }).join('')
 }</ul>` : '<p>✅ No issues</p>'}
@@ -294,11 +1111,90 @@ ${report.issues.length ? `<ul>${
 </body></html>`;
 
     await fs.writeFile(htmlPath, html);
+    await fs.writeFile(path.join(this.reportBaseDir, `qa-report-${pageName}.json`), JSON.stringify(report, null, 2));
+    await this.generatePDFReport(pageName, report);
     return report;
   }
 
+  // PDF of the same report object as the HTML and JSON reports
+  async generatePDFReport(pageName, report) {
+    return new Promise(async (resolve, reject) => {
+      const pdfPath = path.join(this.reportBaseDir, `qa-report-${pageName}.pdf`);
+      const doc = new PDFDocument({ autoFirstPage: false });
+
+      const stream = (await fs.open(pdfPath, 'w')).createWriteStream();
+      doc.pipe(stream);
+
+      doc.addPage();
+      doc.fontSize(18).text(`QA Report: ${pageName}`, { underline: true });
+      doc.moveDown();
+      doc.fontSize(12).text(`URL: ${report.url}`);
+      doc.text(`Environment: ${this.config.environment}`);
+      doc.text(`Status: ${report.summary.status}`);
+      if (report.figmaFrame) {
+        doc.text(`Figma frame: ${report.figmaFrame.name} (matched by ${report.figmaFrame.matchedBy})`);
+      }
+      if (freshnessWarning(this.figmaFreshness)) {
+        doc.text(`Figma: ${freshnessWarning(this.figmaFreshness)}`);
+      }
+      if (report.visualDiff) {
+        doc.text(`Visual diff: ${formatVerdict(report.visualDiff)} — ${report.visualDiff.passed ? 'PASS' : 'FAIL'} (mode ${report.visualDiff.mode})`);
+      }
+      doc.text(`Timestamp: ${report.timestamp}`);
+      doc.moveDown();
+
+      doc.fontSize(14).text('Issues:', { underline: true });
+      if (report.issues.length === 0) {
+        doc.text('✅ No issues');
+      } else {
+        report.issues.forEach(issue => {
+          doc.fontSize(10).text(issue.type === 'accessibility'
+            ? `- ${issue.type}: ${issue.rule} (WCAG ${issue.wcag}, ${issue.severity}) — ${issue.message}`
+            : `- ${issue.type}: ${issue.message || issue.section}`);
+        });
+      }
+
+      if (report.accessibility.length) {
+        doc.moveDown();
+        doc.fontSize(14).text('Accessibility:', { underline: true });
+        for (const group of report.accessibility) {
+          doc.fontSize(12).text(`${group.rule} — WCAG ${group.wcag} (${group.level}), ${group.severity}, ${group.count} violation(s)`);
+          group.findings.slice(0, 5).forEach(f => doc.fontSize(10).text(`   ${f.selector}: ${f.message}`));
+        }
+      }
+
+      if (report.screenshots.length) {
+        doc.addPage();
+        doc.fontSize(14).text('Screenshots:', { underline: true });
+      }
+      for (const shot of report.screenshots) {
+        try {
+          const imgPath = path.resolve(shot.path);
+          doc.addPage();
+          doc.fontSize(12).text(shot.name);
+          doc.image(imgPath, {
+            fit: [500, 400],
+            align: 'center',
+            valign: 'center'
+          });
+        } catch (e) {
+          console.warn(`⚠️ Failed to add image to PDF: ${shot.path}`, e.message);
+        }
+      }
+
+      doc.end();
+
+      stream.on('finish', () => {
+        console.log(`📄 PDF report generated: ${pdfPath}`);
+        resolve();
+      });
+
+      stream.on('error', reject);
+    });
+  }
+
   async generateIndexPage() {
-    const reportsRoot = path.resolve('reports');
+    const reportsRoot = path.resolve(this.config.reportDir);
     let folders = [];
     try {
       folders = await fs.readdir(reportsRoot, { withFileTypes: true });
@@ -315,7 +1211,7 @@ ${report.issues.length ? `<ul>${
       <html>
       <head><title>QA Reports Index</title></head>
       <body>
-        <h1>QA Reports Index</h1>
+        <h1>QA Reports Index (${this.config.environment})</h1>
         <ul>
     `;
 
@@ -373,14 +1269,20 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   const args = process.argv.slice(2);
   let singlePage = null;
   let reportType = 'html';
+  let configPath;
+  let environment;
+  let crawl = false;
 
   for (const arg of args) {
     if (arg.startsWith('--page=')) singlePage = arg.split('=')[1];
     if (arg.startsWith('--reportType=')) reportType = arg.split('=')[1];
+    if (arg.startsWith('--config=')) configPath = arg.split('=')[1];
+    if (arg.startsWith('--env=')) environment = arg.split('=')[1];
+    if (arg === '--crawl') crawl = true;
   }
 
   (async () => {
-    const analyzer = new EnhancedQAAnalyzer({ singlePage, reportType });
+    const analyzer = new EnhancedQAAnalyzer({ singlePage, reportType, configPath, environment, crawl });
     await analyzer.run();
   })();
 }
@@ -4,10 +4,22 @@ import { chromium } from 'playwright';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import figma from 'figma-js';
-import pixelmatch from 'pixelmatch';
-import { PNG } from 'pngjs';
 import dotenv from 'dotenv';
+import configLoader from './config-loader.js';
+import BaselineStore from './baseline-store.js';
+import pageStabilizer from './page-stabilizer.js';
+import {
+  changedRegionIssue,
+  compareScreenshots,
+  evaluateDiff,
+  formatVerdict,
+  locateChangedRegions,
+  maskScopesFor,
+  resolveDiffSettings,
+  resolveMaskRegions
+} from './visual-diff.mjs';
+import { FigmaSnapshot, freshnessWarning } from './figma-snapshot.mjs';
+import { guessSelector } from './figma-mapping.mjs';
 
 dotenv.config();
 console.log('FIGMA_FILE_ID:', process.env.FIGMA_FILE_ID);
@@ -22,26 +34,16 @@ class EnhancedQAAnalyzer {
     this.page = null;
     this.issues = [];
     this.screenshots = [];
+    this.visualDiff = null;
 
-    this.pagesToTest = [
-      { name: 'home', url: 'https://cross-switch.staging2.liquidpreview2.net/' },
-      { name: 'about', url: 'https://cross-switch.staging2.liquidpreview2.net/about' },
-      { name: 'solutions', url: 'https://cross-switch.staging2.liquidpreview2.net/solutions' },
-      { name: 'newsroom', url: 'https://cross-switch.staging2.liquidpreview2.net/newsroom' },
-      { name: 'article', url: 'https://cross-switch.staging2.liquidpreview2.net/news/article-1' },
-      { name: 'contact', url: 'https://cross-switch.staging2.liquidpreview2.net/contact' }
-    ];
-
-    this.defaultSections = {
-      home: ['hero', 'features', 'footer'],
-      about: ['team', 'mission', 'footer'],
-      solutions: ['overview', 'features', 'cta', 'footer'],
-      newsroom: ['latest-news', 'subscribe', 'footer'],
-      article: ['article-content', 'author', 'footer'],
-      contact: ['form', 'location', 'footer']
-    };
+    this.config = configLoader.loadConfig();
+    this.baselines = new BaselineStore(this.config);
+    this.pagesToTest = configLoader.resolvePages(this.config);
+
+    this.defaultSections = this.config.sections;
 
     this.figmaDesignSpecs = null;
+    this.figmaFreshness = null;
   }
 
   async initialize() {
@@ -52,54 +54,39 @@ class EnhancedQAAnalyzer {
   }
 
   async createDirectories() {
-    await fs.mkdir('reports', { recursive: true });
-    await fs.mkdir('screenshots', { recursive: true });
+    await fs.mkdir(this.config.reportDir, { recursive: true });
+    await fs.mkdir(this.config.screenshotDir, { recursive: true });
   }
 
+  // Sections come from the local Figma snapshot (npm run figma -- pull)
   async loadFigmaDesignSpecs() {
-    if (!process.env.FIGMA_TOKEN || !process.env.FIGMA_FILE_ID) {
+    if (!process.env.FIGMA_FILE_ID) {
       console.log('⚠️ No Figma config found. Using default sections.');
       return;
     }
-  
-    try {
-      const client = figma.Client({ personalAccessToken: process.env.FIGMA_TOKEN });
-  
-      const pageIds = JSON.parse(process.env.FIGMA_PAGE_IDS);
-      const { data } = await client.fileNodes(process.env.FIGMA_FILE_ID, {
-        ids: Object.values(pageIds)
-      });
-  
-      this.figmaDesignSpecs = {};
-  
-      for (const [key, nodeId] of Object.entries(pageIds)) {
-        const node = data.nodes?.[nodeId]?.document;
-  
-        if (!node) {
-          console.warn(`⚠️ No node found for page: ${key}`);
-          continue;
-        }
-  
-        const sections = [];
-        if (node.children) {
-          for (const child of node.children) {
-            if (child.name && child.absoluteBoundingBox) {
-              const sectionName = child.name.toLowerCase().replace(/\s+/g, '-');
-              sections.push(sectionName);
-            }
-          }
+
+    const snapshot = await FigmaSnapshot.load(this.config, process.env.FIGMA_FILE_ID);
+    if (!snapshot) {
+      console.log('⚠️ No Figma snapshot found — run "npm run figma -- pull". Using default sections.');
+      return;
+    }
+
+    this.figmaDesignSpecs = {};
+    for (const [key, node] of Object.entries(snapshot.pageNodes())) {
+      const sections = [];
+      for (const child of node.children || []) {
+        if (child.name && child.absoluteBoundingBox) {
+          sections.push(child.name.toLowerCase().replace(/\s+/g, '-'));
         }
-  
-        this.figmaDesignSpecs[key] = sections;
       }
-  
-      console.log('✅ Loaded section specs from Figma');
-    } catch (err) {
-      console.error('❌ Failed to load from Figma. Using defaults:', err.response?.data || err.message);
-      this.figmaDesignSpecs = null;
+      this.figmaDesignSpecs[key] = sections;
     }
+    console.log(`✅ Loaded section specs from Figma snapshot ${snapshot.version}`);
+
+    this.figmaFreshness = await snapshot.checkFreshness();
+    const warning = freshnessWarning(this.figmaFreshness);
+    if (warning) console.log(`⚠️ ${warning}`);
   }
-  
 
   parseFigmaSections(root) {
     const result = {};
@@ -133,12 +120,14 @@ class EnhancedQAAnalyzer {
     for (const { name: pageName, url } of this.pagesToTest) {
       this.issues = [];
       this.screenshots = [];
+      this.visualDiff = null;
 
-      const pageDir = path.join('screenshots', pageName);
+      const pageDir = path.join(this.config.screenshotDir, pageName);
       await fs.mkdir(pageDir, { recursive: true });
 
-      console.log(`\n🌐 Visiting: ${pageName} → ${url}`);
+      console.log(`\n🌐 Visiting: ${pageName} → ${url} [${this.config.environment}]`);
       await this.page.goto(url, { waitUntil: 'networkidle' });
+      await pageStabilizer.stabilizePage(this.page, this.config.stabilization);
 
       await this.takeScreenshotWithDiff(pageName, pageDir);
       await this.analyzeSections(pageName, pageDir);
@@ -149,46 +138,103 @@ class EnhancedQAAnalyzer {
     console.log('\n✅ ALL PAGES COMPLETE');
   }
 
-  async takeScreenshotWithDiff(pageName, dir) {
+  async takeScreenshotWithDiff(pageName, dir, { sectionsKey = pageName, viewport = null } = {}) {
+    const key = BaselineStore.keyFor(pageName, viewport);
     const currentPath = `${dir}/current.png`;
-    const baselinePath = `${dir}/baseline.png`;
+    const baselinePath = this.baselines.baselinePath(key);
     const diffPath = `${dir}/diff.png`;
 
     await this.page.screenshot({ fullPage: true, path: currentPath });
     this.screenshots.push({ name: 'full-page', path: currentPath });
 
+    // Blank dynamic content (carousels, dates, banners) in both images before comparing
+    const sections = this.figmaDesignSpecs?.[sectionsKey] || this.defaultSections[sectionsKey] || [];
+    const regions = await resolveMaskRegions(
+      this.page,
+      maskScopesFor(this.config, sectionsKey, sections, section => this.sectionSelector(section))
+    );
+
+    // New screenshots wait for review (npm run baseline) instead of becoming baselines implicitly
+    if (!(await this.baselines.hasBaseline(key))) {
+      await this.baselines.addPending({ key, page: pageName, viewport, status: 'new', currentPath });
+      console.log(`🆕 No baseline for ${key} — queued for review (npm run baseline)`);
+      return;
+    }
+
     try {
-      await fs.access(baselinePath);
-      const img1 = PNG.sync.read(await fs.readFile(currentPath));
-      const img2 = PNG.sync.read(await fs.readFile(baselinePath));
-      const { width, height } = img1;
-      const diff = new PNG({ width, height });
+      const settings = resolveDiffSettings(this.config, { page: pageName, template: sectionsKey, viewport });
+      const result = await compareScreenshots({
+        currentPath,
+        baselinePath,
+        diffPath,
+        threshold: this.config.thresholds.pixelmatch,
+        regions,
+        mode: settings.mode
+      });
+      const { pixelDiff, percentChanged, ssim, sizeChange, maskedRegions, changedRegions } = result;
 
-      const pixelDiff = pixelmatch(img1.data, img2.data, diff.data, width, height, { threshold: 0.1 });
-      await fs.writeFile(diffPath, PNG.sync.write(diff));
+      // Recorded in the report whether it passes or not, so reviewers can see which mode decided
+      const verdict = evaluateDiff(result, settings);
+      this.visualDiff = { baselineKey: key, ...verdict };
 
       this.screenshots.push({ name: 'diff', path: diffPath });
 
-      if (pixelDiff > 50) {
+      if (sizeChange) {
+        const { baseline, current } = sizeChange;
+        this.issues.push({
+          type: 'size_change',
+          baselineKey: key,
+          baseline,
+          current,
+          message: `Screenshot size changed from ${baseline.width}x${baseline.height} to ${current.width}x${current.height}; compared the overlapping area only`
+        });
+        console.log(`📏 Size changed: ${baseline.width}x${baseline.height} → ${current.width}x${current.height}`);
+      }
+
+      if (!verdict.passed) {
         this.issues.push({ 
           type: 'visual_diff', 
+          baselineKey: key,
           pixelsChanged: pixelDiff,
-          message: `${pixelDiff} pixels changed between baseline and current screenshot`
+          maskedRegions,
+          ...verdict,
+          message: `${formatVerdict(verdict)} between baseline and current screenshot`
+        });
+        // One entry per changed area, pointed at the element it landed on
+        for (const region of await locateChangedRegions(this.page, changedRegions)) {
+          this.issues.push(changedRegionIssue(key, region));
+        }
+      }
+
+      if (sizeChange || !verdict.passed) {
+        await this.baselines.addPending({
+          key,
+          page: pageName,
+          viewport,
+          status: 'changed',
+          currentPath,
+          diffPath,
+          stats: { mode: verdict.mode, pixelsChanged: pixelDiff, percentChanged, ssim, sizeChange, maskedRegions, changedRegions: changedRegions.length }
         });
       }
 
-      console.log(`🖼️ Visual diff complete: ${pixelDiff} pixels changed`);
-    } catch {
-      await fs.copyFile(currentPath, baselinePath);
-      console.log('🆕 Baseline created for:', pageName);
+      console.log(`🖼️ Visual diff ${verdict.passed ? 'passed' : 'failed'}: ${formatVerdict(verdict)} (${regions.length} regions masked)`);
+    } catch (err) {
+      this.issues.push({ type: 'error', section: 'visual_diff', message: err.message });
+      console.log(`❌ Visual diff failed for ${pageName}: ${err.message}`);
     }
   }
 
+  // Guesses a selector for a section from its Figma/config name
+  sectionSelector(section) {
+    return guessSelector(section);
+  }
+
   async analyzeSections(pageName, dir) {
     const expected = this.figmaDesignSpecs?.[pageName] || this.defaultSections[pageName] || [];
 
     for (const section of expected) {
-      const selector = `.${section}, [class*="${section}"], section[id*="${section}"]`;
+      const selector = this.sectionSelector(section);
       try {
         const el = await this.page.locator(selector).first();
         if (await el.isVisible()) {
@@ -224,11 +270,12 @@ class EnhancedQAAnalyzer {
         screenshots: this.screenshots.length,
         issues: this.issues.length
       },
+      visualDiff: this.visualDiff,
       screenshots: this.screenshots,
       issues: this.issues
     };
 
-    const htmlPath = `reports/qa-report-${pageName}.html`;
+    const htmlPath = path.join(this.config.reportDir, `qa-report-${pageName}.html`);
     const html = `
 <!DOCTYPE html>
 <html>
@@ -246,12 +293,14 @@ class EnhancedQAAnalyzer {
   <h1>QA Report: ${pageName}</h1>
   <p><strong>URL:</strong> <a href="${pageUrl}" target="_blank">${pageUrl}</a></p>
   <p><strong>Status:</strong> ${report.summary.status}</p>
+  ${freshnessWarning(this.figmaFreshness) ? `<p><strong>⚠️ Figma:</strong> ${freshnessWarning(this.figmaFreshness)}</p>` : ''}
+  ${report.visualDiff ? `<p><strong>Visual diff:</strong> ${formatVerdict(report.visualDiff)} — ${report.visualDiff.passed ? 'PASS' : 'FAIL'} (mode <code>${report.visualDiff.mode}</code>)</p>` : ''}
 
   <h2>Screenshots</h2>
   ${report.screenshots.map(s => `
     <div>
       <h3>${s.name}</h3>
-      <img src="../${s.path}" alt="${s.name} screenshot" />
+      <img src="${path.relative(this.config.reportDir, s.path).replace(/\\/g, '/')}" alt="${s.name} screenshot" />
     </div>
   `).join('')}
 
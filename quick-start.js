@@ -4,6 +4,10 @@
 const { chromium } = require('playwright');
 const fs = require('fs').promises;
 const path = require('path');
+const { loadConfig } = require('./config-loader');
+const { stabilizePage } = require('./page-stabilizer');
+const { escapeHtml } = require('./escape-html');
+require('dotenv').config();
 
 class QuickQAAnalyzer {
   constructor() {
@@ -11,24 +15,17 @@ class QuickQAAnalyzer {
     this.page = null;
     this.issues = [];
     this.screenshots = [];
+    this.technicalResults = null;
+    this.paletteResult = null;
     
+    // Shared run configuration (pages, viewports, design specs)
+    this.config = loadConfig();
+
     // Design specifications based on your Figma
     this.designSpecs = {
-      expectedColors: ['#1a4a47', '#ff4d00', '#ffffff', '#f5f5f5'],
-      expectedTexts: [
-        'A unified switch',
-        'Built for scale',
-        'Powering payments across emerging markets',
-        'Built with local insight. Backed by global scale',
-        'Local → Global'
-      ],
-      expectedSections: [
-        'hero',
-        'features',
-        'trust-indicators',
-        'global-reach',
-        'footer'
-      ]
+      expectedColors: this.config.expectedColors,
+      expectedTexts: this.config.expectedTexts,
+      expectedSections: this.config.expectedSections
     };
   }
 
@@ -37,19 +34,41 @@ class QuickQAAnalyzer {
     
     // Create directories
     await this.createDirectories();
+    await this.loadFigmaCopy();
     
     // Launch browser
     this.browser = await chromium.launch({ headless: false });
     this.page = await this.browser.newPage();
     
     // Set viewport to match design
-    await this.page.setViewportSize({ width: 1200, height: 800 });
+    await this.page.setViewportSize(this.config.defaultViewport);
     
     console.log('✅ Browser initialized');
   }
 
+  // Expected copy from the home page TEXT nodes of the Figma snapshot, when there is one
+  async loadFigmaCopy() {
+    if (!process.env.FIGMA_FILE_ID) return;
+
+    // The snapshot modules are ESM
+    const { FigmaSnapshot } = await import('./figma-snapshot.mjs');
+    const { textNodes } = await import('./figma-copy.mjs');
+    const snapshot = await FigmaSnapshot.load(this.config, process.env.FIGMA_FILE_ID);
+    const home = snapshot?.pageNodes().home;
+    if (!home) {
+      console.log('⚠️ No Figma snapshot of the home page. Using expectedTexts from config.');
+      return;
+    }
+
+    const texts = textNodes(home).map(t => t.text);
+    if (texts.length) {
+      this.designSpecs.expectedTexts = [...new Set(texts)];
+      console.log(`✅ ${this.designSpecs.expectedTexts.length} expected texts from Figma snapshot ${snapshot.version}`);
+    }
+  }
+
   async createDirectories() {
-    const dirs = ['screenshots', 'reports', 'analysis'];
+    const dirs = [this.config.screenshotDir, this.config.reportDir, 'analysis'];
     for (const dir of dirs) {
       try {
         await fs.mkdir(dir, { recursive: true });
@@ -63,10 +82,11 @@ class QuickQAAnalyzer {
     console.log('🌐 Navigating to Cross Switch website...');
     
     try {
-      await this.page.goto('https://cross-switch.staging2.liquidpreview2.net/', {
+      await this.page.goto(this.config.baseUrl, {
         waitUntil: 'networkidle',
         timeout: 30000
       });
+      await stabilizePage(this.page, this.config.stabilization);
       console.log('✅ Site loaded successfully');
     } catch (error) {
       console.error('❌ Failed to load site:', error.message);
@@ -80,12 +100,12 @@ class QuickQAAnalyzer {
     // Take full page screenshot
     const fullScreenshot = await this.page.screenshot({
       fullPage: true,
-      path: 'screenshots/full-page.png'
+      path: path.join(this.config.screenshotDir, 'full-page.png')
     });
     
     this.screenshots.push({
       name: 'full-page',
-      path: 'screenshots/full-page.png',
+      path: path.join(this.config.screenshotDir, 'full-page.png'),
       timestamp: new Date().toISOString()
     });
     
@@ -138,12 +158,12 @@ class QuickQAAnalyzer {
         if (await element.isVisible()) {
           // Take screenshot of the section
           await element.screenshot({
-            path: `screenshots/${section.name}.png`
+            path: path.join(this.config.screenshotDir, `${section.name}.png`)
           });
           
           this.screenshots.push({
             name: section.name,
-            path: `screenshots/${section.name}.png`,
+            path: path.join(this.config.screenshotDir, `${section.name}.png`),
             description: section.description,
             found: true
           });
@@ -171,24 +191,18 @@ class QuickQAAnalyzer {
   async checkResponsiveDesign() {
     console.log('📱 Checking responsive design...');
     
-    const viewports = [
-      { width: 1920, height: 1080, name: 'desktop-large' },
-      { width: 1024, height: 768, name: 'tablet' },
-      { width: 375, height: 667, name: 'mobile' }
-    ];
-
-    for (const viewport of viewports) {
-      await this.page.setViewportSize(viewport);
-      await this.page.waitForTimeout(1000); // Allow layout to adjust
+    for (const viewport of this.config.viewports) {
+      await this.page.setViewportSize({ width: viewport.width, height: viewport.height });
+      await stabilizePage(this.page, this.config.stabilization);
       
       await this.page.screenshot({
-        path: `screenshots/responsive-${viewport.name}.png`,
+        path: path.join(this.config.screenshotDir, `responsive-${viewport.name}.png`),
         fullPage: true
       });
       
       this.screenshots.push({
         name: `responsive-${viewport.name}`,
-        path: `screenshots/responsive-${viewport.name}.png`,
+        path: path.join(this.config.screenshotDir, `responsive-${viewport.name}.png`),
         viewport: viewport
       });
       
@@ -196,7 +210,7 @@ class QuickQAAnalyzer {
     }
     
     // Reset to original viewport
-    await this.page.setViewportSize({ width: 1200, height: 800 });
+    await this.page.setViewportSize(this.config.defaultViewport);
   }
 
   async performContentAnalysis() {
@@ -259,6 +273,27 @@ class QuickQAAnalyzer {
     }
   }
 
+  // Every computed color on the page against expectedColors
+  async performColorAnalysis() {
+    console.log('🎨 Checking colors against the brand palette...');
+
+    // palette-audit.mjs is ESM
+    const { auditPalette, brandPalette, collectPageColors, paletteIssues } = await import('./palette-audit.mjs');
+    try {
+      const palette = brandPalette(this.designSpecs.expectedColors);
+      this.paletteResult = auditPalette(await collectPageColors(this.page), palette, this.config.palette);
+    } catch (error) {
+      console.log('❌ Error checking colors:', error.message);
+      this.issues.push({ type: 'analysis_error', section: 'palette', error: error.message });
+      return null;
+    }
+
+    this.issues.push(...paletteIssues(this.paletteResult));
+    const { colors, nearPalette, offPalette } = this.paletteResult;
+    console.log(`✅ ${colors.length} colors, ${nearPalette.length} near brand colors, ${offPalette.length} off-palette groups`);
+    return this.paletteResult;
+  }
+
   async performTechnicalAnalysis() {
     console.log('🔧 Performing technical analysis...');
     
@@ -281,36 +316,37 @@ class QuickQAAnalyzer {
       }
     });
 
-    // Check accessibility basics
-    const accessibilityIssues = await this.page.evaluate(() => {
-      const issues = [];
-      
-      // Check for images without alt text
-      const images = document.querySelectorAll('img');
-      images.forEach((img, index) => {
-        if (!img.alt) {
-          issues.push(`Image ${index + 1} missing alt text`);
-        }
-      });
-      
-      // Check for buttons without accessible text
-      const buttons = document.querySelectorAll('button, [role="button"]');
-      buttons.forEach((btn, index) => {
-        if (!btn.textContent.trim() && !btn.getAttribute('aria-label')) {
-          issues.push(`Button ${index + 1} missing accessible text`);
-        }
-      });
-      
-      return issues;
-    });
+    // Accessibility rules (accessibility-audit.mjs is ESM)
+    const { accessibilityIssues, runAccessibilityRules, summarizeFindings } = await import('./accessibility-audit.mjs');
+    let accessibility = [];
+    try {
+      accessibility = summarizeFindings(await runAccessibilityRules(this.page, this.config.accessibility));
+      this.issues.push(...accessibilityIssues(accessibility));
+    } catch (error) {
+      console.log('❌ Error running accessibility rules:', error.message);
+      this.issues.push({ type: 'analysis_error', section: 'accessibility', error: error.message });
+    }
+
+    // WCAG contrast of every visible text element, one issue per color pair (contrast-audit.mjs is ESM)
+    const { checkPageContrast, contrastIssues } = await import('./contrast-audit.mjs');
+    let contrast = [];
+    try {
+      contrast = await checkPageContrast(this.page);
+      this.issues.push(...contrastIssues(contrast, { level: this.config.contrast?.level }));
+    } catch (error) {
+      console.log('❌ Error checking contrast:', error.message);
+      this.issues.push({ type: 'analysis_error', section: 'contrast', error: error.message });
+    }
 
     const technicalResults = {
       performance: performanceMetrics,
       consoleErrors,
-      accessibilityIssues,
+      accessibility,
+      contrast,
       timestamp: new Date().toISOString()
     };
 
+    this.technicalResults = technicalResults;
     console.log('✅ Technical analysis complete');
     return technicalResults;
   }
@@ -380,6 +416,18 @@ class QuickQAAnalyzer {
       recommendations.push('Check for missing or incorrectly structured page sections');
     }
     
+    if (this.issues.some(i => i.type === 'off_palette_color' || i.type === 'near_palette_color')) {
+      recommendations.push('Replace off-palette colors with the brand colors from the design');
+    }
+    
+    if (this.issues.some(i => i.type === 'accessibility' && ['critical', 'serious'].includes(i.severity))) {
+      recommendations.push('Fix critical and serious accessibility violations before release');
+    }
+    
+    if (this.issues.some(i => i.type === 'contrast_fail')) {
+      recommendations.push('Fix text colors that fail WCAG contrast against their background');
+    }
+    
     if (this.issues.some(i => i.type === 'analysis_error')) {
       recommendations.push('Review page structure and element selectors');
     }
@@ -397,7 +445,8 @@ class QuickQAAnalyzer {
     
     const report = {
       timestamp: new Date().toISOString(),
-      url: 'https://cross-switch.staging2.liquidpreview2.net/',
+      url: this.config.baseUrl,
+      environment: this.config.environment,
       summary: {
         totalScreenshots: this.screenshots.length,
         totalIssues: this.issues.length,
@@ -406,17 +455,20 @@ class QuickQAAnalyzer {
       screenshots: this.screenshots,
       issues: this.issues,
       designSpecs: this.designSpecs,
+      palette: this.paletteResult,
+      technical: this.technicalResults,
       analysis: await this.generateSimpleAIAnalysis()
     };
 
     // Save report
-    await fs.writeFile('reports/qa-report.json', JSON.stringify(report, null, 2));
+    const reportPath = path.join(this.config.reportDir, 'qa-report.json');
+    await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
     
     // Generate HTML report
     await this.generateHTMLReport(report);
     
-    console.log('✅ Report generated: reports/qa-report.json');
-    console.log('✅ HTML Report generated: reports/qa-report.html');
+    console.log(`✅ Report generated: ${reportPath}`);
+    console.log(`✅ HTML Report generated: ${path.join(this.config.reportDir, 'qa-report.html')}`);
     
     return report;
   }
@@ -456,6 +508,7 @@ class QuickQAAnalyzer {
             <h1>Cross Switch QA Report</h1>
             <p>Generated: ${report.timestamp}</p>
             <p>URL: <a href="${report.url}" target="_blank">${report.url}</a></p>
+            <p>Environment: ${report.environment}</p>
         </div>
         
         <div class="status ${report.summary.status.toLowerCase().replace('_', '-')}">
@@ -488,16 +541,26 @@ class QuickQAAnalyzer {
                 <div class="card">
                     <h3>${screenshot.name}</h3>
                     <p>${screenshot.description || 'Screenshot capture'}</p>
-                    <img src="../${screenshot.path}" alt="${screenshot.name}" class="screenshot">
+                    <img src="${path.relative(this.config.reportDir, screenshot.path).replace(/\\/g, '/')}" alt="${screenshot.name}" class="screenshot">
                 </div>
             `).join('')}
         </div>
         
+        ${report.technical?.accessibility.length ? `
+            <h2>Accessibility</h2>
+            ${report.technical.accessibility.map(group => `
+                <div class="issue">
+                    <strong>${group.rule}</strong> — WCAG ${group.wcag} (${group.level}), ${group.severity}, ${group.count} violation(s): ${group.description}
+                    <ul>${group.findings.slice(0, 10).map(f => `<li><code>${escapeHtml(f.selector)}</code> ${escapeHtml(f.message)}</li>`).join('')}</ul>
+                </div>
+            `).join('')}
+        ` : ''}
+        
         ${report.issues.length > 0 ? `
             <h2>Issues Found</h2>
             ${report.issues.map(issue => `
                 <div class="issue">
-                    <strong>${issue.type}:</strong> ${issue.description || issue.error || 'No description'}
+                    <strong>${issue.type}:</strong> ${issue.type === 'accessibility' ? `${issue.rule} (WCAG ${issue.wcag}, ${issue.severity}) — ` : ''}${escapeHtml(issue.message || issue.description || issue.error || 'No description')}
                 </div>
             `).join('')}
         ` : '<div class="status pass">No issues found!</div>'}
@@ -512,7 +575,7 @@ class QuickQAAnalyzer {
 </body>
 </html>`;
 
-    await fs.writeFile('reports/qa-report.html', html);
+    await fs.writeFile(path.join(this.config.reportDir, 'qa-report.html'), html);
   }
 
   async cleanup() {
@@ -528,6 +591,7 @@ class QuickQAAnalyzer {
       await this.navigateToSite();
       await this.performVisualAnalysis();
       await this.performContentAnalysis();
+      await this.performColorAnalysis();
       await this.performTechnicalAnalysis();
       
       const report = await this.generateReport();
@@ -543,10 +607,10 @@ class QuickQAAnalyzer {
       console.log(`📝 Content Compliance: ${report.analysis.contentCompliance.score.toFixed(1)}%`);
       console.log(`🔧 Technical Score: ${report.analysis.technicalScore.score}%`);
       console.log('\n📁 Files generated:');
-      console.log('  - reports/qa-report.json');
-      console.log('  - reports/qa-report.html');
-      console.log('  - screenshots/ (all captured images)');
-      console.log('\n💡 Open reports/qa-report.html in your browser to view the full report');
+      console.log(`  - ${path.join(this.config.reportDir, 'qa-report.json')}`);
+      console.log(`  - ${path.join(this.config.reportDir, 'qa-report.html')}`);
+      console.log(`  - ${this.config.screenshotDir}/ (all captured images)`);
+      console.log(`\n💡 Open ${path.join(this.config.reportDir, 'qa-report.html')} in your browser to view the full report`);
       
     } catch (error) {
       console.error('❌ QA Analysis failed:', error);
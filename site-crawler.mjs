@@ -0,0 +1,217 @@
+// site-crawler.mjs
+// Discovers pages for crawl mode: reads sitemap.xml, follows same-origin links,
+// and groups the URLs it finds by template so each group gets the right sections.
+import fetch from 'node-fetch';
+
+const SKIPPED_EXTENSIONS = /\.(pdf|zip|jpe?g|png|gif|svg|webp|ico|mp4|mp3|docx?|xlsx?|css|js|xml|json)$/i;
+
+// Converts a template pattern like /news/* or /docs/** into a RegExp
+export function patternToRegExp(pattern) {
+  const source = pattern
+    .replace(/\/+$/, '')
+    .split('/')
+    .map(segment => {
+      if (segment === '**') return '.*';
+      return segment
+        .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '[^/]+');
+    })
+    .join('/');
+  return new RegExp(`^${source || ''}/?$`);
+}
+
+export function matchTemplate(pathname, templates = []) {
+  return templates.find(t => patternToRegExp(t.pattern).test(pathname)) || null;
+}
+
+// Same-origin URL without query, fragment or trailing slash; null when it should not be crawled
+export function normalizeUrl(href, baseUrl) {
+  let url;
+  try {
+    url = new URL(href, baseUrl);
+  } catch {
+    return null;
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) return null;
+  if (url.origin !== new URL(baseUrl).origin) return null;
+  if (SKIPPED_EXTENSIONS.test(url.pathname)) return null;
+
+  url.hash = '';
+  url.search = '';
+  if (url.pathname.length > 1) {
+    url.pathname = url.pathname.replace(/\/+$/, '');
+  }
+  return url.href;
+}
+
+const isExcluded = (pathname, exclude = []) =>
+  exclude.some(pattern => patternToRegExp(pattern).test(pathname));
+
+// Path and query of a sitemap entry on baseUrl's host, or null when it is not a URL
+const rebase = (loc, baseUrl) => {
+  try {
+    const { pathname, search } = new URL(loc);
+    return new URL(pathname + search, baseUrl).href;
+  } catch {
+    return null;
+  }
+};
+
+// Reads <loc> entries from sitemap.xml, following one level of sitemap indexes.
+// Sitemaps usually list canonical (production) URLs, so child sitemaps and every
+// entry are rebased onto baseUrl. Each request gives up after `timeout` ms.
+export async function readSitemap(baseUrl, { limit = 500, timeout = 10000 } = {}) {
+  const fetchLocs = async (url) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    try {
+      const response = await fetch(url, { signal: controller.signal });
+      if (!response.ok) return { locs: [], isIndex: false };
+      const xml = await response.text();
+      const locs = [...xml.matchAll(/<loc>\s*([^<\s]+)\s*<\/loc>/gi)].map(m => m[1].replace(/&amp;/g, '&'));
+      return { locs, isIndex: /<sitemapindex[\s>]/i.test(xml) };
+    } catch (err) {
+      throw new Error(err.name === 'AbortError' ? `${url} did not respond within ${timeout}ms` : err.message);
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  try {
+    const root = await fetchLocs(new URL('/sitemap.xml', baseUrl).href);
+    let locs = root.locs;
+
+    if (root.isIndex) {
+      locs = [];
+      for (const child of root.locs) {
+        if (locs.length >= limit) break;
+        const url = rebase(child, baseUrl);
+        if (url) locs.push(...(await fetchLocs(url)).locs);
+      }
+    }
+
+    const urls = new Set();
+    for (const loc of locs) {
+      const rebased = rebase(loc, baseUrl);
+      const url = rebased && normalizeUrl(rebased, baseUrl);
+      if (url) urls.add(url);
+      if (urls.size >= limit) break;
+    }
+
+    console.log(`🗺️ Sitemap: ${urls.size} URLs`);
+    return [...urls];
+  } catch (err) {
+    console.log(`⚠️ Could not read sitemap.xml: ${err.message}`);
+    return [];
+  }
+}
+
+// Breadth-first crawl of same-origin links starting at baseUrl and the seed URLs
+export async function crawlSite(page, baseUrl, { maxDepth = 2, maxPages = 50, exclude = [], seeds = [] } = {}) {
+  const start = normalizeUrl(baseUrl, baseUrl);
+  const found = new Set([start]);
+  let frontier = [start];
+
+  for (const seed of seeds) {
+    if (found.size >= maxPages) break;
+    if (found.has(seed) || isExcluded(new URL(seed).pathname, exclude)) continue;
+    found.add(seed);
+    frontier.push(seed);
+  }
+
+  for (let depth = 0; depth < maxDepth && frontier.length && found.size < maxPages; depth++) {
+    const next = [];
+
+    for (const url of frontier) {
+      if (found.size >= maxPages) break;
+      let links = [];
+      try {
+        await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+        links = await page.evaluate(() => Array.from(document.querySelectorAll('a[href]'), a => a.href));
+      } catch (err) {
+        console.log(`⚠️ Crawl failed for ${url}: ${err.message}`);
+        continue;
+      }
+
+      for (const href of links) {
+        const link = normalizeUrl(href, baseUrl);
+        if (!link || found.has(link) || isExcluded(new URL(link).pathname, exclude)) continue;
+        found.add(link);
+        next.push(link);
+        if (found.size >= maxPages) break;
+      }
+    }
+
+    console.log(`🕸️ Crawl depth ${depth + 1}: ${next.length} new URLs`);
+    frontier = next;
+  }
+
+  return [...found];
+}
+
+const slugify = (pathname) =>
+  pathname.replace(/^\/+|\/+$/g, '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'home';
+
+// Turns discovered URLs into run() entries: { name, url, template }.
+// Configured pages keep their names; template groups share their template's
+// sections entry; anything else is named after its path.
+export function groupByTemplate(urls, { baseUrl, pages = [], templates = [], maxPerTemplate = Infinity }) {
+  const byPath = new Map(pages.map(p => [new URL(p.path, baseUrl).pathname.replace(/(.)\/+$/, '$1'), p.name]));
+  const groups = new Map();
+  const entries = [];
+
+  for (const url of urls) {
+    const { pathname } = new URL(url);
+    const configured = byPath.get(pathname);
+
+    if (configured) {
+      entries.push({ name: configured, url, template: configured });
+      continue;
+    }
+
+    const template = matchTemplate(pathname, templates);
+    if (template) {
+      const group = groups.get(template.name) || [];
+      groups.set(template.name, group);
+      if (group.length < maxPerTemplate) {
+        const entry = { name: `${template.name}-${slugify(pathname)}`, url, template: template.name };
+        group.push(entry);
+        entries.push(entry);
+      }
+      continue;
+    }
+
+    const name = slugify(pathname);
+    entries.push({ name, url, template: name });
+  }
+
+  return entries;
+}
+
+// Full crawl-mode discovery for an analyzer: sitemap + link crawl + grouping
+export async function discoverPages(page, config) {
+  const crawl = config.crawl || {};
+  console.log(`\n🔎 Crawling ${config.baseUrl} (depth ${crawl.maxDepth ?? 2}, max ${crawl.maxPages ?? 50} pages)`);
+
+  const seeds = crawl.useSitemap === false
+    ? []
+    : await readSitemap(config.baseUrl, { limit: crawl.maxPages ?? 50 });
+
+  const urls = await crawlSite(page, config.baseUrl, {
+    maxDepth: crawl.maxDepth,
+    maxPages: crawl.maxPages,
+    exclude: crawl.exclude,
+    seeds
+  });
+
+  const entries = groupByTemplate(urls, {
+    baseUrl: config.baseUrl,
+    pages: config.pages,
+    templates: crawl.templates,
+    maxPerTemplate: crawl.maxPerTemplate
+  });
+
+  console.log(`✅ Discovered ${entries.length} pages to test`);
+  return entries;
+}
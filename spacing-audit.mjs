@@ -0,0 +1,124 @@
+// spacing-audit.mjs
+// Spacing and grid conformance inside a section. Computed margins, paddings and
+// flex/grid gaps should be on the spacing scale (config.spacing: a base grid,
+// explicit values and/or the Figma spacing tokens), and the content blocks of the
+// section should start and end on the column grid of the viewport.
+import { installSelectorFor } from './dom-selector.mjs';
+
+// Allowed spacing: { base, values } where values are explicit and token values in px
+export function spacingScale(spacing = {}, tokens = null) {
+  const values = [...(spacing.scale || [])];
+  if (spacing.useTokens !== false) values.push(...Object.values(tokens?.spacing || {}));
+  return { base: spacing.base || null, values: [...new Set(values)].sort((a, b) => a - b) };
+}
+
+// Closest allowed value to a px value, and whether it is within tolerance
+export function nearestSpacing(value, { base, values }, tolerance = 0.5) {
+  const candidates = [0, ...values];
+  if (base) candidates.push(Math.round(value / base) * base);
+  const nearest = candidates.reduce((best, v) => (Math.abs(v - value) < Math.abs(best - value) ? v : best), candidates[0]);
+  return { nearest, onScale: Math.abs(nearest - value) <= tolerance };
+}
+
+// Off-scale values grouped by value: [{ value, nearest, properties, count, elements }]
+export function spacingViolations(measured, scale, { tolerance = 0.5, maxElements = 5 } = {}) {
+  const groups = new Map();
+  for (const { selector, property, value } of measured) {
+    const { nearest, onScale } = nearestSpacing(value, scale, tolerance);
+    if (onScale) continue;
+    const key = Math.round(value * 10) / 10;
+    if (!groups.has(key)) groups.set(key, { value: key, nearest, properties: [], count: 0, elements: [] });
+    const group = groups.get(key);
+    if (!group.properties.includes(property)) group.properties.push(property);
+    group.count++;
+    if (group.elements.length < maxElements && !group.elements.includes(selector)) group.elements.push(selector);
+  }
+  return [...groups.values()].sort((a, b) => b.count - a.count);
+}
+
+// Column grid of a viewport: container inset by `margin` (centred when wider than
+// maxWidth), `columns` columns separated by `gutter`. Returns column start and end x.
+export function gridColumns(viewportWidth, { columns, gutter = 0, margin = 0, maxWidth = Infinity }) {
+  const width = Math.min(viewportWidth - 2 * margin, maxWidth);
+  const left = (viewportWidth - width) / 2;
+  const columnWidth = (width - (columns - 1) * gutter) / columns;
+  const starts = Array.from({ length: columns }, (_, i) => left + i * (columnWidth + gutter));
+  return {
+    left,
+    width,
+    columnWidth,
+    starts,
+    ends: starts.map(x => x + columnWidth),
+    viewportWidth
+  };
+}
+
+// Block edges off the column grid: [{ selector, edge, actual, expected }]. Full-bleed
+// edges (0 and the viewport width) are allowed.
+export function gridViolations(blocks, grid, { tolerance = 2 } = {}) {
+  const round = (value) => Math.round(value * 10) / 10;
+  const violations = [];
+  for (const block of blocks) {
+    for (const [edge, lines] of [['left', [0, ...grid.starts]], ['right', [...grid.ends, grid.viewportWidth]]]) {
+      const actual = block[edge];
+      const expected = lines.reduce((best, x) => (Math.abs(x - actual) < Math.abs(best - actual) ? x : best));
+      if (Math.abs(expected - actual) > tolerance) {
+        violations.push({ selector: block.selector, edge, actual: round(actual), expected: round(expected) });
+      }
+    }
+  }
+  return violations;
+}
+
+// Spacing values and content blocks of a section. values: every non-zero margin,
+// padding and gap of the section and its visible descendants; blocks: children of
+// the innermost single-child wrapper (section > .container > blocks), in page x.
+export async function collectSpacing(sectionLocator) {
+  await installSelectorFor(sectionLocator.page());
+  return sectionLocator.evaluate((root) => {
+    const selectorFor = window.__qaSelectorFor;
+    const SKIP = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'BR']);
+    const visible = (el) => !SKIP.has(el.tagName) && (!el.checkVisibility || el.checkVisibility({ visibilityProperty: true }));
+    const sides = ['top', 'right', 'bottom', 'left'];
+    const values = [];
+
+    for (const el of [root, ...root.querySelectorAll('*')]) {
+      if (!visible(el) || el.parentElement?.closest('svg')) continue;
+      const style = getComputedStyle(el);
+      const selector = selectorFor(el);
+      const add = (property, raw) => {
+        const value = parseFloat(raw);
+        if (value) values.push({ selector, property, value: Math.abs(value) });
+      };
+
+      // Equal horizontal margins on a centred element are auto margins
+      const rect = el.getBoundingClientRect();
+      const parent = el.parentElement?.getBoundingClientRect();
+      const centred = parent && style.marginLeft === style.marginRight &&
+        Math.abs((rect.left - parent.left) - (parent.right - rect.right)) <= 1;
+
+      for (const side of sides) {
+        if (!(centred && (side === 'left' || side === 'right'))) add(`margin-${side}`, style.getPropertyValue(`margin-${side}`));
+        add(`padding-${side}`, style.getPropertyValue(`padding-${side}`));
+      }
+      if (/flex|grid/.test(style.display)) {
+        if (style.rowGap !== 'normal') add('row-gap', style.rowGap);
+        if (style.columnGap !== 'normal') add('column-gap', style.columnGap);
+      }
+    }
+
+    let wrapper = root;
+    for (;;) {
+      const children = [...wrapper.children].filter(visible);
+      if (children.length !== 1) break;
+      wrapper = children[0];
+    }
+    const blocks = [...wrapper.children]
+      .filter(visible)
+      .map(el => ({ el, rect: el.getBoundingClientRect() }))
+      .filter(({ rect }) => rect.width > 0 && rect.height > 0)
+      .map(({ el, rect }) => ({ selector: selectorFor(el), left: rect.left + window.scrollX, right: rect.right + window.scrollX }));
+
+    return { values, blocks };
+  });
+}
@@ -0,0 +1,33 @@
+import { test, expect } from '@playwright/test';
+import { A11Y_RULES, rulesFor, summarizeFindings } from '../accessibility-audit.mjs';
+
+test.describe('Accessibility rules', () => {
+  test('selects rules by WCAG level and skips disabled ones', () => {
+    const levelA = rulesFor({ level: 'A' }).map(r => r.id);
+    expect(levelA).toContain('image-alt');
+    expect(levelA).not.toContain('meta-viewport');
+
+    const aa = rulesFor({ disabled: ['region'] }).map(r => r.id);
+    expect(aa).toContain('meta-viewport');
+    expect(aa).not.toContain('region');
+    expect(rulesFor({ level: 'AAA' })).toHaveLength(A11Y_RULES.length);
+  });
+
+  test('groups findings per rule with the most severe first', () => {
+    const finding = (rule, selector) => ({ rule, selector, message: `${rule} on ${selector}`, html: '' });
+    const groups = summarizeFindings([
+      finding('heading-order', 'h4'),
+      finding('duplicate-id', '#nav'),
+      finding('image-alt', 'img.logo'),
+      finding('heading-order', 'h6'),
+      finding('image-alt', 'img.hero')
+    ]);
+
+    expect(groups.map(g => [g.rule, g.severity, g.wcag, g.count])).toEqual([
+      ['image-alt', 'critical', '1.1.1', 2],
+      ['heading-order', 'moderate', '1.3.1', 2],
+      ['duplicate-id', 'minor', '4.1.1', 1]
+    ]);
+    expect(groups[0].findings.map(f => f.selector)).toEqual(['img.logo', 'img.hero']);
+  });
+});
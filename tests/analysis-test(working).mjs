@@ -4,10 +4,21 @@ import { chromium } from 'playwright';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import figma from 'figma-js';
-import pixelmatch from 'pixelmatch';
-import { PNG } from 'pngjs';
 import dotenv from 'dotenv';
+import configLoader from '../config-loader.js';
+import BaselineStore from '../baseline-store.js';
+import pageStabilizer from '../page-stabilizer.js';
+import {
+  changedRegionIssue,
+  compareScreenshots,
+  evaluateDiff,
+  formatVerdict,
+  locateChangedRegions,
+  maskScopesFor,
+  resolveDiffSettings,
+  resolveMaskRegions
+} from '../visual-diff.mjs';
+import { FigmaSnapshot, freshnessWarning } from '../figma-snapshot.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -20,15 +31,19 @@ class EnhancedQAAnalyzer {
     this.page = null;
     this.issues = [];
     this.screenshots = [];
+    this.visualDiff = null;
 
     this.singlePage = singlePage;
     this.reportType = reportType;
 
-    this.pagesToTest = JSON.parse(process.env.PAGE_CONFIG || '[]');
+    this.config = configLoader.loadConfig();
+    this.baselines = new BaselineStore(this.config);
+    this.pagesToTest = configLoader.resolvePages(this.config);
 
-    this.defaultSections = JSON.parse(process.env.DEFAULT_SECTIONS || '{}');
+    this.defaultSections = this.config.sections;
 
     this.figmaDesignSpecs = null;
+    this.figmaFreshness = null;
   }
 
   async initialize() {
@@ -39,39 +54,32 @@ class EnhancedQAAnalyzer {
   }
 
   async createDirectories() {
-    await fs.mkdir('reports', { recursive: true });
-    await fs.mkdir('screenshots', { recursive: true });
+    await fs.mkdir(this.config.reportDir, { recursive: true });
+    await fs.mkdir(this.config.screenshotDir, { recursive: true });
   }
 
+  // Sections come from the local Figma snapshot (npm run figma -- pull)
   async loadFigmaDesignSpecs() {
-    if (!process.env.FIGMA_TOKEN || !process.env.FIGMA_FILE_ID) {
+    if (!process.env.FIGMA_FILE_ID) {
       console.log('⚠️ No Figma config found. Using default sections.');
       return;
     }
 
-    try {
-      const client = figma.Client({ personalAccessToken: process.env.FIGMA_TOKEN });
-      const pageIds = JSON.parse(process.env.FIGMA_PAGE_IDS || '{}');
-
-      const { data } = await client.fileNodes(process.env.FIGMA_FILE_ID, {
-        ids: Object.values(pageIds)
-      });
-
-      this.figmaDesignSpecs = {};
-      for (const [key, nodeId] of Object.entries(pageIds)) {
-        const node = data.nodes[nodeId];
-        if (!node) {
-          console.log(`⚠️ No node found for page: ${key}`);
-          continue;
-        }
-        this.figmaDesignSpecs[key] = this.parseFigmaSections(node.document);
-      }
+    const snapshot = await FigmaSnapshot.load(this.config, process.env.FIGMA_FILE_ID);
+    if (!snapshot) {
+      console.log('⚠️ No Figma snapshot found — run "npm run figma -- pull". Using default sections.');
+      return;
+    }
 
-      console.log('✅ Loaded section specs from Figma');
-    } catch (err) {
-      console.log('❌ Failed to load from Figma. Using defaults:', err.message);
-      this.figmaDesignSpecs = null;
+    this.figmaDesignSpecs = {};
+    for (const [key, node] of Object.entries(snapshot.pageNodes())) {
+      this.figmaDesignSpecs[key] = this.parseFigmaSections(node);
     }
+    console.log(`✅ Loaded section specs from Figma snapshot ${snapshot.version}`);
+
+    this.figmaFreshness = await snapshot.checkFreshness();
+    const warning = freshnessWarning(this.figmaFreshness);
+    if (warning) console.log(`⚠️ ${warning}`);
   }
 
   parseFigmaSections(root) {
@@ -95,11 +103,14 @@ class EnhancedQAAnalyzer {
       this.issues = [];
       this.screenshots = [];
 
-      const pageDir = path.join('screenshots', pageName);
+      this.visualDiff = null;
+
+      const pageDir = path.join(this.config.screenshotDir, pageName);
       await fs.mkdir(pageDir, { recursive: true });
 
-      console.log(`\n🌐 Visiting: ${pageName} → ${url}`);
+      console.log(`\n🌐 Visiting: ${pageName} → ${url} [${this.config.environment}]`);
       await this.page.goto(url, { waitUntil: 'networkidle' });
+      await pageStabilizer.stabilizePage(this.page, this.config.stabilization);
 
       await this.takeScreenshotWithDiff(pageName, pageDir);
       await this.analyzeSections(pageName, pageDir);
@@ -110,42 +121,96 @@ class EnhancedQAAnalyzer {
     console.log('\n✅ ALL PAGES COMPLETE');
   }
 
-  async takeScreenshotWithDiff(pageName, dir) {
+  async takeScreenshotWithDiff(pageName, dir, { sectionsKey = pageName, viewport = null } = {}) {
+    const key = BaselineStore.keyFor(pageName, viewport);
     const currentPath = `${dir}/current.png`;
-    const baselinePath = `${dir}/baseline.png`;
+    const baselinePath = this.baselines.baselinePath(key);
     const diffPath = `${dir}/diff.png`;
 
     await this.page.screenshot({ fullPage: true, path: currentPath });
     this.screenshots.push({ name: 'full-page', path: currentPath });
 
+    // Blank dynamic content (carousels, dates, banners) in both images before comparing
+    const sections = this.figmaDesignSpecs?.[sectionsKey] || this.defaultSections[sectionsKey] || [];
+    const regions = await resolveMaskRegions(
+      this.page,
+      maskScopesFor(this.config, sectionsKey, sections, section => this.sectionSelector(section))
+    );
+
+    // New screenshots wait for review (npm run baseline) instead of becoming baselines implicitly
+    if (!(await this.baselines.hasBaseline(key))) {
+      await this.baselines.addPending({ key, page: pageName, viewport, status: 'new', currentPath });
+      console.log(`🆕 No baseline for ${key} — queued for review (npm run baseline)`);
+      return;
+    }
+
     try {
-      await fs.access(baselinePath);
-      const img1 = PNG.sync.read(await fs.readFile(currentPath));
-      const img2 = PNG.sync.read(await fs.readFile(baselinePath));
-      const { width, height } = img1;
-      const diff = new PNG({ width, height });
+      const settings = resolveDiffSettings(this.config, { page: pageName, template: sectionsKey, viewport });
+      const result = await compareScreenshots({
+        currentPath,
+        baselinePath,
+        diffPath,
+        threshold: this.config.thresholds.pixelmatch,
+        regions,
+        mode: settings.mode
+      });
+      const { pixelDiff, percentChanged, ssim, sizeChange, maskedRegions, changedRegions } = result;
 
-      const pixelDiff = pixelmatch(img1.data, img2.data, diff.data, width, height, { threshold: 0.1 });
-      await fs.writeFile(diffPath, PNG.sync.write(diff));
+      // Recorded in the report whether it passes or not, so reviewers can see which mode decided
+      const verdict = evaluateDiff(result, settings);
+      this.visualDiff = { baselineKey: key, ...verdict };
 
       this.screenshots.push({ name: 'diff', path: diffPath });
 
-      if (pixelDiff > 50) {
-        this.issues.push({ type: 'visual_diff', pixelsChanged: pixelDiff });
+      if (sizeChange) {
+        const { baseline, current } = sizeChange;
+        this.issues.push({
+          type: 'size_change',
+          baselineKey: key,
+          baseline,
+          current,
+          message: `Screenshot size changed from ${baseline.width}x${baseline.height} to ${current.width}x${current.height}; compared the overlapping area only`
+        });
+        console.log(`📏 Size changed: ${baseline.width}x${baseline.height} → ${current.width}x${current.height}`);
+      }
+
+      if (!verdict.passed) {
+        this.issues.push({ type: 'visual_diff', baselineKey: key, pixelsChanged: pixelDiff, maskedRegions, ...verdict });
+        // One entry per changed area, pointed at the element it landed on
+        for (const region of await locateChangedRegions(this.page, changedRegions)) {
+          this.issues.push(changedRegionIssue(key, region));
+        }
       }
 
-      console.log(`🖼️ Visual diff complete: ${pixelDiff} pixels changed`);
-    } catch {
-      await fs.copyFile(currentPath, baselinePath);
-      console.log('🆕 Baseline created for:', pageName);
+      if (sizeChange || !verdict.passed) {
+        await this.baselines.addPending({
+          key,
+          page: pageName,
+          viewport,
+          status: 'changed',
+          currentPath,
+          diffPath,
+          stats: { mode: verdict.mode, pixelsChanged: pixelDiff, percentChanged, ssim, sizeChange, maskedRegions, changedRegions: changedRegions.length }
+        });
+      }
+
+      console.log(`🖼️ Visual diff ${verdict.passed ? 'passed' : 'failed'}: ${formatVerdict(verdict)} (${regions.length} regions masked)`);
+    } catch (err) {
+      this.issues.push({ type: 'error', section: 'visual_diff', message: err.message });
+      console.log(`❌ Visual diff failed for ${pageName}: ${err.message}`);
     }
   }
 
+  // Guesses a selector for a section from its Figma/config name
+  sectionSelector(section) {
+    return `.${section}, [class*="${section}"], section[id*="${section}"]`;
+  }
+
   async analyzeSections(pageName, dir) {
     const expected = this.figmaDesignSpecs?.[pageName] || this.defaultSections[pageName] || [];
 
     for (const section of expected) {
-      const selector = `.${section}, [class*="${section}"], section[id*="${section}"]`;
+      const selector = this.sectionSelector(section);
       try {
         const el = await this.page.locator(selector).first();
         if (await el.isVisible()) {
@@ -173,18 +238,21 @@ class EnhancedQAAnalyzer {
         screenshots: this.screenshots.length,
         issues: this.issues.length
       },
+      visualDiff: this.visualDiff,
       screenshots: this.screenshots,
       issues: this.issues
     };
 
-    const htmlPath = `reports/qa-report-${pageName}.html`;
+    const htmlPath = path.join(this.config.reportDir, `qa-report-${pageName}.html`);
     const html = `
 <!DOCTYPE html><html><head><title>${pageName} QA Report</title></head><body>
 <h1>QA Report: ${pageName}</h1>
 <p><strong>URL:</strong> <a href="${pageUrl}">${pageUrl}</a></p>
 <p><strong>Status:</strong> ${report.summary.status}</p>
+${freshnessWarning(this.figmaFreshness) ? `<p><strong>⚠️ Figma:</strong> ${freshnessWarning(this.figmaFreshness)}</p>` : ''}
+${report.visualDiff ? `<p><strong>Visual diff:</strong> ${formatVerdict(report.visualDiff)} — ${report.visualDiff.passed ? 'PASS' : 'FAIL'} (mode <code>${report.visualDiff.mode}</code>)</p>` : ''}
 <h2>Screenshots</h2>
-${report.screenshots.map(s => `<div><h3>${s.name}</h3><img src="../${s.path}" width="600" /></div>`).join('')}
+${report.screenshots.map(s => `<div><h3>${s.name}</h3><img src="${path.relative(this.config.reportDir, s.path).replace(/\\/g, '/')}" width="600" /></div>`).join('')}
 <h2>Issues</h2>
 ${report.issues.length ? `<ul>${report.issues.map(i => `<li>${i.type} - ${i.section || i.message}</li>`).join('')}</ul>` : '<p>✅ No issues</p>'}
 </body></html>`;
@@ -0,0 +1,89 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const BaselineStore = require('../baseline-store');
+
+test.describe('Baseline approval workflow', () => {
+  let dir;
+  let store;
+  let currentPath;
+
+  test.beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'baselines-'));
+    store = new BaselineStore({ environment: 'staging', screenshotDir: dir });
+    currentPath = path.join(dir, 'current.png');
+    await fs.writeFile(currentPath, 'first capture');
+  });
+
+  test.afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('new screenshots stay pending until accepted', async () => {
+    const key = BaselineStore.keyFor('home', 'mobile');
+    await store.addPending({ key, page: 'home', viewport: 'mobile', status: 'new', currentPath });
+
+    expect(await store.hasBaseline(key)).toBe(false);
+    expect((await store.listPending()).map(e => e.key)).toEqual(['home@mobile']);
+
+    const record = await store.accept(key, { by: 'reviewer', reason: 'Initial baseline' });
+
+    expect(await store.hasBaseline(key)).toBe(true);
+    expect(await fs.readFile(store.baselinePath(key), 'utf8')).toBe('first capture');
+    expect(await store.listPending()).toEqual([]);
+    expect(record).toMatchObject({ key, decision: 'accepted', by: 'reviewer', reason: 'Initial baseline', environment: 'staging' });
+  });
+
+  test('section baselines get their own keys', () => {
+    expect(BaselineStore.keyFor('home', 'desktop', 'hero')).toBe('home.hero@desktop');
+    expect(BaselineStore.keyFor('article-news/launch', null, 'hero')).toBe('article-news-launch.hero');
+  });
+
+  test('keys of different page, section and viewport combinations never collide', () => {
+    expect(BaselineStore.keyFor('home-mobile')).toBe('home-mobile');
+    expect(BaselineStore.keyFor('home', 'mobile')).toBe('home@mobile');
+    expect(BaselineStore.keyFor('home.hero', 'desktop')).toBe('home-hero@desktop');
+    expect(BaselineStore.keyFor('home', 'desktop', 'hero')).toBe('home.hero@desktop');
+    expect(BaselineStore.keyFor('home', null, 'hero@desktop')).toBe('home.hero-desktop');
+  });
+
+  test('rejecting keeps the existing baseline and logs the decision', async () => {
+    const key = 'about';
+    await store.addPending({ key, page: 'about', status: 'new', currentPath });
+    await store.accept(key, { by: 'reviewer', reason: 'Initial baseline' });
+
+    await fs.writeFile(currentPath, 'regressed capture');
+    await store.addPending({ key, page: 'about', status: 'changed', currentPath, stats: { pixelsChanged: 900 } });
+    await store.reject(key, { by: 'reviewer', reason: 'Footer regression, not intended' });
+
+    expect(await fs.readFile(store.baselinePath(key), 'utf8')).toBe('first capture');
+    expect((await store.listApprovals()).map(r => r.decision)).toEqual(['accepted', 'rejected']);
+  });
+
+  test('decisions need a reviewer and a reason', async () => {
+    await store.addPending({ key: 'home', page: 'home', status: 'new', currentPath });
+
+    await expect(store.accept('home', { by: 'reviewer' })).rejects.toThrow(/reason are required/);
+    await expect(store.accept('contact', { by: 'reviewer', reason: 'x' })).rejects.toThrow(/No pending baseline for "contact"/);
+  });
+});
+
+test.describe('Baseline CLI', () => {
+  const { main } = require('../baseline-cli');
+
+  test('takes the first argument that is not a flag as the command', async () => {
+    const log = [];
+    const original = console.log;
+    console.log = (line) => log.push(line);
+    try {
+      await main(['--env=local', 'list']);
+      await main(['list', '--env=local']);
+    } finally {
+      console.log = original;
+    }
+
+    expect(log).toEqual(['✅ No pending baselines for local', '✅ No pending baselines for local']);
+    await expect(main(['--env=local', 'approve'])).rejects.toThrow('Unknown baseline command "approve"');
+  });
+});
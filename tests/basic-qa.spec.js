@@ -1,15 +1,23 @@
+const path = require('path');
 const { test, expect } = require('@playwright/test');
+const { loadConfig } = require('../config-loader');
+const { stabilizePage } = require('../page-stabilizer');
+
+const config = loadConfig();
 
 test.describe('Cross Switch Basic QA', () => {
-  test('Homepage loads and displays key elements', async ({ page }) => {
-    await page.goto('https://cross-switch.staging2.liquidpreview2.net/');
-    
-    // Check for key text elements
-    await expect(page.locator('h1')).toContainText('unified switch');
-    
-    // Take screenshot
-    await page.screenshot({ path: 'screenshots/homepage-basic.png', fullPage: true });
-    
-    console.log('✅ Basic QA test completed');
-  });
+  for (const pageConfig of config.pages.filter(p => p.heading)) {
+    test(`${pageConfig.name} page loads and displays key elements`, async ({ page }) => {
+      await page.goto(pageConfig.path);
+
+      // Check for key text elements
+      await expect(page.locator('h1')).toContainText(pageConfig.heading);
+
+      // Take screenshot once animations, fonts and lazy content have settled
+      await stabilizePage(page, config.stabilization);
+      await page.screenshot({ path: path.join(config.screenshotDir, `${pageConfig.name}-basic.png`), fullPage: true });
+
+      console.log('✅ Basic QA test completed');
+    });
+  }
 });
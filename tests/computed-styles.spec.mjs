@@ -0,0 +1,134 @@
+import { test, expect } from '@playwright/test';
+import { readComputedStyles } from '../computed-styles.mjs';
+import EnhancedQAAnalyzer from '../qa-analyzer.mjs';
+
+// A page with one stylesheet: styles[selector][pseudo || ''] and, per forced state,
+// styles[selector][':hover'] etc. Records the CDP calls that force states.
+function fakePage(styles) {
+  const cdp = [];
+  const forced = new Map();
+
+  const page = {
+    cdp,
+    context: () => ({
+      newCDPSession: async () => ({
+        send: async (method, params = {}) => {
+          cdp.push({ method, ...params });
+          if (method === 'DOM.getDocument') return { root: { nodeId: 1 } };
+          if (method === 'DOM.querySelector') return { nodeId: styles[params.selector] ? 2 : 0 };
+          if (method === 'CSS.forcePseudoState') forced.set(2, params.forcedPseudoClasses);
+          return {};
+        },
+        detach: async () => cdp.push({ method: 'detach' })
+      })
+    }),
+    locator: (selector) => ({
+      first: () => ({
+        count: async () => (styles[selector] ? 1 : 0),
+        evaluate: async (fn, arg) => {
+          const state = (forced.get(2) || [])[0];
+          globalThis.getComputedStyle = (el, pseudo) => {
+            const rules = { ...styles[selector][pseudo || ''], ...(state && styles[selector][`:${state}`]) };
+            return { content: rules.content ?? 'normal', getPropertyValue: p => ` ${rules[p] ?? ''} ` };
+          };
+          try {
+            return fn({}, arg);
+          } finally {
+            delete globalThis.getComputedStyle;
+          }
+        }
+      })
+    })
+  };
+  return page;
+}
+
+const tokens = {
+  colors: { 'Brand/Primary': '#1a4a47', Accent: '#ff4d00' },
+  spacing: { 'Space/M': 16 },
+  radii: { 'Radius/M': 8 },
+  typography: {},
+  shadows: {}
+};
+
+async function validate(styleChecks, page, viewport = 'desktop') {
+  const analyzer = { designTokens: tokens, styleChecks, page, issues: [] };
+  await EnhancedQAAnalyzer.prototype.validateStyles.call(analyzer, 'home', 'reports', { viewport });
+  return analyzer.issues;
+}
+
+test.describe('Computed styles', () => {
+  test('reads trimmed values, forces states and releases them', async () => {
+    const page = fakePage({
+      '.cta': { '': { color: 'rgb(26, 74, 71)' }, ':hover': { color: 'rgb(255, 77, 0)' } }
+    });
+
+    expect(await readComputedStyles(page, '.missing', ['color'])).toBeNull();
+    expect(await readComputedStyles(page, '.cta', ['color'])).toEqual({ color: 'rgb(26, 74, 71)' });
+    expect(page.cdp).toEqual([]);
+
+    expect(await readComputedStyles(page, '.cta', ['color'], { state: 'hover' })).toEqual({ color: 'rgb(255, 77, 0)' });
+    expect(page.cdp.filter(c => c.method === 'CSS.forcePseudoState').map(c => c.forcedPseudoClasses)).toEqual([['hover'], []]);
+    expect(page.cdp.at(-1).method).toBe('detach');
+  });
+
+  test('reports a pseudo-element without content as not rendered', async () => {
+    const page = fakePage({ '.card': { '::after': { content: 'none' }, '::before': { content: '""', width: '4px' } } });
+
+    expect(await readComputedStyles(page, '.card', ['width'], { pseudo: '::after' })).toEqual({ content: 'none' });
+    expect(await readComputedStyles(page, '.card', ['width'], { pseudo: '::before' })).toEqual({ width: '4px' });
+  });
+
+  test('validateStyles resolves tokens and per-property rules within their tolerance', async () => {
+    const page = fakePage({
+      '.cta': { '': { color: 'rgb(26, 74, 71)', 'padding-top': '17px', 'border-radius': '10px', 'border-top-width': '3px' } }
+    });
+
+    const issues = await validate([{
+      name: 'cta',
+      selector: '.cta',
+      color: 'Brand/Primary',
+      tolerance: 1,
+      properties: {
+        'padding-top': 'Space/M',
+        'border-radius': { token: 'Radius/M', tolerance: 0 },
+        'border-top-width': { value: '1px' },
+        'margin-top': 'Space/XL'
+      }
+    }], page);
+
+    expect(issues.map(({ type, property, expected, actual }) => ({ type, property, expected, actual }))).toEqual([
+      { type: 'token_missing', property: undefined, expected: undefined, actual: undefined },
+      // padding-top is 1px off, within the tolerance the check gives every rule
+      { type: 'style_mismatch', property: 'border-radius', expected: 8, actual: '10px' },
+      { type: 'style_mismatch', property: 'border-top-width', expected: '1px', actual: '3px' }
+    ]);
+    expect(issues[0].message).toBe('Design token "spacing.Space/XL" is not in the token file');
+    expect(issues[1]).toMatchObject({ section: 'cta', selector: '.cta' });
+    expect(issues[1].message).toContain('(token Radius/M)');
+  });
+
+  test('validateStyles applies viewport overrides, states and pseudo-elements', async () => {
+    const page = fakePage({
+      '.cta': { '': { 'padding-top': '12px' }, ':focus-visible': { 'outline-color': 'rgb(0, 0, 0)' } },
+      '.card': { '::after': { content: 'none' } }
+    });
+    const checks = [
+      { name: 'cta', selector: '.cta', properties: { 'padding-top': 'Space/M' }, viewports: { mobile: { properties: { 'padding-top': { value: 12 } } } } },
+      { name: 'focus', selector: '.cta', state: 'focus-visible', properties: { 'outline-color': 'Accent' } },
+      { name: 'card', selector: '.card', pseudo: '::after', properties: { height: { value: 4 } } },
+      { name: 'gone', selector: '.gone', properties: { height: { value: 4 } } }
+    ];
+
+    const desktop = await validate(checks, page, 'desktop');
+    expect(desktop.map(i => `${i.section} ${i.selector} ${i.property || ''}`.trim())).toEqual([
+      'cta .cta padding-top',
+      'focus .cta:focus-visible outline-color',
+      'card .card::after'
+    ]);
+    expect(desktop[2].message).toBe('.card::after is not rendered (content: none)');
+
+    const mobile = await validate(checks, page, 'mobile');
+    expect(mobile.map(i => i.section)).toEqual(['focus', 'card']);
+  });
+});
@@ -0,0 +1,186 @@
+const { test, expect } = require('@playwright/test');
+const { loadConfig, validateConfig, resolvePages, getCliOption, DEFAULT_CONFIG_PATH } = require('../config-loader');
+
+const baseConfig = () => JSON.parse(JSON.stringify(require(DEFAULT_CONFIG_PATH)));
+
+test.describe('QA run configuration', () => {
+  test('shipped config is valid', () => {
+    expect(validateConfig(require(DEFAULT_CONFIG_PATH))).toEqual([]);
+
+    const config = loadConfig(DEFAULT_CONFIG_PATH);
+    expect(config.baseUrl).toBe(config.environments[config.defaultEnvironment].baseUrl);
+  });
+
+  test('page paths resolve against the base URL', () => {
+    const config = loadConfig(DEFAULT_CONFIG_PATH);
+    const article = resolvePages(config).find(p => p.name === 'article');
+
+    expect(article.url).toBe(new URL('/news/article-1', config.baseUrl).href);
+  });
+
+  test('environment profiles rebase pages and keep their own output folders', () => {
+    const staging = loadConfig(DEFAULT_CONFIG_PATH, { environment: 'staging' });
+    const local = loadConfig(DEFAULT_CONFIG_PATH, { environment: 'local' });
+    const localAbout = resolvePages(local).find(p => p.name === 'about');
+
+    expect(localAbout.url).toBe(new URL('/about', local.baseUrl).href);
+    expect(local.screenshotDir).not.toBe(staging.screenshotDir);
+    expect(local.reportDir).not.toBe(staging.reportDir);
+  });
+
+  test('profiles read their base URL from an environment variable', () => {
+    const saved = { production: process.env.QA_PRODUCTION_URL, local: process.env.QA_LOCAL_URL };
+    try {
+      delete process.env.QA_PRODUCTION_URL;
+      delete process.env.QA_LOCAL_URL;
+      expect(() => loadConfig(DEFAULT_CONFIG_PATH, { environment: 'production' }))
+        .toThrow(/Environment "production" needs its base URL: set QA_PRODUCTION_URL/);
+      expect(loadConfig(DEFAULT_CONFIG_PATH, { environment: 'local' }).baseUrl).toBe('http://localhost:3000/');
+
+      process.env.QA_PRODUCTION_URL = 'https://www.example.org/';
+      process.env.QA_LOCAL_URL = 'http://localhost:8080/';
+      expect(loadConfig(DEFAULT_CONFIG_PATH, { environment: 'production' }).baseUrl).toBe('https://www.example.org/');
+      expect(loadConfig(DEFAULT_CONFIG_PATH, { environment: 'local' }).baseUrl).toBe('http://localhost:8080/');
+
+      process.env.QA_PRODUCTION_URL = 'www.example.org';
+      expect(() => loadConfig(DEFAULT_CONFIG_PATH, { environment: 'production' }))
+        .toThrow(/QA_PRODUCTION_URL: expected an http\(s\) URL/);
+    } finally {
+      for (const [name, value] of [['QA_PRODUCTION_URL', saved.production], ['QA_LOCAL_URL', saved.local]]) {
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+      }
+    }
+  });
+
+  test('unknown environment names fail with the available profiles', () => {
+    expect(() => loadConfig(DEFAULT_CONFIG_PATH, { environment: 'qa' }))
+      .toThrow(/Unknown environment "qa"\. Available profiles: staging, production, local/);
+  });
+
+  test('reads the profile from the --env flag', () => {
+    expect(getCliOption('env', ['home', '--env=production'])).toBe('production');
+    expect(getCliOption('env', ['home'])).toBeUndefined();
+  });
+
+  test('reports every schema problem with its path', () => {
+    const config = baseConfig();
+    config.pages[1].path = 'about';
+    config.pages.push({ name: 'home', path: '/again' });
+    config.viewports[0].width = -1;
+    config.thresholds.pixelmatch = 4;
+    config.defaultEnvironment = 'qa';
+    config.environments.production = {};
+
+    const errors = validateConfig(config);
+
+    expect(errors).toEqual(expect.arrayContaining([
+      expect.stringContaining('pages[1].path'),
+      expect.stringContaining(`pages[${config.pages.length - 1}].name: duplicate page name "home"`),
+      expect.stringContaining('viewports[0].width'),
+      expect.stringContaining('thresholds.pixelmatch'),
+      expect.stringContaining('defaultEnvironment: "qa"'),
+      'environments.production: expected a baseUrl or a baseUrlEnv'
+    ]));
+  });
+
+  test('section thresholds are percentages', () => {
+    const config = baseConfig();
+    config.thresholds.sections = { hero: 150 };
+
+    expect(validateConfig(config)).toEqual([
+      expect.stringContaining('thresholds.sections.hero')
+    ]);
+  });
+
+  test('diff modes and limits are checked', () => {
+    const config = baseConfig();
+    config.diff.mode = 'fuzzy';
+    config.diff.overrides.push({ viewport: 'watch', limits: { ssim: 2 } });
+
+    expect(validateConfig(config)).toEqual([
+      'diff.mode: expected one of pixels, percent, antialias, ssim, got "fuzzy"',
+      `diff.overrides[${config.diff.overrides.length - 1}].viewport: "watch" is not one of the configured viewports`,
+      `diff.overrides[${config.diff.overrides.length - 1}].limits.ssim: expected a score between 0 and 1, got 2`
+    ]);
+  });
+
+  test('style checks name a selector and at least one token', () => {
+    const config = baseConfig();
+    config.styleChecks = [{ name: 'cta', selector: '.cta', color: '' }, { name: 'card', selector: '.card' }];
+
+    expect(validateConfig(config)).toEqual([
+      'styleChecks[0].color: expected a token name, got ""',
+      'styleChecks[1]: expected at least one of color, background, typography, radius, shadow, properties'
+    ]);
+  });
+
+  test('style rules take per-property tokens, a pseudo-element and a forced state', () => {
+    const config = baseConfig();
+    config.styleChecks = [
+      { name: 'cta', selector: '.cta', state: 'hover', properties: { 'padding-top': 'Space/M', height: { value: 48, tolerance: 1 } } },
+      { name: 'rule', selector: 'h2', pseudo: '::marker', state: 'visited', properties: { width: { tolerance: 1 } } }
+    ];
+
+    expect(validateConfig(config)).toEqual([
+      'styleChecks[1].properties.width: expected a token name, { token, tolerance } or { value, tolerance }, got {"tolerance":1}',
+      'styleChecks[1].pseudo: expected one of ::before, ::after, got "::marker"',
+      'styleChecks[1].state: expected one of hover, focus, focus-visible, active, got "visited"'
+    ]);
+  });
+
+  test('breakpoint tokens in style checks name a configured viewport', () => {
+    const config = baseConfig();
+    config.styleChecks = [{ name: 'header', selector: 'header', typography: 'Heading/H1', viewports: { watch: { typography: 'Heading/H1 Watch' } } }];
+
+    expect(validateConfig(config)).toEqual([
+      'styleChecks[0].viewports.watch: "watch" is not one of the configured viewports'
+    ]);
+  });
+
+  test('typography styles name a text style and a token or font values', () => {
+    const config = baseConfig();
+    config.typography = {
+      styles: { h1: 'Heading/H1', lead: 'Body/Large', body: { fontFamily: 'Inter' } },
+      viewports: { watch: { h1: 'Heading/H1 Watch' } }
+    };
+
+    expect(validateConfig(config)).toEqual([
+      'typography.styles.lead: unknown text style, expected one of h1, h2, h3, h4, h5, h6, body, caption, button',
+      'typography.styles.body: expected a typography token name or { fontFamily, fontSize, ... }, got {"fontFamily":"Inter"}',
+      'typography.viewports.watch: "watch" is not one of the configured viewports'
+    ]);
+  });
+
+  test('spacing grids are whole columns for configured viewports', () => {
+    const config = baseConfig();
+    config.spacing = { base: 0, grid: { desktop: { columns: 12.5, gutter: 24 }, watch: { columns: 2, margin: -4 } } };
+
+    expect(validateConfig(config)).toEqual([
+      'spacing.base: expected a positive number of pixels, got 0',
+      'spacing.grid.desktop.columns: expected a positive whole number, got 12.5',
+      'spacing.grid.watch: "watch" is not one of the configured viewports',
+      'spacing.grid.watch.margin: expected a non-negative number of pixels, got -4'
+    ]);
+  });
+
+  test('keyboard limits are whole numbers of Tab presses and pixels', () => {
+    const config = baseConfig();
+    config.keyboard = { maxTabs: 0, minIndicatorPixels: 2.5, orderTolerance: -1 };
+
+    expect(validateConfig(config)).toEqual([
+      'keyboard.maxTabs: expected a positive integer, got 0',
+      'keyboard.minIndicatorPixels: expected an integer >= 0, got 2.5',
+      'keyboard.orderTolerance: expected a non-negative number of pixels, got -1'
+    ]);
+  });
+
+  test('rejects non-hex expected colors', () => {
+    const config = baseConfig();
+    config.expectedColors = ['teal'];
+
+    expect(validateConfig(config)).toEqual([
+      'expectedColors[0]: expected a hex color like "#1a4a47", got "teal"'
+    ]);
+  });
+});
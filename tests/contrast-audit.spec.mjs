@@ -0,0 +1,71 @@
+import { test, expect } from '@playwright/test';
+import { PNG } from 'pngjs';
+import { blend, contrastIssues, contrastRatio, gradeContrast, sampledContrast } from '../contrast-audit.mjs';
+
+const rgb = (r, g, b, a = 1) => ({ r, g, b, a });
+const white = rgb(255, 255, 255);
+const teal = rgb(26, 74, 71);
+const orange = rgb(255, 77, 0);
+
+test.describe('Contrast audit', () => {
+  test('computes WCAG contrast ratios', () => {
+    expect(contrastRatio(rgb(0, 0, 0), white)).toBeCloseTo(21, 5);
+    expect(contrastRatio(white, white)).toBe(1);
+    expect(contrastRatio(white, teal)).toBeCloseTo(contrastRatio(teal, white), 10);
+    // Half-transparent black on white is mid grey
+    expect(contrastRatio(blend(rgb(0, 0, 0, 0.5), white), white)).toBeCloseTo(3.95, 1);
+  });
+
+  test('grades by text size and weight', () => {
+    const onOrange = contrastRatio(white, orange);
+    expect(onOrange).toBeGreaterThan(3);
+    expect(onOrange).toBeLessThan(4.5);
+
+    // White on the orange accent passes only as large text
+    expect(gradeContrast(onOrange, { fontSize: 16, fontWeight: 400 })).toMatchObject({ large: false, aa: false, level: 'fail' });
+    expect(gradeContrast(onOrange, { fontSize: 24, fontWeight: 400 })).toMatchObject({ large: true, aa: true, aaa: false, level: 'AA' });
+    expect(gradeContrast(onOrange, { fontSize: 19, fontWeight: 700 })).toMatchObject({ large: true, level: 'AA' });
+    expect(gradeContrast(contrastRatio(white, teal), { fontSize: 16, fontWeight: 400 })).toMatchObject({ level: 'AAA' });
+  });
+
+  test('samples the worst part of the background under text from a screenshot', () => {
+    // 20x10 image: left half white, right half teal
+    const png = new PNG({ width: 20, height: 10 });
+    for (let i = 0; i < 200; i++) {
+      const { r, g, b } = i % 20 < 10 ? white : teal;
+      png.data.set([r, g, b, 255], i * 4);
+    }
+
+    const over = sampledContrast(png, { x: 0, y: 0, width: 20, height: 10 }, white);
+    expect(over.background).toBe('#ffffff');
+    expect(over.ratio).toBe(1);
+
+    const right = sampledContrast(png, { x: 10, y: 0, width: 10, height: 10 }, white);
+    expect(right.background).toBe('#1a4a47');
+    expect(right.ratio).toBeCloseTo(contrastRatio(white, teal), 5);
+
+    expect(sampledContrast(png, { x: 30, y: 0, width: 5, height: 5 }, white)).toBeNull();
+  });
+
+  test('groups failing text per color pair and text size', () => {
+    const result = (selector, foreground, ratio, extra = {}) => ({
+      selector, text: selector, foreground, background: '#ffffff', source: 'css', ratio, large: false, aa: ratio >= 4.5, aaa: ratio >= 7, ...extra
+    });
+    const results = [
+      ...Array.from({ length: 8 }, (_, i) => result(`p:nth-of-type(${i + 1})`, '#ff4d00', 3.2)),
+      result('h1', '#ff4d00', 3.2, { large: true, aa: true }),
+      result('.note', '#999999', 2.8, { source: 'screenshot' }),
+      result('.body', '#1a4a47', 9.6)
+    ];
+
+    const aa = contrastIssues(results, { viewport: 'desktop' });
+    expect(aa.map(i => [i.foreground, i.count, i.elements.length])).toEqual([['#ff4d00', 8, 5], ['#999999', 1, 1]]);
+    expect(aa[0]).toMatchObject({ type: 'contrast_fail', section: 'contrast', viewport: 'desktop', level: 'AA' });
+    expect(aa[0].message).toBe('#ff4d00 on #ffffff is 3.2:1, AA needs 4.5:1 — 8 element(s), e.g. “p:nth-of-type(1)”');
+    expect(aa[1].message).toContain('(sampled from the screenshot)');
+
+    const aaa = contrastIssues(results, { level: 'AAA' });
+    expect(aaa).toHaveLength(3);
+    expect(aaa[1].message).toContain('AAA needs 4.5:1 for large text');
+  });
+});
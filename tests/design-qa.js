@@ -1,7 +1,9 @@
 const { chromium } = require('playwright');
 const fs = require('fs').promises;
 const path = require('path');
-const figma = require('figma-js');
+const { loadConfig } = require('../config-loader');
+const { stabilizePage } = require('../page-stabilizer');
+const { escapeHtml } = require('../escape-html');
 require('dotenv').config();
 
 class EnhancedQAAnalyzer {
@@ -11,23 +13,17 @@ class EnhancedQAAnalyzer {
     this.issues = [];
     this.screenshots = [];
     this.figmaDesignSpecs = null;
+    this.figmaFreshness = null;
+    this.figmaWarning = null;
+    this.paletteResult = null;
+    this.technicalResults = null;
     
+    this.config = loadConfig();
+
     this.defaultDesignSpecs = {
-      expectedColors: ['#1a4a47', '#ff4d00', '#ffffff', '#f5f5f5'],
-      expectedTexts: [
-        'A unified switch',
-        'Built for scale',
-        'Powering payments across emerging markets',
-        'Built with local insight. Backed by global scale',
-        'Local → Global'
-      ],
-      expectedSections: [
-        'hero',
-        'features',
-        'trust-indicators',
-        'global-reach',
-        'footer'
-      ]
+      expectedColors: this.config.expectedColors,
+      expectedTexts: this.config.expectedTexts,
+      expectedSections: this.config.expectedSections
     };
   }
 
@@ -38,7 +34,7 @@ class EnhancedQAAnalyzer {
     
     this.browser = await chromium.launch({ headless: false });
     this.page = await this.browser.newPage();
-    await this.page.setViewportSize({ width: 1200, height: 800 });
+    await this.page.setViewportSize(this.config.defaultViewport);
     
     console.log('✅ Browser initialized');
     console.log('🎨 Loaded design specs:', 
@@ -46,7 +42,7 @@ class EnhancedQAAnalyzer {
   }
 
   async createDirectories() {
-    const dirs = ['screenshots', 'reports', 'analysis'];
+    const dirs = [this.config.screenshotDir, this.config.reportDir, 'analysis'];
     for (const dir of dirs) {
       try {
         await fs.mkdir(dir, { recursive: true });
@@ -56,68 +52,53 @@ class EnhancedQAAnalyzer {
     }
   }
 
+  // Design specs come from the local Figma snapshot (npm run figma -- pull)
   async loadFigmaDesignSpecs() {
-    if (!process.env.FIGMA_TOKEN || !process.env.FIGMA_FILE_ID) {
+    if (!process.env.FIGMA_FILE_ID) {
       console.log('⚠️ Figma credentials not found. Using default design specs.');
       this.figmaDesignSpecs = null;
       return;
     }
 
-    try {
-      console.log('🔄 Loading design specs from Figma...');
-      const client = figma.Client({
-        personalAccessToken: process.env.FIGMA_TOKEN
-      });
-      
-      const { data } = await client.file(process.env.FIGMA_FILE_ID);
-      this.figmaDesignSpecs = this.parseFigmaData(data);
-      console.log('✅ Loaded Figma design specs');
-    } catch (error) {
-      console.error('❌ Failed to load Figma specs:', error.message);
+    // The snapshot and token modules are ESM
+    const { FigmaSnapshot, freshnessWarning } = await import('../figma-snapshot.mjs');
+    const { extractTokens } = await import('../figma-tokens.mjs');
+    const { textNodes } = await import('../figma-copy.mjs');
+    const { designForViewport, sectionFrames } = await import('../figma-frames.mjs');
+    const { guessSelector } = await import('../figma-mapping.mjs');
+    const snapshot = await FigmaSnapshot.load(this.config, process.env.FIGMA_FILE_ID);
+    if (!snapshot) {
+      console.log('⚠️ No Figma snapshot found — run "npm run figma -- pull". Using default design specs.');
       this.figmaDesignSpecs = null;
+      return;
     }
-  }
 
-  parseFigmaData(figmaData) {
-    // Fixed rgbToHex function
-    const rgbToHex = (r, g, b) => {
-      const toHex = (value) => {
-        const hex = Math.round(value * 255).toString(16);
-        return hex.length === 1 ? '0' + hex : hex;
-      };
-      return `#${toHex(r)}${toHex(g)}${toHex(b)}`;
+    this.figmaDesignSpecs = {
+      tokens: extractTokens(snapshot.file, snapshot.variables),
+      components: this.extractComponents(snapshot.file.document)
     };
 
-    const colors = new Set();
-    const textStyles = new Set();
-    
-    const traverseNodes = (node) => {
-      if (node.fills) {
-        node.fills.forEach(fill => {
-          if (fill.type === 'SOLID') {
-            colors.add(rgbToHex(fill.color.r, fill.color.g, fill.color.b));
-          }
-        });
-      }
-      
-      if (node.style) {
-        if (node.style.fontFamily) {
-          textStyles.add(node.style.fontFamily);
-        }
-      }
-      
-      if (node.children) {
-        node.children.forEach(traverseNodes);
+    // Copy of every TEXT node on the snapshot's pages replaces config.expectedTexts
+    const texts = Object.values(snapshot.pageNodes()).flatMap(node => textNodes(node).map(t => t.text));
+    if (texts.length) this.figmaDesignSpecs.expectedTexts = [...new Set(texts)];
+
+    // Sections of the home page's Mobile/Tablet/Desktop frame for each viewport
+    const home = snapshot.pageNodes().home;
+    if (home) {
+      this.figmaDesignSpecs.breakpoints = {};
+      for (const viewport of this.config.viewports) {
+        const { node } = designForViewport(home, viewport);
+        this.figmaDesignSpecs.breakpoints[viewport.name] = {
+          frame: node.name,
+          sections: Object.keys(sectionFrames(node)).map(name => ({ name, selector: guessSelector(name) }))
+        };
       }
-    };
-    
-    traverseNodes(figmaData.document);
-    
-    return {
-      colors: Array.from(colors),
-      fonts: Array.from(textStyles),
-      components: this.extractComponents(figmaData.document)
-    };
+    }
+    console.log(`✅ Loaded Figma design specs from snapshot ${snapshot.version}`);
+
+    this.figmaFreshness = await snapshot.checkFreshness();
+    this.figmaWarning = freshnessWarning(this.figmaFreshness);
+    if (this.figmaWarning) console.log(`⚠️ ${this.figmaWarning}`);
   }
 
   extractComponents(node) {
@@ -145,10 +126,11 @@ class EnhancedQAAnalyzer {
     console.log('🌐 Navigating to Cross Switch website...');
     
     try {
-      await this.page.goto('https://cross-switch.staging2.liquidpreview2.net/', {
+      await this.page.goto(this.config.baseUrl, {
         waitUntil: 'networkidle',
         timeout: 30000
       });
+      await stabilizePage(this.page, this.config.stabilization);
       console.log('✅ Site loaded successfully');
     } catch (error) {
       console.error('❌ Failed to load site:', error.message);
@@ -162,12 +144,12 @@ class EnhancedQAAnalyzer {
     // Take full page screenshot
     await this.page.screenshot({
       fullPage: true,
-      path: 'screenshots/full-page.png'
+      path: path.join(this.config.screenshotDir, 'full-page.png')
     });
     
     this.screenshots.push({
       name: 'full-page',
-      path: 'screenshots/full-page.png',
+      path: path.join(this.config.screenshotDir, 'full-page.png'),
       timestamp: new Date().toISOString()
     });
     
@@ -198,7 +180,7 @@ class EnhancedQAAnalyzer {
         if (await element.isVisible()) {
           // Capture screenshot
           await element.screenshot({
-            path: `screenshots/${section.name}.png`
+            path: path.join(this.config.screenshotDir, `${section.name}.png`)
           });
           
           // Validate against Figma specs
@@ -208,7 +190,7 @@ class EnhancedQAAnalyzer {
           
           this.screenshots.push({
             name: section.name,
-            path: `screenshots/${section.name}.png`,
+            path: path.join(this.config.screenshotDir, `${section.name}.png`),
             found: true
           });
           
@@ -234,12 +216,13 @@ class EnhancedQAAnalyzer {
   async validateComponentAgainstFigma(componentName, element) {
     const figmaSpec = this.figmaDesignSpecs.components[componentName];
     const actualSize = await element.boundingBox();
+    const tolerance = this.config.thresholds.sizeTolerance;
     
     if (actualSize) {
       const widthDiff = Math.abs(actualSize.width - figmaSpec.width);
       const heightDiff = Math.abs(actualSize.height - figmaSpec.height);
       
-      if (widthDiff > 10) {
+      if (widthDiff > tolerance) {
         this.issues.push({
           type: 'size_mismatch',
           component: componentName,
@@ -249,7 +232,7 @@ class EnhancedQAAnalyzer {
         });
       }
       
-      if (heightDiff > 10) {
+      if (heightDiff > tolerance) {
         this.issues.push({
           type: 'size_mismatch',
           component: componentName,
@@ -264,32 +247,42 @@ class EnhancedQAAnalyzer {
   async checkResponsiveDesign() {
     console.log('📱 Checking responsive design...');
     
-    const viewports = [
-      { width: 1920, height: 1080, name: 'desktop-large' },
-      { width: 1024, height: 768, name: 'tablet' },
-      { width: 375, height: 667, name: 'mobile' }
-    ];
-
-    for (const viewport of viewports) {
-      await this.page.setViewportSize(viewport);
-      await this.page.waitForTimeout(1000);
+    for (const viewport of this.config.viewports) {
+      await this.page.setViewportSize({ width: viewport.width, height: viewport.height });
+      await stabilizePage(this.page, this.config.stabilization);
       
       await this.page.screenshot({
-        path: `screenshots/responsive-${viewport.name}.png`,
+        path: path.join(this.config.screenshotDir, `responsive-${viewport.name}.png`),
         fullPage: true
       });
       
       this.screenshots.push({
         name: `responsive-${viewport.name}`,
-        path: `screenshots/responsive-${viewport.name}.png`,
+        path: path.join(this.config.screenshotDir, `responsive-${viewport.name}.png`),
         viewport: viewport
       });
       
       console.log(`✅ Captured ${viewport.name} view`);
+
+      // Sections in this viewport's Figma frame should be on the page; ones the
+      // designers left out of the breakpoint are not expected
+      const breakpoint = this.figmaDesignSpecs?.breakpoints?.[viewport.name];
+      for (const section of breakpoint?.sections || []) {
+        const visible = await this.page.locator(section.selector).first().isVisible().catch(() => false);
+        if (!visible) {
+          console.log(`⚠️  ${section.name} missing at ${viewport.name} (Figma frame "${breakpoint.frame}")`);
+          this.issues.push({
+            type: 'missing_section',
+            section: section.name,
+            viewport: viewport.name,
+            figmaFrame: breakpoint.frame
+          });
+        }
+      }
     }
     
     // Reset to original viewport
-    await this.page.setViewportSize({ width: 1200, height: 800 });
+    await this.page.setViewportSize(this.config.defaultViewport);
   }
 
   async performContentAnalysis() {
@@ -352,6 +345,27 @@ class EnhancedQAAnalyzer {
     }
   }
 
+  // Every computed color on the page against expectedColors and the Figma color tokens
+  async performColorAnalysis() {
+    console.log('🎨 Checking colors against the brand palette...');
+
+    // palette-audit.mjs is ESM
+    const { auditPalette, brandPalette, collectPageColors, paletteIssues } = await import('../palette-audit.mjs');
+    try {
+      const palette = brandPalette(this.defaultDesignSpecs.expectedColors, this.figmaDesignSpecs?.tokens);
+      this.paletteResult = auditPalette(await collectPageColors(this.page), palette, this.config.palette);
+    } catch (error) {
+      console.log('❌ Error checking colors:', error.message);
+      this.issues.push({ type: 'analysis_error', section: 'palette', error: error.message });
+      return null;
+    }
+
+    this.issues.push(...paletteIssues(this.paletteResult));
+    const { colors, nearPalette, offPalette } = this.paletteResult;
+    console.log(`✅ ${colors.length} colors, ${nearPalette.length} near brand colors, ${offPalette.length} off-palette groups`);
+    return this.paletteResult;
+  }
+
   async performTechnicalAnalysis() {
     console.log('🔧 Performing technical analysis...');
     
@@ -372,35 +386,25 @@ class EnhancedQAAnalyzer {
       }
     });
 
-    const accessibilityIssues = await this.page.evaluate(() => {
-      const issues = [];
-      
-      // Check for images without alt text
-      const images = document.querySelectorAll('img');
-      images.forEach((img, index) => {
-        if (!img.alt) {
-          issues.push(`Image ${index + 1} missing alt text`);
-        }
-      });
-      
-      // Check for buttons without accessible text
-      const buttons = document.querySelectorAll('button, [role="button"]');
-      buttons.forEach((btn, index) => {
-        if (!btn.textContent.trim() && !btn.getAttribute('aria-label')) {
-          issues.push(`Button ${index + 1} missing accessible text`);
-        }
-      });
-      
-      return issues;
-    });
+    // Accessibility rules (accessibility-audit.mjs is ESM)
+    const { accessibilityIssues, runAccessibilityRules, summarizeFindings } = await import('../accessibility-audit.mjs');
+    let accessibility = [];
+    try {
+      accessibility = summarizeFindings(await runAccessibilityRules(this.page, this.config.accessibility));
+      this.issues.push(...accessibilityIssues(accessibility));
+    } catch (error) {
+      console.log('❌ Error running accessibility rules:', error.message);
+      this.issues.push({ type: 'analysis_error', section: 'accessibility', error: error.message });
+    }
 
     const technicalResults = {
       performance: performanceMetrics,
       consoleErrors,
-      accessibilityIssues,
+      accessibility,
       timestamp: new Date().toISOString()
     };
 
+    this.technicalResults = technicalResults;
     console.log('✅ Technical analysis complete');
     return technicalResults;
   }
@@ -481,6 +485,14 @@ class EnhancedQAAnalyzer {
       recommendations.push('Review page structure and element selectors');
     }
     
+    if (this.issues.some(i => i.type === 'accessibility' && ['critical', 'serious'].includes(i.severity))) {
+      recommendations.push('Fix critical and serious accessibility violations before release');
+    }
+    
+    if (this.issues.some(i => i.type === 'off_palette_color' || i.type === 'near_palette_color')) {
+      recommendations.push('Replace off-palette colors with the brand colors from the design');
+    }
+    
     if (this.issues.some(i => i.type === 'size_mismatch')) {
       recommendations.push('Verify component dimensions match Figma designs');
     }
@@ -496,7 +508,8 @@ class EnhancedQAAnalyzer {
     
     const report = {
       timestamp: new Date().toISOString(),
-      url: 'https://cross-switch.staging2.liquidpreview2.net/',
+      url: this.config.baseUrl,
+      environment: this.config.environment,
       summary: {
         totalScreenshots: this.screenshots.length,
         totalIssues: this.issues.length,
@@ -505,14 +518,18 @@ class EnhancedQAAnalyzer {
       screenshots: this.screenshots,
       issues: this.issues,
       designSpecs: this.figmaDesignSpecs || this.defaultDesignSpecs,
+      figmaSnapshot: this.figmaFreshness,
+      palette: this.paletteResult,
+      technical: this.technicalResults,
       analysis: await this.generateSimpleAIAnalysis()
     };
 
-    await fs.writeFile('reports/qa-report.json', JSON.stringify(report, null, 2));
+    const reportPath = path.join(this.config.reportDir, 'qa-report.json');
+    await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
     await this.generateHTMLReport(report);
     
-    console.log('✅ Report generated: reports/qa-report.json');
-    console.log('✅ HTML Report generated: reports/qa-report.html');
+    console.log(`✅ Report generated: ${reportPath}`);
+    console.log(`✅ HTML Report generated: ${path.join(this.config.reportDir, 'qa-report.html')}`);
     
     return report;
   }
@@ -552,7 +569,9 @@ class EnhancedQAAnalyzer {
             <h1>Cross Switch QA Report</h1>
             <p>Generated: ${report.timestamp}</p>
             <p>URL: <a href="${report.url}" target="_blank">${report.url}</a></p>
+            <p>Environment: ${report.environment}</p>
             <p>Design Specs: ${report.designSpecs === this.defaultDesignSpecs ? 'Default' : 'Figma'}</p>
+            ${this.figmaWarning ? `<p class="issue">⚠️ ${this.figmaWarning}</p>` : ''}
         </div>
         
         <div class="status ${report.summary.status.toLowerCase().replace('_', '-')}">
@@ -585,16 +604,26 @@ class EnhancedQAAnalyzer {
                 <div class="card">
                     <h3>${screenshot.name}</h3>
                     ${screenshot.viewport ? `<p>Viewport: ${screenshot.viewport.width}x${screenshot.viewport.height}</p>` : ''}
-                    <img src="../${screenshot.path}" alt="${screenshot.name}" class="screenshot">
+                    <img src="${path.relative(this.config.reportDir, screenshot.path).replace(/\\/g, '/')}" alt="${screenshot.name}" class="screenshot">
                 </div>
             `).join('')}
         </div>
         
+        ${report.technical?.accessibility.length ? `
+            <h2>Accessibility</h2>
+            ${report.technical.accessibility.map(group => `
+                <div class="issue">
+                    <strong>${group.rule}</strong> — WCAG ${group.wcag} (${group.level}), ${group.severity}, ${group.count} violation(s): ${group.description}
+                    <ul>${group.findings.slice(0, 10).map(f => `<li><code>${escapeHtml(f.selector)}</code> ${escapeHtml(f.message)}</li>`).join('')}</ul>
+                </div>
+            `).join('')}
+        ` : ''}
+        
         ${report.issues.length > 0 ? `
             <h2>Issues Found</h2>
             ${report.issues.map(issue => `
                 <div class="issue">
-                    <strong>${issue.type}:</strong> ${issue.description || issue.error || 'No description'}
+                    <strong>${issue.type}:</strong> ${issue.type === 'accessibility' ? `${issue.rule} (WCAG ${issue.wcag}, ${issue.severity}) — ` : ''}${escapeHtml(issue.message || issue.description || issue.error || 'No description')}
                     ${issue.expected ? `<br>Expected: ${issue.expected} | Actual: ${issue.actual}` : ''}
                 </div>
             `).join('')}
@@ -610,7 +639,7 @@ class EnhancedQAAnalyzer {
 </body>
 </html>`;
 
-    await fs.writeFile('reports/qa-report.html', html);
+    await fs.writeFile(path.join(this.config.reportDir, 'qa-report.html'), html);
   }
 
   async cleanup() {
@@ -626,6 +655,7 @@ class EnhancedQAAnalyzer {
       await this.navigateToSite();
       await this.performVisualAnalysis();
       await this.performContentAnalysis();
+      await this.performColorAnalysis();
       await this.performTechnicalAnalysis();
       
       const report = await this.generateReport();
@@ -640,10 +670,10 @@ class EnhancedQAAnalyzer {
       console.log(`📝 Content Compliance: ${report.analysis.contentCompliance.score.toFixed(1)}%`);
       console.log(`🔧 Technical Score: ${report.analysis.technicalScore.score}%`);
       console.log('\n📁 Files generated:');
-      console.log('  - reports/qa-report.json');
-      console.log('  - reports/qa-report.html');
-      console.log('  - screenshots/ (all captured images)');
-      console.log('\n💡 Open reports/qa-report.html in your browser to view the full report');
+      console.log(`  - ${path.join(this.config.reportDir, 'qa-report.json')}`);
+      console.log(`  - ${path.join(this.config.reportDir, 'qa-report.html')}`);
+      console.log(`  - ${this.config.screenshotDir}/ (all captured images)`);
+      console.log(`\n💡 Open ${path.join(this.config.reportDir, 'qa-report.html')} in your browser to view the full report`);
       
     } catch (error) {
       console.error('❌ QA Analysis failed:', error);
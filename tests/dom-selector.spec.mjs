@@ -0,0 +1,46 @@
+import { test, expect } from '@playwright/test';
+import { selectorFor } from '../dom-selector.mjs';
+
+// Just enough of the DOM for selectorFor: elements with a tag, id, classes and children
+const element = (tagName, { id = '', classes = [] } = {}, children = []) => {
+  const el = { nodeType: 1, tagName: tagName.toUpperCase(), id, classList: classes, children, parentElement: null };
+  for (const child of children) child.parentElement = el;
+  return el;
+};
+
+test.describe('Element selectors', () => {
+  test.beforeAll(() => {
+    globalThis.CSS = { escape: (value) => value.replace(/[^\w-]/g, c => `\\${c}`) };
+  });
+
+  test.afterAll(() => {
+    delete globalThis.CSS;
+    delete globalThis.document;
+  });
+
+  test('walks up to the nearest id or the body', () => {
+    const first = element('a', { classes: ['btn', 'btn--primary', 'js-track'] });
+    const second = element('a', { classes: ['btn'] });
+    const hero = element('section', { id: 'hero' }, [element('div', { classes: ['actions'] }, [first, second])]);
+    const footer = element('footer', {}, [element('p')]);
+    const body = element('body', {}, [hero, footer]);
+    globalThis.document = { body, documentElement: element('html', {}, [body]) };
+
+    expect(selectorFor(first)).toBe('#hero > div.actions > a.btn.btn--primary:nth-of-type(1)');
+    expect(selectorFor(second)).toBe('#hero > div.actions > a.btn:nth-of-type(2)');
+    expect(selectorFor(footer.children[0])).toBe('body > footer > p');
+  });
+
+  test('stops after five steps and runs from its own source', () => {
+    let leaf = element('span', { classes: ['md:w-1/2'] });
+    for (let i = 0; i < 6; i++) leaf = element('div', {}, [leaf]);
+    globalThis.document = { body: element('body', {}, [leaf]), documentElement: null };
+    let deepest = leaf;
+    while (deepest.children.length) deepest = deepest.children[0];
+
+    // The page gets the function's source, so it must not close over the module
+    const injected = new Function(`return (${selectorFor})`)();
+    expect(injected(deepest)).toBe('div > div > div > div > span.md\\:w-1\\/2');
+    expect(injected(deepest)).toBe(selectorFor(deepest));
+  });
+});
@@ -0,0 +1,120 @@
+import { test, expect } from '@playwright/test';
+import { componentInstances, reproducibleState, variantLabel, verifyComponent } from '../figma-components.mjs';
+
+const orange = { r: 1, g: 77 / 255, b: 0, a: 1 };
+const white = { r: 1, g: 1, b: 1, a: 1 };
+
+const button = (id, componentId, label, extra = {}) => ({
+  id,
+  type: 'INSTANCE',
+  name: 'Button',
+  componentId,
+  layoutMode: 'HORIZONTAL',
+  paddingTop: 12,
+  paddingRight: 24,
+  paddingBottom: 12,
+  paddingLeft: 24,
+  cornerRadius: 8,
+  fills: [{ type: 'SOLID', color: orange }],
+  children: [
+    { id: `${id}-icon`, type: 'INSTANCE', name: 'Arrow', componentId: 'C:icon' },
+    { id: `${id}-label`, type: 'TEXT', characters: label, fills: [{ type: 'SOLID', color: white }], style: { fontFamily: 'Poppins', fontSize: 16, fontWeight: 600 } }
+  ],
+  ...extra
+});
+
+const file = {
+  components: {
+    'C:primary': { name: 'Type=Primary, State=Default', componentSetId: 'S:button' },
+    'C:hover': { name: 'Type=Primary, State=Hover', componentSetId: 'S:button' },
+    'C:icon': { name: 'Arrow' }
+  },
+  componentSets: { 'S:button': { name: 'Button' } }
+};
+
+const design = {
+  children: [{
+    name: 'Hero',
+    children: [
+      button('10:1', 'C:primary', 'Get started'),
+      button('10:2', 'C:hover', 'Talk to sales', {
+        componentProperties: { 'Type#1:0': { type: 'VARIANT', value: 'Primary' }, State: { type: 'VARIANT', value: 'Pressed' } }
+      })
+    ]
+  }]
+};
+
+test.describe('Figma components', () => {
+  test('lists instances with their component set, variant and expected styles', () => {
+    const [started, sales] = componentInstances(design, file);
+
+    expect(started).toMatchObject({
+      id: '10:1',
+      section: 'hero',
+      component: 'Button',
+      variant: { type: 'primary', state: 'default' },
+      text: 'Get started'
+    });
+    expect(started.expected).toEqual([
+      { property: 'background-color', expected: '#ff4d00' },
+      { property: 'border-radius', expected: 8 },
+      { property: 'padding-top', expected: 12 },
+      { property: 'padding-right', expected: 24 },
+      { property: 'padding-bottom', expected: 12 },
+      { property: 'padding-left', expected: 24 },
+      { property: 'color', expected: '#ffffff' },
+      { property: 'font-family', expected: 'Poppins' },
+      { property: 'font-size', expected: 16 },
+      { property: 'font-weight', expected: 600 }
+    ]);
+
+    // Variant properties win over the component name; nested icon instances are not listed
+    expect(variantLabel(sales.variant)).toBe('type=primary, state=pressed');
+    expect(componentInstances(design, file)).toHaveLength(2);
+  });
+
+  test('only checks states that can be reproduced in the browser', () => {
+    expect(reproducibleState({ state: 'default' })).toBe(true);
+    expect(reproducibleState({ state: 'hover' })).toBe(true);
+    expect(reproducibleState({ type: 'secondary' })).toBe(true);
+    expect(reproducibleState({ state: 'pressed' })).toBe(false);
+    expect(reproducibleState({ state: 'constructor' })).toBe(false);
+  });
+
+  test('forces the variant state through CDP and releases it after reading', async () => {
+    const cdp = [];
+    let forced = [];
+    const page = {
+      context: () => ({
+        newCDPSession: async () => ({
+          send: async (method, params = {}) => {
+            cdp.push(method);
+            if (method === 'DOM.getDocument') return { root: { nodeId: 1 } };
+            if (method === 'DOM.querySelector') return { nodeId: 2 };
+            if (method === 'CSS.forcePseudoState') forced = params.forcedPseudoClasses;
+            return {};
+          },
+          detach: async () => cdp.push('detach')
+        })
+      }),
+      locator: () => ({
+        first: () => ({
+          evaluate: async () => ({ 'background-color': forced.includes('focus-visible') ? 'rgb(255, 77, 0)' : 'rgb(26, 74, 71)' })
+        })
+      })
+    };
+    const instance = (state) => ({ variant: { state }, expected: [{ property: 'background-color', expected: '#ff4d00' }] });
+
+    expect(await verifyComponent(page, '.cta', instance('focus'))).toEqual({ state: 'focus', checks: 1, failures: [] });
+    expect(forced).toEqual([]);
+    expect(cdp.at(-1)).toBe('detach');
+
+    cdp.length = 0;
+    expect(await verifyComponent(page, '.cta', instance('default'))).toEqual({
+      state: null,
+      checks: 1,
+      failures: [{ property: 'background-color', expected: '#ff4d00', actual: 'rgb(26, 74, 71)' }]
+    });
+    expect(cdp).toEqual([]);
+  });
+});
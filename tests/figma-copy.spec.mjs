@@ -0,0 +1,71 @@
+import { test, expect } from '@playwright/test';
+import { compareCopy, extractCopy } from '../figma-copy.mjs';
+
+const text = (characters, extra = {}) => ({ type: 'TEXT', characters, ...extra });
+
+const page = {
+  id: '1:1',
+  children: [
+    {
+      name: 'Hero',
+      absoluteBoundingBox: { x: 0, y: 0, width: 1440, height: 800 },
+      children: [
+        text('A unified switch'),
+        { type: 'FRAME', children: [text('Local → Global'), text('Hidden', { visible: false })] },
+        text('Get started', { style: { textCase: 'UPPER' } })
+      ]
+    },
+    { name: 'Footer', absoluteBoundingBox: { x: 0, y: 800, width: 1440, height: 200 }, children: [text('© Cross Switch')] }
+  ]
+};
+
+test.describe('Figma copy', () => {
+  test('collects visible text per section frame', () => {
+    expect(extractCopy(page)).toEqual({
+      hero: [
+        { text: 'A unified switch', ignoreCase: false },
+        { text: 'Local → Global', ignoreCase: false },
+        { text: 'Get started', ignoreCase: true }
+      ],
+      footer: [{ text: '© Cross Switch', ignoreCase: false }]
+    });
+  });
+
+  test('reports changed, missing and extra copy', () => {
+    const expected = [
+      ...extractCopy(page).hero,
+      { text: 'Built with local insight. Backed by global scale', ignoreCase: false },
+      { text: 'Powering payments across emerging markets', ignoreCase: false }
+    ];
+    const rendered = [
+      'A  unified\n switch',
+      'Local -> Global',
+      'GET STARTED',
+      'Built with local insight, backed by global scale',
+      'Cookie settings'
+    ];
+
+    expect(compareCopy(expected, rendered)).toEqual({
+      matched: ['A unified switch', 'Get started'],
+      changed: [
+        { expected: 'Local → Global', actual: 'Local -> Global', similarity: 0.867 },
+        { expected: 'Built with local insight. Backed by global scale', actual: 'Built with local insight, backed by global scale', similarity: 0.958 }
+      ],
+      missing: ['Powering payments across emerging markets'],
+      extra: ['Cookie settings']
+    });
+  });
+
+  test('accepts Figma texts combined into one element or split across several', () => {
+    const expected = [
+      { text: 'Built for scale', ignoreCase: false },
+      { text: 'Local → Global', ignoreCase: false },
+      { text: 'Powering payments across emerging markets', ignoreCase: false }
+    ];
+    const rendered = ['Built for scale Local → Global', 'Powering payments', 'across emerging markets'];
+
+    const result = compareCopy(expected, rendered);
+    expect(result.matched).toEqual(['Built for scale', 'Local → Global']);
+    expect(result.extra).toEqual([]);
+  });
+});
@@ -0,0 +1,138 @@
+import { test, expect } from '@playwright/test';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { PNG } from 'pngjs';
+import { startFigmaFixtureServer } from '../figma-fixture-server.mjs';
+import { designForViewport, designRoots, figmaGet, renderFrames, sectionFrames } from '../figma-frames.mjs';
+import { compareWithDesign } from '../visual-diff.mjs';
+
+const solid = (width, height, [r, g, b]) => {
+  const png = new PNG({ width, height });
+  for (let i = 0; i < png.data.length; i += 4) {
+    png.data.set([r, g, b, 255], i);
+  }
+  return png;
+};
+
+test.describe('Figma frame comparison', () => {
+  let dir;
+  let server;
+
+  test.beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'figma-'));
+    await fs.mkdir(path.join(dir, 'renders'));
+    await fs.writeFile(path.join(dir, 'nodes.json'), JSON.stringify({
+      nodes: {
+        '1:1': {
+          document: {
+            id: '1:1',
+            children: [
+              { id: '1:2', name: 'Hero', absoluteBoundingBox: { x: 0, y: 0, width: 80, height: 40 } },
+              { id: '1:3', name: 'Latest News', absoluteBoundingBox: { x: 0, y: 40, width: 80, height: 20 } }
+            ]
+          }
+        }
+      }
+    }));
+    await fs.writeFile(path.join(dir, 'renders', '1-2.png'), PNG.sync.write(solid(80, 40, [0, 112, 243])));
+
+    server = await startFigmaFixtureServer({ port: 0, fixturesDir: dir });
+    process.env.FIGMA_API_URL = `http://localhost:${server.address().port}`;
+  });
+
+  test.afterEach(async () => {
+    delete process.env.FIGMA_API_URL;
+    await new Promise(resolve => server.close(resolve));
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('maps page frames to section names from the nodes endpoint', async () => {
+    const data = await figmaGet('files/FILE/nodes', { ids: '1:1' });
+
+    expect(sectionFrames(data.nodes['1:1'].document)).toEqual({
+      hero: { id: '1:2', name: 'Hero', width: 80, height: 40 },
+      'latest-news': { id: '1:3', name: 'Latest News', width: 80, height: 20 }
+    });
+  });
+
+  test('exports frames at the requested scale and skips ones Figma cannot render', async () => {
+    const rendered = await renderFrames('FILE', [{ id: '1:2', scale: 0.5 }, { id: '1:3', scale: 0.5 }], path.join(dir, 'out'));
+
+    expect(Object.keys(rendered)).toEqual(['1:2']);
+    const png = PNG.sync.read(await fs.readFile(rendered['1:2'].path));
+    expect([png.width, png.height]).toEqual([40, 20]);
+  });
+
+  test('writes diff, overlay and side-by-side views of design and implementation', async () => {
+    const designPath = path.join(dir, 'renders', '1-2.png');
+    const currentPath = path.join(dir, 'hero.png');
+    await fs.writeFile(currentPath, PNG.sync.write(solid(80, 44, [0, 112, 243])));
+
+    const result = await compareWithDesign({ currentPath, designPath, outPrefix: path.join(dir, 'hero.design') });
+
+    expect(result.percentChanged).toBe(0);
+    expect(result.sizeChange).toEqual({ baseline: { width: 80, height: 40 }, current: { width: 80, height: 44 } });
+    const sideBySide = PNG.sync.read(await fs.readFile(result.sideBySidePath));
+    expect([sideBySide.width, sideBySide.height]).toEqual([176, 44]);
+    const overlay = PNG.sync.read(await fs.readFile(result.overlayPath));
+    expect([overlay.width, overlay.height]).toEqual([80, 44]);
+  });
+});
+
+test.describe('Figma breakpoints', () => {
+  const frame = (id, name, width, children = []) => ({ id, name, absoluteBoundingBox: { x: 0, y: 0, width, height: 900 }, children });
+  const page = {
+    id: '1:1',
+    children: [
+      frame('2:1', 'Home – Desktop', 1440, [frame('2:2', 'Hero', 1440), frame('2:3', 'Partners', 1440)]),
+      frame('3:1', 'Home – Mobile', 375, [frame('3:2', 'Hero', 375)]),
+      frame('4:1', 'Home 834', 834)
+    ]
+  };
+
+  const viewports = [
+    { name: 'mobile', width: 375 },
+    { name: 'tablet', width: 768 },
+    { name: 'desktop', width: 1440 }
+  ];
+
+  test('pairs viewports with frames by name, then by width', () => {
+    expect(designForViewport(page, viewports[2], viewports)).toMatchObject({ node: { id: '2:1' }, matchedBy: 'name' });
+    expect(designForViewport(page, { name: 'phone', width: 390 }, viewports)).toMatchObject({ node: { id: '3:1' }, matchedBy: 'width' });
+    // "Home 834" names no breakpoint but is a tablet-wide frame
+    expect(designForViewport(page, viewports[1], viewports)).toMatchObject({ node: { id: '4:1' }, matchedBy: 'width' });
+
+    // The mobile frame has no Partners section, so it is not expected on mobile
+    const mobile = designForViewport(page, viewports[0], viewports).node;
+    expect(Object.keys(sectionFrames(mobile))).toEqual(['hero']);
+  });
+
+  test('finds breakpoint frames by width alone', () => {
+    const numbered = {
+      id: '6:1',
+      children: [
+        frame('6:2', 'Home 1440', 1440, [frame('6:5', 'Hero', 1440), frame('6:6', 'Partners', 1440)]),
+        frame('6:3', 'Home 390', 390, [frame('6:7', 'Hero', 390)]),
+        frame('6:4', '834', 834)
+      ]
+    };
+
+    expect(designRoots(numbered, viewports).map(n => n.id)).toEqual(['6:2', '6:3', '6:4']);
+    expect(designForViewport(numbered, viewports[0], viewports)).toMatchObject({ node: { id: '6:3' }, matchedBy: 'width' });
+    expect(designForViewport(numbered, viewports[1], viewports)).toMatchObject({ node: { id: '6:4' }, matchedBy: 'width' });
+    expect(designForViewport(numbered, viewports[2], viewports)).toMatchObject({ node: { id: '6:2' }, matchedBy: 'width' });
+  });
+
+  test('treats a page without breakpoint frames as one design for every viewport', () => {
+    // Full-width sections all fit the desktop viewport, but one width is one design
+    const single = { id: '5:1', children: [frame('5:2', 'Hero', 1440), frame('5:3', 'Footer', 1440)] };
+
+    expect(designForViewport(single, viewports[0], viewports)).toEqual({ node: single, matchedBy: 'single' });
+    expect(designForViewport(single, viewports[2], viewports)).toEqual({ node: single, matchedBy: 'single' });
+    expect(designRoots(single, viewports)).toEqual([single]);
+    expect(designRoots(page, viewports).map(n => n.id)).toEqual(['2:1', '3:1', '4:1']);
+    // Without viewport widths only the names count
+    expect(designRoots(page).map(n => n.id)).toEqual(['2:1', '3:1']);
+  });
+});
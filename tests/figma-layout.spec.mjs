@@ -0,0 +1,63 @@
+import { test, expect } from '@playwright/test';
+import { compareLayout, layoutChildren, layoutSelector } from '../figma-layout.mjs';
+
+const box = (x, y, width, height) => ({ absoluteBoundingBox: { x, y, width, height } });
+
+// 1440px hero frame at y=1000: title and CTA left-aligned in a vertical stack
+const frame = {
+  name: 'Hero',
+  layoutMode: 'VERTICAL',
+  ...box(0, 1000, 1440, 800),
+  children: [
+    { id: '2:1', name: 'Title', ...box(120, 1200, 600, 120) },
+    { id: '2:2', name: 'CTA Button', ...box(120, 1360, 200, 56) },
+    { name: 'Illustration', visible: false, ...box(800, 1100, 500, 500) }
+  ]
+};
+
+test.describe('Figma layout', () => {
+  test('lists visible child layers relative to the frame', () => {
+    expect(layoutChildren(frame)).toEqual([
+      { id: '2:1', key: 'title', name: 'Title', x: 120, y: 200, width: 600, height: 120 },
+      { id: '2:2', key: 'cta-button', name: 'CTA Button', x: 120, y: 360, width: 200, height: 56 }
+    ]);
+    expect(layoutSelector('cta-button', 'CTA Button')).toBe('[data-figma="CTA Button"], [data-figma="cta-button"], .cta-button');
+  });
+
+  test('scales Figma geometry to the section width before comparing', () => {
+    // Rendered at 720px: everything at half size
+    const measured = {
+      section: { width: 720, height: 400 },
+      elements: {
+        title: { x: 60, y: 100, width: 300, height: 60 },
+        'cta-button': { x: 60, y: 180, width: 100, height: 28 }
+      }
+    };
+
+    expect(compareLayout(frame, measured)).toEqual({
+      scale: 0.5,
+      checked: ['title', 'cta-button'],
+      unmapped: [],
+      violations: []
+    });
+  });
+
+  test('reports offsets, gaps, padding and alignment with pixel values', () => {
+    const measured = {
+      section: { width: 1440, height: 800 },
+      elements: {
+        title: { x: 120, y: 200, width: 600, height: 120 },
+        'cta-button': { x: 140, y: 336, width: 200, height: 56 }
+      }
+    };
+
+    const { violations } = compareLayout(frame, measured);
+    expect(violations).toEqual([
+      { check: 'offset', elements: ['cta-button'], property: 'x', expected: 120, actual: 140 },
+      { check: 'offset', elements: ['cta-button'], property: 'y', expected: 360, actual: 336 },
+      { check: 'gap', elements: ['title', 'cta-button'], property: 'row-gap', expected: 40, actual: 16 },
+      { check: 'padding', elements: ['title', 'cta-button'], property: 'bottom', expected: 384, actual: 408 },
+      { check: 'alignment', elements: ['title', 'cta-button'], property: 'left (x)', expected: 0, actual: 20 }
+    ]);
+  });
+});
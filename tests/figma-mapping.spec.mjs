@@ -0,0 +1,45 @@
+import { test, expect } from '@playwright/test';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { FigmaMapping, guessSelector, scoreCandidate, textScore } from '../figma-mapping.mjs';
+
+test.describe('Figma mapping', () => {
+  test('guesses selectors that stay valid for any frame name', () => {
+    expect(guessSelector('hero')).toBe('[data-figma="hero"], .hero, [class*="hero"], section[id*="hero"]');
+    expect(guessSelector('Why "us"? (2024)')).toBe(
+      '[data-figma="Why \\"us\\"? (2024)"], .why-us-2024, [class*="why-us-2024"], section[id*="why-us-2024"]'
+    );
+    expect(guessSelector('2 Columns')).toBe('[data-figma="2 Columns"], [class*="2-columns"], section[id*="2-columns"]');
+  });
+
+  test('ranks candidates by text, position and size', () => {
+    const expected = { x: 0, y: 0, width: 1200, height: 600, text: 'A unified switch Built for scale' };
+    const hero = { x: 0, y: 0, width: 1200, height: 640, text: 'A unified switch\nBuilt for scale\nGet started' };
+    const header = { x: 0, y: 0, width: 1200, height: 400, text: 'Home About Contact' };
+    const below = { x: 0, y: 1400, width: 1200, height: 600, text: 'A unified switch Built for scale' };
+
+    expect(textScore(expected.text, hero.text)).toBe(1);
+    expect(scoreCandidate(expected, hero)).toBeGreaterThan(scoreCandidate(expected, header));
+    expect(scoreCandidate(expected, hero)).toBeGreaterThan(scoreCandidate(expected, below));
+  });
+
+  test('keeps mappings in the configured file', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'figma-map-'));
+    const config = { figma: { mappingFile: path.join(dir, 'figma-map.json') } };
+
+    try {
+      const mapping = await FigmaMapping.load(config);
+      expect(mapping.selectorFor('1:2')).toBeNull();
+
+      mapping.set('1:2', { section: 'hero', selector: '#hero', source: 'manual' });
+      await mapping.save();
+
+      const reloaded = await FigmaMapping.load(config);
+      expect(reloaded.selectorFor('1:2')).toBe('#hero');
+      expect(reloaded.isManual('1:2')).toBe(true);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,112 @@
+import { test, expect } from '@playwright/test';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { PNG } from 'pngjs';
+import { startFigmaFixtureServer } from '../figma-fixture-server.mjs';
+import { FigmaSnapshot, freshnessWarning } from '../figma-snapshot.mjs';
+import { extractTokens } from '../figma-tokens.mjs';
+
+const figmaFile = (version) => ({
+  name: 'Cross Switch',
+  version,
+  lastModified: '2026-10-01T10:00:00Z',
+  document: {
+    id: '0:0',
+    children: [{
+      id: '1:1',
+      type: 'CANVAS',
+      name: 'Home',
+      children: [
+        { id: '1:2', name: 'Hero', absoluteBoundingBox: { x: 0, y: 0, width: 40, height: 20 } }
+      ]
+    }]
+  }
+});
+
+test.describe('Figma snapshot', () => {
+  let dir;
+  let fixtures;
+  let server;
+  let config;
+
+  test.beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'figma-snapshot-'));
+    fixtures = path.join(dir, 'fixtures');
+    await fs.mkdir(path.join(fixtures, 'renders'), { recursive: true });
+    await fs.writeFile(path.join(fixtures, 'file.json'), JSON.stringify(figmaFile('100')));
+    await fs.writeFile(path.join(fixtures, 'renders', '1-2.png'), PNG.sync.write(new PNG({ width: 40, height: 20 })));
+
+    server = await startFigmaFixtureServer({ port: 0, fixturesDir: fixtures });
+    process.env.FIGMA_API_URL = `http://localhost:${server.address().port}`;
+    config = { figma: { snapshotDir: path.join(dir, 'snapshots'), renderScale: 2 } };
+  });
+
+  test.afterEach(async () => {
+    delete process.env.FIGMA_API_URL;
+    await new Promise(resolve => server.close(resolve));
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('pull stores the file and frame renders under the file version', async () => {
+    await FigmaSnapshot.pull(config, { fileId: 'FILE', pageIds: { home: '1:1' } });
+
+    const snapshot = await FigmaSnapshot.load(config, 'FILE');
+    expect(snapshot.version).toBe('100');
+    expect(snapshot.dir).toBe(path.join(dir, 'snapshots', 'FILE', '100'));
+    expect(Object.keys(snapshot.pageNodes())).toEqual(['home']);
+
+    const render = PNG.sync.read(await fs.readFile(snapshot.render('1:2').path));
+    expect([render.width, render.height]).toEqual([80, 40]);
+  });
+
+  test('keeps local variables with the snapshot when Figma returns them', async () => {
+    const variables = { meta: { variables: {}, variableCollections: {} } };
+    await fs.writeFile(path.join(fixtures, 'variables.json'), JSON.stringify(variables));
+    await FigmaSnapshot.pull(config, { fileId: 'FILE', pageIds: { home: '1:1' } });
+
+    expect((await FigmaSnapshot.load(config, 'FILE')).variables).toEqual(variables);
+  });
+
+  test('reports nothing to load before the first pull', async () => {
+    expect(await FigmaSnapshot.load(config, 'FILE')).toBeNull();
+  });
+
+  test('warns when the live file has moved on', async () => {
+    const snapshot = await FigmaSnapshot.pull(config, { fileId: 'FILE', pageIds: { home: '1:1' } });
+    expect((await snapshot.checkFreshness()).stale).toBe(false);
+
+    await fs.writeFile(path.join(fixtures, 'file.json'), JSON.stringify(figmaFile('101')));
+    const freshness = await snapshot.checkFreshness();
+
+    expect(freshness).toMatchObject({ version: '100', liveVersion: '101', stale: true });
+    expect(freshnessWarning(freshness)).toContain('npm run figma -- pull');
+  });
+});
+
+test.describe('Committed Figma fixtures', () => {
+  test('serve a whole pull offline: sections, renders and tokens', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'figma-fixtures-'));
+    // The default fixtures directory, as `npm run figma:fixtures` serves it
+    const server = await startFigmaFixtureServer({ port: 0 });
+    process.env.FIGMA_API_URL = `http://localhost:${server.address().port}`;
+    try {
+      const config = { figma: { snapshotDir: dir, renderScale: 1 } };
+      const snapshot = await FigmaSnapshot.pull(config, { fileId: 'FILE', pageIds: { home: '1:1' } });
+
+      expect(snapshot.version).toBe('1000');
+      expect(Object.keys(snapshot.manifest.renders)).toEqual(['1:2', '1:3', '1:4']);
+      const hero = PNG.sync.read(await fs.readFile(snapshot.render('1:2').path));
+      expect([hero.width, hero.height]).toEqual([1440, 720]);
+
+      const tokens = extractTokens(snapshot.file, snapshot.variables);
+      expect(tokens.colors).toMatchObject({ 'Brand/Primary': '#1a4a47', 'Brand/Accent': '#ff4d00' });
+      expect(tokens.typography['Heading/H1']).toMatchObject({ fontFamily: 'Inter', fontSize: 56 });
+      expect(tokens.spacing['Space/M']).toBe(16);
+    } finally {
+      delete process.env.FIGMA_API_URL;
+      await new Promise(resolve => server.close(resolve));
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
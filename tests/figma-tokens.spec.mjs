@@ -0,0 +1,121 @@
+import { test, expect } from '@playwright/test';
+import { expectedStylesFor, extractTokens, styleMatches, tokenGroupFor } from '../figma-tokens.mjs';
+
+const teal = { r: 26 / 255, g: 74 / 255, b: 71 / 255, a: 1 };
+
+const figmaFile = {
+  styles: {
+    'S:fill': { name: 'Brand/Primary', styleType: 'FILL' },
+    'S:text': { name: 'Heading/H1', styleType: 'TEXT' },
+    'S:shadow': { name: 'Elevation/1', styleType: 'EFFECT' }
+  },
+  document: {
+    id: '0:0',
+    children: [{
+      id: '1:1',
+      type: 'FRAME',
+      layoutMode: 'VERTICAL',
+      itemSpacing: 24,
+      paddingTop: 16,
+      cornerRadius: 8,
+      styles: { fill: 'S:fill', effect: 'S:shadow' },
+      fills: [{ type: 'SOLID', color: teal }],
+      effects: [{ type: 'DROP_SHADOW', visible: true, color: { r: 0, g: 0, b: 0, a: 0.25 }, offset: { x: 0, y: 2 }, radius: 4, spread: 0 }],
+      children: [{
+        id: '1:2',
+        type: 'TEXT',
+        styles: { text: 'S:text' },
+        style: { fontFamily: 'Poppins', fontSize: 48, fontWeight: 700, lineHeightPx: 56.25, letterSpacing: 0 }
+      }]
+    }]
+  }
+};
+
+const variables = {
+  meta: {
+    variableCollections: { 'C:1': { defaultModeId: 'M:1' } },
+    variables: {
+      'V:1': { id: 'V:1', name: 'Accent', resolvedType: 'COLOR', variableCollectionId: 'C:1', valuesByMode: { 'M:1': { r: 1, g: 77 / 255, b: 0, a: 1 } } },
+      'V:2': { id: 'V:2', name: 'Space/M', resolvedType: 'FLOAT', variableCollectionId: 'C:1', valuesByMode: { 'M:1': 16 } },
+      'V:3': { id: 'V:3', name: 'Radius/Button', resolvedType: 'FLOAT', variableCollectionId: 'C:1', valuesByMode: { 'M:1': { type: 'VARIABLE_ALIAS', id: 'V:2' } } }
+    }
+  }
+};
+
+test.describe('Figma design tokens', () => {
+  test('reads named colors, text styles and effects from styles', () => {
+    const tokens = extractTokens(figmaFile);
+
+    expect(tokens.colors).toEqual({ 'Brand/Primary': '#1a4a47' });
+    expect(tokens.typography['Heading/H1']).toEqual({
+      fontFamily: 'Poppins', fontSize: 48, fontWeight: 700, lineHeight: 56.25, letterSpacing: 0
+    });
+    expect(tokens.shadows['Elevation/1']).toBe('0px 2px 4px 0px rgba(0, 0, 0, 0.25)');
+    // No variables: spacing and radii are the values the design uses
+    expect(tokens.spacing).toEqual({ 'auto-layout/16': 16, 'auto-layout/24': 24 });
+    expect(tokens.radii).toEqual({ 'corner/8': 8 });
+  });
+
+  test('adds variables, following aliases', () => {
+    const tokens = extractTokens(figmaFile, variables);
+
+    expect(tokens.colors.Accent).toBe('#ff4d00');
+    expect(tokens.spacing).toEqual({ 'Space/M': 16 });
+    expect(tokens.radii).toEqual({ 'Radius/Button': 16 });
+  });
+
+  test('compares computed styles with token values', () => {
+    const tokens = extractTokens(figmaFile);
+    const { expected, missing } = expectedStylesFor(
+      { selector: 'h1', color: 'Brand/Primary', typography: 'Heading/H1', shadow: 'Elevation/2' },
+      tokens
+    );
+
+    expect(missing).toEqual(['shadows.Elevation/2']);
+    expect(expected.map(e => e.property)).toEqual(['color', 'font-family', 'font-size', 'font-weight', 'line-height']);
+
+    expect(styleMatches('color', '#1a4a47', 'rgb(26, 74, 71)')).toBe(true);
+    expect(styleMatches('color', '#1a4a47', 'rgb(0, 112, 243)')).toBe(false);
+    expect(styleMatches('font-family', 'Poppins', '"Poppins", sans-serif')).toBe(true);
+    expect(styleMatches('font-family', 'Poppins', 'Inter, "Poppins"')).toBe(false);
+    expect(styleMatches('line-height', 56.25, '56px')).toBe(true);
+    expect(styleMatches('box-shadow', tokens.shadows['Elevation/1'], 'rgba(0, 0, 0, 0.25) 0px 2px 4px 0px')).toBe(true);
+  });
+
+  test('resolves per-property rules and normalizes units and colors', () => {
+    const tokens = extractTokens(figmaFile, variables);
+    const { expected, missing } = expectedStylesFor({
+      selector: '.cta',
+      tolerance: 1,
+      properties: {
+        'outline-color': 'Accent',
+        'padding-top': 'Space/M',
+        'letter-spacing': 'Heading/H1',
+        'border-top-width': { value: '1px', tolerance: 0 },
+        'margin-top': 'Space/XL'
+      }
+    }, { ...tokens, typography: extractTokens(figmaFile).typography });
+
+    expect(tokenGroupFor('outline-color')).toBe('colors');
+    expect(tokenGroupFor('border-bottom-left-radius')).toBe('radii');
+    expect(missing).toEqual(['spacing.Space/XL']);
+    expect(expected).toEqual([
+      { property: 'outline-color', token: 'Accent', expected: '#ff4d00', tolerance: 1 },
+      { property: 'padding-top', token: 'Space/M', expected: 16, tolerance: 1 },
+      { property: 'letter-spacing', token: 'Heading/H1', expected: 0, tolerance: 1 },
+      { property: 'border-top-width', token: null, expected: '1px', tolerance: 0 }
+    ]);
+
+    expect(styleMatches('outline-color', '#ff4d00', 'rgb(255, 77, 0)')).toBe(true);
+    expect(styleMatches('background-color', '#fff', 'rgb(255, 255, 255)')).toBe(true);
+    expect(styleMatches('background-color', 'transparent', 'rgba(0, 0, 0, 0)')).toBe(true);
+    expect(styleMatches('padding-top', 16, '17px', { tolerance: 1 })).toBe(true);
+    expect(styleMatches('padding-top', 16, '17px')).toBe(false);
+    expect(styleMatches('margin-top', '1.5rem', '24px')).toBe(true);
+    expect(styleMatches('border-radius', 8, '8px 8px')).toBe(true);
+    expect(styleMatches('border-radius', 8, '8px 0px')).toBe(false);
+    expect(styleMatches('letter-spacing', 0, 'normal')).toBe(true);
+    expect(styleMatches('font-weight', 700, 'bold')).toBe(true);
+    expect(styleMatches('line-height', 24, 'normal')).toBe(false);
+  });
+});
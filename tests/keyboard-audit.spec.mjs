@@ -0,0 +1,50 @@
+import { test, expect } from '@playwright/test';
+import { PNG } from 'pngjs';
+import { findFocusTrap, focusIndicatorChange, focusOrderViolations, unreachableElements } from '../keyboard-audit.mjs';
+
+const box = (x, y, width = 100, height = 40) => ({ x, y, width, height });
+
+test.describe('Keyboard audit', () => {
+  test('tells a focus trap from a walk that wraps or leaves the page', () => {
+    expect(findFocusTrap(['0', '1', '2', '0'])).toBeNull();
+    expect(findFocusTrap(['0', '1', '2', null])).toBeNull();
+    expect(findFocusTrap(['0', '1', '2', '3'])).toBeNull();
+    // The modal's close button and field keep focus between them
+    expect(findFocusTrap(['0', '1', '4', '5', '4'])).toEqual({ elements: ['4', '5'], stuck: false });
+    expect(findFocusTrap(['0', '1', '1'])).toEqual({ elements: ['1'], stuck: true });
+  });
+
+  test('flags jumps against the reading order', () => {
+    const stops = [
+      { selector: '.nav a:nth-of-type(1)', box: box(100, 20) },
+      { selector: '.nav a:nth-of-type(2)', box: box(220, 20) },
+      { selector: '.hero .cta', box: box(100, 400) },
+      // Second column starts higher up to the right: fine
+      { selector: '.aside a', box: box(700, 300) },
+      { selector: '.footer a', box: box(600, 1200) },
+      { selector: '.nav a:nth-of-type(3)', box: box(340, 20) },
+      { selector: '.nav a:nth-of-type(4)', box: box(220, 22) },
+      // Sticky header: not compared
+      { selector: '.header .menu', box: box(900, 1500), fixed: true }
+    ];
+
+    expect(focusOrderViolations(stops)).toEqual([
+      { index: 5, from: '.footer a', to: '.nav a:nth-of-type(3)', direction: 'up', distance: 1180 },
+      { index: 6, from: '.nav a:nth-of-type(3)', to: '.nav a:nth-of-type(4)', direction: 'left', distance: 120 }
+    ]);
+  });
+
+  test('measures the focus indicator and lists unreachable elements', () => {
+    const plain = new PNG({ width: 20, height: 10 });
+    plain.data.fill(255);
+    const outlined = new PNG({ width: 20, height: 10 });
+    outlined.data.fill(255);
+    for (let x = 0; x < 20; x++) outlined.data.set([255, 77, 0, 255], x * 4);
+
+    expect(focusIndicatorChange(plain, plain)).toBe(0);
+    expect(focusIndicatorChange(outlined, plain)).toBe(20);
+
+    const focusable = [{ key: '0', selector: '.nav a' }, { key: '1', selector: 'form input' }, { key: '2', selector: 'form button' }];
+    expect(unreachableElements(focusable, ['0', '2', null])).toEqual([{ key: '1', selector: 'form input' }]);
+  });
+});
@@ -0,0 +1,36 @@
+const { test, expect } = require('@playwright/test');
+const { stabilizePage } = require('../page-stabilizer');
+
+test.describe('Page stabilization', () => {
+  test('freezes animations, transitions, caret and video before capture', async ({ page }) => {
+    await page.setContent(`
+      <style>
+        @keyframes spin { to { transform: rotate(360deg); } }
+        .spinner { animation: spin 1s linear infinite; width: 20px; height: 20px; }
+        .fade { transition: opacity 2s; }
+      </style>
+      <div class="spinner"></div>
+      <p class="fade">Hello</p>
+      <input value="caret">
+      <video autoplay muted></video>
+    `);
+
+    const result = await stabilizePage(page, { quietPeriod: 200, settleTimeout: 2000 });
+
+    expect(result.settled).toBe(true);
+    expect(result.videos).toBe(1);
+
+    const styles = await page.evaluate(() => ({
+      animation: getComputedStyle(document.querySelector('.spinner')).animationDuration,
+      transition: getComputedStyle(document.querySelector('.fade')).transitionDuration,
+      caret: getComputedStyle(document.querySelector('input')).caretColor,
+      paused: document.querySelector('video').paused
+    }));
+    expect(styles).toEqual({ animation: '0s', transition: '0s', caret: 'rgba(0, 0, 0, 0)', paused: true });
+  });
+
+  test('can be turned off per config', async ({ page }) => {
+    await page.setContent('<p>static</p>');
+    expect(await stabilizePage(page, { enabled: false })).toBeNull();
+  });
+});
@@ -0,0 +1,68 @@
+import { test, expect } from '@playwright/test';
+import { auditPalette, brandPalette, deltaE, paletteIssues, parseColor, toHex } from '../palette-audit.mjs';
+
+const palette = brandPalette(['#1a4a47', '#ff4d00', '#ffffff'], { colors: { 'Text/Muted': '#6b7280ff' } });
+
+const used = (color, count, elements = ['p'], properties = ['color']) => ({ color, properties, count, elements });
+
+test.describe('Palette audit', () => {
+  test('parses computed and hex colors and measures ΔE', () => {
+    expect(parseColor('rgba(26, 74, 71, 0.5)')).toEqual({ r: 26, g: 74, b: 71, a: 0.5 });
+    expect(toHex(parseColor('#fff'))).toBe('#ffffff');
+    expect(deltaE(parseColor('#1a4a47'), parseColor('rgb(26, 74, 71)'))).toBe(0);
+    expect(deltaE(parseColor('#000000'), parseColor('#ffffff'))).toBeCloseTo(100, 0);
+    expect(palette.at(-1)).toEqual({ name: 'Text/Muted', hex: '#6b7280' });
+  });
+
+  test('classifies colors as brand, near brand or off-palette', () => {
+    const { colors, nearPalette } = auditPalette([
+      used('rgb(26, 74, 71)', 10),
+      used('rgb(255, 80, 2)', 3, ['a.btn']),
+      used('rgb(0, 128, 255)', 1)
+    ], palette);
+
+    expect(colors.map(c => [c.hex, c.status])).toEqual([
+      ['#1a4a47', 'palette'],
+      ['#ff5002', 'near'],
+      ['#0080ff', 'off']
+    ]);
+    expect(nearPalette[0].nearest.name).toBe('#ff4d00');
+    expect(nearPalette[0].elements).toEqual(['a.btn']);
+  });
+
+  test('groups off-palette near-duplicates with the elements using them', () => {
+    const { offPalette } = auditPalette([
+      { ...used('rgb(0, 128, 255)', 5, ['.promo']), pages: ['home'] },
+      { ...used('rgb(2, 130, 253)', 2, ['.banner'], ['background-color']), pages: ['about'] },
+      used('rgb(150, 0, 150)', 1, ['svg > path'], ['fill']),
+      used('rgb(153, 0, 153)', 1, ['.ignored'])
+    ], palette, { ignore: ['#990099'] });
+
+    expect(offPalette).toEqual([
+      expect.objectContaining({
+        hex: '#0080ff',
+        colors: ['#0080ff', '#0282fd'],
+        count: 7,
+        properties: ['color', 'background-color'],
+        elements: ['.promo', '.banner'],
+        pages: ['home', 'about']
+      }),
+      expect.objectContaining({ hex: '#960096', colors: ['#960096'], elements: ['svg > path'] })
+    ]);
+  });
+
+  test('turns near-brand colors and off-palette groups into issues', () => {
+    const issues = paletteIssues(auditPalette([
+      used('rgb(26, 74, 71)', 9, ['h1']),
+      used('rgb(255, 80, 2)', 3, ['a.btn']),
+      used('rgb(0, 128, 255)', 5, ['.promo']),
+      used('rgb(2, 130, 253)', 2, ['.banner'])
+    ], palette));
+
+    expect(issues.map(i => [i.type, i.section, i.color, i.elements])).toEqual([
+      ['near_palette_color', 'palette', '#ff5002', ['a.btn']],
+      ['off_palette_color', 'palette', '#0080ff', ['.promo', '.banner']]
+    ]);
+    expect(issues[1].message).toBe('#0080ff and 1 near-duplicates (#0282fd) is not in the brand palette (color, 7 uses)');
+  });
+});
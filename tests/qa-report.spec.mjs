@@ -0,0 +1,84 @@
+import { test, expect } from '@playwright/test';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import EnhancedQAAnalyzer from '../qa-analyzer.mjs';
+import { accessibilityIssues, summarizeFindings } from '../accessibility-audit.mjs';
+
+// An analyzer after a page run, without a browser
+function analyzedPage(reportBaseDir, { issues = [], accessibility = [] } = {}) {
+  return Object.assign(Object.create(EnhancedQAAnalyzer.prototype), {
+    reportBaseDir,
+    runDate: '2026-10-19',
+    config: { environment: 'staging' },
+    figmaFreshness: null,
+    activeDesign: null,
+    designTokens: null,
+    visualDiff: null,
+    designComparisons: [],
+    copyResults: [],
+    layoutResults: [],
+    spacingResults: [],
+    componentResults: [],
+    paletteResult: null,
+    typographyResult: null,
+    contrastResults: [],
+    accessibilityResults: accessibility,
+    keyboardResult: null,
+    screenshots: [],
+    issues
+  });
+}
+
+test.describe('Page reports', () => {
+  let dir;
+
+  test.beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'qa-report-'));
+  });
+
+  test.afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('writes accessibility findings to the JSON, HTML and PDF reports', async () => {
+    const accessibility = summarizeFindings([
+      { rule: 'image-alt', selector: 'img.hero', message: 'Image has no alt attribute', html: '<img class="hero">' },
+      { rule: 'image-alt', selector: 'img.logo', message: 'Image has no alt attribute', html: '<img class="logo">' }
+    ]);
+    const analyzer = analyzedPage(dir, { accessibility, issues: accessibilityIssues(accessibility) });
+
+    const report = await analyzer.generateReport('home-desktop', 'https://example.org/');
+
+    const json = JSON.parse(await fs.readFile(path.join(dir, 'qa-report-home-desktop.json'), 'utf8'));
+    expect(json.accessibility).toEqual(report.accessibility);
+    expect(json.issues).toEqual([
+      expect.objectContaining({ type: 'accessibility', section: 'accessibility', rule: 'image-alt', count: 2, elements: ['img.hero', 'img.logo'] })
+    ]);
+
+    const html = await fs.readFile(path.join(dir, 'qa-report-home-desktop.html'), 'utf8');
+    expect(html).toContain('<code>image-alt</code>');
+    expect(html).toContain(`WCAG ${json.issues[0].wcag}`);
+
+    const pdf = await fs.readFile(path.join(dir, 'qa-report-home-desktop.pdf'));
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+
+  test('escapes page text and Figma names in the HTML report', async () => {
+    const analyzer = analyzedPage(dir, {
+      issues: [
+        { type: 'visual_diff', region: { x: 0, y: 0, width: 10, height: 10 }, pixelsChanged: 40, selector: 'a[href="?a=1&b=2"]', text: 'Save <50%> today' },
+        { type: 'design_diff', section: 'hero', message: 'Frame “Hero <v2>” differs' },
+        { type: 'error', section: 'contrast_desktop', message: 'Unexpected token <' }
+      ]
+    });
+
+    await analyzer.generateReport('home', 'https://example.org/');
+    const html = await fs.readFile(path.join(dir, 'qa-report-home.html'), 'utf8');
+
+    expect(html).toContain('<code>a[href=&quot;?a=1&amp;b=2&quot;]</code> “Save &lt;50%&gt; today”');
+    expect(html).toContain('Frame “Hero &lt;v2&gt;” differs');
+    expect(html).toContain('Unexpected token &lt;');
+    expect(html).not.toContain('<50%>');
+  });
+});
@@ -0,0 +1,100 @@
+import { test, expect } from '@playwright/test';
+import http from 'http';
+import { crawlSite, normalizeUrl, matchTemplate, groupByTemplate, readSitemap } from '../site-crawler.mjs';
+
+const baseUrl = 'https://cross-switch.staging2.liquidpreview2.net/';
+
+test.describe('Site crawler', () => {
+  test('keeps same-origin page links only', () => {
+    expect(normalizeUrl('/about/#team', baseUrl)).toBe(`${baseUrl}about`);
+    expect(normalizeUrl('/pricing?plan=pro', baseUrl)).toBe(`${baseUrl}pricing`);
+    expect(normalizeUrl('https://example.com/about', baseUrl)).toBeNull();
+    expect(normalizeUrl('mailto:hello@cross-switch.com', baseUrl)).toBeNull();
+    expect(normalizeUrl('/files/brochure.pdf', baseUrl)).toBeNull();
+  });
+
+  test('matches single and multi-segment template patterns', () => {
+    const templates = [
+      { name: 'article', pattern: '/news/*' },
+      { name: 'docs', pattern: '/docs/**' }
+    ];
+
+    expect(matchTemplate('/news/article-1', templates)?.name).toBe('article');
+    expect(matchTemplate('/news', templates)).toBeNull();
+    expect(matchTemplate('/news/2024/article-1', templates)).toBeNull();
+    expect(matchTemplate('/docs/api/payments', templates)?.name).toBe('docs');
+  });
+
+  test('groups URLs by template and keeps configured page names', () => {
+    const urls = ['/', '/newsroom', '/news/launch', '/news/funding', '/news/partners', '/careers']
+      .map(p => new URL(p, baseUrl).href);
+
+    const entries = groupByTemplate(urls, {
+      baseUrl,
+      pages: [{ name: 'home', path: '/' }, { name: 'newsroom', path: '/newsroom' }],
+      templates: [{ name: 'article', pattern: '/news/*' }],
+      maxPerTemplate: 2
+    });
+
+    expect(entries.map(e => [e.name, e.template])).toEqual([
+      ['home', 'home'],
+      ['newsroom', 'newsroom'],
+      ['article-news-launch', 'article'],
+      ['article-news-funding', 'article'],
+      ['careers', 'careers']
+    ]);
+  });
+
+  // Serves { path: xml }; paths mapped to null never answer
+  const serveSitemaps = async (routes) => {
+    const requested = [];
+    const server = http.createServer((req, res) => {
+      requested.push(req.url);
+      if (routes[req.url] !== null) res.end(routes[req.url] ?? '');
+    });
+    await new Promise(resolve => server.listen(0, resolve));
+    const close = async () => {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    };
+    return { url: `http://localhost:${server.address().port}/`, requested, close };
+  };
+
+  test('rebases child sitemaps and their entries onto the base URL', async () => {
+    const server = await serveSitemaps({
+      '/sitemap.xml': '<sitemapindex><sitemap><loc>https://cross-switch.com/pages.xml?lang=en</loc></sitemap></sitemapindex>',
+      '/pages.xml?lang=en': '<urlset><url><loc>https://cross-switch.com/about/</loc></url><url><loc>https://cross-switch.com/news/launch?ref=rss</loc></url></urlset>'
+    });
+    try {
+      expect(await readSitemap(server.url)).toEqual([`${server.url}about`, `${server.url}news/launch`]);
+      expect(server.requested).toEqual(['/sitemap.xml', '/pages.xml?lang=en']);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('gives up on a sitemap that does not answer', async () => {
+    const server = await serveSitemaps({ '/sitemap.xml': null });
+    try {
+      expect(await readSitemap(server.url, { timeout: 200 })).toEqual([]);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('follows links from sitemap pages as well as the home page', async () => {
+    const links = {
+      [baseUrl]: ['/about'],
+      [`${baseUrl}newsroom`]: ['/news/launch', '/news/funding']
+    };
+    let current;
+    const page = {
+      goto: async (url) => { current = url; },
+      evaluate: async () => (links[current] || []).map(href => new URL(href, baseUrl).href)
+    };
+
+    const urls = await crawlSite(page, baseUrl, { maxDepth: 1, seeds: [`${baseUrl}newsroom`] });
+
+    expect(urls).toEqual([baseUrl, `${baseUrl}newsroom`, `${baseUrl}about`, `${baseUrl}news/launch`, `${baseUrl}news/funding`]);
+  });
+});
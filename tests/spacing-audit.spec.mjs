@@ -0,0 +1,48 @@
+import { test, expect } from '@playwright/test';
+import { gridColumns, gridViolations, nearestSpacing, spacingScale, spacingViolations } from '../spacing-audit.mjs';
+
+test.describe('Spacing audit', () => {
+  test('builds the scale from a base grid, explicit values and spacing tokens', () => {
+    const scale = spacingScale({ base: 8, scale: [6] }, { spacing: { 'Space/S': 12, 'Space/M': 16 } });
+
+    expect(scale).toEqual({ base: 8, values: [6, 12, 16] });
+    expect(nearestSpacing(24, scale)).toEqual({ nearest: 24, onScale: true });
+    expect(nearestSpacing(12.3, scale)).toEqual({ nearest: 12, onScale: true });
+    expect(nearestSpacing(14, scale)).toEqual({ nearest: 12, onScale: false });
+    expect(spacingScale({ base: 4, useTokens: false }, { spacing: { 'Space/S': 12 } }).values).toEqual([]);
+  });
+
+  test('groups off-scale values with the elements using them', () => {
+    const scale = spacingScale({ base: 4 });
+    const violations = spacingViolations([
+      { selector: '.hero', property: 'padding-top', value: 64 },
+      { selector: '.card:nth-of-type(1)', property: 'padding-left', value: 17 },
+      { selector: '.card:nth-of-type(2)', property: 'padding-left', value: 17 },
+      { selector: '.cards', property: 'column-gap', value: 17 },
+      { selector: 'p', property: 'margin-bottom', value: 13 }
+    ], scale);
+
+    expect(violations).toEqual([
+      { value: 17, nearest: 16, properties: ['padding-left', 'column-gap'], count: 3, elements: ['.card:nth-of-type(1)', '.card:nth-of-type(2)', '.cards'] },
+      { value: 13, nearest: 12, properties: ['margin-bottom'], count: 1, elements: ['p'] }
+    ]);
+  });
+
+  test('checks block edges against the column grid of the viewport', () => {
+    // 1440px wide: 12 columns of 92px with 16px gutters in a 1280px container
+    const grid = gridColumns(1440, { columns: 12, gutter: 16, margin: 80, maxWidth: 1280 });
+    expect(grid.left).toBe(80);
+    expect(grid.columnWidth).toBe(92);
+    expect([grid.starts[6], grid.ends[5], grid.ends[11]]).toEqual([728, 712, 1360]);
+
+    expect(gridViolations([
+      { selector: '.hero__copy', left: 80, right: 712 },
+      { selector: '.hero__image', left: 729.5, right: 1360 },
+      { selector: '.hero__bg', left: 0, right: 1440 },
+      { selector: '.hero__badge', left: 91, right: 1354 }
+    ], grid)).toEqual([
+      { selector: '.hero__badge', edge: 'left', actual: 91, expected: 80 },
+      { selector: '.hero__badge', edge: 'right', actual: 1354, expected: 1360 }
+    ]);
+  });
+});
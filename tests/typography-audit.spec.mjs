@@ -0,0 +1,72 @@
+import { test, expect } from '@playwright/test';
+import { auditTypography, styleDifferences, textStyleScale } from '../typography-audit.mjs';
+
+const tokens = {
+  typography: {
+    'Heading/H1': { fontFamily: 'Inter', fontSize: 48, fontWeight: 700, lineHeight: 56, letterSpacing: -0.5 },
+    'Heading/H1 Mobile': { fontFamily: 'Inter', fontSize: 32, fontWeight: 700, lineHeight: 40, letterSpacing: 0 },
+    'Heading/H2': { fontFamily: 'Inter', fontSize: 32, fontWeight: 700, lineHeight: 40, letterSpacing: 0 },
+    'Body/Regular': { fontFamily: 'Inter', fontSize: 16, fontWeight: 400, lineHeight: 24, letterSpacing: 0 }
+  }
+};
+
+const typography = {
+  styles: { h1: 'Heading/H1', h2: 'Heading/H2', body: 'Body/Regular', caption: 'Body/Caption' },
+  viewports: { mobile: { h1: 'Heading/H1 Mobile' } }
+};
+
+const text = (kind, level, fontSize, fontWeight, lineHeight, extra = {}) => ({
+  kind, level, fontFamily: 'Inter', fontSize, fontWeight, lineHeight, letterSpacing: 0, count: 1, elements: ['p'], sample: 'Text', ...extra
+});
+
+test.describe('Typography audit', () => {
+  test('builds the text styles of a viewport from tokens', () => {
+    const { scale, missing } = textStyleScale(typography, tokens, 'mobile');
+
+    expect(scale.map(s => [s.role, s.token, s.fontSize])).toEqual([
+      ['h1', 'Heading/H1 Mobile', 32],
+      ['h2', 'Heading/H2', 32],
+      ['body', 'Body/Regular', 16]
+    ]);
+    expect(missing).toEqual(['Body/Caption']);
+    expect(styleDifferences(text('text', null, 16.3, 400, null), scale[2])).toEqual([
+      { property: 'lineHeight', expected: 24, actual: null }
+    ]);
+  });
+
+  test('matches text to the scale and reports off-scale text with its closest style', () => {
+    const { scale } = textStyleScale(typography, tokens, 'desktop');
+    const result = auditTypography([
+      text('text', null, 16, 400, 24, { count: 12 }),
+      text('heading', 1, 48, 700, 56, { letterSpacing: -0.5 }),
+      text('text', null, 15, 400, 22)
+    ], scale);
+
+    expect(result.styles.map(s => [s.status, s.role])).toEqual([['match', 'body'], ['match', 'h1'], ['unmatched', null]]);
+    expect(result.matched).toBe(13);
+    expect(result.unmatched[0].nearest).toEqual({
+      role: 'body',
+      token: 'Body/Regular',
+      differences: [
+        { property: 'fontSize', expected: 16, actual: 15 },
+        { property: 'lineHeight', expected: 24, actual: 22 }
+      ]
+    });
+  });
+
+  test('flags headings styled as another level', () => {
+    const { scale } = textStyleScale(typography, tokens, 'desktop');
+    const result = auditTypography([
+      text('heading', 1, 32, 700, 40),
+      text('heading', 2, 32, 700, 40),
+      text('heading', 3, 16, 400, 24)
+    ], scale);
+
+    expect(result.wrongLevel.map(s => [s.level, s.role, s.expectedRole])).toEqual([[1, 'h2', 'h1']]);
+    // No h3 style is defined, so an h3 may use any style
+    expect(result.styles[2]).toMatchObject({ status: 'match', role: 'body' });
+    // At mobile the same h1 is the mobile heading style
+    const mobile = auditTypography([text('heading', 1, 32, 700, 40)], textStyleScale(typography, tokens, 'mobile').scale);
+    expect(mobile.styles[0]).toMatchObject({ status: 'match', role: 'h1' });
+  });
+});
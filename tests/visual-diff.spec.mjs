@@ -0,0 +1,163 @@
+import { test, expect } from '@playwright/test';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { PNG } from 'pngjs';
+import { compareScreenshots, evaluateDiff, maskScopesFor, resolveDiffSettings } from '../visual-diff.mjs';
+
+const solid = (width, height, [r, g, b]) => {
+  const png = new PNG({ width, height });
+  for (let i = 0; i < png.data.length; i += 4) {
+    png.data[i] = r;
+    png.data[i + 1] = g;
+    png.data[i + 2] = b;
+    png.data[i + 3] = 255;
+  }
+  return png;
+};
+
+const paint = (png, { x, y, width, height }, [r, g, b]) => {
+  for (let py = y; py < y + height; py++) {
+    for (let px = x; px < x + width; px++) {
+      const i = (png.width * py + px) << 2;
+      png.data[i] = r;
+      png.data[i + 1] = g;
+      png.data[i + 2] = b;
+    }
+  }
+  return png;
+};
+
+test.describe('Visual diff', () => {
+  let dir;
+
+  test.beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'visual-diff-'));
+  });
+
+  test.afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  const files = () => ({
+    currentPath: path.join(dir, 'current.png'),
+    baselinePath: path.join(dir, 'baseline.png'),
+    diffPath: path.join(dir, 'diff.png')
+  });
+
+  test('ignores changes inside masked regions and outlines them in the diff', async () => {
+    const carousel = { x: 10, y: 10, width: 20, height: 20 };
+    const { currentPath, baselinePath, diffPath } = files();
+    await fs.writeFile(baselinePath, PNG.sync.write(solid(60, 60, [255, 255, 255])));
+    await fs.writeFile(currentPath, PNG.sync.write(paint(solid(60, 60, [255, 255, 255]), carousel, [26, 74, 71])));
+
+    const unmasked = await compareScreenshots({ currentPath, baselinePath, diffPath });
+    expect(unmasked.pixelDiff).toBe(400);
+
+    const masked = await compareScreenshots({ currentPath, baselinePath, diffPath, regions: [carousel] });
+    expect(masked.pixelDiff).toBe(0);
+
+    const diff = PNG.sync.read(await fs.readFile(diffPath));
+    const corner = (diff.width * carousel.y + carousel.x) << 2;
+    expect([...diff.data.slice(corner, corner + 4)]).toEqual([255, 0, 255, 255]);
+  });
+
+  test('compares the overlap when the page grows and reports both sizes', async () => {
+    const { currentPath, baselinePath, diffPath } = files();
+    await fs.writeFile(baselinePath, PNG.sync.write(solid(40, 50, [255, 255, 255])));
+    await fs.writeFile(currentPath, PNG.sync.write(solid(40, 51, [255, 255, 255])));
+
+    const result = await compareScreenshots({ currentPath, baselinePath, diffPath });
+
+    expect(result.pixelDiff).toBe(0);
+    expect(result.sizeChange).toEqual({
+      baseline: { width: 40, height: 50 },
+      current: { width: 40, height: 51 }
+    });
+    expect(result.uncomparedPixels).toBe(40);
+
+    const diff = PNG.sync.read(await fs.readFile(diffPath));
+    expect([diff.width, diff.height]).toEqual([40, 51]);
+  });
+
+  test('collects page-wide, per-page and per-section masks', () => {
+    const config = {
+      masks: {
+        all: { selectors: ['#cookie-banner'] },
+        pages: { home: { rects: [{ x: 0, y: 0, width: 10, height: 10 }] } },
+        sections: { hero: { selectors: ['video'] }, footer: { selectors: ['time'] } }
+      }
+    };
+
+    const scopes = maskScopesFor(config, 'home', ['hero', 'features'], s => `.${s}`);
+
+    expect(scopes.map(s => [s.label, s.scope])).toEqual([
+      ['all', undefined],
+      ['home', undefined],
+      ['hero', '.hero']
+    ]);
+  });
+
+  test('judges the same change by area instead of raw pixel count', async () => {
+    const { currentPath, baselinePath, diffPath } = files();
+    await fs.writeFile(baselinePath, PNG.sync.write(solid(100, 100, [255, 255, 255])));
+    await fs.writeFile(currentPath, PNG.sync.write(paint(solid(100, 100, [255, 255, 255]), { x: 0, y: 0, width: 10, height: 10 }, [0, 0, 0])));
+
+    const result = await compareScreenshots({ currentPath, baselinePath, diffPath, mode: 'percent' });
+
+    expect(result.percentChanged).toBe(1);
+    expect(evaluateDiff(result, { mode: 'pixels', limit: 50 })).toMatchObject({ value: 100, passed: false });
+    expect(evaluateDiff(result, { mode: 'percent', limit: 2 })).toMatchObject({ value: 1, passed: true });
+  });
+
+  test('scores structural similarity in ssim mode', async () => {
+    const { currentPath, baselinePath, diffPath } = files();
+    await fs.writeFile(baselinePath, PNG.sync.write(solid(64, 64, [255, 255, 255])));
+    await fs.writeFile(currentPath, PNG.sync.write(solid(64, 64, [255, 255, 255])));
+
+    const same = await compareScreenshots({ currentPath, baselinePath, diffPath, mode: 'ssim' });
+    expect(same.ssim).toBe(1);
+
+    await fs.writeFile(currentPath, PNG.sync.write(paint(solid(64, 64, [255, 255, 255]), { x: 0, y: 0, width: 32, height: 64 }, [0, 0, 0])));
+    const changed = await compareScreenshots({ currentPath, baselinePath, diffPath, mode: 'ssim' });
+    expect(evaluateDiff(changed, { mode: 'ssim', limit: 0.98 }).passed).toBe(false);
+  });
+
+  test('picks the most specific diff override for a page and viewport', () => {
+    const config = {
+      thresholds: { pixelDiff: 50 },
+      diff: {
+        mode: 'antialias',
+        limits: { antialias: 0.1, ssim: 0.98 },
+        overrides: [
+          { page: 'article', viewport: 'mobile', limits: { ssim: 0.9 } },
+          { viewport: 'mobile', limits: { antialias: 0.25 } },
+          { page: 'article', mode: 'ssim' }
+        ]
+      }
+    };
+
+    expect(resolveDiffSettings(config, { page: 'about', viewport: 'desktop' })).toEqual({ mode: 'antialias', limit: 0.1 });
+    expect(resolveDiffSettings(config, { page: 'about', viewport: 'mobile' })).toEqual({ mode: 'antialias', limit: 0.25 });
+    expect(resolveDiffSettings(config, { page: 'article-news-launch', template: 'article', viewport: 'mobile' }))
+      .toEqual({ mode: 'ssim', limit: 0.9 });
+    expect(resolveDiffSettings({ thresholds: { pixelDiff: 50 } }, { page: 'home' })).toEqual({ mode: 'pixels', limit: 50 });
+  });
+
+  test('groups changed pixels into separate regions', async () => {
+    const { currentPath, baselinePath, diffPath } = files();
+    const current = solid(200, 120, [255, 255, 255]);
+    paint(current, { x: 10, y: 10, width: 30, height: 8 }, [0, 0, 0]);
+    paint(current, { x: 44, y: 12, width: 20, height: 6 }, [0, 0, 0]);
+    paint(current, { x: 150, y: 90, width: 12, height: 12 }, [0, 0, 0]);
+    await fs.writeFile(baselinePath, PNG.sync.write(solid(200, 120, [255, 255, 255])));
+    await fs.writeFile(currentPath, PNG.sync.write(current));
+
+    const { changedRegions } = await compareScreenshots({ currentPath, baselinePath, diffPath });
+
+    expect(changedRegions).toEqual([
+      { x: 10, y: 10, width: 54, height: 8, area: 432, pixels: 360 },
+      { x: 150, y: 90, width: 12, height: 12, area: 144, pixels: 144 }
+    ]);
+  });
+});
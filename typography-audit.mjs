@@ -0,0 +1,143 @@
+// typography-audit.mjs
+// Typography scale audit: the computed font of every visible text element is
+// matched to the defined text styles (config.typography.styles, h1–h6, body,
+// caption and button, as Figma typography tokens or literal values). Text that
+// fits no style, and headings styled as another level, are reported.
+import configLoader from './config-loader.js';
+import { installSelectorFor } from './dom-selector.mjs';
+
+export const { TEXT_ROLES } = configLoader;
+
+const PROPERTIES = ['fontFamily', 'fontSize', 'fontWeight', 'lineHeight', 'letterSpacing'];
+
+// Text styles for a viewport: [{ role, token, fontFamily, fontSize, ... }] plus the
+// token names the token file does not have
+export function textStyleScale(typography = {}, tokens = null, viewport = null) {
+  const styles = { ...typography.styles, ...typography.viewports?.[viewport] };
+  const scale = [];
+  const missing = [];
+
+  for (const role of TEXT_ROLES) {
+    const ref = styles[role];
+    if (!ref) continue;
+    const values = typeof ref === 'string' ? tokens?.typography?.[ref] : ref;
+    if (!values) {
+      missing.push(ref);
+      continue;
+    }
+    scale.push({
+      role,
+      token: typeof ref === 'string' ? ref : role,
+      fontFamily: values.fontFamily,
+      fontSize: values.fontSize,
+      fontWeight: values.fontWeight,
+      lineHeight: values.lineHeight ?? null,
+      letterSpacing: values.letterSpacing ?? 0
+    });
+  }
+  return { scale, missing };
+}
+
+// Computed fonts of the visible text on the page, one entry per distinct style and
+// kind of element: [{ kind, level, fontFamily, fontSize, fontWeight, lineHeight,
+// letterSpacing, count, elements, sample }]. kind is heading, button or text.
+export async function collectTextStyles(page, { maxElements = 5 } = {}) {
+  await installSelectorFor(page);
+  return page.evaluate((maxElements) => {
+    const selectorFor = window.__qaSelectorFor;
+    const SKIP = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE']);
+    const styles = new Map();
+
+    for (const el of document.querySelectorAll('body *')) {
+      if (SKIP.has(el.tagName) || el.closest('svg')) continue;
+      const ownText = [...el.childNodes].filter(n => n.nodeType === Node.TEXT_NODE).map(n => n.textContent).join('').trim();
+      if (!ownText) continue;
+      if (el.checkVisibility && !el.checkVisibility({ visibilityProperty: true })) continue;
+
+      const heading = el.closest('h1, h2, h3, h4, h5, h6, [role="heading"]');
+      const button = el.closest('button, [role="button"], input[type="submit"], input[type="button"]');
+      const kind = heading ? 'heading' : button ? 'button' : 'text';
+      const level = heading
+        ? Number(heading.getAttribute('aria-level')) || Number(heading.tagName.slice(1)) || 2
+        : null;
+
+      const style = getComputedStyle(el);
+      const entry = {
+        kind,
+        level,
+        fontFamily: style.fontFamily.split(',')[0].replace(/['"]/g, '').trim(),
+        fontSize: parseFloat(style.fontSize),
+        fontWeight: Number(style.fontWeight),
+        lineHeight: style.lineHeight === 'normal' ? null : parseFloat(style.lineHeight),
+        letterSpacing: style.letterSpacing === 'normal' ? 0 : parseFloat(style.letterSpacing)
+      };
+      const key = JSON.stringify(entry);
+      if (!styles.has(key)) styles.set(key, { ...entry, count: 0, elements: [], sample: ownText.replace(/\s+/g, ' ').slice(0, 60) });
+      const found = styles.get(key);
+      found.count++;
+      if (found.elements.length < maxElements) found.elements.push(selectorFor(el));
+    }
+
+    return [...styles.values()];
+  }, maxElements);
+}
+
+// Properties of a computed style that differ from a text style: [{ property, expected, actual }]
+export function styleDifferences(style, textStyle, { tolerance = 0.5 } = {}) {
+  const differences = [];
+  for (const property of PROPERTIES) {
+    const expected = textStyle[property];
+    const actual = style[property];
+    if (expected === null || expected === undefined) continue;
+
+    let equal;
+    if (property === 'fontFamily') equal = String(actual).toLowerCase() === String(expected).toLowerCase();
+    else if (property === 'fontWeight') equal = Number(actual) === Number(expected);
+    else equal = actual !== null && Math.abs(actual - expected) <= tolerance;
+
+    if (!equal) differences.push({ property, expected, actual });
+  }
+  return differences;
+}
+
+// Rough distance used to name the closest style of text that matches none
+const distance = (style, textStyle) =>
+  (String(style.fontFamily).toLowerCase() === String(textStyle.fontFamily).toLowerCase() ? 0 : 10) +
+  Math.abs(style.fontSize - textStyle.fontSize) +
+  Math.abs(style.fontWeight - textStyle.fontWeight) / 100 +
+  (textStyle.lineHeight && style.lineHeight ? Math.abs(style.lineHeight - textStyle.lineHeight) / 2 : 0) +
+  Math.abs((style.letterSpacing || 0) - (textStyle.letterSpacing || 0));
+
+// Matches collected text styles to the scale. Each entry gets status match,
+// unmatched (fits no style; nearest style and differences attached) or
+// wrong_level (a heading that fits a style other than its level's).
+export function auditTypography(collected, scale, { tolerance = 0.5 } = {}) {
+  const results = collected.map(style => {
+    const fits = scale.filter(s => !styleDifferences(style, s, { tolerance }).length).map(s => s.role);
+    const ownRole = style.kind === 'heading' ? `h${style.level}` : null;
+    const levelDefined = ownRole && scale.some(s => s.role === ownRole);
+
+    if (fits.length) {
+      const role = fits.includes(ownRole) ? ownRole : fits[0];
+      const wrongLevel = levelDefined && role !== ownRole;
+      return { ...style, status: wrongLevel ? 'wrong_level' : 'match', role, expectedRole: wrongLevel ? ownRole : undefined };
+    }
+
+    const nearest = levelDefined
+      ? scale.find(s => s.role === ownRole)
+      : [...scale].sort((a, b) => distance(style, a) - distance(style, b))[0];
+    return {
+      ...style,
+      status: 'unmatched',
+      role: null,
+      nearest: nearest ? { role: nearest.role, token: nearest.token, differences: styleDifferences(style, nearest, { tolerance }) } : null
+    };
+  });
+
+  return {
+    styles: results,
+    matched: results.filter(r => r.status === 'match').reduce((sum, r) => sum + r.count, 0),
+    unmatched: results.filter(r => r.status === 'unmatched'),
+    wrongLevel: results.filter(r => r.status === 'wrong_level')
+  };
+}
@@ -0,0 +1,493 @@
+// visual-diff.mjs
+// Screenshot comparison shared by every takeScreenshotWithDiff: masks dynamic
+// regions in both images, runs pixelmatch and outlines the masks in diff.png,
+// then judges the result with the configured diff mode (see config.diff).
+import fs from 'fs/promises';
+import pixelmatch from 'pixelmatch';
+import { PNG } from 'pngjs';
+import { installSelectorFor } from './dom-selector.mjs';
+
+const MASK_FILL = [128, 128, 128, 255];
+const MASK_OUTLINE = [255, 0, 255, 255];
+const SIZE_CHANGE_FILL = [255, 170, 0, 255];
+const DIFF_COLOR = [255, 0, 0];
+const CHANGE_OUTLINE = [0, 120, 255, 255];
+
+// pixels    — changed pixel count, anti-aliased edges ignored (the original check)
+// percent   — share of the page area that changed, anti-aliased pixels included
+// antialias — share of the page area that changed, anti-aliased edges ignored
+// ssim      — mean structural similarity (0–1); fails when it drops below the limit
+export const DIFF_MODES = ['pixels', 'percent', 'antialias', 'ssim'];
+
+// Builds the mask scopes for one page from config.masks:
+//   masks.all            — applied to every page
+//   masks.pages[name]    — applied to one page (or crawl template)
+//   masks.sections[name] — selectors searched inside that section, rects relative to it
+export function maskScopesFor(config, pageName, sections = [], sectionSelector) {
+  const masks = config.masks || {};
+  const scopes = [];
+
+  if (masks.all) scopes.push({ label: 'all', ...masks.all });
+  if (masks.pages?.[pageName]) scopes.push({ label: pageName, ...masks.pages[pageName] });
+
+  for (const section of sections) {
+    if (masks.sections?.[section]) {
+      scopes.push({ label: section, scope: sectionSelector(section), ...masks.sections[section] });
+    }
+  }
+
+  return scopes;
+}
+
+// Resolves mask scopes to document-relative rectangles in the current page
+export async function resolveMaskRegions(page, scopes) {
+  if (!scopes.length) return [];
+
+  const { regions, errors } = await page.evaluate((scopes) => {
+    const regions = [];
+    const errors = [];
+    const toDocument = (r) => ({
+      x: Math.round(r.left + window.scrollX),
+      y: Math.round(r.top + window.scrollY),
+      width: Math.round(r.width),
+      height: Math.round(r.height)
+    });
+
+    for (const { label, scope, selectors = [], rects = [] } of scopes) {
+      let root = document;
+      if (scope) {
+        try {
+          root = document.querySelector(scope);
+        } catch (err) {
+          errors.push(`${label}: invalid scope selector "${scope}"`);
+          continue;
+        }
+        if (!root) continue;
+      }
+      const origin = root === document ? { x: 0, y: 0 } : toDocument(root.getBoundingClientRect());
+
+      for (const selector of selectors) {
+        try {
+          root.querySelectorAll(selector).forEach(el => {
+            const box = toDocument(el.getBoundingClientRect());
+            if (box.width > 0 && box.height > 0) regions.push({ ...box, label, source: selector });
+          });
+        } catch (err) {
+          errors.push(`${label}: invalid mask selector "${selector}"`);
+        }
+      }
+
+      for (const rect of rects) {
+        regions.push({ x: origin.x + rect.x, y: origin.y + rect.y, width: rect.width, height: rect.height, label, source: 'rect' });
+      }
+    }
+
+    return { regions, errors };
+  }, scopes);
+
+  errors.forEach(e => console.log(`⚠️ Mask skipped — ${e}`));
+  return regions;
+}
+
+// Moves document-relative regions into an element screenshot's coordinate space
+export function offsetRegions(regions, origin) {
+  return regions.map(r => ({ ...r, x: r.x - origin.x, y: r.y - origin.y }));
+}
+
+// Picks the diff mode and limit for one page/viewport. Overrides match on page
+// name (or crawl template) and/or viewport; the most specific one wins, and
+// entries of equal specificity apply in config order.
+export function resolveDiffSettings(config, { page, template = page, viewport = null } = {}) {
+  const diff = config.diff || {};
+  const specificity = (o) => (o.page ? 2 : 0) + (o.viewport ? 1 : 0);
+  const matching = (diff.overrides || [])
+    .filter(o => (!o.page || o.page === page || o.page === template) && (!o.viewport || o.viewport === viewport))
+    .sort((a, b) => specificity(a) - specificity(b));
+
+  let mode = diff.mode || 'pixels';
+  const limits = { pixels: config.thresholds?.pixelDiff, ...diff.limits };
+  for (const override of matching) {
+    if (override.mode) mode = override.mode;
+    Object.assign(limits, override.limits);
+  }
+
+  if (!DIFF_MODES.includes(mode)) {
+    throw new Error(`Unknown diff mode "${mode}". Use one of: ${DIFF_MODES.join(', ')}`);
+  }
+  if (typeof limits[mode] !== 'number') {
+    throw new Error(`No limit configured for diff mode "${mode}" (diff.limits.${mode})`);
+  }
+  return { mode, limit: limits[mode] };
+}
+
+// Mean SSIM over 8x8 luma blocks. Cheap compared to a Gaussian-window SSIM,
+// but it tracks structure (edges, layout) rather than exact colour values.
+export function structuralSimilarity(img1, img2, width, height, block = 8) {
+  const C1 = (0.01 * 255) ** 2;
+  const C2 = (0.03 * 255) ** 2;
+  const luma = (data, i) => 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+
+  let total = 0;
+  let blocks = 0;
+  for (let by = 0; by < height; by += block) {
+    for (let bx = 0; bx < width; bx += block) {
+      const yEnd = Math.min(by + block, height);
+      const xEnd = Math.min(bx + block, width);
+      let sum1 = 0, sum2 = 0, sq1 = 0, sq2 = 0, cross = 0, n = 0;
+
+      for (let y = by; y < yEnd; y++) {
+        for (let x = bx; x < xEnd; x++) {
+          const i = (width * y + x) << 2;
+          const a = luma(img1.data, i);
+          const b = luma(img2.data, i);
+          sum1 += a;
+          sum2 += b;
+          sq1 += a * a;
+          sq2 += b * b;
+          cross += a * b;
+          n++;
+        }
+      }
+
+      const mean1 = sum1 / n;
+      const mean2 = sum2 / n;
+      const var1 = sq1 / n - mean1 * mean1;
+      const var2 = sq2 / n - mean2 * mean2;
+      const cov = cross / n - mean1 * mean2;
+      total += ((2 * mean1 * mean2 + C1) * (2 * cov + C2)) /
+        ((mean1 * mean1 + mean2 * mean2 + C1) * (var1 + var2 + C2));
+      blocks++;
+    }
+  }
+
+  return blocks ? total / blocks : 1;
+}
+
+// Pass/fail for a compareScreenshots result: { mode, value, limit, passed }
+export function evaluateDiff(result, { mode, limit }) {
+  if (mode === 'ssim') {
+    return { mode, value: result.ssim, limit, passed: result.ssim >= limit };
+  }
+  const value = mode === 'pixels' ? result.pixelDiff : result.percentChanged;
+  return { mode, value, limit, passed: value <= limit };
+}
+
+export function formatVerdict({ mode, value, limit }) {
+  if (mode === 'ssim') return `SSIM ${value} (min ${limit})`;
+  if (mode === 'pixels') return `${value} pixels changed (max ${limit})`;
+  return `${value}% of the page changed (max ${limit}%, ${mode})`;
+}
+
+const clip = (region, width, height) => {
+  const x0 = Math.max(0, Math.floor(region.x));
+  const y0 = Math.max(0, Math.floor(region.y));
+  const x1 = Math.min(width, Math.ceil(region.x + region.width));
+  const y1 = Math.min(height, Math.ceil(region.y + region.height));
+  return x1 > x0 && y1 > y0 ? { x0, y0, x1, y1 } : null;
+};
+
+const setPixel = (png, x, y, [r, g, b, a]) => {
+  const i = (png.width * y + x) << 2;
+  png.data[i] = r;
+  png.data[i + 1] = g;
+  png.data[i + 2] = b;
+  png.data[i + 3] = a;
+};
+
+export function applyMasks(png, regions, fill = MASK_FILL) {
+  for (const region of regions) {
+    const box = clip(region, png.width, png.height);
+    if (!box) continue;
+    for (let y = box.y0; y < box.y1; y++) {
+      for (let x = box.x0; x < box.x1; x++) setPixel(png, x, y, fill);
+    }
+  }
+  return png;
+}
+
+export function outlineRegions(png, regions, color = MASK_OUTLINE, thickness = 2) {
+  for (const region of regions) {
+    const box = clip(region, png.width, png.height);
+    if (!box) continue;
+    for (let t = 0; t < thickness; t++) {
+      for (let x = box.x0; x < box.x1; x++) {
+        if (box.y0 + t < box.y1) setPixel(png, x, box.y0 + t, color);
+        if (box.y1 - 1 - t >= box.y0) setPixel(png, x, box.y1 - 1 - t, color);
+      }
+      for (let y = box.y0; y < box.y1; y++) {
+        if (box.x0 + t < box.x1) setPixel(png, box.x0 + t, y, color);
+        if (box.x1 - 1 - t >= box.x0) setPixel(png, box.x1 - 1 - t, y, color);
+      }
+    }
+  }
+  return png;
+}
+
+// Groups changed (diff-coloured) pixels into rectangles. Pixels are bucketed
+// into gap-sized cells and touching cells are merged, so a re-wrapped heading
+// becomes one region instead of hundreds of scattered pixels.
+export function clusterChangedPixels(diff, { gap = 10, minPixels = 4, maxRegions = 25 } = {}) {
+  const { width, height, data } = diff;
+  const cols = Math.ceil(width / gap);
+  const cells = new Map();
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (width * y + x) << 2;
+      if (data[i] !== DIFF_COLOR[0] || data[i + 1] !== DIFF_COLOR[1] || data[i + 2] !== DIFF_COLOR[2]) continue;
+
+      const index = Math.floor(y / gap) * cols + Math.floor(x / gap);
+      const cell = cells.get(index);
+      if (cell) {
+        cell.x0 = Math.min(cell.x0, x);
+        cell.x1 = Math.max(cell.x1, x);
+        cell.y1 = y;
+        cell.pixels++;
+      } else {
+        cells.set(index, { x0: x, y0: y, x1: x, y1: y, pixels: 1 });
+      }
+    }
+  }
+
+  const seen = new Set();
+  const regions = [];
+  for (const start of cells.keys()) {
+    if (seen.has(start)) continue;
+    seen.add(start);
+
+    const region = { x0: Infinity, y0: Infinity, x1: -1, y1: -1, pixels: 0 };
+    const stack = [start];
+    while (stack.length) {
+      const index = stack.pop();
+      const cell = cells.get(index);
+      region.x0 = Math.min(region.x0, cell.x0);
+      region.y0 = Math.min(region.y0, cell.y0);
+      region.x1 = Math.max(region.x1, cell.x1);
+      region.y1 = Math.max(region.y1, cell.y1);
+      region.pixels += cell.pixels;
+
+      const col = index % cols;
+      const row = Math.floor(index / cols);
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          if (col + dx < 0 || col + dx >= cols) continue;
+          const next = (row + dy) * cols + col + dx;
+          if (!seen.has(next) && cells.has(next)) {
+            seen.add(next);
+            stack.push(next);
+          }
+        }
+      }
+    }
+    regions.push(region);
+  }
+
+  return regions
+    .filter(r => r.pixels >= minPixels)
+    .sort((a, b) => b.pixels - a.pixels)
+    .slice(0, maxRegions)
+    .map(({ x0, y0, x1, y1, pixels }) => {
+      const box = { x: x0, y: y0, width: x1 - x0 + 1, height: y1 - y0 + 1 };
+      return { ...box, area: box.width * box.height, pixels };
+    });
+}
+
+// Finds the element under each changed region in the current page: the deepest
+// element at the region's centre, widened to the first ancestor covering the region.
+export async function locateChangedRegions(page, regions) {
+  if (!regions.length) return [];
+
+  await installSelectorFor(page);
+  return page.evaluate((regions) => {
+    const selectorFor = window.__qaSelectorFor;
+
+    const covers = (el, region) => {
+      const r = el.getBoundingClientRect();
+      return r.left + window.scrollX <= region.x && r.top + window.scrollY <= region.y &&
+        r.right + window.scrollX >= region.x + region.width && r.bottom + window.scrollY >= region.y + region.height;
+    };
+
+    const start = { x: window.scrollX, y: window.scrollY };
+    const located = regions.map(region => {
+      const cx = region.x + region.width / 2;
+      const cy = region.y + region.height / 2;
+      // elementFromPoint only sees the viewport, so bring the region into view first
+      window.scrollTo(Math.max(0, cx - window.innerWidth / 2), Math.max(0, cy - window.innerHeight / 2));
+
+      let el = document.elementFromPoint(cx - window.scrollX, cy - window.scrollY);
+      while (el && el.parentElement && el !== document.body && !covers(el, region)) {
+        el = el.parentElement;
+      }
+      if (!el) return { ...region, selector: null, tag: null, text: '' };
+
+      const text = (el.innerText || el.getAttribute('aria-label') || el.getAttribute('alt') || '').replace(/\s+/g, ' ').trim();
+      return { ...region, selector: selectorFor(el), tag: el.tagName.toLowerCase(), text: text.slice(0, 80) };
+    });
+    window.scrollTo(start.x, start.y);
+
+    return located;
+  }, regions);
+}
+
+// One visual_diff issue per changed region
+export function changedRegionIssue(baselineKey, region) {
+  const { x, y, width, height, area, pixels, selector, tag, text } = region;
+  const target = selector ? `${selector}${text ? ` "${text}"` : ''}` : 'no element found';
+  return {
+    type: 'visual_diff',
+    baselineKey,
+    region: { x, y, width, height },
+    area,
+    pixelsChanged: pixels,
+    selector,
+    tag,
+    text,
+    message: `${width}x${height} region at (${x}, ${y}) changed — ${target}`
+  };
+}
+
+const cropTo = (png, width, height) => {
+  if (png.width === width && png.height === height) return png;
+  const cropped = new PNG({ width, height });
+  PNG.bitblt(png, cropped, 0, 0, width, height, 0, 0);
+  return cropped;
+};
+
+// Compares current.png against baseline.png with masked regions blanked in both
+// and writes diff.png. When the sizes differ, the top-left aligned overlap is
+// compared and the area only one image covers is painted orange in the diff.
+// Changed pixels are clustered into changedRegions and outlined in blue.
+// mode decides whether anti-aliased pixels count and whether SSIM is computed.
+export async function compareScreenshots({ currentPath, baselinePath, diffPath, threshold = 0.1, regions = [], mode = 'pixels' }) {
+  const current = PNG.sync.read(await fs.readFile(currentPath));
+  const baseline = PNG.sync.read(await fs.readFile(baselinePath));
+
+  const width = Math.max(current.width, baseline.width);
+  const height = Math.max(current.height, baseline.height);
+  const overlapWidth = Math.min(current.width, baseline.width);
+  const overlapHeight = Math.min(current.height, baseline.height);
+
+  const sizeChange = current.width !== baseline.width || current.height !== baseline.height
+    ? {
+        baseline: { width: baseline.width, height: baseline.height },
+        current: { width: current.width, height: current.height }
+      }
+    : null;
+
+  const img1 = applyMasks(cropTo(current, overlapWidth, overlapHeight), regions);
+  const img2 = applyMasks(cropTo(baseline, overlapWidth, overlapHeight), regions);
+  const overlapDiff = new PNG({ width: overlapWidth, height: overlapHeight });
+
+  const pixelDiff = pixelmatch(img1.data, img2.data, overlapDiff.data, overlapWidth, overlapHeight, {
+    threshold,
+    includeAA: mode === 'percent',
+    diffColor: DIFF_COLOR
+  });
+  const changedRegions = clusterChangedPixels(overlapDiff);
+  const ssim = mode === 'ssim'
+    ? Number(structuralSimilarity(img1, img2, overlapWidth, overlapHeight).toFixed(4))
+    : null;
+
+  let diff = overlapDiff;
+  if (sizeChange) {
+    diff = applyMasks(new PNG({ width, height }), [{ x: 0, y: 0, width, height }], SIZE_CHANGE_FILL);
+    PNG.bitblt(overlapDiff, diff, 0, 0, overlapWidth, overlapHeight, 0, 0);
+  }
+
+  outlineRegions(diff, regions);
+  outlineRegions(diff, changedRegions, CHANGE_OUTLINE, 1);
+  await fs.writeFile(diffPath, PNG.sync.write(diff));
+
+  return {
+    mode,
+    pixelDiff,
+    percentChanged: Number(((pixelDiff / (width * height)) * 100).toFixed(2)),
+    ssim,
+    width,
+    height,
+    sizeChange,
+    uncomparedPixels: width * height - overlapWidth * overlapHeight,
+    maskedRegions: regions.length,
+    changedRegions
+  };
+}
+
+// Bilinear resize, used to bring a Figma render to the section's rendered size
+export function resizePng(png, width, height) {
+  if (png.width === width && png.height === height) return png;
+  const resized = new PNG({ width, height });
+  const scaleX = png.width / width;
+  const scaleY = png.height / height;
+
+  for (let y = 0; y < height; y++) {
+    const fy = Math.max(0, (y + 0.5) * scaleY - 0.5);
+    const y0 = Math.min(png.height - 1, Math.floor(fy));
+    const y1 = Math.min(png.height - 1, y0 + 1);
+    const wy = fy - y0;
+    for (let x = 0; x < width; x++) {
+      const fx = Math.max(0, (x + 0.5) * scaleX - 0.5);
+      const x0 = Math.min(png.width - 1, Math.floor(fx));
+      const x1 = Math.min(png.width - 1, x0 + 1);
+      const wx = fx - x0;
+      const at = (px, py) => (png.width * py + px) << 2;
+      const o = (width * y + x) << 2;
+      for (let k = 0; k < 4; k++) {
+        const top = png.data[at(x0, y0) + k] * (1 - wx) + png.data[at(x1, y0) + k] * wx;
+        const bottom = png.data[at(x0, y1) + k] * (1 - wx) + png.data[at(x1, y1) + k] * wx;
+        resized.data[o + k] = Math.round(top * (1 - wy) + bottom * wy);
+      }
+    }
+  }
+  return resized;
+}
+
+// Design render and screenshot blended 50/50 on one canvas, top-left aligned
+export function composeOverlay(design, current, alpha = 0.5) {
+  const width = Math.max(design.width, current.width);
+  const height = Math.max(design.height, current.height);
+  const overlay = applyMasks(new PNG({ width, height }), [{ x: 0, y: 0, width, height }], [255, 255, 255, 255]);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const inDesign = x < design.width && y < design.height;
+      const inCurrent = x < current.width && y < current.height;
+      const o = (width * y + x) << 2;
+      const d = (design.width * y + x) << 2;
+      const c = (current.width * y + x) << 2;
+      for (let k = 0; k < 3; k++) {
+        if (inDesign && inCurrent) overlay.data[o + k] = Math.round(design.data[d + k] * alpha + current.data[c + k] * (1 - alpha));
+        else if (inDesign) overlay.data[o + k] = design.data[d + k];
+        else if (inCurrent) overlay.data[o + k] = current.data[c + k];
+      }
+    }
+  }
+  return overlay;
+}
+
+// Design on the left, implementation on the right
+export function composeSideBySide(design, current, gap = 16) {
+  const width = design.width + gap + current.width;
+  const height = Math.max(design.height, current.height);
+  const canvas = applyMasks(new PNG({ width, height }), [{ x: 0, y: 0, width, height }], [255, 255, 255, 255]);
+  PNG.bitblt(design, canvas, 0, 0, design.width, design.height, 0, 0);
+  PNG.bitblt(current, canvas, 0, 0, current.width, current.height, design.width + gap, 0);
+  return canvas;
+}
+
+// Design-vs-implementation comparison for one section: writes <prefix>.diff.png,
+// <prefix>.overlay.png and <prefix>.side-by-side.png next to the screenshot.
+export async function compareWithDesign({ currentPath, designPath, outPrefix, threshold = 0.1 }) {
+  const diffPath = `${outPrefix}.diff.png`;
+  const overlayPath = `${outPrefix}.overlay.png`;
+  const sideBySidePath = `${outPrefix}.side-by-side.png`;
+
+  const result = await compareScreenshots({ currentPath, baselinePath: designPath, diffPath, threshold, mode: 'antialias' });
+
+  const design = PNG.sync.read(await fs.readFile(designPath));
+  const current = PNG.sync.read(await fs.readFile(currentPath));
+  await fs.writeFile(overlayPath, PNG.sync.write(composeOverlay(design, current)));
+  await fs.writeFile(sideBySidePath, PNG.sync.write(composeSideBySide(design, current)));
+
+  return { ...result, diffPath, overlayPath, sideBySidePath };
+}
+